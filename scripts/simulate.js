@@ -0,0 +1,100 @@
+import { parseArgs } from 'node:util';
+import { writeFileSync } from 'node:fs';
+import { STRATEGIES, DEFAULT_MATCHES, runSimulation, simulationTable } from '../src/game/simulate.js';
+import { PERSONAS } from '../src/game/personas.js';
+import { FORMAT_PRESETS, customFormat } from '../src/game/formats.js';
+import { RULE_VARIANTS, cleanRules } from '../src/game/rules.js';
+import { randomSeed } from '../src/game/rng.js';
+
+// --- Balancing simulator ---
+// `npm run simulate -- --matches 5000 --seed 42` plays every scripted
+// strategy against every AI persona and prints a table of the results.
+// `--json` prints the full results as JSON instead, and `--out file.json`
+// saves them as well.
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --matches <n>        matches per pairing (default ${DEFAULT_MATCHES})
+  --seed <n>           seed for a reproducible run (default: random, and printed)
+  --strategies <list>  comma-separated: ${Object.keys(STRATEGIES).join(', ')}
+  --opponents <list>   comma-separated: ${Object.keys(PERSONAS).join(', ')}
+  --format <id>        ${Object.keys(FORMAT_PRESETS).join(', ')}, or <wickets>x<overs> such as 3x2
+  --rules <list>       comma-separated: ${Object.keys(RULE_VARIANTS).join(', ')}
+  --json               print the results as JSON instead of a table
+  --out <file>         also write the results to a JSON file
+  --help               show this message`;
+
+const fail = (message) => {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+const list = (value, known, what, fallback = Object.keys(known)) => {
+  if (value === undefined) return fallback;
+  const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+  const unknown = ids.filter(id => !known[id]);
+  if (unknown.length) fail(`Unknown ${what}: ${unknown.join(', ')}.`);
+  return ids;
+};
+
+const whole = (value, fallback, what) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) fail(`${what} must be a whole number.`);
+  return number;
+};
+
+const parseFormat = (value) => {
+  if (value === undefined) return FORMAT_PRESETS.classic;
+  if (FORMAT_PRESETS[value]) return FORMAT_PRESETS[value];
+  const [, wickets, overs] = value.match(/^(\d+)x(\d*)$/) || [];
+  if (!wickets || Number(wickets) < 1) fail(`Unknown format: ${value}.`);
+  return customFormat(Number(wickets), overs ? Number(overs) : null);
+};
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      matches: { type: 'string' },
+      seed: { type: 'string' },
+      strategies: { type: 'string' },
+      opponents: { type: 'string' },
+      format: { type: 'string' },
+      rules: { type: 'string' },
+      json: { type: 'boolean' },
+      out: { type: 'string' },
+      help: { type: 'boolean' },
+    },
+  }));
+} catch (error) {
+  fail(error.message);
+}
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const options = {
+  matches: Math.max(1, whole(args.matches, DEFAULT_MATCHES, '--matches')),
+  seed: whole(args.seed, randomSeed(), '--seed') >>> 0,
+  strategies: list(args.strategies, STRATEGIES, 'strategies'),
+  opponents: list(args.opponents, PERSONAS, 'opponents'),
+  format: parseFormat(args.format),
+  rules: cleanRules(list(args.rules, RULE_VARIANTS, 'rules', [])),
+};
+
+const started = Date.now();
+const simulation = runSimulation(options);
+const json = JSON.stringify(simulation, null, 2);
+
+if (args.out) writeFileSync(args.out, `${json}\n`);
+if (args.json) {
+  console.log(json);
+} else {
+  const rulesText = options.rules.length ? options.rules.map(id => RULE_VARIANTS[id].name).join(', ') : 'standard rules';
+  console.log(`${options.matches} matches per pairing · ${options.format.name} · ${rulesText} · seed ${options.seed}\n`);
+  console.log(simulationTable(simulation));
+  console.log(`\nInnings and match lengths are in balls. Took ${((Date.now() - started) / 1000).toFixed(1)}s.${args.out ? ` Results saved to ${args.out}.` : ''}`);
+}
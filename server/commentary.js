@@ -0,0 +1,220 @@
+import { COMMENTARY_STYLES, DEFAULT_COMMENTARY_STYLE } from '../src/game/commentary.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, isLanguage } from '../src/game/i18n.js';
+import { commentaryError } from './providers.js';
+
+// --- Commentary endpoint ---
+// POST /commentary takes the app's match report and ball sequence and streams
+// the provider's commentary back as server-sent events:
+//   data: {"text": "..."}                  a chunk of commentary
+//   event: error / data: {"message": ...}  the stream broke off
+//   event: done                            the commentary is complete
+// Failures before the first chunk come back as a plain JSON error instead, so
+// the app gets a real status code. Either way an error has a `code` (and any
+// `params`) the app translates, with the English alongside. The prompt is built here, from the app's
+// report, so the endpoint can't be used as an open proxy to the model.
+
+const MAX_BODY = 16 * 1024;
+const MAX_REPORT = 2000;
+const MAX_BALLS = 4000;
+
+// The report arrives in the player's language; the commentary answers in it too.
+export const commentaryPrompt = ({ report, balls, style, language = DEFAULT_LANGUAGE }) => ({
+  system: `You are ${COMMENTARY_STYLES[style].voice}, commentating on a game of hand cricket: on every ball both players show 1 to 6 fingers, the batter scores what they show, and matching numbers are a wicket. Answer in plain text, no lists, under 80 words${language === DEFAULT_LANGUAGE ? '' : `, in ${LANGUAGES[language].englishName} (${LANGUAGES[language].name})`}.`,
+  prompt: `Match report:\n${report}\n\nBall by ball (runs, or W and the number both showed for a wicket):\n${balls}\n\nGive your take on the match and the moment that decided it.`,
+});
+
+// Stops reading as soon as the body is too big; the caller answers 413 and
+// drops the connection rather than take in the rest.
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length <= MAX_BODY) return;
+    req.pause();
+    req.removeAllListeners('data');
+    reject(commentaryError('That match is too long to commentate on.', { status: 413, code: 'commentary.tooLong' }));
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const parseRequest = (body) => {
+  let request;
+  try {
+    request = JSON.parse(body);
+  } catch (error) {
+    throw commentaryError('Requests must be JSON.', { status: 400, code: 'commentary.notJson' });
+  }
+  const { report, balls, style, language } = request || {};
+  if (typeof report !== 'string' || typeof balls !== 'string' || !report.trim()) {
+    throw commentaryError('Send the match report and ball sequence.', { status: 400, code: 'commentary.noReport' });
+  }
+  return {
+    report: report.slice(0, MAX_REPORT),
+    balls: balls.slice(0, MAX_BALLS),
+    style: COMMENTARY_STYLES[style] ? style : DEFAULT_COMMENTARY_STYLE,
+    language: isLanguage(language) ? language : DEFAULT_LANGUAGE,
+  };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const createCommentaryService = ({
+  provider,
+  timeoutMs = 20000,
+  retries = 2,
+  retryDelayMs = 500,
+  rateLimit = 10,
+  rateWindowMs = 60000,
+  allowOrigin = '*',
+  now = Date.now,
+}) => {
+  const recent = new Map(); // client address -> request times inside the window
+  let sweptAt = now();
+
+  // Seconds until the client may ask again, or 0 if it may ask now. Once a
+  // window, clients that have been quiet for all of it are forgotten.
+  const rateLimited = (client) => {
+    const since = now() - rateWindowMs;
+    if (sweptAt <= since) {
+      recent.forEach((times, key) => {
+        if (times[times.length - 1] <= since) recent.delete(key);
+      });
+      sweptAt = now();
+    }
+    const times = (recent.get(client) || []).filter(t => t > since);
+    if (times.length >= rateLimit) {
+      recent.set(client, times);
+      return Math.ceil((times[0] - since) / 1000);
+    }
+    recent.set(client, [...times, now()]);
+    return 0;
+  };
+
+  // One attempt at the provider. The timeout covers the wait for each chunk,
+  // so a slow but steady stream is fine and a stalled one is cut off.
+  async function* attempt(request, cancelled) {
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    cancelled.addEventListener('abort', cancel);
+    let timedOut = false;
+    let timer = null;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+    };
+    try {
+      restartTimer();
+      for await (const text of provider.stream({ ...commentaryPrompt(request), signal: controller.signal })) {
+        restartTimer();
+        yield text;
+      }
+      if (timedOut) throw new Error('timed out');
+    } catch (error) {
+      const params = { provider: provider.name };
+      if (timedOut) throw commentaryError(`${provider.name} took too long to answer.`, { status: 504, retryable: true, code: 'commentary.timedOut', params });
+      if (cancelled.aborted || error.status) throw error;
+      throw commentaryError(`${provider.name} sent something the server couldn't read.`, { code: 'commentary.unreadable', params });
+    } finally {
+      clearTimeout(timer);
+      cancelled.removeEventListener('abort', cancel);
+    }
+  }
+
+  // Retries failures that happen before any text has gone out, backing off
+  // between tries. Once the app has text, a failure ends the stream.
+  async function* generate(request, cancelled) {
+    for (let tries = 0; ; tries++) {
+      let started = false;
+      try {
+        for await (const text of attempt(request, cancelled)) {
+          started = true;
+          yield text;
+        }
+        return;
+      } catch (error) {
+        if (started || cancelled.aborted || !error.retryable || tries >= retries) throw error;
+        await wait(retryDelayMs * 2 ** tries);
+      }
+    }
+  }
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': allowOrigin, ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const sendEvent = (res, event, data) => {
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const stream = async (req, res) => {
+    const retryAfter = rateLimited(req.socket.remoteAddress);
+    if (retryAfter) {
+      sendJson(res, 429, {
+        error: `Too many commentary requests. Try again in ${retryAfter} seconds.`,
+        code: 'commentary.tooMany',
+        params: { count: retryAfter },
+      }, { 'Retry-After': String(retryAfter) });
+      return;
+    }
+    if (!provider) {
+      sendJson(res, 503, { error: "Commentary isn't set up on this server.", code: 'commentary.notSetUp' });
+      return;
+    }
+
+    const cancelled = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) cancelled.abort(); });
+    let started = false;
+    try {
+      const request = parseRequest(await readBody(req));
+      for await (const text of generate(request, cancelled.signal)) {
+        if (!started) {
+          started = true;
+          res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Access-Control-Allow-Origin': allowOrigin });
+        }
+        sendEvent(res, null, { text });
+      }
+      if (!started) res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Access-Control-Allow-Origin': allowOrigin });
+      sendEvent(res, 'done', {});
+      res.end();
+    } catch (error) {
+      if (cancelled.signal.aborted) return;
+      if (!error.status) console.error('Commentary failed:', error);
+      const { status, message, code, params } = error.status ? error : commentaryError('The commentary box had a problem.', { status: 500, code: 'commentary.failed' });
+      if (started) {
+        sendEvent(res, 'error', { message, code, params });
+        res.end();
+      } else if (status === 413) {
+        res.once('finish', () => req.destroy());
+        sendJson(res, 413, { error: message, code }, { Connection: 'close' });
+      } else {
+        sendJson(res, status, { error: message, code, params });
+      }
+    }
+  };
+
+  // Handles /commentary and says whether it did, so the caller can answer
+  // everything else.
+  const handleRequest = (req, res) => {
+    if (new URL(req.url, 'http://localhost').pathname !== '/commentary') return false;
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': allowOrigin,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      });
+      res.end();
+    } else if (req.method === 'GET') {
+      sendJson(res, 200, { configured: Boolean(provider), provider: provider ? provider.name : null, styles: Object.keys(COMMENTARY_STYLES) });
+    } else if (req.method === 'POST') {
+      stream(req, res);
+    } else {
+      sendJson(res, 405, { error: 'Use POST to ask for commentary.', code: 'commentary.usePost' });
+    }
+    return true;
+  };
+
+  return { handleRequest, recent };
+};
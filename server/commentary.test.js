@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createCommentaryService } from './commentary.js';
+import { createMockProvider, commentaryError, MOCK_COMMENTARY } from './providers.js';
+
+const MATCH = { report: 'You won by 4 runs.', balls: '1 4 W(3) 6', style: 'classic' };
+
+// Serves the commentary endpoint on a free local port for the length of `run`.
+const withService = async (options, run) => {
+  const service = createCommentaryService({ retryDelayMs: 1, ...options });
+  const server = createServer((req, res) => {
+    if (!service.handleRequest(req, res)) res.writeHead(404).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/commentary`;
+  try {
+    await run(url, service);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+const ask = (url, body = MATCH) => fetch(url, { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+// Splits a server-sent events body into { event, data } frames.
+const frames = (text) => text.split('\n\n').filter(Boolean).map(frame => {
+  const lines = frame.split('\n');
+  const event = lines.find(line => line.startsWith('event: '));
+  return { event: event ? event.slice(7) : null, data: JSON.parse(lines.find(line => line.startsWith('data: ')).slice(6)) };
+});
+
+// A provider that fails `failures` times before streaming `text`.
+const flaky = (failures, error, text = ['Fine ', 'now.']) => {
+  const provider = {
+    name: 'Flaky',
+    calls: 0,
+    async *stream() {
+      provider.calls += 1;
+      if (provider.calls <= failures) throw error;
+      yield* text;
+    },
+  };
+  return provider;
+};
+
+// A provider that never sends anything, and fails like fetch when cut off.
+const stalled = {
+  name: 'Stalled',
+  async *stream({ signal }) {
+    await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    yield 'too late';
+  },
+};
+
+test('commentary streams as server-sent events and ends with done', async () => {
+  await withService({ provider: createMockProvider() }, async (url) => {
+    const response = await ask(url);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+    const sent = frames(await response.text());
+    assert.deepEqual(sent.pop(), { event: 'done', data: {} });
+    assert.ok(sent.length > 1);
+    assert.ok(sent.every(frame => frame.event === null));
+    assert.equal(sent.map(frame => frame.data.text).join(''), MOCK_COMMENTARY);
+  });
+});
+
+test('the endpoint says what it serves and turns away bad requests', async () => {
+  await withService({ provider: createMockProvider() }, async (url) => {
+    assert.deepEqual(await (await fetch(url)).json(), { configured: true, provider: 'Mock', styles: ['classic', 'hype', 'dry', 'coach'] });
+    const notJson = await ask(url, 'not json');
+    assert.equal(notJson.status, 400);
+    assert.equal((await notJson.json()).code, 'commentary.notJson');
+    assert.equal((await ask(url, { balls: '1 2' })).status, 400);
+    assert.equal((await fetch(url, { method: 'PUT' })).status, 405);
+    assert.equal((await fetch(url.replace('/commentary', '/other'))).status, 404);
+
+    const tooLong = await ask(url, { ...MATCH, report: 'x'.repeat(20 * 1024) });
+    assert.equal(tooLong.status, 413);
+    assert.deepEqual(await tooLong.json(), { error: 'That match is too long to commentate on.', code: 'commentary.tooLong' });
+  });
+
+  await withService({ provider: null }, async (url) => {
+    assert.equal((await ask(url)).status, 503);
+  });
+});
+
+test('failures before any text are retried, up to a limit', async () => {
+  const busy = commentaryError('Busy.', { status: 429, retryable: true });
+
+  const recovers = flaky(2, busy);
+  await withService({ provider: recovers }, async (url) => {
+    const sent = frames(await (await ask(url)).text());
+    assert.equal(sent.map(frame => frame.data.text).join(''), 'Fine now.');
+    assert.equal(recovers.calls, 3);
+  });
+
+  const givesUp = flaky(5, busy);
+  await withService({ provider: givesUp }, async (url) => {
+    const response = await ask(url);
+    assert.equal(response.status, 429);
+    assert.deepEqual(await response.json(), { error: 'Busy.' });
+    assert.equal(givesUp.calls, 3);
+  });
+
+  const refused = flaky(1, commentaryError('Bad key.'));
+  await withService({ provider: refused }, async (url) => {
+    assert.equal((await ask(url)).status, 502);
+    assert.equal(refused.calls, 1);
+  });
+});
+
+test('a failure after the text has started ends the stream with an error event', async () => {
+  const provider = {
+    name: 'Halfway',
+    async *stream() {
+      yield 'What a ';
+      throw commentaryError('Halfway went quiet.', { retryable: true });
+    },
+  };
+  await withService({ provider }, async (url) => {
+    const response = await ask(url);
+    assert.equal(response.status, 200);
+    assert.deepEqual(frames(await response.text()), [
+      { event: null, data: { text: 'What a ' } },
+      { event: 'error', data: { message: 'Halfway went quiet.' } },
+    ]);
+  });
+});
+
+test('the timeout is per chunk: a stalled provider is cut off, a slow one is not', async () => {
+  await withService({ provider: stalled, timeoutMs: 30, retries: 0 }, async (url) => {
+    const response = await ask(url);
+    assert.equal(response.status, 504);
+    assert.deepEqual(await response.json(), { error: 'Stalled took too long to answer.', code: 'commentary.timedOut', params: { provider: 'Stalled' } });
+  });
+
+  const slow = createMockProvider({ text: 'one two three four five six', delayMs: 40 });
+  await withService({ provider: slow, timeoutMs: 150 }, async (url) => {
+    const sent = frames(await (await ask(url)).text());
+    assert.equal(sent.pop().event, 'done');
+    assert.equal(sent.map(frame => frame.data.text).join(''), 'one two three four five six');
+  });
+});
+
+// Rate limiting happens before the body is read, so plain objects will do.
+const request = (remoteAddress) => ({ url: '/commentary', method: 'POST', socket: { remoteAddress } });
+const response = () => {
+  const res = { status: null, headers: null, body: null };
+  res.writeHead = (status, headers) => Object.assign(res, { status, headers });
+  res.end = (body) => { res.body = JSON.parse(body); };
+  return res;
+};
+
+test('each address gets a number of requests a window, and quiet ones are forgotten', () => {
+  let clock = 0;
+  const service = createCommentaryService({ provider: null, rateLimit: 2, rateWindowMs: 60000, now: () => clock });
+  const send = (address) => {
+    const res = response();
+    service.handleRequest(request(address), res);
+    return res;
+  };
+
+  assert.equal(send('a').status, 503);
+  clock = 15000;
+  assert.equal(send('a').status, 503);
+  const limited = send('a');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers['Retry-After'], '45');
+  assert.deepEqual(limited.body.params, { count: 45 });
+  assert.equal(send('b').status, 503);
+  assert.deepEqual([...service.recent.keys()], ['a', 'b']);
+
+  clock = 70000;
+  assert.equal(send('a').status, 503);
+  clock = 140000;
+  assert.equal(send('c').status, 503);
+  assert.deepEqual([...service.recent.keys()], ['c']);
+});
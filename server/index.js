@@ -0,0 +1,57 @@
+import { createServer } from 'node:http';
+import { WebSocketServer } from 'ws';
+import { createRoomManager } from './rooms.js';
+import { createCommentaryService } from './commentary.js';
+import { providerFromEnv } from './providers.js';
+
+// --- Hand cricket server ---
+// Runs entirely on localhost: `npm run server`, then point the app at it with
+// REACT_APP_MATCH_SERVER_URL (defaults to ws://localhost:4000). The same port
+// serves match commentary over HTTP at /commentary when a provider is set up.
+
+const HOST = process.env.HOST || 'localhost';
+const PORT = Number(process.env.PORT) || 4000;
+const GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 30000;
+
+const manager = createRoomManager({ graceMs: GRACE_MS });
+const provider = providerFromEnv(process.env);
+const commentary = createCommentaryService({
+  provider,
+  timeoutMs: Number(process.env.COMMENTARY_TIMEOUT_MS) || 20000,
+  rateLimit: Number(process.env.COMMENTARY_RATE_LIMIT) || 10,
+  allowOrigin: process.env.COMMENTARY_ALLOWED_ORIGIN || '*',
+});
+
+const server = createServer((req, res) => {
+  if (commentary.handleRequest(req, res)) return;
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not found.');
+});
+const wss = new WebSocketServer({ server });
+
+wss.on('connection', (socket) => {
+  const conn = {
+    send: (message) => {
+      if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+    },
+    close: () => socket.close(),
+  };
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      conn.send({ type: 'error', code: 'room.notJson', message: 'Messages must be JSON.' });
+      return;
+    }
+    manager.handleMessage(conn, message);
+  });
+
+  socket.on('close', () => manager.handleClose(conn));
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Hand cricket match server listening on ws://${HOST}:${PORT}`);
+  console.log(provider ? `Commentary from ${provider.name} at http://${HOST}:${PORT}/commentary` : 'Commentary is off (set GEMINI_API_KEY, OPENAI_BASE_URL or COMMENTARY_PROVIDER=mock)');
+});
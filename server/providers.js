@@ -0,0 +1,123 @@
+// --- Commentary providers ---
+// A provider turns a prompt into streamed text: { name, stream({ system,
+// prompt, signal }) } where stream is an async iterable of text chunks. Errors
+// carry an HTTP `status` for the app and whether trying again could help, and
+// a `code` and `params` the app translates the English `message` from.
+
+export const commentaryError = (message, { status = 502, retryable = false, code, params } = {}) =>
+  Object.assign(new Error(message), { status, retryable, code, params });
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+const DEFAULT_OPENAI_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+export const MOCK_COMMENTARY = 'What a finish! Both sides kept their nerve, but one read of the fingers settled it. Mix up those numbers next time.';
+
+// Sends the request and turns failed responses into errors the app can show.
+const post = async (name, url, headers, body, signal) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (signal.aborted) throw error;
+    throw commentaryError(`Couldn't reach ${name}.`, { retryable: true, code: 'commentary.unreachable', params: { provider: name } });
+  }
+  if (response.ok) return response.body;
+  if (response.status === 429) {
+    throw commentaryError(`${name} is rate limiting commentary. Try again in a minute.`, { status: 429, retryable: true, code: 'commentary.providerBusy', params: { provider: name } });
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw commentaryError(`${name} turned down the server's API key.`, { code: 'commentary.keyRefused', params: { provider: name } });
+  }
+  throw commentaryError(`${name} answered with an error (${response.status}).`, {
+    retryable: response.status >= 500,
+    code: 'commentary.providerFailed',
+    params: { provider: name, status: response.status },
+  });
+};
+
+// The `data:` payloads of a server-sent events stream.
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+}
+
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL }) => ({
+  name: 'Gemini',
+  async *stream({ system, prompt, signal }) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse`;
+    const body = await post('Gemini', url, { 'x-goog-api-key': apiKey }, {
+      systemInstruction: { parts: [{ text: system }] },
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    }, signal);
+    for await (const data of sseData(body)) {
+      const parts = JSON.parse(data).candidates?.[0]?.content?.parts || [];
+      const text = parts.map(part => part.text || '').join('');
+      if (text) yield text;
+    }
+  },
+});
+
+// Any server that speaks the OpenAI chat completions API: OpenAI itself,
+// Ollama, llama.cpp, LM Studio and the like. It goes by its host in messages.
+export const createOpenAIProvider = ({ baseUrl = DEFAULT_OPENAI_URL, apiKey, model = DEFAULT_OPENAI_MODEL }) => {
+  const name = new URL(baseUrl).host;
+  return {
+    name,
+    async *stream({ system, prompt, signal }) {
+      const body = await post(name, `${baseUrl.replace(/\/$/, '')}/chat/completions`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+        model,
+        stream: true,
+        messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+      }, signal);
+      for await (const data of sseData(body)) {
+        if (data === '[DONE]') return;
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+};
+
+// Fixed text, a word at a time, for trying the app without a real model.
+export const createMockProvider = ({ text = MOCK_COMMENTARY, delayMs = 0 } = {}) => ({
+  name: 'Mock',
+  async *stream({ signal }) {
+    for (const word of text.split(/(?<= )/)) {
+      if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+      if (signal.aborted) return;
+      yield word;
+    }
+  },
+});
+
+// COMMENTARY_PROVIDER picks one; without it, whichever has settings wins.
+// Returns null when no provider is set up.
+export const providerFromEnv = (env) => {
+  const name = env.COMMENTARY_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : env.OPENAI_BASE_URL || env.OPENAI_API_KEY ? 'openai' : null);
+  switch (name) {
+    case null:
+      return null;
+    case 'gemini':
+      if (!env.GEMINI_API_KEY) throw new Error('COMMENTARY_PROVIDER=gemini needs GEMINI_API_KEY.');
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL });
+    case 'openai':
+      return createOpenAIProvider({ baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, model: env.OPENAI_MODEL });
+    case 'mock':
+      return createMockProvider({ delayMs: Number(env.MOCK_COMMENTARY_DELAY_MS) || 0 });
+    default:
+      throw new Error(`Unknown COMMENTARY_PROVIDER "${name}". Use gemini, openai or mock.`);
+  }
+};
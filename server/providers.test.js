@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createOpenAIProvider, createMockProvider, providerFromEnv, MOCK_COMMENTARY } from './providers.js';
+
+const collect = async (provider) => {
+  const chunks = [];
+  for await (const text of provider.stream({ system: 'Be brief.', prompt: 'Go.', signal: new AbortController().signal })) chunks.push(text);
+  return chunks;
+};
+
+// A stand-in chat completions server: `answer` handles each request.
+const withUpstream = async (answer, run) => {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      answer(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}/v1`, requests);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+test('providerFromEnv picks the provider that is set up', () => {
+  assert.equal(providerFromEnv({}), null);
+  assert.equal(providerFromEnv({ COMMENTARY_PROVIDER: 'mock' }).name, 'Mock');
+  assert.equal(providerFromEnv({ GEMINI_API_KEY: 'key' }).name, 'Gemini');
+  assert.equal(providerFromEnv({ OPENAI_API_KEY: 'key' }).name, 'api.openai.com');
+  assert.equal(providerFromEnv({ OPENAI_BASE_URL: 'http://localhost:11434/v1' }).name, 'localhost:11434');
+  assert.equal(providerFromEnv({ COMMENTARY_PROVIDER: 'openai', GEMINI_API_KEY: 'key', OPENAI_BASE_URL: 'http://localhost:1234/v1' }).name, 'localhost:1234');
+  assert.throws(() => providerFromEnv({ COMMENTARY_PROVIDER: 'gemini' }), /needs GEMINI_API_KEY/);
+  assert.throws(() => providerFromEnv({ COMMENTARY_PROVIDER: 'parrot' }), /Unknown COMMENTARY_PROVIDER "parrot"/);
+});
+
+test('the mock provider streams its text a word at a time and stops when cancelled', async () => {
+  const words = await collect(createMockProvider());
+  assert.equal(words.join(''), MOCK_COMMENTARY);
+  assert.equal(words[0], 'What ');
+
+  const cancelled = new AbortController();
+  cancelled.abort();
+  const none = [];
+  for await (const text of createMockProvider().stream({ signal: cancelled.signal })) none.push(text);
+  assert.deepEqual(none, []);
+});
+
+test('an OpenAI-compatible stream is read across chunk boundaries until [DONE]', async () => {
+  const events = ['{"choices":[{"delta":{"content":"Big "}}]}', '{"choices":[{"delta":{}}]}', '{"choices":[{"delta":{"content":"hit!"}}]}', '[DONE]']
+    .map(data => `data: ${data}\n\n`).join('');
+  await withUpstream((res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(events.slice(0, 30));
+    res.write(events.slice(30, 75));
+    res.end(`${events.slice(75)}data: {"choices":[{"delta":{"content":" ignored"}}]}\n\n`);
+  }, async (baseUrl, requests) => {
+    const provider = createOpenAIProvider({ baseUrl, apiKey: 'secret', model: 'tiny' });
+    assert.deepEqual(await collect(provider), ['Big ', 'hit!']);
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].headers.authorization, 'Bearer secret');
+    assert.deepEqual(requests[0].body, {
+      model: 'tiny',
+      stream: true,
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Go.' }],
+    });
+  });
+});
+
+test('upstream failures become errors saying whether a retry could help', async () => {
+  const failWith = (status) => (res) => res.writeHead(status).end();
+  const failure = async (status) => {
+    let error = null;
+    await withUpstream(failWith(status), async (baseUrl) => {
+      await collect(createOpenAIProvider({ baseUrl })).catch(caught => { error = caught; });
+    });
+    return error;
+  };
+
+  const outcome = ({ status, retryable, code }) => ({ status, retryable, code });
+  assert.deepEqual(outcome(await failure(429)), { status: 429, retryable: true, code: 'commentary.providerBusy' });
+  assert.deepEqual(outcome(await failure(401)), { status: 502, retryable: false, code: 'commentary.keyRefused' });
+  assert.deepEqual(outcome(await failure(503)), { status: 502, retryable: true, code: 'commentary.providerFailed' });
+  const rejected = await failure(400);
+  assert.match(rejected.message, /answered with an error \(400\)/);
+  assert.equal(rejected.params.status, 400);
+
+  const unreachable = await collect(createOpenAIProvider({ baseUrl: 'http://127.0.0.1:1/v1' })).catch(error => error);
+  assert.deepEqual({ ...unreachable }, { status: 502, retryable: true, code: 'commentary.unreachable', params: { provider: '127.0.0.1:1' } });
+  assert.equal(unreachable.message, "Couldn't reach 127.0.0.1:1.");
+});
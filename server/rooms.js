@@ -0,0 +1,229 @@
+import { randomInt, randomUUID } from 'node:crypto';
+import { createMatch, toss, chooseTo, playBall, reviewDismissal, currentInnings, TOSS_CHOICES } from '../src/game/engine.js';
+import { DEFAULT_FORMAT, WICKET_OPTIONS, OVER_OPTIONS, customFormat } from '../src/game/formats.js';
+import { cleanRules, numbersFor } from '../src/game/rules.js';
+
+// --- Match rooms ---
+// The server owns every online match. Each room has two seats: the host plays
+// the engine's 'player' side and the guest the 'computer' side. Picks are held
+// here until both seats have chosen, then revealed to both at once.
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+const SIDES = ['player', 'computer'];
+
+const createCode = (rooms) => {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+};
+
+const cleanName = (name, fallback) => String(name || '').trim().slice(0, 16) || fallback;
+
+const cleanFormat = (format) => {
+  if (!format) return DEFAULT_FORMAT;
+  const wickets = WICKET_OPTIONS.includes(format.wickets) ? format.wickets : DEFAULT_FORMAT.wickets;
+  const overs = OVER_OPTIONS.includes(format.overs) ? format.overs : null;
+  return customFormat(wickets, overs);
+};
+
+export const createRoomManager = ({ graceMs = 30000 } = {}) => {
+  const rooms = new Map(); // code -> room
+  const connections = new Map(); // connection -> { room, side }
+
+  const send = (conn, message) => {
+    if (conn) conn.send(message);
+  };
+
+  // `code` is stable for the app to translate; `message` is the English.
+  const sendError = (conn, code, message, fatal = false) => send(conn, { type: 'error', code, message, fatal });
+
+  const broadcast = (room, message) => {
+    SIDES.forEach(side => send(room.seats[side] && room.seats[side].conn, message));
+  };
+
+  const opponentOf = (room, side) => room.seats[side === 'player' ? 'computer' : 'player'];
+
+  // No-balls and reviews follow from the seed, so a client that saw it could
+  // tell which balls are free hits and which reviews will stand. It goes out
+  // only once the match is over, for the archive and replays.
+  const forClient = (match) => {
+    if (!match) return match;
+    const { seed, rngState, ...rest } = match;
+    return match.phase === 'over' ? { ...rest, seed } : rest;
+  };
+
+  const picked = (room) => ({ player: room.pending.player !== null, computer: room.pending.computer !== null });
+
+  const sendState = (room, side) => {
+    const opponent = opponentOf(room, side);
+    send(room.seats[side].conn, {
+      type: 'state',
+      code: room.code,
+      side,
+      match: forClient(room.match),
+      picked: picked(room),
+      opponent: opponent ? { name: opponent.name, connected: Boolean(opponent.conn) } : null,
+    });
+  };
+
+  const closeRoom = (room) => {
+    SIDES.forEach(side => {
+      const seat = room.seats[side];
+      if (!seat) return;
+      clearTimeout(seat.dropTimer);
+      if (seat.conn) connections.delete(seat.conn);
+    });
+    rooms.delete(room.code);
+  };
+
+  const seat = (conn, room, side, name) => {
+    room.seats[side] = { name, token: randomUUID(), conn, dropTimer: null };
+    connections.set(conn, { room, side });
+    send(conn, { type: 'joined', code: room.code, side, token: room.seats[side].token });
+  };
+
+  const reveal = (room, { state, events }) => {
+    room.match = state;
+    room.pending = { player: null, computer: null };
+    broadcast(room, { type: 'reveal', match: forClient(state), events });
+  };
+
+  // Stores one seat's pick and settles the toss or ball once both are in.
+  const submit = (room, side, value, settle) => {
+    if (room.pending[side] !== null) return;
+    room.pending[side] = value;
+    if (room.pending.player === null || room.pending.computer === null) {
+      broadcast(room, { type: 'picks', picked: picked(room) });
+      return;
+    }
+    reveal(room, settle(room.pending.player, room.pending.computer));
+  };
+
+  const handlers = {
+    create: (conn, message) => {
+      const room = {
+        code: createCode(rooms),
+        format: cleanFormat(message.format),
+        rules: cleanRules(message.rules),
+        seats: { player: null, computer: null },
+        pending: { player: null, computer: null },
+        match: null,
+      };
+      rooms.set(room.code, room);
+      seat(conn, room, 'player', cleanName(message.name, 'Player 1'));
+      sendState(room, 'player');
+    },
+
+    join: (conn, message) => {
+      const room = rooms.get(String(message.code || '').toUpperCase());
+      if (!room) return sendError(conn, 'room.notFound', 'No room with that code.');
+      if (room.seats.computer) return sendError(conn, 'room.full', 'That room is already full.');
+
+      let name = cleanName(message.name, 'Player 2');
+      if (name === room.seats.player.name) name = `${name} (2)`;
+      seat(conn, room, 'computer', name);
+      room.match = createMatch({
+        mode: 'online',
+        players: { player: room.seats.player.name, computer: name },
+        format: room.format,
+        rules: room.rules,
+      });
+      SIDES.forEach(side => sendState(room, side));
+    },
+
+    rejoin: (conn, message) => {
+      const room = rooms.get(message.code);
+      const side = room && SIDES.find(s => room.seats[s] && room.seats[s].token === message.token);
+      if (!side) return sendError(conn, 'room.gone', 'That match is no longer available.', true);
+
+      const current = room.seats[side];
+      const wasAway = current.dropTimer !== null || !current.conn;
+      clearTimeout(current.dropTimer);
+      // The seat has moved to another tab or device: the old one is told and let go.
+      if (current.conn && current.conn !== conn) {
+        connections.delete(current.conn);
+        sendError(current.conn, 'room.takenOver', 'This match was picked up somewhere else.', true);
+        if (current.conn.close) current.conn.close();
+      }
+      current.conn = conn;
+      current.dropTimer = null;
+      connections.set(conn, { room, side });
+      send(conn, { type: 'joined', code: room.code, side, token: current.token });
+      sendState(room, side);
+      const opponent = opponentOf(room, side);
+      if (opponent && wasAway) send(opponent.conn, { type: 'opponentReconnected' });
+    },
+
+    toss: (conn, message, { room, side }) => {
+      if (!room.match || room.match.phase !== 'toss' || !TOSS_CHOICES.includes(message.choice)) return;
+      submit(room, side, message.choice, (player, computer) => toss(room.match, player, computer));
+    },
+
+    decide: (conn, message, { room, side }) => {
+      if (!room.match || room.match.phase !== 'choose' || room.match.toss.winner !== side) return;
+      if (message.decision !== 'bat' && message.decision !== 'bowl') return;
+      reveal(room, chooseTo(room.match, message.decision));
+    },
+
+    pick: (conn, message, { room, side }) => {
+      const number = message.number;
+      if (!room.match || room.match.phase !== 'innings' || room.match.pendingReview) return;
+      if (!numbersFor(room.match.rules).includes(number)) return;
+      submit(room, side, number, (player, computer) => playBall(room.match, player, computer));
+    },
+
+    // Only the batter can call for a review of their own dismissal.
+    review: (conn, message, { room, side }) => {
+      if (!room.match || !room.match.pendingReview || currentInnings(room.match).batting !== side) return;
+      reveal(room, reviewDismissal(room.match, Boolean(message.take)));
+    },
+
+    leave: (conn, message, { room, side }) => {
+      const opponent = opponentOf(room, side);
+      if (opponent) send(opponent.conn, { type: 'opponentLeft' });
+      closeRoom(room);
+    },
+  };
+
+  const handleMessage = (conn, message) => {
+    const handler = handlers[message && message.type];
+    if (!handler) return sendError(conn, 'room.unknownMessage', 'Unknown message.');
+
+    const seated = connections.get(conn);
+    if (message.type === 'create' || message.type === 'join' || message.type === 'rejoin') {
+      // Rejoining the seat this connection already holds must not give it up.
+      const sameSeat = seated && message.type === 'rejoin' && seated.room.code === message.code && seated.room.seats[seated.side].token === message.token;
+      if (seated && !sameSeat) handlers.leave(conn, {}, seated);
+      return handler(conn, message);
+    }
+    if (!seated) return sendError(conn, 'room.notJoined', 'Join a room first.');
+    return handler(conn, message, seated);
+  };
+
+  // A dropped connection keeps its seat for `graceMs` so the player can
+  // reconnect; after that the opponent is told the match is over.
+  const handleClose = (conn) => {
+    const seated = connections.get(conn);
+    if (!seated) return;
+    connections.delete(conn);
+
+    const { room, side } = seated;
+    const current = room.seats[side];
+    current.conn = null;
+    const opponent = opponentOf(room, side);
+    if (!opponent) {
+      closeRoom(room);
+      return;
+    }
+    send(opponent.conn, { type: 'opponentDisconnected', graceMs });
+    current.dropTimer = setTimeout(() => {
+      send(opponent.conn, { type: 'opponentLeft' });
+      closeRoom(room);
+    }, graceMs);
+  };
+
+  return { handleMessage, handleClose, rooms };
+};
@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as wait } from 'node:timers/promises';
+import { createRoomManager } from './rooms.js';
+
+// A connection that just remembers what it was sent.
+const fakeConn = () => {
+  const conn = { sent: [], send: (message) => conn.sent.push(message) };
+  return conn;
+};
+
+const lastOf = (conn, type) => conn.sent.filter(message => message.type === type).pop();
+
+// Plays one ball; a dismissal up for review is let stand by whoever batted.
+const playBall = (manager, host, guest, number) => {
+  [host, guest].forEach(conn => manager.handleMessage(conn, { type: 'pick', number }));
+  if (lastOf(host, 'reveal').match.pendingReview) {
+    [host, guest].forEach(conn => manager.handleMessage(conn, { type: 'review', take: false }));
+  }
+};
+
+const openRoom = (manager, rules = []) => {
+  const host = fakeConn();
+  const guest = fakeConn();
+  manager.handleMessage(host, { type: 'create', name: 'Ann', rules });
+  manager.handleMessage(guest, { type: 'join', code: lastOf(host, 'joined').code, name: 'Bob' });
+  return { host, guest };
+};
+
+test('clients never see the seed while the match is live', () => {
+  const manager = createRoomManager();
+  const { host, guest } = openRoom(manager, ['freeHit', 'review']);
+  manager.handleMessage(host, { type: 'toss', choice: 'rock' });
+  manager.handleMessage(guest, { type: 'toss', choice: 'scissors' });
+  manager.handleMessage(host, { type: 'decide', decision: 'bat' });
+  playBall(manager, host, guest, 3);
+
+  const live = [...host.sent, ...guest.sent].filter(message => message.match && message.match.phase !== 'over');
+  assert.ok(live.length > 0);
+  live.forEach(({ match }) => {
+    assert.equal('seed' in match, false);
+    assert.equal('rngState' in match, false);
+  });
+
+  while (lastOf(host, 'reveal').match.phase !== 'over') playBall(manager, host, guest, 2);
+  const { match } = lastOf(guest, 'reveal');
+  assert.equal(typeof match.seed, 'number');
+  assert.equal(match.seed, manager.rooms.get(lastOf(host, 'joined').code).match.seed);
+  assert.equal('rngState' in match, false);
+});
+
+test('a pick is held until both seats have chosen, then both see it at once', () => {
+  const manager = createRoomManager();
+  const { host, guest } = openRoom(manager);
+  assert.equal(lastOf(guest, 'state').match.phase, 'toss');
+  assert.deepEqual(lastOf(host, 'state').opponent, { name: 'Bob', connected: true });
+
+  manager.handleMessage(host, { type: 'toss', choice: 'rock' });
+  manager.handleMessage(host, { type: 'toss', choice: 'paper' });
+  assert.equal(lastOf(guest, 'reveal'), undefined);
+  assert.deepEqual(lastOf(guest, 'picks'), { type: 'picks', picked: { player: true, computer: false } });
+
+  manager.handleMessage(guest, { type: 'toss', choice: 'scissors' });
+  const [host1, guest1] = [lastOf(host, 'reveal'), lastOf(guest, 'reveal')];
+  assert.deepEqual(host1, guest1);
+  assert.equal(host1.events[0].type, 'toss');
+  assert.equal(host1.match.toss.playerChoice, 'rock');
+  assert.equal(host1.match.toss.winner, 'player');
+  assert.equal(host1.match.phase, 'choose');
+});
+
+test('only the toss winner decides, and a tied toss is played again', () => {
+  const manager = createRoomManager();
+  const { host, guest } = openRoom(manager);
+  manager.handleMessage(host, { type: 'toss', choice: 'rock' });
+  manager.handleMessage(guest, { type: 'toss', choice: 'rock' });
+  assert.equal(lastOf(host, 'reveal').events[0].winner, 'tie');
+  assert.equal(lastOf(host, 'reveal').match.phase, 'toss');
+
+  manager.handleMessage(host, { type: 'toss', choice: 'scissors' });
+  manager.handleMessage(guest, { type: 'toss', choice: 'rock' });
+  assert.equal(lastOf(guest, 'reveal').match.toss.winner, 'computer');
+
+  const reveals = guest.sent.length;
+  manager.handleMessage(host, { type: 'decide', decision: 'bat' });
+  assert.equal(guest.sent.length, reveals);
+  manager.handleMessage(guest, { type: 'decide', decision: 'bowl' });
+  assert.equal(lastOf(host, 'reveal').match.phase, 'innings');
+  assert.equal(lastOf(host, 'reveal').match.innings[0].batting, 'player');
+});
+
+test('a dropped seat is kept for the grace period and can be taken back', async () => {
+  const manager = createRoomManager({ graceMs: 20 });
+  const { host, guest } = openRoom(manager);
+  const { code, token } = lastOf(guest, 'joined');
+
+  manager.handleClose(guest);
+  assert.deepEqual(lastOf(host, 'opponentDisconnected'), { type: 'opponentDisconnected', graceMs: 20 });
+
+  const back = fakeConn();
+  manager.handleMessage(back, { type: 'rejoin', code, token });
+  assert.equal(lastOf(back, 'state').side, 'computer');
+  assert.ok(lastOf(host, 'opponentReconnected'));
+  await wait(40);
+  assert.equal(lastOf(host, 'opponentLeft'), undefined);
+  assert.ok(manager.rooms.has(code));
+
+  manager.handleClose(back);
+  await wait(40);
+  assert.ok(lastOf(host, 'opponentLeft'));
+  assert.equal(manager.rooms.has(code), false);
+
+  const stranger = fakeConn();
+  manager.handleMessage(stranger, { type: 'rejoin', code, token });
+  assert.equal(lastOf(stranger, 'error').fatal, true);
+});
+
+test('rejoining from a connection that already holds the seat keeps the room', () => {
+  const manager = createRoomManager();
+  const { host, guest } = openRoom(manager);
+  const { code, token } = lastOf(host, 'joined');
+
+  manager.handleMessage(host, { type: 'rejoin', code, token });
+  assert.ok(manager.rooms.has(code));
+  assert.equal(lastOf(guest, 'opponentLeft'), undefined);
+  assert.equal(lastOf(guest, 'opponentReconnected'), undefined);
+  assert.equal(lastOf(host, 'state').side, 'player');
+
+  manager.handleMessage(host, { type: 'toss', choice: 'rock' });
+  manager.handleMessage(guest, { type: 'toss', choice: 'scissors' });
+  assert.equal(lastOf(host, 'reveal').match.phase, 'choose');
+});
+
+test('a seat taken over by another connection lets the old one go', () => {
+  const manager = createRoomManager();
+  const { host, guest } = openRoom(manager);
+  const { code, token } = lastOf(guest, 'joined');
+  const closed = [];
+  guest.close = () => closed.push(guest);
+
+  const elsewhere = fakeConn();
+  manager.handleMessage(elsewhere, { type: 'rejoin', code, token });
+  assert.deepEqual(lastOf(guest, 'error'), { type: 'error', code: 'room.takenOver', message: 'This match was picked up somewhere else.', fatal: true });
+  assert.deepEqual(closed, [guest]);
+  assert.equal(lastOf(host, 'opponentReconnected'), undefined);
+  assert.equal(lastOf(elsewhere, 'state').side, 'computer');
+
+  manager.handleClose(guest);
+  assert.equal(lastOf(host, 'opponentDisconnected'), undefined);
+  manager.handleMessage(guest, { type: 'toss', choice: 'rock' });
+  manager.handleMessage(host, { type: 'toss', choice: 'scissors' });
+  assert.equal(lastOf(host, 'reveal'), undefined);
+  manager.handleMessage(elsewhere, { type: 'toss', choice: 'rock' });
+  assert.equal(lastOf(host, 'reveal').match.toss.winner, 'computer');
+});
+
+test('leaving or losing the last connection closes the room', () => {
+  const manager = createRoomManager();
+  const { host, guest } = openRoom(manager);
+  const { code } = lastOf(host, 'joined');
+
+  manager.handleMessage(guest, { type: 'leave' });
+  assert.ok(lastOf(host, 'opponentLeft'));
+  assert.equal(manager.rooms.has(code), false);
+  manager.handleMessage(host, { type: 'toss', choice: 'rock' });
+  assert.equal(lastOf(host, 'error').message, 'Join a room first.');
+
+  const alone = fakeConn();
+  manager.handleMessage(alone, { type: 'create', name: 'Cat' });
+  const waiting = lastOf(alone, 'joined').code;
+  manager.handleClose(alone);
+  assert.equal(manager.rooms.has(waiting), false);
+
+  const late = fakeConn();
+  manager.handleMessage(late, { type: 'join', code: waiting });
+  assert.equal(lastOf(late, 'error').message, 'No room with that code.');
+  assert.equal(lastOf(late, 'error').code, 'room.notFound');
+});
@@ -1,4 +1,48 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useMemo, useRef } from 'react';
+import { createMatch, toss, chooseTo, playBall, reviewDismissal, forfeit, currentInnings, ballsLeft, swapSides, swapEventSides, DEFAULT_PLAYERS } from './game/engine';
+import { FORMAT_PRESETS, DEFAULT_FORMAT, WICKET_OPTIONS, OVER_OPTIONS, customFormat, formatName } from './game/formats';
+import { RULE_VARIANTS, STANDARD_RULES, hasRule, toggleRule, numbersFor, ruleName, ruleDescription } from './game/rules';
+import { DEFAULT_STATS, recordMatch, recordHotseatMatch } from './game/stats';
+import { matchFacts, updateAchievements, achievementTitle, unlockedCount } from './game/achievements';
+import {
+  STORAGE_KEYS, VERSION_KEY, DATA_VERSION, CORRUPT_PREFIX, SECTION_LABELS, CAREER_SECTIONS,
+  loadSaveData, serializeSection, defaultSaveData,
+} from './game/saveData';
+import { PERSONAS, getPersona, personaName, personaDescription } from './game/personas';
+import { DEFAULT_LANGUAGE, getTranslator, preferredLanguage } from './game/i18n';
+import { PROFILES_KEY, profileKey, defaultProfiles, loadProfiles, activeProfile, addProfile, updateProfile, switchProfile, removeProfile } from './game/profiles';
+import { DEFAULT_AUDIO, ballSound } from './game/sounds';
+import { SYSTEM_THEME, CUSTOM_THEME, DEFAULT_CUSTOM_THEME, resolveTheme, themeVariables } from './game/themes';
+import { createPlayerModel } from './game/predictor';
+import { toMatchRecord, archiveMatch } from './game/archive';
+import { replayFrames, REPLAY_BALL_MS } from './game/replay';
+import { overlaySnapshot, overlayBanners } from './game/broadcast';
+import { DEFAULT_PACING, PACES, REDUCED_MOTION_QUERY, revealSchedule, reducesMotion } from './game/pacing';
+import { DEFAULT_DAILY, createDailyChallenge, dailyBowl, dailyResult, startDailyAttempt, finishDailyAttempt } from './game/daily';
+import { fixtureResult, recordFixture, advanceTournament, archiveTournament, userFixture } from './game/tournament';
+import { ballCommentary, ballAnnouncement, milestoneCommentary, reviewCommentary, matchReport, reportText, ballSequenceText, DEFAULT_COMMENTARY_STYLE } from './game/commentary';
+import { createMatchClient, loadOnlineSession } from './online/matchClient';
+import { COMMENTARY_URL, streamCommentary } from './online/commentaryClient';
+import { createOverlaySender } from './online/overlayChannel';
+import { createSoundEngine } from './audio/soundEngine';
+import { onUpdateReady, applyUpdate } from './serviceWorkerRegistration';
+import HandoverPanel from './components/HandoverPanel';
+import OnlineLobby from './components/OnlineLobby';
+import PastMatches from './components/PastMatches';
+import Scoreboard from './components/Scoreboard';
+import GesturePanels, { GESTURES } from './components/GesturePanels';
+import { WicketFall, Confetti, WICKET_FALL_MS, CONFETTI_MS } from './components/MatchEffects';
+import ReplayControls, { frameCaption } from './components/ReplayControls';
+import ResumePrompt from './components/ResumePrompt';
+import SettingsPanel from './components/SettingsPanel';
+import AchievementList from './components/AchievementList';
+import AnalyticsPanel from './components/AnalyticsPanel';
+import Dialog, { isDialogOpen, shortcutKey } from './components/Dialog';
+import Toasts from './components/Toasts';
+import AppStatus from './components/AppStatus';
+import TournamentScreen from './components/TournamentScreen';
+import DailyChallenge from './components/DailyChallenge';
+import ProfilesPanel from './components/ProfilesPanel';
 
 // --- Helper for local storage (web equivalent of AsyncStorage) ---
 const storage = {
@@ -8,17 +52,43 @@ const storage = {
   setItem: async (key, value) => {
     return Promise.resolve(localStorage.setItem(key, value));
   },
+  removeItem: async (key) => {
+    return Promise.resolve(localStorage.removeItem(key));
+  },
+};
+
+// The same keys, kept apart for each profile.
+const profileStorage = (id) => ({
+  getItem: (key) => storage.getItem(profileKey(id, key)),
+  setItem: (key, value) => storage.setItem(profileKey(id, key), value),
+  removeItem: (key) => storage.removeItem(profileKey(id, key)),
+});
+
+// Writes the given sections of a profile's saved data, stamped with the data version.
+const saveSections = async (store, data, sections) => {
+  for (const section of sections) {
+    const value = serializeSection(section, data[section]);
+    if (value === null) await store.removeItem(STORAGE_KEYS[section]);
+    else await store.setItem(STORAGE_KEYS[section], value);
+  }
+  await store.setItem(VERSION_KEY, String(DATA_VERSION));
 };
 
+const PERSONA_COLOURS = ['bg-green-500 hover:bg-green-600', 'bg-yellow-500 hover:bg-yellow-600', 'bg-orange-500 hover:bg-orange-600', 'bg-red-500 hover:bg-red-600'];
+const TOSS_HANDS = [['rock', '✊', 'r'], ['paper', '✋', 'p'], ['scissors', '✌️', 's']];
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+const prefersDark = () => Boolean(window.matchMedia && window.matchMedia(DARK_QUERY).matches);
+const prefersReducedMotion = () => Boolean(window.matchMedia && window.matchMedia(REDUCED_MOTION_QUERY).matches);
+
+const OFFLINE = { status: 'idle', code: null, side: null, opponent: null, picked: { player: false, computer: false } };
+
 // --- Main App Component ---
 export default function App() {
   // --- State Management ---
-  const [gameState, setGameState] = useState('difficulty_select');
-  const [playerScore, setPlayerScore] = useState(0);
-  const [computerScore, setComputerScore] = useState(0);
-  const [targetScore, setTargetScore] = useState(0);
-  const [playerMoveHistory, setPlayerMoveHistory] = useState([]);
+  // The match itself lives in the engine; everything else here is presentation.
+  const [match, setMatch] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const inputLocked = useRef(false); // isProcessing as of now, for taps that land before a re-render
   const [message, setMessage] = useState('');
   const [history, setHistory] = useState([]);
   const [playerChoice, setPlayerChoice] = useState('?');
@@ -29,7 +99,9 @@ export default function App() {
   const [tossModalVisible, setTossModalVisible] = useState(false);
   const [gameOverModalVisible, setGameOverModalVisible] = useState(false);
   const [statsModalVisible, setStatsModalVisible] = useState(false);
+  const [statsTab, setStatsTab] = useState('career'); // career | analytics
   const [analysisModalVisible, setAnalysisModalVisible] = useState(false);
+  const [pastMatchesVisible, setPastMatchesVisible] = useState(false);
   const [gameOverResult, setGameOverResult] = useState({title: '', message: ''});
   
   // Toss result state
@@ -38,106 +110,277 @@ export default function App() {
   // Gemini API State
   const [analysis, setAnalysis] = useState('');
   const [isLoadingAnalysis, setIsLoadingAnalysis] = useState(false);
+  const [matchReportShown, setMatchReportShown] = useState(null);
+  const [analysisError, setAnalysisError] = useState('');
+  const analysisRequest = useRef(null);
+
+  // Profiles on this device; every saved section belongs to the active one
+  const [profiles, setProfiles] = useState(defaultProfiles);
+  const [profilesVisible, setProfilesVisible] = useState(false);
+  const [careers, setCareers] = useState({}); // profile id -> career stats, for the leaderboard
+  const saved = useMemo(() => profileStorage(profiles.active), [profiles.active]);
 
   // Stats and Achievements
-  const [stats, setStats] = useState({ wins: 0, losses: 0, draws: 0, totalRuns: 0, highestScore: 0, wickets: 0, unlockedAchievements: [] });
-  const [achievements, setAchievements] = useState({
-      firstWin: { title: "First Victory", description: "Win your first match.", unlocked: false, condition: (stats) => stats.wins >= 1 },
-      tenWins: { title: "Serial Winner", description: "Win 10 matches.", unlocked: false, condition: (stats) => stats.wins >= 10 },
-      fiftyRuns: { title: "Half-Century", description: "Score 50 in a single match.", unlocked: false, condition: (stats, score) => score >= 50 },
-      hundredRuns: { title: "Century Scorer", description: "Score 100 in a single match.", unlocked: false, condition: (stats, score) => score >= 100 },
-      fiveWickets: { title: "Five-Wicket Haul", description: "Take 5 wickets in your career.", unlocked: false, condition: (stats) => stats.wickets >= 5 },
-  });
+  const [stats, setStats] = useState(DEFAULT_STATS);
 
-  // Theme & Sound
-  const [theme, setTheme] = useState('light');
-  const [isMuted, setIsMuted] = useState(true);
+  // Theme & Sound: `theme` is the chosen theme id, 'custom' or 'system'
+  const [theme, setTheme] = useState(SYSTEM_THEME);
+  const [customTheme, setCustomTheme] = useState(DEFAULT_CUSTOM_THEME);
+  const [systemDark, setSystemDark] = useState(prefersDark);
+  const activeTheme = useMemo(() => resolveTheme(theme, systemDark, customTheme), [theme, systemDark, customTheme]);
+  const [audio, setAudio] = useState(DEFAULT_AUDIO);
   const soundEngine = useRef(null);
-  const [difficulty, setDifficulty] = useState('hard');
+
+  // Format and rule variants chosen next to the opponent, and what the AI has
+  // learned about the player
+  const [matchFormat, setMatchFormat] = useState(DEFAULT_FORMAT);
+  const [matchRules, setMatchRules] = useState(STANDARD_RULES);
+  const [playerModel, setPlayerModel] = useState(createPlayerModel);
+
+  // Pass-and-play: whose pick is next, whether they have the device, and the
+  // first player's hidden pick (a number, or a toss hand during the toss).
+  const [gameMode, setGameMode] = useState('ai');
+  const [hotseatNames, setHotseatNames] = useState({ player: 'Player 1', computer: 'Player 2' });
+  const [hotseatTurn, setHotseatTurn] = useState({ side: 'player', ready: false, pending: null });
+  const [hotseatStats, setHotseatStats] = useState({});
+
+  // Ball-by-ball records of finished matches, newest first
+  const [matchArchive, setMatchArchive] = useState([]);
+  const [replay, setReplay] = useState(null); // { record, frames, step, playing, speed, resume }
+  const [savedMatch, setSavedMatch] = useState(null); // { match, history } left unfinished last time
+
+  // Series and leagues
+  const [tournament, setTournament] = useState(null);
+  const [tournamentHistory, setTournamentHistory] = useState([]);
+  const [tournamentVisible, setTournamentVisible] = useState(false);
+
+  // Daily challenge attempts, newest first
+  const [daily, setDaily] = useState(DEFAULT_DAILY);
+
+  // Settings
+  const [settingsVisible, setSettingsVisible] = useState(false);
+  const [commentaryStyle, setCommentaryStyle] = useState(DEFAULT_COMMENTARY_STYLE);
+
+  // --- Pace and motion ---
+  const [pacing, setPacing] = useState(DEFAULT_PACING);
+  const [systemReducedMotion, setSystemReducedMotion] = useState(prefersReducedMotion);
+  const [beat, setBeat] = useState(null); // countdown beat before a reveal
+  const [wicketFall, setWicketFall] = useState(null);
+  const [confetti, setConfetti] = useState(null);
+  const revealTimers = useRef([]);
+  const matchTimers = useRef([]); // toss and game-over pauses, dropped when the match is left
+  const reducedMotion = reducesMotion(pacing, systemReducedMotion);
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const t = useMemo(() => getTranslator(language), [language]);
+  const [dataProblems, setDataProblems] = useState([]); // saved sections that couldn't be read
+
+  // Offline play and new builds: everything but online matches and live
+  // commentary works without a connection.
+  const [offline, setOffline] = useState(() => !navigator.onLine);
+  const [update, setUpdate] = useState(null); // service worker registration with a new build waiting
+
+  // Notifications waiting to be shown, oldest first, and the latest line for
+  // screen readers (a new id makes the same words read out again).
+  const [toasts, setToasts] = useState([]);
+  const [announcement, setAnnouncement] = useState({ id: 0, text: '' });
+
+  // Online: connection status, our room and seat, and which seats have picked.
+  const [online, setOnline] = useState(OFFLINE);
+  const [onlineName, setOnlineName] = useState('');
+  const onlineClient = useRef(null);
+  const onlineHandler = useRef(null);
   
-  // --- Constants ---
-  const gestures = { 1: '☝️', 2: '✌️', 3: '🤟', 4: '🖖', 5: '🖐️', 6: '👍' };
-  const AI_CONFIG = {
-      easy: 0.35,
-      medium: 0.70,
-      hard: 1.0,
-  };
+  // --- Derived match state ---
+  const isHotseat = match ? match.mode === 'hotseat' : gameMode === 'hotseat';
+  const isOnline = match ? match.mode === 'online' : gameMode === 'online';
+  const usesNames = match ? match.mode !== 'ai' : false;
+  const waitingForOpponent = isOnline && Boolean(online.side) && online.picked[online.side];
+  const names = match ? match.players : DEFAULT_PLAYERS;
+  const awaitingHandover = isHotseat && !hotseatTurn.ready;
+  const currentProfile = activeProfile(profiles);
 
-  // --- Sound Engine ---
+  // --- Replay view ---
+  // While a replay is open the board shows its current frame, not the live match.
+  const replayFrame = replay ? replay.frames[replay.step] : null;
+  const shownMatch = replayFrame ? replayFrame.state : match;
+  const replayBall = replayFrame && !replayFrame.events.some(e => (e.type === 'inningsStart' && e.target > 0) || e.type === 'superOver')
+    ? replayFrame.events.find(e => e.type === 'ball')
+    : null;
+  const replayHands = replayBall
+    ? { player: GESTURES[replayBall.playerNumber], computer: GESTURES[replayBall.computerNumber] }
+    : { player: '?', computer: '?' };
+  const replayLog = replay
+    ? replay.frames.slice(1, replay.step + 1).map((frame, index) => ({
+      id: `replay-${index}`,
+      icon: frame.events.some(e => e.type === 'review' && e.overturned) ? '📺' : frame.events[0].wicket ? '🔴' : '🏏',
+      text: t('replay.ball', { number: index + 1, caption: frameCaption(frame, t) }),
+    })).reverse()
+    : [];
+  const shownHands = replayFrame ? replayHands : { player: playerChoice, computer: computerChoice };
+
+  // --- Streaming overlay ---
+  // The /overlay page (components/BroadcastOverlay.js) follows whatever the
+  // board shows. Against the computer it names the profile and the persona.
+  const overlay = useRef(null);
+  const overlayNames = (m) => (m.mode === 'ai' ? { player: currentProfile.name, computer: personaName(getPersona(m.opponent), t) } : m.players);
+  const overlayState = JSON.stringify(overlaySnapshot(shownMatch, { names: shownMatch ? overlayNames(shownMatch) : null, hands: shownHands, language }));
+
+  useEffect(() => {
+    overlay.current = createOverlaySender();
+    return () => overlay.current.close();
+  }, []);
+
+  useEffect(() => {
+    overlay.current.state(JSON.parse(overlayState));
+  }, [overlayState]);
+
+  // --- Theme ---
+  // The theme's tokens go on the page as CSS variables, before paint so there
+  // is no flash of the wrong colours. 'system' follows the device as it
+  // switches between light and dark.
+  useLayoutEffect(() => {
+    const root = document.documentElement;
+    Object.entries(themeVariables(activeTheme)).forEach(([name, value]) => root.style.setProperty(name, value));
+    root.style.colorScheme = activeTheme.dark ? 'dark' : 'light';
+  }, [activeTheme]);
+
+  // --- Language ---
+  // Screen readers and fonts pick the right voice and script from the page's lang.
+  useEffect(() => {
+    document.documentElement.lang = t.locale;
+  }, [t]);
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const query = window.matchMedia(DARK_QUERY);
+    const onChange = (e) => setSystemDark(e.matches);
+    query.addEventListener('change', onChange);
+    return () => query.removeEventListener('change', onChange);
+  }, []);
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const onChange = (e) => setSystemReducedMotion(e.matches);
+    query.addEventListener('change', onChange);
+    return () => query.removeEventListener('change', onChange);
+  }, []);
+
+  // --- Offline and updates ---
   useEffect(() => {
-    const script = document.createElement('script');
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/tone/14.7.77/Tone.js';
-    script.async = true;
-    script.onload = () => {
-        soundEngine.current = {
-            batHit: new window.Tone.PluckSynth({ attackNoise: 0.8, dampening: 2000, resonance: 0.5 }).toDestination(),
-            wicket: new window.Tone.MetalSynth({ frequency: 100, envelope: { attack: 0.001, decay: 0.1, release: 0.01 }, harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5 }).toDestination(),
-            click: new window.Tone.MembraneSynth({ pitchDecay: 0.008, octaves: 2, envelope: { attack: 0.001, decay: 0.2, sustain: 0 } }).toDestination(),
-            cheer: new window.Tone.NoiseSynth({ noise: { type: 'white' }, envelope: { attack: 0.2, decay: 1.5, sustain: 0.1, release: 1 } }).toDestination(),
-            boo: new window.Tone.NoiseSynth({ noise: { type: 'brown' }, envelope: { attack: 0.5, decay: 1.5, sustain: 0.2, release: 1 } }).toDestination(),
-            milestone: new window.Tone.Synth({ oscillator: { type: 'sine' }, envelope: { attack: 0.01, decay: 0.2, sustain: 0.1, release: 0.5 } }).toDestination(),
-        };
+    const goOnline = () => setOffline(false);
+    const goOffline = () => setOffline(true);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
     };
-    document.body.appendChild(script);
+  }, []);
 
+  useEffect(() => onUpdateReady(setUpdate), []);
+
+  // --- Sound Engine ---
+  // Built on Web Audio, so it works offline. Audio can only start after the
+  // player has clicked or pressed a key.
+  useEffect(() => {
+    const engine = createSoundEngine();
+    soundEngine.current = engine;
+    const unlock = () => engine.resume();
+    document.addEventListener('pointerdown', unlock);
+    document.addEventListener('keydown', unlock);
     return () => {
-      if (script.parentNode) {
-        document.body.removeChild(script);
-      }
+      document.removeEventListener('pointerdown', unlock);
+      document.removeEventListener('keydown', unlock);
+      engine.close();
     };
   }, []);
 
+  useEffect(() => {
+    if (soundEngine.current) soundEngine.current.configure(audio);
+  }, [audio]);
+
   const playSound = useCallback((soundName) => {
-    if (isMuted || !soundEngine.current || !window.Tone || window.Tone.context.state !== 'running') {
-      return;
-    }
-    const now = window.Tone.now();
-    switch (soundName) {
-        case 'batHit': soundEngine.current.batHit.triggerAttackRelease('C4', '8n', now); break;
-        case 'wicket': soundEngine.current.wicket.triggerAttackRelease('C3', '4n', now, 0.8); break;
-        case 'click': soundEngine.current.click.triggerAttackRelease('C2', '32n', now, 0.5); break;
-        case 'win': soundEngine.current.cheer.triggerAttackRelease("1n", now); break;
-        case 'loss': soundEngine.current.boo.triggerAttackRelease("1.5n", now); break;
-        case 'draw': soundEngine.current.boo.triggerAttackRelease("0.5n", now, 0.3); break;
-        case 'milestone':
-            soundEngine.current.milestone.triggerAttackRelease('C5', '8n', now);
-            soundEngine.current.milestone.triggerAttackRelease('G5', '8n', now + 0.2);
-            break;
-        default: break;
-    }
-  }, [isMuted]);
+    if (soundEngine.current) soundEngine.current.play(soundName);
+  }, []);
 
   const startAudioContext = useCallback(() => {
-    if (window.Tone && window.Tone.context.state !== 'running') {
-        window.Tone.start();
+    if (soundEngine.current) soundEngine.current.resume();
+  }, []);
+
+  // --- Saved data ---
+  // Puts loaded, imported or reset data into state. The live match is only
+  // offered back when there is one.
+  const applySaveData = useCallback((data) => {
+    setStats(data.stats);
+    setPlayerModel(data.playerModel);
+    setMatchArchive(data.matches);
+    setHotseatStats(data.hotseatStats);
+    setTheme(data.theme);
+    setCustomTheme(data.customTheme);
+    setAudio(data.audio);
+    setCommentaryStyle(data.commentaryStyle);
+    setLanguage(data.language);
+    setPacing(data.pacing);
+    setTournament(data.tournament);
+    setTournamentHistory(data.tournamentHistory);
+    setDaily(data.daily);
+    if (data.liveMatch) {
+      setSavedMatch(data.liveMatch);
+      setDifficultyModalVisible(false);
     }
   }, []);
 
+  // Reads one profile's saved data into state. `isCancelled` stops it
+  // before it writes anything if the page has moved on in the meantime.
+  const loadProfile = useCallback(async (id, isCancelled = () => false) => {
+    const store = profileStorage(id);
+    const stored = {};
+    for (const section of Object.keys(STORAGE_KEYS)) {
+      stored[section] = await store.getItem(STORAGE_KEYS[section]);
+    }
+    const storedVersion = Number(await store.getItem(VERSION_KEY)) || 0;
+    const loaded = loadSaveData(stored, storedVersion);
+    const { problems } = loaded;
+    // A first visit starts in the browser's language, if the game speaks it.
+    const data = stored.language ? loaded.data : { ...loaded.data, language: preferredLanguage(navigator.languages || []) };
+    if (isCancelled()) return;
+
+    // Unreadable sections are kept aside under another key, then reset.
+    for (const section of problems) {
+      await store.setItem(CORRUPT_PREFIX + STORAGE_KEYS[section], stored[section]);
+      await store.removeItem(STORAGE_KEYS[section]);
+    }
+    if (storedVersion < DATA_VERSION) await saveSections(store, data, Object.keys(STORAGE_KEYS));
+    applySaveData(data);
+    setDataProblems(problems);
+  }, [applySaveData]);
+
   // --- Effects ---
   useEffect(() => {
+    let cancelled = false;
     const loadData = async () => {
-      const savedStats = await storage.getItem('handCricketStats');
-      if (savedStats) {
-        const parsedStats = JSON.parse(savedStats);
-        setStats(parsedStats);
-        setAchievements(prev => {
-            const newAchievements = {...prev};
-            if (parsedStats.unlockedAchievements) {
-                parsedStats.unlockedAchievements.forEach(id => {
-                    if (newAchievements[id]) newAchievements[id].unlocked = true;
-                });
-            }
-            return newAchievements;
-        });
-      }
-      
-      const savedTheme = await storage.getItem('handCricketTheme');
-      if (savedTheme) {
-        setTheme(savedTheme);
-      }
+      const list = loadProfiles(await storage.getItem(PROFILES_KEY));
+      if (cancelled) return;
+      setProfiles(list);
+      await loadProfile(list.active, () => cancelled);
     };
-    loadData();
-  }, []);
+    loadData().catch(error => {
+      // Storage can be blocked outright; the game still plays on defaults.
+      if (!cancelled) console.error('Could not load saved data', error);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadProfile]);
+
+  // The live match is saved after every ball so a reload can pick it up again.
+  // Online matches are kept by the server and rejoin on their own.
+  useEffect(() => {
+    if (match && match.mode !== 'online' && match.phase === 'innings') {
+      saved.setItem('handCricketLiveMatch', JSON.stringify({ match, history }));
+    }
+  }, [match, history, saved]);
 
   // --- Helper Functions ---
   const addHistory = (icon, text) => {
@@ -146,47 +389,40 @@ export default function App() {
   
   const showNotification = useCallback((title, message, icon = '🏆') => {
     playSound('milestone');
-    const container = document.getElementById('achievement-notification-container');
-    if (container) {
-        const notification = document.createElement('div');
-        notification.className = 'achievement-notification bg-green-500 text-white p-4 rounded-lg shadow-lg';
-        notification.innerHTML = `<h4 class="font-bold">${icon} ${title}</h4><p>${message}</p>`;
-        container.appendChild(notification);
-        setTimeout(() => notification.remove(), 4000);
-    }
+    setToasts(prev => [...prev, { id: Math.random().toString(), title, message, icon }]);
   }, [playSound]);
 
-  const checkAchievements = useCallback((currentStats, currentScore = 0) => {
-    const newAchievements = { ...achievements };
-    let changed = false;
-    
-    for (const id in newAchievements) {
-        const ach = newAchievements[id];
-        if (!ach.unlocked && ach.condition(currentStats, currentScore)) {
-            ach.unlocked = true;
-            changed = true;
-            showNotification('Achievement Unlocked!', ach.title);
-        }
-    }
+  const dismissToast = useCallback((id) => setToasts(prev => prev.filter(toast => toast.id !== id)), []);
 
-    if (changed) {
-        setAchievements(newAchievements);
-        const unlockedIds = Object.keys(newAchievements).filter(id => newAchievements[id].unlocked);
-        const newStats = { ...currentStats, unlockedAchievements: unlockedIds };
-        storage.setItem('handCricketStats', JSON.stringify(newStats));
-        setStats(newStats);
-    }
-  }, [achievements, showNotification]);
+  const announce = (text) => setAnnouncement(prev => ({ id: prev.id + 1, text }));
 
+  useEffect(() => {
+    if (dataProblems.length === 0) return;
+    const labels = t.list(dataProblems.map(section => t(`sections.${section}`, {}, SECTION_LABELS[section])));
+    showNotification(t('notify.repaired'), t('notify.repairedMessage', { sections: labels }), '⚠️');
+    setDataProblems([]);
+  }, [dataProblems, showNotification, t]);
+
+  // Brings one side's achievements up to date after a match and announces
+  // what it unlocked; pass-and-play unlocks carry the player's name.
+  const unlockAchievements = (sideStats, finishedMatch, side, name = null) => {
+    const { progress, unlocked } = updateAchievements(sideStats.achievements, { stats: sideStats, facts: matchFacts(finishedMatch, side) });
+    unlocked.forEach(({ achievement, tier }) => {
+      const title = achievementTitle(achievement, tier, t);
+      showNotification(t('notify.achievement'), name ? t('notify.namedAchievement', { name, title }) : title, achievement.icon);
+    });
+    return { ...sideStats, achievements: progress };
+  };
 
   // --- Game Logic ---
   const resetGame = () => {
-    setGameState('difficulty_select');
-    setPlayerScore(0);
-    setComputerScore(0);
-    setTargetScore(0);
-    setPlayerMoveHistory([]);
-    setIsProcessing(false);
+    if (onlineClient.current) leaveOnline();
+    cancelReveal();
+    matchTimers.current.forEach(clearTimeout);
+    matchTimers.current = [];
+    setMatch(null);
+    setHotseatTurn({ side: 'player', ready: false, pending: null });
+    lockInput(false);
     setMessage('');
     setHistory([]);
     setPlayerChoice('?');
@@ -196,321 +432,949 @@ export default function App() {
     setTossModalVisible(false);
     setDifficultyModalVisible(true);
     setAnalysis('');
+    setMatchReportShown(null);
   };
 
-  const selectDifficulty = (level) => {
+  const selectOpponent = (opponent) => {
     playSound('click');
-    setDifficulty(level);
+    setMatch(createMatch({ opponent, playerModel, format: matchFormat, rules: matchRules }));
     setDifficultyModalVisible(false);
     setTossModalVisible(true);
   };
 
-  const handleToss = (playerTossChoice) => {
+  const startHotseatMatch = () => {
+    playSound('click');
+    const player = hotseatNames.player.trim() || t('newMatch.playerName', { number: 1 });
+    let computer = hotseatNames.computer.trim() || t('newMatch.playerName', { number: 2 });
+    if (computer === player) computer = `${computer} (2)`;
+    setMatch(createMatch({ mode: 'hotseat', players: { player, computer }, format: matchFormat, rules: matchRules }));
+    setHotseatTurn({ side: 'player', ready: false, pending: null });
+    setDifficultyModalVisible(false);
+    setTossModalVisible(true);
+  };
+
+  const handleHotseatToss = (tossChoice) => {
     startAudioContext();
     playSound('click');
-    const choices = ['rock', 'paper', 'scissors'];
-    const computerTossChoice = choices[Math.floor(Math.random() * 3)];
-    let winner = '';
-    if (playerTossChoice === computerTossChoice) {
-      winner = 'tie';
-    } else if (
-      (playerTossChoice === 'rock' && computerTossChoice === 'scissors') ||
-      (playerTossChoice === 'paper' && computerTossChoice === 'rock') ||
-      (playerTossChoice === 'scissors' && computerTossChoice === 'paper')
-    ) {
-      winner = 'player';
-    } else {
-      winner = 'computer';
+    if (hotseatTurn.side === 'player') {
+      setHotseatTurn({ side: 'computer', ready: false, pending: tossChoice });
+      return;
+    }
+    const { state: next, events } = toss(match, hotseatTurn.pending, tossChoice);
+    const { winner } = events[0];
+    setMatch(next);
+    setHotseatTurn({ side: 'player', ready: false, pending: null });
+    setTossResult({ winner, text: tossText({ playerChoice: hotseatTurn.pending, computerChoice: tossChoice }, names) });
+    if (winner === 'tie') {
+      matchTimeout(() => {
+        setTossResult(null);
+      }, 1500);
     }
+  };
+
+  const handleToss = (playerTossChoice) => {
+    if (match.mode === 'online') {
+      if (waitingForOpponent) return;
+      startAudioContext();
+      playSound('click');
+      onlineClient.current.send({ type: 'toss', choice: playerTossChoice });
+      setOnline(prev => ({ ...prev, picked: { ...prev.picked, [prev.side]: true } }));
+      return;
+    }
+    if (match.mode === 'hotseat') {
+      handleHotseatToss(playerTossChoice);
+      return;
+    }
+    startAudioContext();
+    playSound('click');
+    const { state: next, events } = toss(match, playerTossChoice);
+    const { winner, computerChoice: computerTossChoice } = events[0];
 
     if (winner === 'computer') {
-      const compDecision = Math.random() > 0.5 ? 'bat' : 'bowl';
-      setTossResult({ winner, text: `Computer chose to ${compDecision}.` });
-      setTimeout(() => {
+      setTossResult({ winner, text: t(`toss.computerChose.${next.toss.decision}`) });
+      matchTimeout(() => {
         setTossModalVisible(false);
-        startInnings(compDecision === 'bat' ? 'computerBatting' : 'playerBatting');
+        setMatch(next);
+        presentEvents(events, next);
       }, 2000);
     } else {
-        setTossResult({ winner, text: `You chose ${playerTossChoice}, Computer chose ${computerTossChoice}.` });
+        setMatch(next);
+        setTossResult({ winner, text: tossText({ playerChoice: playerTossChoice, computerChoice: computerTossChoice }) });
         if (winner === 'tie') {
-            setTimeout(() => {
+            matchTimeout(() => {
                 setTossResult(null);
             }, 1500);
         }
     }
   };
 
-  const chooseTo = (choice) => {
+  const handleTossDecision = (decision) => {
+    if (match.mode === 'online') {
+      onlineClient.current.send({ type: 'decide', decision });
+      return;
+    }
     playSound('click');
     setTossModalVisible(false);
-    startInnings(choice === 'bat' ? 'playerBatting' : 'computerBatting');
+    const { state: next, events } = chooseTo(match, decision);
+    setMatch(next);
+    presentEvents(events, next);
   };
 
-  const startInnings = (newGameState) => {
-    setGameState(newGameState);
-    if (newGameState === 'playerBatting') {
-      setMessage("You are batting. Let's start!");
-    } else {
-      setMessage("Computer is batting. Get them out!");
-    }
+  // Turns engine events into log lines, messages, notifications and sounds,
+  // and reads what happened out to screen readers.
+  const presentEvents = (events, nextMatch) => {
+    const named = nextMatch.mode !== 'ai';
+    // "You" only exists against the computer; two-human modes use both names.
+    const who = (side) => (named ? nextMatch.players[side] : side === 'player' ? t('sides.you') : t('sides.computer'));
+    const person = (side) => (!named && side === 'player' ? 'you' : 'they');
+    const spoken = [];
+    overlayBanners(events, nextMatch, overlayNames(nextMatch), t).forEach(banner => overlay.current.banner(banner));
+    events.forEach(event => {
+      switch (event.type) {
+        case 'ball':
+          ballCommentary(nextMatch, event, t).forEach(line => addHistory(line.icon, line.text));
+          spoken.push(ballAnnouncement(nextMatch, event, t));
+          break;
+        case 'reviewOffer':
+          setMessage(t('match.reviewOffer', { name: who(event.batting), person: person(event.batting) }));
+          spoken.push(t('match.reviewOfferSpoken'));
+          break;
+        case 'review': {
+          const line = reviewCommentary(nextMatch, event, t);
+          addHistory(line.icon, line.text);
+          spoken.push(line.text);
+          setMessage(event.overturned ? t('match.notOut') : t('match.out'));
+          break;
+        }
+        case 'superOver': {
+          setPlayerChoice('?');
+          setComputerChoice('?');
+          const text = t('match.superOver');
+          addHistory('🔁', text);
+          spoken.push(text);
+          showNotification(t('notify.superOver'), text, '🔁');
+          break;
+        }
+        case 'milestone': {
+          const line = milestoneCommentary(nextMatch, event, t);
+          addHistory(line.icon, line.text);
+          spoken.push(line.text);
+          if (event.batting !== 'player' && !named) break;
+          if (!reducedMotion) showEffect(setConfetti, CONFETTI_MS);
+          if (event.runs === 50) showNotification(t('notify.milestone'), t('notify.fifty', { name: who(event.batting), person: person(event.batting) }), '🏏');
+          if (event.runs === 100) showNotification(t('notify.incredible'), t('notify.century', { name: who(event.batting), person: person(event.batting) }), '💯');
+          break;
+        }
+        case 'inningsEnd': {
+          const score = nextMatch.format.wickets > 1 ? `${event.runs}/${event.wickets}` : event.runs;
+          const ending = event.reason === 'overs' ? t('match.oversComplete') : nextMatch.format.wickets > 1 ? t('match.allOut') : t('match.out');
+          const text = `${ending} ${t('match.scored', { name: who(event.batting), person: person(event.batting), score })}`;
+          addHistory(event.reason === 'overs' ? '⏱️' : '🔴', text);
+          spoken.push(text);
+          break;
+        }
+        case 'inningsStart':
+          if (event.target > 0) {
+            setPlayerChoice('?');
+            setComputerChoice('?');
+            const text = `${t('match.inningsBreak')} ${t('match.needToWin', { name: who(event.batting), person: person(event.batting), target: event.target })}`;
+            addHistory('🔄', text);
+            spoken.push(text);
+            playSound('inningsBreak');
+          }
+          if (named) setMessage(t('match.namedBatting', { name: who(event.batting) }));
+          else setMessage(event.batting === 'player' ? t('match.youBatting') : t('match.computerBatting'));
+          break;
+        case 'matchEnd':
+          endGame(nextMatch);
+          break;
+        default: break;
+      }
+    });
+    if (spoken.length) announce(spoken.join(' '));
   };
 
-  const getComputerChoice = (currentHistory) => {
-    const randomChoice = () => Math.floor(Math.random() * 6) + 1;
-    if (Math.random() > AI_CONFIG[difficulty] || currentHistory.length < 3) return randomChoice();
-    
-    const moveCounts = {1:0, 2:0, 3:0, 4:0, 5:0, 6:0};
-    currentHistory.forEach(move => { moveCounts[move]++; });
-    
-    let mostFrequentMove = 1;
-    let maxCount = 0;
-    for (const move in moveCounts) {
-      if (moveCounts[move] > maxCount) {
-        maxCount = moveCounts[move];
-        mostFrequentMove = parseInt(move, 10);
-      }
+  const handlePlayerInput = (playerInput) => {
+    if (inputLocked.current || !match || match.phase !== 'innings' || match.pendingReview) return;
+    if (!numbersFor(match.rules).includes(playerInput)) return;
+
+    // Online: the server reveals the ball once both seats have picked.
+    if (match.mode === 'online') {
+      if (waitingForOpponent) return;
+      playSound('click');
+      onlineClient.current.send({ type: 'pick', number: playerInput });
+      setOnline(prev => ({ ...prev, picked: { ...prev.picked, [prev.side]: true } }));
+      setPlayerChoice(GESTURES[playerInput]);
+      setComputerChoice('?');
+      setMessage('');
+      return;
     }
-    
-    if (gameState === 'playerBatting') return mostFrequentMove;
-    else {
-      let choices = [1, 2, 3, 4, 5, 6];
-      if (choices.length > 1 && Math.random() < 0.8) {
-        choices = choices.filter(c => c !== mostFrequentMove);
+
+    // Pass and play: hold the first pick back until the second player has chosen.
+    if (match.mode === 'hotseat') {
+      if (!hotseatTurn.ready) return;
+      if (hotseatTurn.side === 'player') {
+        playSound('click');
+        setPlayerChoice('?');
+        setComputerChoice('?');
+        setMessage('');
+        setHotseatTurn({ side: 'computer', ready: false, pending: playerInput });
+        return;
       }
-      return choices[Math.floor(Math.random() * choices.length)];
+      setHotseatTurn({ side: 'player', ready: false, pending: null });
     }
+    lockInput(true);
+
+    // The daily challenge bowls its fixed numbers rather than reading the player.
+    const { state: next, events } = match.mode === 'hotseat'
+      ? playBall(match, hotseatTurn.pending, playerInput)
+      : playBall(match, playerInput, match.daily ? dailyBowl(match) : null);
+    showBall(next, events);
   };
 
-  const handlePlayerInput = (playerInput) => {
-    if (isProcessing) return;
-    setIsProcessing(true);
-
-    const updatedHistory = [...playerMoveHistory.slice(-9), playerInput];
-    setPlayerMoveHistory(updatedHistory);
-    
-    const compChoice = getComputerChoice(updatedHistory);
-    const [batsmanChoice, bowlerChoice] = gameState === 'playerBatting' ? [playerInput, compChoice] : [compChoice, playerInput];
-    
-    setPlayerChoice(gestures[playerInput]);
-    setComputerChoice(gestures[compChoice]);
-
-    if (batsmanChoice === bowlerChoice) {
-      playSound('wicket');
-      setMessage('OUT!');
-      setTimeout(() => {
-        if (gameState === 'playerBatting') {
-          addHistory('🔴', `OUT! You scored ${playerScore}.`);
-          const newStats = { ...stats, highestScore: Math.max(stats.highestScore, playerScore) };
-          setStats(newStats);
-          checkAchievements(newStats, playerScore);
-          if (targetScore > 0) {
-            if (playerScore === targetScore - 1) {
-                endGame('draw');
-            } else {
-                endGame('loss');
-            }
-          } else {
-            setTargetScore(playerScore + 1);
-            switchInnings();
-          }
-        } else { // Computer batting
-          addHistory('🔴', `OUT! Computer scored ${computerScore}.`);
-          const newStats = { ...stats, wickets: (stats.wickets || 0) + 1 };
-          setStats(newStats);
-          checkAchievements(newStats);
-          if (targetScore > 0) {
-            if (computerScore === targetScore - 1) {
-                endGame('draw');
-            } else {
-                endGame('win');
-            }
-          } else {
-            setTargetScore(computerScore + 1);
-            switchInnings();
-          }
-        }
-        setIsProcessing(false);
-      }, 1200);
-    } else {
-      playSound('batHit');
-      setMessage('');
-      if (gameState === 'playerBatting') {
-        const newScore = playerScore + batsmanChoice;
-        if (playerScore < 50 && newScore >= 50) showNotification('Milestone!', '50 Runs! Well played!', '🏏');
-        if (playerScore < 100 && newScore >= 100) showNotification('Incredible!', '100 Runs! A brilliant century!', '💯');
-        setPlayerScore(newScore);
-        setStats(s => ({ ...s, totalRuns: s.totalRuns + batsmanChoice }));
-        addHistory('🏏', `You score ${batsmanChoice} run(s).`);
-        if (targetScore > 0 && newScore >= targetScore) {
-          endGame('win');
-        }
-      } else {
-        const newScore = computerScore + batsmanChoice;
-        setComputerScore(newScore);
-        addHistory('💻', `Computer scores ${batsmanChoice} run(s).`);
-        if (targetScore > 0 && newScore >= targetScore) {
-          endGame('loss');
-        }
-      }
-      setTimeout(() => setIsProcessing(false), 250);
+  // The batter's call on a dismissal that can be reviewed.
+  const handleReview = (take) => {
+    if (inputLocked.current || !match || !match.pendingReview) return;
+    playSound('click');
+    if (match.mode === 'online') {
+      onlineClient.current.send({ type: 'review', take });
+      return;
     }
+    const { state: next, events } = reviewDismissal(match, take);
+    saved.setItem('handCricketLiveMatch', JSON.stringify({ match: next, history }));
+    showReview(next, events);
   };
 
-  const switchInnings = () => {
-    setPlayerChoice('?');
-    setComputerChoice('?');
-    setPlayerMoveHistory([]);
-    if (gameState === 'playerBatting') {
-      setComputerScore(0);
-      addHistory('🔄', `Innings Break. Computer needs ${playerScore + 1} to win.`);
-      startInnings('computerBatting');
+  // Turning a review down lets the dismissal stand without any more events.
+  const showReview = (next, events) => {
+    if (!events.some(e => e.type === 'review')) setMessage(t('match.out'));
+    setMatch(next);
+    presentEvents(events, next);
+  };
+
+  // --- Keyboard play ---
+  // 0-6 play a number while no dialog is open; the toss dialog has its own
+  // keys, and Escape belongs to whichever dialog is on top.
+  const numberKey = useRef(null);
+  numberKey.current = (number) => {
+    if (!replay && !awaitingHandover) handlePlayerInput(number);
+  };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const key = shortcutKey(e);
+      if (!key || !/^[0-6]$/.test(key) || isDialogOpen()) return;
+      e.preventDefault();
+      numberKey.current(Number(key));
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // --- Playing out a ball ---
+  // Input is locked through a ball's whole reveal. The ref changes at once,
+  // so a second tap can't slip in before isProcessing re-renders.
+  const lockInput = (locked) => {
+    inputLocked.current = locked;
+    setIsProcessing(locked);
+  };
+
+  // Steps at 0 ms run straight away, so instant pace plays a ball in one go.
+  const later = (ms, step) => {
+    if (ms > 0) revealTimers.current.push(setTimeout(step, ms));
+    else step();
+  };
+
+  const cancelReveal = () => {
+    revealTimers.current.forEach(clearTimeout);
+    revealTimers.current = [];
+    setBeat(null);
+  };
+
+  // A pause that belongs to this match: resetGame cancels it, so it can't
+  // land in the next match or another profile's.
+  const matchTimeout = (step, ms) => {
+    matchTimers.current.push(setTimeout(step, ms));
+  };
+
+  // Shows an effect, then clears it unless a newer one has taken its place.
+  const showEffect = (setEffect, ms) => {
+    const id = Date.now();
+    setEffect(id);
+    setTimeout(() => setEffect(prev => (prev === id ? null : prev)), ms);
+  };
+
+  // Counts both hands in, reveals them, then applies the ball (after a
+  // pause for wickets), at the chosen pace. The ball is saved straight away
+  // so a reload part way through can't undo it.
+  const showBall = (next, events) => {
+    const ball = events[0];
+    if (next.mode !== 'online') saved.setItem('handCricketLiveMatch', JSON.stringify({ match: next, history }));
+    lockInput(true);
+    revealTimers.current = [];
+
+    const inningsOver = events.some(e => e.type === 'inningsEnd');
+    const pause = ball.wicket || inningsOver;
+    const { beats, revealAt, applyAt, unlockAt } = revealSchedule(pacing, { pause });
+    beats.forEach(({ beat: count, at }) => later(at, () => setBeat(count)));
+    later(revealAt, () => {
+      setBeat(null);
+      setPlayerChoice(GESTURES[ball.playerNumber]);
+      setComputerChoice(GESTURES[ball.computerNumber]);
+      playSound(ballSound(next, events));
+      if (ball.wicket && !reducedMotion) showEffect(setWicketFall, WICKET_FALL_MS);
+      setMessage(pause ? (ball.wicket ? t('match.out') : t('match.oversComplete')) : '');
+    });
+    later(applyAt, () => {
+      setMatch(next);
+      presentEvents(events, next);
+    });
+    later(unlockAt, () => lockInput(false));
+  };
+
+  const archiveFinishedMatch = (finishedMatch) => {
+    setMatchArchive(prev => {
+      const records = archiveMatch(prev, toMatchRecord(finishedMatch));
+      saved.setItem('handCricketMatches', JSON.stringify(records));
+      return records;
+    });
+  };
+
+  // Pass-and-play and online games: both sides are people. A match that was
+  // already over when we rejoined it has been archived before.
+  const endNamedGame = (finishedMatch, { rejoined = false } = {}) => {
+    const { result, players } = finishedMatch;
+    if (result === 'draw') {
+        setGameOverResult({title: `${t('gameOver.drawn')} 🤝`, message: t('gameOver.level')});
+        playSound('draw');
     } else {
-      setPlayerScore(0);
-      addHistory('🔄', `Innings Break. You need ${computerScore + 1} to win.`);
-      startInnings('playerBatting');
+        setGameOverResult({title: `${t('gameOver.namedWon', { name: players[result === 'win' ? 'player' : 'computer'] })} 🎉`, message: t('gameOver.wellPlayedBoth')});
+        playSound(finishedMatch.mode === 'online' && result === 'loss' ? 'loss' : 'win');
     }
+    if (!rejoined) archiveFinishedMatch(finishedMatch);
+    if (finishedMatch.mode === 'hotseat') recordHotseatResult(finishedMatch);
+    matchTimeout(() => {
+      setGameOverModalVisible(true);
+    }, 750);
+  };
+
+  const recordHotseatResult = (finishedMatch) => {
+    const recorded = recordHotseatMatch(hotseatStats, finishedMatch);
+    ['player', 'computer'].forEach(side => {
+      const name = finishedMatch.players[side];
+      recorded[name] = unlockAchievements(recorded[name], finishedMatch, side, name);
+    });
+    setHotseatStats(recorded);
+    saved.setItem('handCricketHotseatStats', JSON.stringify(recorded));
+    saved.removeItem('handCricketLiveMatch');
   };
 
-  const endGame = (result) => {
-    setGameState('gameOver');
-    let finalStats;
+  const endGame = (finishedMatch) => {
+    if (finishedMatch.mode !== 'ai') {
+      endNamedGame(finishedMatch);
+      return;
+    }
+    const result = finishedMatch.result;
     if (result === 'win') {
-        finalStats = { ...stats, wins: stats.wins + 1 };
-        setGameOverResult({title: 'You Won! 🎉', message: 'A great performance!'});
+        setGameOverResult({title: `${t('gameOver.youWon')} 🎉`, message: t('gameOver.greatPerformance')});
         playSound('win');
     } else if (result === 'loss') {
-        finalStats = { ...stats, losses: stats.losses + 1 };
-        setGameOverResult({title: 'Computer Won 😞', message: 'Better luck next time!'});
+        setGameOverResult({title: `${t('gameOver.computerWon')} 😞`, message: t('gameOver.betterLuck')});
         playSound('loss');
     } else { // draw
-        finalStats = { ...stats, draws: (stats.draws || 0) + 1 };
-        setGameOverResult({title: 'Match Drawn 🤝', message: 'Scores are level!'});
+        setGameOverResult({title: `${t('gameOver.drawn')} 🤝`, message: t('gameOver.level')});
         playSound('draw');
     }
-    setStats(finalStats);
-    storage.setItem('handCricketStats', JSON.stringify(finalStats));
-    checkAchievements(finalStats);
-    setTimeout(() => {
+    recordAiResult(finishedMatch);
+    matchTimeout(() => {
       setGameOverModalVisible(true);
     }, 750);
   };
-  
-  const toggleTheme = async () => {
+
+  const recordAiResult = (finishedMatch) => {
+    archiveFinishedMatch(finishedMatch);
+    setPlayerModel(finishedMatch.playerModel);
+    saved.setItem('handCricketPlayerModel', JSON.stringify(finishedMatch.playerModel));
+    const finalStats = unlockAchievements(recordMatch(stats, finishedMatch), finishedMatch, 'player');
+    setStats(finalStats);
+    saved.setItem('handCricketStats', JSON.stringify(finalStats));
+    saved.removeItem('handCricketLiveMatch');
+    if (finishedMatch.competition) recordTournamentMatch(finishedMatch);
+    if (finishedMatch.daily) saveDaily(prev => finishDailyAttempt(prev, finishedMatch));
+  };
+
+  // --- Series and leagues ---
+  const saveTournament = (next) => {
+    setTournament(next);
+    if (next) saved.setItem('handCricketTournament', JSON.stringify(next));
+    else saved.removeItem('handCricketTournament');
+    if (next && next.phase === 'complete') {
+      const honours = archiveTournament(tournamentHistory, next);
+      setTournamentHistory(honours);
+      saved.setItem('handCricketTournamentHistory', JSON.stringify(honours));
+    }
+  };
+
+  const startTournament = (created) => {
+    playSound('click');
+    saveTournament(advanceTournament(created));
+  };
+
+  // A tournament match is an ordinary match against the fixture's persona
+  // that remembers which fixture it settles.
+  const playTournamentFixture = () => {
+    const fixture = userFixture(tournament);
+    if (!fixture) return;
+    playSound('click');
+    resetGame();
+    setGameMode('ai');
+    setMatchFormat(tournament.format);
+    setMatch({
+      ...createMatch({ opponent: fixture.away, playerModel, format: tournament.format }),
+      competition: { tournamentId: tournament.id, fixtureId: fixture.id },
+    });
+    setTournamentVisible(false);
+    setDifficultyModalVisible(false);
+    setTossModalVisible(true);
+  };
+
+  const recordTournamentMatch = (finishedMatch) => {
+    const { tournamentId, fixtureId } = finishedMatch.competition;
+    if (!tournament || tournament.id !== tournamentId) return;
+    const fixture = tournament.fixtures.find(f => f.id === fixtureId);
+    if (!fixture || fixture.result) return;
+    saveTournament(advanceTournament(recordFixture(tournament, fixtureId, fixtureResult(fixture, finishedMatch))));
+  };
+
+  const backToTournament = () => {
+    resetGame();
+    setTournamentVisible(true);
+  };
+
+  // --- Daily challenge ---
+  const saveDaily = (update) => {
+    setDaily(prev => {
+      const next = update(prev);
+      saved.setItem('handCricketDaily', JSON.stringify(next));
+      return next;
+    });
+  };
+
+  // The computer has already batted, so the match opens on the chase. The
+  // attempt is saved before the first ball so it can't be played twice.
+  const playDailyChallenge = () => {
+    const challenge = createDailyChallenge({ playerModel });
+    if (dailyResult(daily, challenge.daily.id)) return;
+    playSound('click');
+    resetGame();
+    setGameMode('ai');
+    setMatchFormat(challenge.format);
+    saveDaily(prev => startDailyAttempt(prev, challenge));
+    setMatch(challenge);
+    setDifficultyModalVisible(false);
+    const [first] = challenge.innings;
+    const score = challenge.format.wickets > 1 ? `${first.runs}/${first.wickets}` : first.runs;
+    const text = t('match.dailyStart', {
+      number: challenge.daily.number,
+      name: personaName(getPersona(challenge.opponent), t),
+      score,
+      target: challenge.target,
+      count: ballsLeft(challenge),
+    });
+    addHistory('📅', text);
+    announce(text);
+    setMessage(t('match.youBatting'));
+  };
+
+  // --- Saved matches ---
+  const resumeSavedMatch = () => {
+    playSound('click');
+    const { match: pending, history: savedHistory } = savedMatch;
+    setSavedMatch(null);
+    setGameMode(pending.mode);
+    setMatchFormat(pending.format);
+    setMatch(pending);
+    setHistory(savedHistory || []);
+    setHotseatTurn({ side: 'player', ready: false, pending: null });
+    if (pending.phase === 'over') {
+      endGame(pending);
+      return;
+    }
+    setMessage(t('match.resumed'));
+  };
+
+  // Against the computer an abandoned match is a forfeit, so reloading can't
+  // dodge a loss. Pass-and-play matches are simply dropped unless already won.
+  const abandonSavedMatch = () => {
+    playSound('click');
+    const { match: pending } = savedMatch;
+    setSavedMatch(null);
+    setDifficultyModalVisible(true);
+    if (pending.mode === 'ai') {
+      const finished = forfeit(pending).state;
+      recordAiResult(finished);
+      showNotification(t('notify.forfeited'), finished.forfeitedBy ? t('notify.forfeitLoss') : t('notify.forfeitStands'), '🏳️');
+    } else if (pending.phase === 'over') {
+      archiveFinishedMatch(pending);
+      recordHotseatResult(pending);
+    } else {
+      saved.removeItem('handCricketLiveMatch');
+    }
+  };
+
+  // --- Replays ---
+  // A replay only reads an archived record: it never reaches endGame, so
+  // career stats, achievements and the live match are left alone.
+  const startReplay = (record) => {
+    playSound('click');
+    setPastMatchesVisible(false);
+    setReplay({
+      record,
+      frames: replayFrames(record),
+      step: 0,
+      playing: true,
+      speed: 1,
+      resume: { difficulty: difficultyModalVisible, toss: tossModalVisible, gameOver: gameOverModalVisible },
+    });
+    setDifficultyModalVisible(false);
+    setTossModalVisible(false);
+    setGameOverModalVisible(false);
+  };
+
+  const exitReplay = () => {
+    playSound('click');
+    const { resume } = replay;
+    setReplay(null);
+    setDifficultyModalVisible(resume.difficulty);
+    setTossModalVisible(resume.toss);
+    setGameOverModalVisible(resume.gameOver);
+  };
+
+  const jumpReplay = (step) => {
+    setReplay(prev => ({ ...prev, playing: false, step: Math.min(Math.max(step, 0), prev.frames.length - 1) }));
+  };
+
+  // Playing from the last ball starts the replay again.
+  const toggleReplay = () => {
+    setReplay(prev => {
+      if (prev.playing) return { ...prev, playing: false };
+      return { ...prev, playing: true, step: prev.step === prev.frames.length - 1 ? 0 : prev.step };
+    });
+  };
+
+  useEffect(() => {
+    if (!replay || !replay.playing) return undefined;
+    if (replay.step === replay.frames.length - 1) {
+      setReplay(prev => ({ ...prev, playing: false }));
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      setReplay(prev => prev && { ...prev, step: prev.step + 1 });
+    }, REPLAY_BALL_MS / replay.speed);
+    return () => clearTimeout(timer);
+  }, [replay]);
+
+  // --- Online Play ---
+  const startOnline = useCallback(() => {
+    if (!onlineClient.current) {
+      onlineClient.current = createMatchClient({
+        onMessage: (msg) => onlineHandler.current(msg),
+        onStatus: (status) => setOnline(prev => ({ ...prev, status })),
+      });
+    }
+    return onlineClient.current;
+  }, []);
+
+  const leaveOnline = () => {
+    if (onlineClient.current) {
+      onlineClient.current.close();
+      onlineClient.current = null;
+    }
+    setOnline(OFFLINE);
+  };
+
+  const createRoom = () => {
+    playSound('click');
+    startOnline().send({ type: 'create', name: onlineName, format: matchFormat, rules: matchRules });
+  };
+
+  const joinRoom = (code) => {
+    playSound('click');
+    startOnline().send({ type: 'join', code, name: onlineName });
+  };
+
+  // Rejoin a match in progress after a reload.
+  useEffect(() => {
+    if (loadOnlineSession()) {
+      setGameMode('online');
+      startOnline();
+    }
+    return () => {
+      if (onlineClient.current) {
+        onlineClient.current.close({ leave: false });
+        onlineClient.current = null;
+      }
+    };
+  }, [startOnline]);
+
+  // The server always talks about its own sides; the guest sees them swapped
+  // so that 'player' is always this device.
+  const asSeen = (state, side) => (side === 'computer' ? swapSides(state) : state);
+
+  // Against the computer the player's own hand is "you"; `players` names both hands.
+  const tossText = (tossState, players = null) => t('toss.bothChose', {
+    person: players ? 'they' : 'you',
+    player: players ? players.player : t('sides.you'),
+    computer: players ? players.computer : t('sides.computer'),
+    playerHand: t(`toss.handNames.${tossState.playerChoice}`),
+    computerHand: t(`toss.handNames.${tossState.computerChoice}`),
+  });
+
+  const syncOnlineMatch = (msg) => {
+    const synced = asSeen(msg.match, msg.side);
+    setMatch(synced);
+    setDifficultyModalVisible(false);
+    setTossModalVisible(synced.phase === 'toss' || synced.phase === 'choose');
+    setTossResult(synced.phase === 'choose' ? { winner: synced.toss.winner, text: tossText(synced.toss, synced.players) } : null);
+    if (synced.phase === 'innings') {
+      setMessage(t('match.isBatting', { name: synced.players[currentInnings(synced).batting] }));
+    }
+    if (synced.phase === 'over') endNamedGame(synced, { rejoined: true });
+  };
+
+  const revealOnline = (msg) => {
+    const next = asSeen(msg.match, online.side);
+    const events = online.side === 'computer' ? msg.events.map(swapEventSides) : msg.events;
+    setOnline(prev => ({ ...prev, picked: { player: false, computer: false } }));
+
+    const [first] = events;
+    if (first.type === 'toss') {
+      setMatch(next);
+      setTossResult({ winner: first.winner, text: tossText(first, next.players) });
+      if (first.winner === 'tie') {
+        matchTimeout(() => {
+          setTossResult(null);
+        }, 1500);
+      }
+    } else if (first.type === 'decision') {
       playSound('click');
-      const newTheme = theme === 'light' ? 'dark' : 'light';
-      setTheme(newTheme);
-      await storage.setItem('handCricketTheme', newTheme);
+      setTossModalVisible(false);
+      setMatch(next);
+      presentEvents(events, next);
+    } else if (first && first.type === 'ball') {
+      showBall(next, events);
+    } else {
+      showReview(next, events);
+    }
   };
 
-  const toggleMute = () => {
+  onlineHandler.current = (msg) => {
+    const opponentName = online.opponent ? online.opponent.name : t('online.yourOpponent');
+    switch (msg.type) {
+      case 'joined':
+        setOnline(prev => ({ ...prev, code: msg.code, side: msg.side }));
+        break;
+      case 'state':
+        setGameMode('online');
+        setOnline(prev => ({ ...prev, code: msg.code, side: msg.side, opponent: msg.opponent, picked: msg.picked }));
+        if (msg.match) syncOnlineMatch(msg);
+        break;
+      case 'picks':
+        setOnline(prev => ({ ...prev, picked: msg.picked }));
+        break;
+      case 'reveal':
+        revealOnline(msg);
+        break;
+      case 'opponentDisconnected':
+        setOnline(prev => ({ ...prev, opponent: prev.opponent && { ...prev.opponent, connected: false } }));
+        showNotification(t('notify.connectionLost'), t('notify.droppedOut', { name: opponentName, seconds: Math.round(msg.graceMs / 1000) }), '📡');
+        break;
+      case 'opponentReconnected':
+        setOnline(prev => ({ ...prev, opponent: prev.opponent && { ...prev.opponent, connected: true } }));
+        showNotification(t('notify.backOnline'), t('notify.reconnected', { name: opponentName }), '📡');
+        break;
+      case 'opponentLeft':
+        leaveOnline();
+        if (match && match.phase !== 'over') {
+          setGameOverResult({ title: `${t('gameOver.opponentLeft')} 🏳️`, message: t('gameOver.leftMatch', { name: opponentName }) });
+          setTossModalVisible(false);
+          setGameOverModalVisible(true);
+        }
+        break;
+      case 'error':
+        showNotification(t('notify.matchServer'), t(`errors.${msg.code}`, {}, msg.message), '⚠️');
+        if (msg.fatal) {
+          leaveOnline();
+          resetGame();
+        }
+        break;
+      default: break;
+    }
+  };
+
+  const changeTheme = async (next) => {
+      playSound('click');
+      setTheme(next);
+      await saved.setItem('handCricketTheme', next);
+  };
+
+  const toggleTheme = () => changeTheme(activeTheme.dark ? 'light' : 'dark');
+
+  // Editing the team colours switches to them.
+  const changeCustomTheme = async (next) => {
+      setCustomTheme(next);
+      setTheme(CUSTOM_THEME);
+      await saved.setItem('handCricketCustomTheme', JSON.stringify(next));
+      await saved.setItem('handCricketTheme', CUSTOM_THEME);
+  };
+
+  // `preview` names a sound to play once the change has taken effect, such
+  // as a six when trying out a sound pack.
+  const changeAudio = (next, preview = null) => {
       startAudioContext();
-      setIsMuted(prev => !prev);
-  }
+      soundEngine.current.configure(next);
+      setAudio(next);
+      saved.setItem('handCricketAudio', JSON.stringify(next));
+      if (preview) playSound(preview);
+  };
+
+  const toggleMute = () => changeAudio({ ...audio, muted: !audio.muted });
+
+  const changePacing = (next) => {
+      playSound('click');
+      setPacing(next);
+      saved.setItem('handCricketPacing', JSON.stringify(next));
+  };
+
+  // --- Your data: backups and resetting the career ---
+  const currentSaveData = () => ({
+    stats, hotseatStats, playerModel, matches: matchArchive, tournament, tournamentHistory, daily, theme, customTheme, audio, commentaryStyle, language, pacing, liveMatch: null,
+  });
+
+  const restoreBackup = async (data) => {
+    playSound('click');
+    applySaveData(data);
+    await saveSections(saved, data, Object.keys(STORAGE_KEYS).filter(section => section !== 'liveMatch'));
+  };
+
+  const resetCareer = async () => {
+    playSound('click');
+    const fresh = defaultSaveData();
+    const data = { ...currentSaveData(), ...Object.fromEntries(CAREER_SECTIONS.map(section => [section, fresh[section]])) };
+    applySaveData(data);
+    await saveSections(saved, data, CAREER_SECTIONS);
+  };
 
-  // --- Gemini API Function ---
+  // --- Profiles ---
+  const saveProfiles = async (next) => {
+    setProfiles(next);
+    await storage.setItem(PROFILES_KEY, JSON.stringify(next));
+  };
+
+  // A match in progress stays saved with the profile that was playing it,
+  // and is offered back when that profile returns.
+  const openProfile = async (list) => {
+    resetGame();
+    setReplay(null);
+    setSavedMatch(null);
+    await saveProfiles(list);
+    await loadProfile(list.active);
+  };
+
+  const changeProfile = async (id) => {
+    playSound('click');
+    setProfilesVisible(false);
+    await openProfile(switchProfile(profiles, id));
+  };
+
+  // New players start in the language of whoever set them up.
+  const createProfile = async (details) => {
+    playSound('click');
+    const { list, profile } = addProfile(profiles, details);
+    await profileStorage(profile.id).setItem(STORAGE_KEYS.language, language);
+    setProfilesVisible(false);
+    await openProfile(switchProfile(list, profile.id));
+  };
+
+  const editProfile = async (id, details) => {
+    playSound('click');
+    await saveProfiles(updateProfile(profiles, id, details));
+  };
+
+  const deleteProfile = async (id) => {
+    const next = removeProfile(profiles, id);
+    if (next === profiles) return;
+    playSound('click');
+    const store = profileStorage(id);
+    for (const key of Object.values(STORAGE_KEYS)) {
+      await store.removeItem(key);
+      await store.removeItem(CORRUPT_PREFIX + key);
+    }
+    await store.removeItem(VERSION_KEY);
+    if (next.active === profiles.active) await saveProfiles(next);
+    else await openProfile(next);
+  };
+
+  // Every profile's career, read fresh whenever the leaderboard is open.
+  useEffect(() => {
+    if (!profilesVisible) return undefined;
+    let current = true;
+    const loadCareers = async () => {
+      const loaded = {};
+      for (const { id } of profiles.profiles) {
+        const store = profileStorage(id);
+        const version = await store.getItem(VERSION_KEY);
+        loaded[id] = id === profiles.active ? stats : loadSaveData({ stats: await store.getItem(STORAGE_KEYS.stats) }, version).data.stats;
+      }
+      if (current) setCareers(loaded);
+    };
+    loadCareers();
+    return () => { current = false; };
+  }, [profilesVisible, profiles, stats]);
+
+  const changeCommentaryStyle = (style) => {
+      playSound('click');
+      setCommentaryStyle(style);
+      saved.setItem('handCricketCommentaryStyle', style);
+  };
+
+  const changeLanguage = (next) => {
+      playSound('click');
+      setLanguage(next);
+      saved.setItem('handCricketLanguage', next);
+  };
+
+  // --- Match Report ---
+  // The local report always shows; live commentary streams in underneath it
+  // when a commentary server is configured.
   const getMatchAnalysis = async () => {
     playSound('click');
-    setIsLoadingAnalysis(true);
-    setAnalysisModalVisible(true);
+    const report = matchReport(match, t);
+    setMatchReportShown(report);
     setAnalysis('');
+    setAnalysisError('');
+    setAnalysisModalVisible(true);
+    if (!COMMENTARY_URL) return;
+    if (offline) {
+        setAnalysisError(t('corner.offline'));
+        return;
+    }
 
-    const matchSummary = `
-        Player Score: ${playerScore}
-        Computer Score: ${computerScore}
-        Target: ${targetScore > 0 ? targetScore : 'Not set'}
-        Result: ${gameOverResult.title}
-    `;
-
-    const prompt = `You are an enthusiastic and slightly dramatic cricket commentator. Provide a short, fun, and exciting commentary for a game of "Hand Cricket" based on this summary:\n\n${matchSummary}\n\nKeep it under 60 words. Be encouraging if the player lost, and celebrate their victory if they won. End with a fun, one-line tip for the next game.`;
-    
-    let chatHistory = [];
-    chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-    const payload = { contents: chatHistory };
-    const apiKey = process.env.REACT_APP_GEMINI_API_KEY;
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-
+    const request = new AbortController();
+    analysisRequest.current = request;
+    setIsLoadingAnalysis(true);
     try {
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+        await streamCommentary({
+            report: reportText(report, t),
+            balls: ballSequenceText(match, t),
+            style: commentaryStyle,
+            language,
+            signal: request.signal,
+            onText: (text) => {
+                setIsLoadingAnalysis(false);
+                setAnalysis(prev => prev + text);
+            },
         });
-        const result = await response.json();
-        if (result.candidates && result.candidates.length > 0 &&
-            result.candidates[0].content && result.candidates[0].content.parts &&
-            result.candidates[0].content.parts.length > 0) {
-          const text = result.candidates[0].content.parts[0].text;
-          setAnalysis(text);
-        } else {
-            console.error("Gemini API Error: Invalid response structure", result);
-            setAnalysis("Couldn't get the analysis. The commentator must be on a tea break!");
-        }
     } catch (error) {
-        console.error("Gemini API error:", error);
-        setAnalysis("The connection to the commentary box was lost. Please try again!");
+        if (!request.signal.aborted) setAnalysisError(t(`errors.${error.code}`, error.params, error.message));
     } finally {
-        setIsLoadingAnalysis(false);
+        if (analysisRequest.current === request) {
+            analysisRequest.current = null;
+            setIsLoadingAnalysis(false);
+        }
     }
   };
 
+  const closeAnalysis = () => {
+    if (analysisRequest.current) analysisRequest.current.abort();
+    setAnalysisModalVisible(false);
+  };
+
+  // Toss dialog shortcuts: R/P/S while the hands are showing, then B/W for
+  // whoever won it.
+  const canChoose = Boolean(tossResult) && Boolean(match) && match.phase === 'choose' && (!isOnline || match.toss.winner === 'player');
+  const tossKeys = !tossResult && !awaitingHandover
+    ? Object.fromEntries(TOSS_HANDS.map(([hand, , key]) => [key, () => handleToss(hand)]))
+    : canChoose ? { b: () => handleTossDecision('bat'), w: () => handleTossDecision('bowl') } : null;
 
   // --- Render ---
   return (
-    <div className={`min-h-screen flex items-center justify-center p-4 font-sans ${theme === 'dark' ? 'bg-gray-900 text-gray-300' : 'bg-gray-100 text-gray-700'} transition-colors duration-300`}>
-      <div className={`w-full max-w-lg mx-auto rounded-2xl shadow-xl p-6 text-center relative ${theme === 'dark' ? 'bg-gray-800' : 'bg-white'} transition-colors duration-300`}>
+    <div className="min-h-screen flex items-center justify-center p-4 font-sans bg-page text-body transition-colors duration-300">
+      <div className="w-full max-w-lg mx-auto rounded-2xl shadow-xl p-6 text-center relative bg-surface border-t-4 border-frame transition-colors duration-300">
+        {confetti && <Confetti key={confetti} />}
         <div className="absolute top-4 right-4 flex gap-3">
-            <button onClick={toggleTheme} className={`p-1 rounded-full ${theme === 'dark' ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-200'}`}>
-                {theme === 'dark' ? '☀️' : '🌙'}
+            <button onClick={toggleTheme} aria-label={activeTheme.dark ? t('app.lightTheme') : t('app.darkTheme')} className="p-1 rounded-full text-muted hover:bg-control">
+                {activeTheme.dark ? '☀️' : '🌙'}
+            </button>
+            <button onClick={() => { playSound('click'); setTournamentVisible(true); }} aria-label={t('app.tournaments')} className="p-1 rounded-full text-muted hover:bg-control">
+                🏆
             </button>
-            <button onClick={() => { playSound('click'); setStatsModalVisible(true); }} className={`p-1 rounded-full ${theme === 'dark' ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-200'}`}>
+            <button onClick={() => { playSound('click'); setStatsModalVisible(true); }} aria-label={t('stats.label')} className="p-1 rounded-full text-muted hover:bg-control">
                 📊
             </button>
-            <button onClick={toggleMute} className={`p-1 rounded-full ${theme === 'dark' ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-200'}`}>
-                {isMuted ? '🔇' : '🔊'}
+            <button onClick={() => { playSound('click'); setProfilesVisible(true); }} disabled={isProcessing} aria-label={t('profiles.switch', { name: currentProfile.name })} title={currentProfile.name} className="p-1 rounded-full text-muted hover:bg-control">
+                {currentProfile.avatar}
+            </button>
+            <button onClick={toggleMute} aria-label={t('settings.sound')} aria-pressed={!audio.muted} className="p-1 rounded-full text-muted hover:bg-control">
+                {audio.muted ? '🔇' : '🔊'}
+            </button>
+            <button onClick={() => { playSound('click'); setSettingsVisible(true); }} aria-label={t('settings.title')} className="p-1 rounded-full text-muted hover:bg-control">
+                ⚙️
             </button>
         </div>
 
-        <h1 className={`text-3xl md:text-4xl font-bold mb-4 ${theme === 'dark' ? 'text-blue-50' : 'text-blue-900'}`}>You vs AI</h1>
+        <Scoreboard match={shownMatch} t={t}>
+            {isOnline && online.code && (
+                <p className="-mt-2 mb-3 text-sm text-muted">
+                    {t('online.room', { code: online.code })} · {online.status === 'connected' ? `🟢 ${t('online.connected')}` : `🟡 ${t('online.reconnecting')}`}
+                    {online.opponent && !online.opponent.connected && ` · 🔴 ${t('online.disconnected', { name: online.opponent.name })}`}
+                </p>
+            )}
+        </Scoreboard>
 
-        <div className="grid grid-cols-2 gap-4 mb-4 text-center">
-            <div>
-                <p className={`text-sm uppercase font-semibold ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Target</p>
-                <p className="text-3xl font-bold text-red-500">{targetScore || '-'}</p>
-            </div>
-            <div>
-                <p className={`text-sm uppercase font-semibold ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>{gameState === 'playerBatting' ? 'Your Score' : "Computer's Score"}</p>
-                <p className={`text-3xl font-bold ${theme === 'dark' ? 'text-cyan-400' : 'text-cyan-600'}`}>{gameState === 'playerBatting' ? playerScore : computerScore}</p>
-            </div>
+        <div className="relative">
+            <GesturePanels match={shownMatch} playerChoice={shownHands.player} computerChoice={shownHands.computer} beat={replayFrame ? null : beat} beatMs={PACES[pacing.pace].beatMs} reducedMotion={reducedMotion} t={t} />
+            {wicketFall && !replayFrame && <WicketFall key={wicketFall} />}
         </div>
 
-        <div className="grid grid-cols-2 gap-4 mb-4 min-h-[100px]">
-            <div className={`rounded-lg p-3 flex flex-col items-center justify-center ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}>
-                <p className={`font-semibold mb-1 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{gameState === 'playerBatting' ? 'Your Shot' : 'Your Ball'}</p>
-                <p className="text-4xl">{playerChoice}</p>
-            </div>
-            <div className={`rounded-lg p-3 flex flex-col items-center justify-center ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}>
-                <p className={`font-semibold mb-1 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{gameState === 'playerBatting' ? "Bowler's Ball" : "Batsman's Shot"}</p>
-                <p className="text-4xl">{computerChoice}</p>
-            </div>
-        </div>
-
-        <div className="min-h-[60px] flex items-center justify-center mb-4"><p className="text-xl font-bold">{message}</p></div>
+        <div className="min-h-[60px] flex items-center justify-center mb-4"><p className="text-xl font-bold">{replayFrame ? frameCaption(replayFrame, t) : message}</p></div>
 
         <div className="flex-1 justify-center">
-            <p className={`text-center font-medium mb-3 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Choose your number:</p>
-            <div className="grid grid-cols-3 gap-3">
-                {[1, 2, 3, 4, 5, 6].map(num => (
-                    <button key={num} onClick={() => handlePlayerInput(num)} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-3 rounded-lg text-lg transition-transform transform hover:-translate-y-1">
-                        {num}
-                    </button>
-                ))}
-            </div>
+            {replay ? (
+                <ReplayControls replay={replay} onTogglePlay={toggleReplay} onStep={(delta) => jumpReplay(replay.step + delta)} onJump={jumpReplay} onSpeed={(speed) => setReplay(prev => ({ ...prev, speed }))} onExit={exitReplay} t={t} />
+            ) : match && match.phase === 'innings' && match.pendingReview ? (
+                <div className="space-y-3">
+                    {isHotseat || currentInnings(match).batting === 'player' ? (
+                        <>
+                            <p className="text-center font-medium text-body">{t('review.prompt', { name: names[currentInnings(match).batting], person: usesNames ? 'they' : 'you' })}</p>
+                            <div className="grid grid-cols-2 gap-3">
+                                <button onClick={() => handleReview(true)} className="bg-accent text-on-accent hover:brightness-90 font-bold py-3 rounded-lg">📺 {t('review.review')}</button>
+                                <button onClick={() => handleReview(false)} className="bg-neutral text-white hover:brightness-90 font-bold py-3 rounded-lg">{t('review.walkOff')}</button>
+                            </div>
+                        </>
+                    ) : (
+                        <p className="text-center font-medium text-body">{t('review.waiting', { name: names[currentInnings(match).batting] })}</p>
+                    )}
+                </div>
+            ) : match && match.phase === 'innings' && awaitingHandover ? (
+                <HandoverPanel name={names[hotseatTurn.side]} onReady={() => { playSound('click'); setHotseatTurn(turn => ({ ...turn, ready: true })); }} t={t} />
+            ) : (
+                <>
+                    <p className="text-center font-medium mb-3 text-body">{waitingForOpponent ? t('play.waiting', { name: names.computer }) : isHotseat && match ? t('play.namedChoose', { name: names[hotseatTurn.side] }) : t('play.choose')}</p>
+                    <div className="grid grid-cols-3 gap-3">
+                        {numbersFor(match ? match.rules : STANDARD_RULES).map(num => (
+                            <button key={num} onClick={() => handlePlayerInput(num)} aria-keyshortcuts={String(num)} title={num === 0 ? t('play.defend') : undefined} className={`bg-primary text-on-primary hover:brightness-90 font-bold py-3 rounded-lg text-lg transition-transform transform hover:-translate-y-1 ${num === 0 ? 'col-span-3' : ''}`}>
+                                {num === 0 ? `${GESTURES[0]} 0 · ${t('play.defend')}` : num}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
         </div>
         
         <div className="mt-auto">
-            <h3 className={`text-lg font-semibold mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Match History</h3>
-            <div id="history-log" className={`h-24 rounded-lg p-2 overflow-y-auto text-left text-sm space-y-1 ${theme === 'dark' ? 'bg-gray-700 text-gray-400' : 'bg-gray-50 text-gray-500'}`}>
-                {history.map(item => (
+            <h3 className="text-lg font-semibold mb-2 text-body">{t('app.history')}</h3>
+            <div id="history-log" className="h-24 rounded-lg p-2 overflow-y-auto text-left text-sm space-y-1 bg-raised text-muted">
+                {(replay ? replayLog : history).map(item => (
                     <p key={item.id}><span>{item.icon}</span> {item.text}</p>
                 ))}
             </div>
@@ -519,106 +1383,279 @@ export default function App() {
       
       {/* Modals */}
       {difficultyModalVisible && (
-        <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-60 backdrop-blur-sm">
-            <div className={`rounded-2xl shadow-xl p-8 text-center w-full max-w-sm ${theme === 'dark' ? 'bg-gray-800' : 'bg-white'}`}>
-                <h2 className={`text-2xl font-bold mb-2 ${theme === 'dark' ? 'text-blue-50' : 'text-blue-900'}`}>Select Difficulty</h2>
-                <p className={`mb-6 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Choose your opponent's skill level.</p>
-                <div className="grid grid-cols-1 gap-4">
-                    <button onClick={() => selectDifficulty('easy')} className="bg-green-500 hover:bg-green-600 text-white font-bold py-3 rounded-lg">Easy</button>
-                    <button onClick={() => selectDifficulty('medium')} className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-3 rounded-lg">Medium</button>
-                    <button onClick={() => selectDifficulty('hard')} className="bg-red-500 hover:bg-red-600 text-white font-bold py-3 rounded-lg">Hard</button>
-                </div>
+        <Dialog label={t('newMatch.label')} className="rounded-2xl shadow-xl p-8 text-center w-full max-w-sm bg-surface">
+            <button onClick={() => { playSound('click'); setProfilesVisible(true); }} className="mb-3 px-3 py-1 rounded-full text-sm bg-raised text-body hover:bg-control">
+                {t('profiles.playingAs', { avatar: currentProfile.avatar, name: currentProfile.name })}
+            </button>
+            <div className="grid grid-cols-3 gap-2 mb-4">
+                {['ai', 'hotseat', 'online'].map(mode => (
+                    <button key={mode} onClick={() => { playSound('click'); setGameMode(mode); }} className={`py-2 rounded-lg font-semibold ${gameMode === mode ? 'bg-accent text-on-accent' : 'bg-control text-body'}`}>
+                        {t(`newMatch.modes.${mode}`)}
+                    </button>
+                ))}
             </div>
-        </div>
+            <h2 className="text-2xl font-bold mb-2 text-heading">{t(`newMatch.titles.${gameMode}`)}</h2>
+            <p className="mb-4 text-muted">{t(`newMatch.intros.${gameMode}`)}</p>
+            <div className="grid grid-cols-3 gap-2 mb-3">
+                {Object.values(FORMAT_PRESETS).map(preset => (
+                    <button key={preset.id} onClick={() => { playSound('click'); setMatchFormat(preset); }} className={`py-2 rounded-lg text-sm font-semibold ${matchFormat.id === preset.id ? 'bg-primary text-on-primary' : 'bg-control text-body'}`}>
+                        {formatName(preset, t)}
+                    </button>
+                ))}
+            </div>
+            <div className="flex justify-center gap-4 mb-4 text-sm text-body">
+                <label>
+                    {t('newMatch.wickets')}{' '}
+                    <select value={matchFormat.wickets} onChange={(e) => setMatchFormat(customFormat(Number(e.target.value), matchFormat.overs))} className="rounded p-1 bg-raised">
+                        {WICKET_OPTIONS.map(w => <option key={w} value={w}>{w}</option>)}
+                    </select>
+                </label>
+                <label>
+                    {t('newMatch.overs')}{' '}
+                    <select value={matchFormat.overs || ''} onChange={(e) => setMatchFormat(customFormat(matchFormat.wickets, Number(e.target.value) || null))} className="rounded p-1 bg-raised">
+                        {OVER_OPTIONS.map(o => <option key={o || 'none'} value={o || ''}>{o || t('newMatch.noLimit')}</option>)}
+                    </select>
+                </label>
+            </div>
+            <fieldset className="mb-6 text-sm text-left text-body">
+                <legend className="mx-auto mb-2 font-semibold">{t('newMatch.houseRules')}</legend>
+                <div className="grid grid-cols-2 gap-x-3 gap-y-1">
+                    {Object.values(RULE_VARIANTS).map(variant => (
+                        <label key={variant.id} title={ruleDescription(variant.id, t)} className="flex items-center gap-2">
+                            <input type="checkbox" checked={hasRule(matchRules, variant.id)} onChange={() => setMatchRules(prev => toggleRule(prev, variant.id))} />
+                            {variant.emoji} {ruleName(variant.id, t)}
+                        </label>
+                    ))}
+                </div>
+            </fieldset>
+            {gameMode === 'online' && offline && online.status === 'idle' ? (
+                <p className="text-muted">📴 {t('newMatch.onlineOffline')}</p>
+            ) : gameMode === 'online' ? (
+                <OnlineLobby online={online} name={onlineName} onNameChange={setOnlineName} onCreate={createRoom} onJoin={joinRoom} onCancel={() => { playSound('click'); leaveOnline(); }} t={t} />
+            ) : gameMode === 'hotseat' ? (
+                <div className="grid grid-cols-1 gap-3">
+                    {['player', 'computer'].map((side, index) => (
+                        <input key={side} value={hotseatNames[side]} maxLength={16} aria-label={t('newMatch.playerNameLabel', { number: index + 1 })} onChange={(e) => setHotseatNames(prev => ({ ...prev, [side]: e.target.value }))} className="rounded-lg p-2 text-center bg-raised text-body" />
+                    ))}
+                    <button onClick={startHotseatMatch} className="bg-primary text-on-primary hover:brightness-90 font-bold py-3 rounded-lg">{t('newMatch.start')}</button>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 gap-3">
+                    {Object.values(PERSONAS).map((persona, index) => (
+                        <button key={persona.id} onClick={() => selectOpponent(persona.id)} className={`${PERSONA_COLOURS[index % PERSONA_COLOURS.length]} text-white py-2 px-3 rounded-lg text-left flex items-center gap-3`}>
+                            <span className="text-3xl">{persona.emoji}</span>
+                            <span>
+                                <span className="block font-bold">{personaName(persona, t)}</span>
+                                <span className="block text-xs opacity-90">{personaDescription(persona, t)}</span>
+                            </span>
+                        </button>
+                    ))}
+                    <button onClick={() => { playSound('click'); setTournamentVisible(true); }} className="bg-accent text-on-accent hover:brightness-90 font-bold py-2 rounded-lg">
+                        🏆 {t('newMatch.tournaments')}{tournament && userFixture(tournament) ? ` · ${t('newMatch.nextMatchReady')}` : ''}
+                    </button>
+                    <DailyChallenge daily={daily} onPlay={playDailyChallenge} t={t} />
+                </div>
+            )}
+        </Dialog>
       )}
 
       {tossModalVisible && (
-        <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-60 backdrop-blur-sm">
-            <div className={`rounded-2xl shadow-xl p-8 text-center w-full max-w-sm ${theme === 'dark' ? 'bg-gray-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-                {!tossResult ? (
-                    <>
-                        <h2 className={`text-2xl font-bold mb-2 ${theme === 'dark' ? 'text-blue-50' : 'text-blue-900'}`}>Coin Toss</h2>
-                        <p className={`mb-4 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Choose Rock, Paper, or Scissors.</p>
-                        <div className="flex justify-center gap-4">
-                            <button className="text-4xl p-4 rounded-lg bg-slate-200 hover:bg-slate-300" onClick={() => handleToss('rock')}>✊</button>
-                            <button className="text-4xl p-4 rounded-lg bg-slate-200 hover:bg-slate-300" onClick={() => handleToss('paper')}>✋</button>
-                            <button className="text-4xl p-4 rounded-lg bg-slate-200 hover:bg-slate-300" onClick={() => handleToss('scissors')}>✌️</button>
-                        </div>
-                    </>
-                ) : (
-                    <>
-                        <h2 className={`text-2xl font-bold mb-2 ${theme === 'dark' ? 'text-blue-50' : 'text-blue-900'}`}>{tossResult.winner === 'player' ? 'You Won!' : tossResult.winner === 'computer' ? 'Computer Won' : "It's a Tie!"}</h2>
-                        <p className={`mb-4 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>{tossResult.text}</p>
-                        {tossResult.winner === 'player' && (
+        <Dialog label={t('toss.label')} keys={tossKeys} className="rounded-2xl shadow-xl p-8 text-center w-full max-w-sm bg-surface text-body">
+            {!tossResult ? (
+                <>
+                    <h2 className="text-2xl font-bold mb-2 text-heading">{t('toss.title')}</h2>
+                    {awaitingHandover ? (
+                        <HandoverPanel name={names[hotseatTurn.side]} onReady={() => { playSound('click'); setHotseatTurn(turn => ({ ...turn, ready: true })); }} t={t} />
+                    ) : (
+                        <>
+                            <p className="mb-4 text-muted">{waitingForOpponent ? t('toss.waiting', { name: names.computer }) : isHotseat ? t('toss.namedChoose', { name: names[hotseatTurn.side] }) : t('toss.choose')}</p>
                             <div className="flex justify-center gap-4">
-                                <button className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-6 rounded-lg" onClick={() => chooseTo('bat')}>Bat</button>
-                                <button className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-6 rounded-lg" onClick={() => chooseTo('bowl')}>Bowl</button>
+                                {TOSS_HANDS.map(([hand, emoji, key]) => (
+                                    <button key={hand} aria-label={t(`toss.hands.${hand}`)} aria-keyshortcuts={key.toUpperCase()} className="text-4xl p-4 rounded-lg bg-control hover:bg-control-hover" onClick={() => handleToss(hand)}>{emoji}</button>
+                                ))}
                             </div>
-                        )}
-                    </>
-                )}
-            </div>
-        </div>
+                        </>
+                    )}
+                </>
+            ) : (
+                <div role="status">
+                    <h2 className="text-2xl font-bold mb-2 text-heading">{tossResult.winner === 'tie' ? t('toss.tie') : usesNames ? t('toss.namedWon', { name: names[tossResult.winner] }) : tossResult.winner === 'player' ? t('toss.youWon') : t('toss.computerWon')}</h2>
+                    <p className="mb-4 text-muted">{tossResult.text}</p>
+                    {match && match.phase === 'choose' && isOnline && match.toss.winner === 'computer' && (
+                        <p className="text-muted">{t('toss.waitingDecision', { name: names.computer })}</p>
+                    )}
+                    {canChoose && (
+                        <div className="flex justify-center gap-4">
+                            <button aria-keyshortcuts="B" className="bg-success hover:brightness-90 text-white font-bold py-2 px-6 rounded-lg" onClick={() => handleTossDecision('bat')}>{t('toss.bat')}</button>
+                            <button aria-keyshortcuts="W" className="bg-primary text-on-primary hover:brightness-90 font-bold py-2 px-6 rounded-lg" onClick={() => handleTossDecision('bowl')}>{t('toss.bowl')}</button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </Dialog>
       )}
 
       {gameOverModalVisible && (
-          <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-60 backdrop-blur-sm">
-              <div className={`rounded-2xl shadow-xl p-8 text-center w-full max-w-sm ${theme === 'dark' ? 'bg-gray-800 text-gray-300' : 'bg-white text-gray-700'}`}>
-                  <h2 className={`text-3xl font-bold mb-2 ${theme === 'dark' ? 'text-blue-50' : 'text-blue-900'}`}>{gameOverResult.title}</h2>
-                  <p className={`mb-6 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>{gameOverResult.message}</p>
-                  <button className="w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 rounded-lg text-lg mb-3" onClick={getMatchAnalysis}>
-                      ✨ Get Match Analysis
+          <Dialog label={gameOverResult.title} className="rounded-2xl shadow-xl p-8 text-center w-full max-w-sm bg-surface text-body">
+              <h2 className="text-3xl font-bold mb-2 text-heading">{gameOverResult.title}</h2>
+              <p className="mb-6 text-muted">{gameOverResult.message}</p>
+              {match && match.daily && (
+                  <div className="mb-3">
+                      <DailyChallenge daily={daily} day={match.daily.id} t={t} />
+                  </div>
+              )}
+              <button className="w-full bg-accent text-on-accent hover:brightness-90 font-bold py-3 rounded-lg text-lg mb-3" onClick={getMatchAnalysis}>
+                  ✨ {t('gameOver.analysis')}
+              </button>
+              {match && match.competition ? (
+                  <button className="w-full bg-primary text-on-primary hover:brightness-90 font-bold py-3 rounded-lg text-lg" onClick={backToTournament}>
+                      🏆 {t('gameOver.backToTournament')}
                   </button>
-                  <button className="w-full bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-3 rounded-lg text-lg" onClick={resetGame}>
-                      Play Again
+              ) : (
+                  <button className="w-full bg-primary text-on-primary hover:brightness-90 font-bold py-3 rounded-lg text-lg" onClick={resetGame}>
+                      {t('gameOver.playAgain')}
                   </button>
-              </div>
-          </div>
+              )}
+          </Dialog>
       )}
 
       {analysisModalVisible && (
-        <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-60 backdrop-blur-sm" onClick={() => setAnalysisModalVisible(false)}>
-             <div className={`rounded-2xl shadow-xl p-8 w-full max-w-sm ${theme === 'dark' ? 'bg-gray-800 text-gray-300' : 'bg-white text-gray-700'}`} onClick={(e) => e.stopPropagation()}>
-                <h2 className={`text-2xl font-bold mb-4 text-center ${theme === 'dark' ? 'text-blue-50' : 'text-blue-900'}`}>Commentator's Corner</h2>
-                {isLoadingAnalysis ? (
-                    <p className={`text-center ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>🎙️ The commentator is checking the tapes...</p>
-                ) : (
-                    <p className={`text-center italic ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{analysis}</p>
-                )}
-             </div>
-        </div>
+        <Dialog label={t('corner.title')} onClose={closeAnalysis} className="rounded-2xl shadow-xl p-8 w-full max-w-sm bg-surface text-body">
+            <h2 className="text-2xl font-bold mb-4 text-center text-heading">{t('corner.title')}</h2>
+            {matchReportShown && (
+                <div className="space-y-3 text-sm">
+                    <p className="text-center font-bold text-base">{matchReportShown.headline}</p>
+                    <div>
+                        {matchReportShown.innings.map(line => <p key={line}>{line}</p>)}
+                    </div>
+                    {matchReportShown.turningPoints.length > 0 && (
+                        <div>
+                            <h3 className="font-bold text-heading">{t('corner.turningPoints')}</h3>
+                            <ul className="list-disc list-inside">
+                                {matchReportShown.turningPoints.map(point => <li key={point}>{point}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                    {matchReportShown.tip && <p className="text-muted">💡 {matchReportShown.tip}</p>}
+                </div>
+            )}
+            {isLoadingAnalysis ? (
+                <p className="text-center mt-4 text-muted">🎙️ {t('corner.loading')}</p>
+            ) : analysis && (
+                <p className="text-center italic mt-4 text-body">🎙️ {analysis}</p>
+            )}
+            {analysisError && (
+                <p className="text-center text-sm mt-4 text-muted">🎙️ {t('corner.error', { error: analysisError })}</p>
+            )}
+        </Dialog>
       )}
 
       {statsModalVisible && (
-          <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-60 backdrop-blur-sm" onClick={() => setStatsModalVisible(false)}>
-              <div className={`rounded-2xl shadow-xl p-8 w-full max-w-md ${theme === 'dark' ? 'bg-gray-800 text-gray-300' : 'bg-white text-gray-700'}`} onClick={(e) => e.stopPropagation()}>
-                  <h2 className={`text-2xl font-bold mb-4 text-center ${theme === 'dark' ? 'text-blue-50' : 'text-blue-900'}`}>Career Stats & Achievements</h2>
-                  <div className="grid grid-cols-3 gap-4 mb-6">
-                      <div className="text-center"><p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Wins</p><p className="text-2xl font-bold">{stats.wins}</p></div>
-                      <div className="text-center"><p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Losses</p><p className="text-2xl font-bold">{stats.losses}</p></div>
-                      <div className="text-center"><p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Draws</p><p className="text-2xl font-bold">{stats.draws || 0}</p></div>
-                  </div>
-                   <div className="grid grid-cols-2 gap-4 mb-6">
-                      <div className="text-center"><p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Highest Score</p><p className="text-2xl font-bold">{stats.highestScore}</p></div>
-                      <div className="text-center"><p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Wickets Taken</p><p className="text-2xl font-bold">{stats.wickets}</p></div>
-                      <div className="text-center col-span-2"><p className={`text-sm ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>Total Runs</p><p className="text-2xl font-bold">{stats.totalRuns}</p></div>
-                  </div>
-                  <h3 className={`text-xl font-bold mb-3 text-center ${theme === 'dark' ? 'text-blue-50' : 'text-blue-900'}`}>Achievements</h3>
-                  <div className="space-y-2 max-h-48 overflow-y-auto">
-                      {Object.values(achievements).map(ach => (
-                          <div key={ach.title} className={`flex items-center gap-4 p-2 rounded-lg ${ach.unlocked ? (theme === 'dark' ? 'bg-green-900 text-green-200' : 'bg-green-100 text-green-800') : (theme === 'dark' ? 'bg-gray-700 text-gray-400' : 'bg-gray-200 text-gray-600')}`}>
-                              <p className="text-2xl">{ach.unlocked ? '🏆' : '🔒'}</p>
-                              <div>
-                                  <h4 className="font-bold">{ach.title}</h4>
-                                  <p className="text-sm">{ach.description}</p>
-                              </div>
-                          </div>
-                      ))}
-                  </div>
+          <Dialog label={t('stats.label')} onClose={() => setStatsModalVisible(false)} className="rounded-2xl shadow-xl p-8 w-full max-w-md max-h-[90vh] overflow-y-auto bg-surface text-body">
+              <h2 className="text-2xl font-bold mb-4 text-center text-heading">{t('stats.title')}</h2>
+              <button onClick={() => { playSound('click'); setStatsModalVisible(false); setPastMatchesVisible(true); }} className="w-full mb-4 bg-primary text-on-primary hover:brightness-90 font-bold py-2 rounded-lg">
+                  📜 {t('stats.pastMatches', { count: matchArchive.length })}
+              </button>
+              <div className="flex gap-2 mb-4">
+                  {[['career', '🏆'], ['analytics', '📈']].map(([tab, icon]) => (
+                      <button key={tab} onClick={() => setStatsTab(tab)} aria-pressed={statsTab === tab} className={`flex-1 py-1 rounded-lg font-semibold ${statsTab === tab ? 'bg-accent text-on-accent' : 'bg-control text-body'}`}>
+                          {icon} {t(`stats.tabs.${tab}`)}
+                      </button>
+                  ))}
               </div>
-          </div>
+              {statsTab === 'analytics' ? (
+                  <AnalyticsPanel records={matchArchive} t={t} />
+              ) : (
+                  <>
+                      <div className="grid grid-cols-3 gap-4 mb-6">
+                          <div className="text-center"><p className="text-sm text-muted">{t('stats.wins')}</p><p className="text-2xl font-bold">{stats.wins}</p></div>
+                          <div className="text-center"><p className="text-sm text-muted">{t('stats.losses')}</p><p className="text-2xl font-bold">{stats.losses}</p>{stats.forfeits > 0 && <p className="text-xs">{t('stats.forfeited', { count: stats.forfeits })}</p>}</div>
+                          <div className="text-center"><p className="text-sm text-muted">{t('stats.draws')}</p><p className="text-2xl font-bold">{stats.draws || 0}</p></div>
+                      </div>
+                       <div className="grid grid-cols-2 gap-4 mb-6">
+                          <div className="text-center"><p className="text-sm text-muted">{t('stats.highestScore')}</p><p className="text-2xl font-bold">{stats.highestScore}</p></div>
+                          <div className="text-center"><p className="text-sm text-muted">{t('stats.wicketsTaken')}</p><p className="text-2xl font-bold">{stats.wickets}</p></div>
+                          <div className="text-center col-span-2"><p className="text-sm text-muted">{t('stats.totalRuns')}</p><p className="text-2xl font-bold">{stats.totalRuns}</p></div>
+                      </div>
+                      <h3 className="text-xl font-bold mb-3 text-center text-heading">{t('stats.achievements')}</h3>
+                      <AchievementList progress={stats.achievements} t={t} />
+                      {Object.keys(hotseatStats).length > 0 && (
+                          <>
+                              <h3 className="text-xl font-bold mt-6 mb-3 text-center text-heading">{t('newMatch.modes.hotseat')}</h3>
+                              <div className="space-y-2 max-h-40 overflow-y-auto">
+                                  {Object.entries(hotseatStats).map(([name, playerStats]) => (
+                                      <div key={name} className="flex items-center justify-between p-2 rounded-lg text-sm bg-raised">
+                                          <span className="font-bold">{name}</span>
+                                          <span>{t('stats.record', { wins: playerStats.wins, losses: playerStats.losses, draws: playerStats.draws })}</span>
+                                          <span>{t('stats.highScore', { score: playerStats.highestScore })}</span>
+                                          <span>🏆 {unlockedCount(playerStats.achievements)}</span>
+                                      </div>
+                                  ))}
+                              </div>
+                          </>
+                      )}
+                  </>
+              )}
+          </Dialog>
+      )}
+      {savedMatch && (
+          <ResumePrompt match={savedMatch.match} onResume={resumeSavedMatch} onAbandon={abandonSavedMatch} t={t} />
       )}
-      <div id="achievement-notification-container" className="fixed bottom-5 left-1/2 -translate-x-1/2 w-full max-w-sm z-50"></div>
+      {tournamentVisible && (
+          <TournamentScreen
+              tournament={tournament}
+              history={tournamentHistory}
+              format={matchFormat}
+              canPlay={!match || match.phase === 'over'}
+              onStart={startTournament}
+              onPlay={playTournamentFixture}
+              onAbandon={() => { playSound('click'); saveTournament(null); }}
+              onClose={() => setTournamentVisible(false)}
+              t={t}
+          />
+      )}
+      {settingsVisible && (
+          <SettingsPanel
+              theme={theme}
+              onThemeChange={changeTheme}
+              customTheme={customTheme}
+              onCustomThemeChange={changeCustomTheme}
+              audio={audio}
+              onAudioChange={changeAudio}
+              commentaryStyle={commentaryStyle}
+              onCommentaryStyleChange={changeCommentaryStyle}
+              commentaryAvailable={Boolean(COMMENTARY_URL)}
+              language={language}
+              onLanguageChange={changeLanguage}
+              pacing={pacing}
+              onPacingChange={changePacing}
+              saveData={currentSaveData()}
+              onRestore={restoreBackup}
+              onResetCareer={resetCareer}
+              onClose={() => setSettingsVisible(false)}
+              t={t}
+          />
+      )}
+      {profilesVisible && (
+          <ProfilesPanel
+              profiles={profiles}
+              careers={careers}
+              onSwitch={changeProfile}
+              onCreate={createProfile}
+              onEdit={editProfile}
+              onDelete={deleteProfile}
+              onClose={() => setProfilesVisible(false)}
+              t={t}
+          />
+      )}
+      {pastMatchesVisible && (
+          <PastMatches records={matchArchive} onWatch={startReplay} onClose={() => setPastMatchesVisible(false)} t={t} />
+      )}
+      <AppStatus offline={offline} update={update} onUpdate={() => applyUpdate(update)} onDismissUpdate={() => setUpdate(null)} t={t} />
+      <Toasts toasts={toasts} onDismiss={dismissToast} t={t} />
+      <div aria-live="polite" className="sr-only">
+          <p key={announcement.id}>{announcement.text}</p>
+      </div>
     </div>
   );
 }
@@ -1,8 +1,20 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+beforeEach(() => localStorage.clear());
+
+test('opens on the new match dialog and starts a match against a persona', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByRole('heading', { name: 'You vs AI' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Mind Reader'));
+  expect(screen.getByText('✊')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'You vs Mind Reader' })).toBeInTheDocument();
+});
+
+test('unmounting before saved data has loaded writes nothing', async () => {
+  const { unmount } = render(<App />);
+  unmount();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(localStorage.getItem('handCricketDataVersion')).toBeNull();
 });
@@ -0,0 +1,133 @@
+import { SOUND_CATEGORIES, SOUND_EVENTS, DEFAULT_AUDIO, soundRecipe } from '../game/sounds';
+
+// --- Sound engine ---
+// Plays the recipes in src/game/sounds.js with the Web Audio API. Each sound
+// runs through its category's gain and then the master gain, so volume
+// changes apply straight away. Browsers only allow audio after the player
+// has interacted with the page, so nothing plays until `resume` has been
+// called from a click or key press. Without Web Audio every call is a no-op.
+
+const NOISE_SECONDS = 2;
+
+const browserAudioContext = () =>
+  (typeof window === 'undefined' ? null : window.AudioContext || window.webkitAudioContext || null);
+
+// One buffer of each colour of noise, reused by every noise layer.
+const fillNoise = (data, color) => {
+  let last = 0;
+  const pink = [0, 0, 0];
+  for (let i = 0; i < data.length; i++) {
+    const white = Math.random() * 2 - 1;
+    if (color === 'brown') {
+      last = (last + 0.02 * white) / 1.02;
+      data[i] = last * 3.5;
+    } else if (color === 'pink') {
+      pink[0] = 0.997 * pink[0] + 0.029591 * white;
+      pink[1] = 0.985 * pink[1] + 0.032534 * white;
+      pink[2] = 0.95 * pink[2] + 0.048056 * white;
+      data[i] = (pink[0] + pink[1] + pink[2] + 0.1848 * white) * 0.5;
+    } else {
+      data[i] = white;
+    }
+  }
+};
+
+export const createSoundEngine = ({ AudioContextClass = browserAudioContext() } = {}) => {
+  let context = null;
+  let master = null;
+  const categories = {};
+  const noiseBuffers = {};
+  let audio = DEFAULT_AUDIO;
+
+  const applyVolumes = () => {
+    if (!context) return;
+    master.gain.value = audio.muted ? 0 : audio.master;
+    SOUND_CATEGORIES.forEach(({ id }) => { categories[id].gain.value = audio.volumes[id]; });
+  };
+
+  const start = () => {
+    if (context || !AudioContextClass) return context;
+    context = new AudioContextClass();
+    master = context.createGain();
+    master.connect(context.destination);
+    SOUND_CATEGORIES.forEach(({ id }) => {
+      categories[id] = context.createGain();
+      categories[id].connect(master);
+    });
+    applyVolumes();
+    return context;
+  };
+
+  const noiseBuffer = (color) => {
+    if (!noiseBuffers[color]) {
+      const buffer = context.createBuffer(1, context.sampleRate * NOISE_SECONDS, context.sampleRate);
+      fillNoise(buffer.getChannelData(0), color);
+      noiseBuffers[color] = buffer;
+    }
+    return noiseBuffers[color];
+  };
+
+  // A quick rise to the layer's gain, then an exponential fade to silence.
+  const envelope = (layer, at) => {
+    const gain = context.createGain();
+    const attack = layer.attack || 0.005;
+    gain.gain.setValueAtTime(0.0001, at);
+    gain.gain.linearRampToValueAtTime(layer.gain, at + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + Math.max(layer.duration, attack + 0.01));
+    return gain;
+  };
+
+  const playLayer = (layer, when, output) => {
+    const at = when + (layer.start || 0);
+    const gain = envelope(layer, at);
+    let source;
+    if (layer.type === 'tone') {
+      source = context.createOscillator();
+      source.type = layer.wave;
+      source.frequency.setValueAtTime(layer.freq, at);
+      if (layer.to) source.frequency.exponentialRampToValueAtTime(layer.to, at + layer.duration);
+    } else {
+      source = context.createBufferSource();
+      source.buffer = noiseBuffer(layer.color);
+      source.loop = true;
+    }
+    let chain = source;
+    if (layer.filter) {
+      const filter = context.createBiquadFilter();
+      filter.type = layer.filter.type;
+      filter.frequency.value = layer.filter.freq;
+      if (layer.filter.q) filter.Q.value = layer.filter.q;
+      chain.connect(filter);
+      chain = filter;
+    }
+    chain.connect(gain);
+    gain.connect(output);
+    source.start(at);
+    source.stop(at + layer.duration + 0.05);
+  };
+
+  const play = (name) => {
+    if (audio.muted || !context || context.state !== 'running') return;
+    const recipe = soundRecipe(audio.pack, name);
+    if (!recipe) return;
+    const when = context.currentTime + 0.01;
+    recipe.forEach(layer => playLayer(layer, when, categories[SOUND_EVENTS[name]]));
+  };
+
+  // Call from a click or key press; browsers keep audio suspended until then.
+  const resume = () => {
+    if (start() && context.state === 'suspended') context.resume();
+  };
+
+  const configure = (next) => {
+    audio = next;
+    applyVolumes();
+  };
+
+  const close = () => {
+    if (context) context.close();
+    context = null;
+  };
+
+  return { play, resume, configure, close };
+};
@@ -0,0 +1,40 @@
+import React from 'react';
+import { ACHIEVEMENTS, achievementStatus, tierName } from '../game/achievements';
+import { getTranslator } from '../game/i18n';
+
+const TIER_MEDALS = ['🥉', '🥈', '🥇'];
+
+// --- Achievements list: tiers, progress towards the next one and unlock dates ---
+export default function AchievementList({ progress = {}, t = getTranslator() }) {
+  const statuses = ACHIEVEMENTS.map(achievement => achievementStatus(achievement, progress[achievement.id], t));
+  const unlockedClass = 'bg-success-soft text-body';
+  const lockedClass = 'bg-control text-muted';
+
+  return (
+    <div className="space-y-2 max-h-48 overflow-y-auto">
+      <p className="text-sm text-center">{t('achievementList.unlocked', { unlocked: statuses.filter(s => s.tier > 0).length, count: statuses.length })}</p>
+      {statuses.map(status => {
+        const { achievement, tier } = status;
+        const tiered = achievement.tiers.length > 1;
+        return (
+          <div key={achievement.id} className={`flex items-center gap-4 p-2 rounded-lg text-left ${tier > 0 ? unlockedClass : lockedClass}`}>
+            <p className="text-2xl">{status.hidden ? '❔' : tier === 0 ? '🔒' : tiered ? TIER_MEDALS[tier - 1] : achievement.icon}</p>
+            <div className="flex-1">
+              <h4 className="font-bold">{status.hidden ? t('achievementList.hidden') : status.title}</h4>
+              <p className="text-sm">{status.hidden ? t('achievementList.hiddenHint') : status.description}</p>
+              {!status.hidden && !status.complete && status.target > 1 && (
+                <div className="flex items-center gap-2 text-xs" aria-label={t('achievementList.progress', { title: status.title, progress: status.progressLabel })}>
+                  <div className="flex-1 h-1.5 rounded-full bg-control-hover">
+                    <div className="h-1.5 rounded-full bg-accent" style={{ width: `${(status.count / status.target) * 100}%` }} />
+                  </div>
+                  <span>{tiered ? t('achievementList.toTier', { progress: status.progressLabel, tier: tierName(tier + 1, t) }) : status.progressLabel}</span>
+                </div>
+              )}
+              {status.unlockedAt && <p className="text-xs opacity-75">{t('achievementList.unlockedOn', { date: t.date(status.unlockedAt) })}</p>}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { careerAnalytics, FORM_LENGTH } from '../game/analytics';
+import { PERSONAS, personaName } from '../game/personas';
+import { opponentLabel, filterMatches, ruleSetsOf } from '../game/archive';
+import { rulesFromKey, rulesLabel } from '../game/rules';
+import { getTranslator } from '../game/i18n';
+import { resultLabel } from './Scorecard';
+import MatchCharts from './MatchCharts';
+
+const FORM_COLOURS = { win: 'bg-success', loss: 'bg-danger', draw: 'bg-neutral' };
+
+const figure = (value, t, digits = 1) => (value === null ? '–' : t.number(value, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+const winRate = (tally, t) => (tally.played ? t.number(tally.won / tally.played, { style: 'percent' }) : '–');
+
+// --- Analytics: career figures from the match archive, plus match charts ---
+// Career figures only count matches against the computer, optionally under
+// one rule set; the charts work for any archived match.
+export default function AnalyticsPanel({ records, t = getTranslator() }) {
+  const [chartMatchId, setChartMatchId] = useState(records.length ? records[0].id : null);
+  const [rules, setRules] = useState('all');
+  const ruleSets = ruleSetsOf(records);
+  const analytics = careerAnalytics(filterMatches(records, { rules }));
+  const chartMatch = records.find(record => record.id === chartMatchId);
+  const mutedClass = 'text-muted';
+  const headingClass = 'font-bold mb-2 text-heading';
+  const boxClass = 'rounded-lg p-2 bg-raised';
+  const rowClass = 'flex justify-between text-sm';
+
+  if (records.length === 0) {
+    return <p className={`text-center text-sm ${mutedClass}`}>{t('analytics.empty')}</p>;
+  }
+
+  const usageBars = (counts, color) => {
+    const total = counts.reduce((sum, n) => sum + n, 0);
+    return counts.map((n, index) => (
+      <div key={index} className="flex items-center gap-2 text-xs">
+        <span className="w-3 font-bold">{index + 1}</span>
+        <div className="flex-1 h-2 rounded-full bg-control-hover">
+          <div className={`h-2 rounded-full ${color}`} style={{ width: `${total ? (n / total) * 100 : 0}%` }} />
+        </div>
+        <span className="w-8 text-right">{t.number(total ? n / total : 0, { style: 'percent' })}</span>
+      </div>
+    ));
+  };
+
+  const tallyRow = (label, tally) => (
+    <div key={label} className={rowClass}>
+      <span>{label}</span>
+      <span>{tally.played ? `${t('stats.record', { wins: tally.won, losses: tally.lost, draws: tally.drawn })} · ${winRate(tally, t)}` : t('analytics.notPlayed')}</span>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4 text-left">
+      {ruleSets.length > 1 && (
+        <select aria-label={t('rules.label')} value={rules} onChange={(e) => setRules(e.target.value)} className="w-full rounded p-1 text-sm bg-raised text-body">
+          <option value="all">{t('rules.any')}</option>
+          {ruleSets.map(key => <option key={key} value={key}>{rulesLabel(rulesFromKey(key), t)}</option>)}
+        </select>
+      )}
+      {analytics.played > 0 && (
+        <>
+          <div className="grid grid-cols-3 gap-2 text-center">
+            <div className={boxClass}><p className={`text-xs ${mutedClass}`}>{t('analytics.average')}</p><p className="text-xl font-bold">{figure(analytics.average, t)}</p></div>
+            <div className={boxClass}><p className={`text-xs ${mutedClass}`}>{t('analytics.strikeRate')}</p><p className="text-xl font-bold">{figure(analytics.strikeRate, t)}</p></div>
+            <div className={boxClass}><p className={`text-xs ${mutedClass}`}>{t('analytics.outEvery')}</p><p className="text-xl font-bold">{analytics.dismissals ? t('analytics.ballsShort', { balls: figure(analytics.ballsFaced / analytics.dismissals, t) }) : '–'}</p></div>
+          </div>
+          <p className={`text-xs text-center ${mutedClass}`}>
+            {t('analytics.summary', {
+              runs: t('analytics.runs', { count: analytics.runs }),
+              balls: t('analytics.balls', { count: analytics.ballsFaced }),
+              outs: t('analytics.outs', { count: analytics.dismissals }),
+              rate: figure(analytics.dismissalRate, t),
+            })}
+          </p>
+
+          <div>
+            <h3 className={headingClass}>{t('analytics.recentForm')}</h3>
+            <div className="flex gap-1" aria-label={t('analytics.lastResults', { count: FORM_LENGTH })}>
+              {analytics.form.map((result, index) => (
+                <span key={index} className={`w-6 h-6 flex items-center justify-center rounded text-xs font-bold text-white ${FORM_COLOURS[result]}`}>{t(`analytics.badges.${result}`)}</span>
+              ))}
+            </div>
+            <p className="text-sm mt-2">
+              {t(`analytics.streak.${analytics.currentStreak.result}`, { count: analytics.currentStreak.length })}
+              {' · '}{t('analytics.streaks', { best: analytics.longestWinStreak, unbeaten: analytics.longestUnbeaten })}
+            </p>
+          </div>
+
+          <div>
+            <h3 className={headingClass}>{t('analytics.results')}</h3>
+            <div className="space-y-1">
+              {Object.values(PERSONAS).map(persona => tallyRow(`${persona.emoji} ${personaName(persona, t)}`, analytics.byOpponent[persona.id] || { played: 0 }))}
+            </div>
+            <div className="space-y-1 mt-2 pt-2 border-t border-line">
+              {tallyRow(`🏏 ${t('analytics.battedFirst')}`, analytics.byInnings.battedFirst)}
+              {tallyRow(`🎯 ${t('analytics.bowledFirst')}`, analytics.byInnings.bowledFirst)}
+            </div>
+          </div>
+
+          <div>
+            <h3 className={headingClass}>{t('analytics.yourNumbers')}</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <div><p className={`text-xs mb-1 ${mutedClass}`}>{t('analytics.batting')}</p>{usageBars(analytics.usage.batting, 'bg-accent')}</div>
+              <div><p className={`text-xs mb-1 ${mutedClass}`}>{t('analytics.bowling')}</p>{usageBars(analytics.usage.bowling, 'bg-primary')}</div>
+            </div>
+          </div>
+        </>
+      )}
+
+      <div>
+        <h3 className={headingClass}>{t('analytics.charts')}</h3>
+        <select aria-label={t('analytics.chartMatch')} value={chartMatchId || ''} onChange={(e) => setChartMatchId(e.target.value)} className="w-full rounded p-1 mb-2 text-sm bg-raised text-body">
+          {records.map(record => (
+            <option key={record.id} value={record.id}>
+              {`${t.date(record.playedAt)} · ${opponentLabel(record, t)} · ${resultLabel(record, t)}`}
+            </option>
+          ))}
+        </select>
+        {chartMatch && <MatchCharts record={chartMatch} t={t} />}
+      </div>
+    </div>
+  );
+}
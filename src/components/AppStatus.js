@@ -0,0 +1,24 @@
+import React from 'react';
+import { getTranslator } from '../game/i18n';
+
+// --- Offline notice and update prompt, pinned to the top of the screen ---
+// `update` is the service worker registration with a new build waiting.
+export default function AppStatus({ offline, update, onUpdate, onDismissUpdate, t = getTranslator() }) {
+  if (!offline && !update) return null;
+  return (
+    <div className="fixed top-0 inset-x-0 z-40 flex flex-col items-center gap-2 p-2 pointer-events-none">
+      {offline && (
+        <p role="status" className="pointer-events-auto rounded-full px-4 py-1 text-sm shadow bg-raised text-body">
+          📴 {t('status.offline')}
+        </p>
+      )}
+      {update && (
+        <div role="alert" className="pointer-events-auto flex items-center gap-3 rounded-lg px-4 py-2 text-sm shadow bg-surface text-body border-t-4 border-frame">
+          <span>🆕 {t('status.update')}</span>
+          <button onClick={onUpdate} className="bg-primary text-on-primary hover:brightness-90 font-bold py-1 px-3 rounded-lg">{t('status.reload')}</button>
+          <button onClick={onDismissUpdate} className="text-muted hover:underline">{t('status.later')}</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+import { listenToOverlay } from '../online/overlayChannel';
+import { getTranslator } from '../game/i18n';
+
+// How long each banner is on screen; matches `animate-banner` in tailwind.config.js.
+export const BANNER_MS = 3000;
+
+const BANNER_COLOURS = {
+  out: 'bg-red-600 text-white',
+  notOut: 'bg-green-600 text-white',
+  milestone: 'bg-yellow-500 text-yellow-900',
+  superOver: 'bg-yellow-500 text-yellow-900',
+  result: 'bg-slate-900 text-white',
+};
+
+const markClass = (mark) => {
+  if (mark === 'W') return 'bg-red-600 text-white';
+  if (mark === '4' || mark === '6') return 'bg-yellow-500 text-yellow-900';
+  return 'bg-white/15 text-white';
+};
+
+// Under the last six balls: the result, the chase, or what the next ball is.
+const statusLine = (snapshot, t) => {
+  if (snapshot.winner) return t('results.won', { name: snapshot.winner });
+  if (snapshot.drawn) return t('results.drawn');
+  if (snapshot.freeHit) return t('scoreboard.freeHit');
+  if (snapshot.need !== null && snapshot.ballsLeft !== null) return t('scoreboard.needFrom', { need: snapshot.need, count: snapshot.ballsLeft });
+  if (snapshot.need !== null) return t('scoreboard.need', { need: snapshot.need });
+  if (snapshot.target) return `${t('scoreboard.target')} ${t.number(snapshot.target)}`;
+  return '';
+};
+
+// --- Streaming overlay ---
+// The page at /overlay: a TV-style score bug and banners on a transparent
+// background, for streaming software to lay over a capture of the game. The
+// game tab sends it everything through src/online/overlayChannel.js.
+export default function BroadcastOverlay() {
+  const [snapshot, setSnapshot] = useState(null);
+  const [banners, setBanners] = useState([]);
+  const t = getTranslator(snapshot ? snapshot.language : undefined);
+
+  useEffect(() => {
+    document.body.style.background = 'transparent';
+    return listenToOverlay((message) => {
+      if (message.type === 'state') setSnapshot(message.state);
+      if (message.type === 'banner') setBanners(prev => [...prev, message.banner]);
+    });
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = t.locale;
+  }, [t.locale]);
+
+  // One banner at a time; the rest wait their turn.
+  useEffect(() => {
+    if (banners.length === 0) return undefined;
+    const timer = setTimeout(() => setBanners(prev => prev.slice(1)), BANNER_MS);
+    return () => clearTimeout(timer);
+  }, [banners]);
+
+  const banner = banners[0];
+  const live = snapshot && snapshot.batting;
+
+  return (
+    <div className="min-h-screen p-4 flex flex-col justify-between font-sans">
+      <div className="flex justify-center" aria-live="assertive">
+        {banner && (
+          <div key={banner.id} className={`motion-safe:animate-banner px-10 py-4 rounded-xl shadow-2xl text-center ${BANNER_COLOURS[banner.kind] || BANNER_COLOURS.result}`}>
+            <p className="text-5xl font-black uppercase tracking-wide">{banner.title}</p>
+            {banner.detail && <p className="text-xl font-semibold mt-1">{banner.detail}</p>}
+          </div>
+        )}
+      </div>
+
+      {live && (
+        <div className="self-start flex items-stretch rounded-lg overflow-hidden shadow-2xl text-white bg-slate-900/90">
+          <div className="px-4 py-2 flex flex-col justify-center bg-slate-700">
+            <p className="text-xs uppercase text-white/70">{snapshot.superOver ? t('scoreboard.superOver') : t('scoreboard.versus', { player: snapshot.names.player, opponent: snapshot.names.computer })}</p>
+            <p className="text-lg font-bold">{snapshot.batting}</p>
+          </div>
+          <div className="px-4 py-2 flex flex-col justify-center">
+            <p className="text-3xl font-black tabular-nums">{t.number(snapshot.runs)}/{t.number(snapshot.wickets)}</p>
+            <p className="text-xs text-white/70">{t('scoreboard.overs', { overs: snapshot.maxOvers ? `${snapshot.overs}/${snapshot.maxOvers}` : snapshot.overs })}</p>
+          </div>
+          <div className="px-4 py-2 flex flex-col justify-center gap-1 border-l border-white/10">
+            <div className="flex gap-1" aria-label={snapshot.lastBalls.join(' ')}>
+              {snapshot.lastBalls.map((mark, index) => (
+                <span key={index} className={`min-w-[1.75rem] h-7 px-1 rounded-full flex items-center justify-center text-sm font-bold ${markClass(mark)}`}>{mark}</span>
+              ))}
+            </div>
+            <p className="text-xs text-white/70">{statusLine(snapshot, t)}</p>
+          </div>
+          {snapshot.hands && (
+            <div className="px-4 py-2 flex items-center gap-2 text-3xl bg-slate-700" aria-label={`${snapshot.hands.batting} ${snapshot.hands.bowling}`}>
+              <span>{snapshot.hands.batting}</span>
+              <span className="text-sm text-white/70">v</span>
+              <span>{snapshot.hands.bowling}</span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { dayKey, dailyNumber, dailyResult, dailyStreak, dailyOutcome, dailyMatchLine, dailyShareText } from '../game/daily';
+import { getTranslator } from '../game/i18n';
+
+// --- Daily challenge card: play today's chase, or share how it went ---
+// Without `onPlay` it only reports, as in the game-over dialog.
+export default function DailyChallenge({ daily, day = dayKey(), onPlay = null, t = getTranslator() }) {
+  const [copied, setCopied] = useState(false);
+  const [copyError, setCopyError] = useState('');
+  const entry = dailyResult(daily, day);
+  const streak = dailyStreak(daily, day);
+  const mutedClass = 'text-muted';
+  const buttonClass = 'w-full font-bold py-2 rounded-lg hover:brightness-90';
+
+  const copyResult = async () => {
+    try {
+      await navigator.clipboard.writeText(dailyShareText(entry, streak, t));
+      setCopied(true);
+    } catch (error) {
+      setCopyError(t('daily.copyBlocked'));
+    }
+  };
+
+  const streakLine = (
+    <p className={`text-xs ${mutedClass}`}>
+      🔥 {t('daily.streak', { streak, best: Math.max(streak, daily.bestStreak) })}
+    </p>
+  );
+
+  if (!entry) {
+    return (
+      <div className="rounded-lg p-3 space-y-2 text-left text-sm bg-raised text-body">
+        <p className="font-bold">📅 {t('daily.title', { number: dailyNumber(day) })}</p>
+        <p className={mutedClass}>{t('daily.intro')}</p>
+        {streakLine}
+        {onPlay && <button onClick={onPlay} className={`${buttonClass} bg-success text-white`}>{t('daily.play')}</button>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-lg p-3 space-y-2 text-left text-sm bg-raised text-body">
+      <p className="font-bold">📅 {t('daily.title', { number: entry.number })}</p>
+      <p className={mutedClass}>{dailyMatchLine(entry, t)}</p>
+      {entry.result ? (
+        <>
+          <p className="font-semibold">{dailyOutcome(entry, t)}</p>
+          {streakLine}
+          <button onClick={copyResult} className={`${buttonClass} bg-neutral text-white`}>{copied ? `✅ ${t('daily.copied')}` : `📋 ${t('daily.copy')}`}</button>
+          {copyError && <p className="text-danger">{copyError}</p>}
+        </>
+      ) : (
+        <p className="font-semibold">{t('daily.inProgress')}</p>
+      )}
+      {onPlay && entry.result && <p className={`text-xs ${mutedClass}`}>{t('daily.tomorrow')}</p>}
+    </div>
+  );
+}
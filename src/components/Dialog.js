@@ -0,0 +1,91 @@
+import React, { useEffect, useRef } from 'react';
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Open dialogs, innermost last. Only the top one takes keys and focus.
+const openDialogs = [];
+export const isDialogOpen = () => openDialogs.length > 0;
+
+// The key a shortcut should act on, lower-cased, or null when the key is
+// being typed into a field or held with a modifier.
+export const shortcutKey = (e) => {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return null;
+  if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable="true"]')) return null;
+  return e.key.toLowerCase();
+};
+
+// --- Modal dialog ---
+// Moves focus inside when it opens and back where it was when it closes, and
+// keeps Tab within it. Escape and a click outside call `onClose`; dialogs
+// without one can only be left through their own buttons. `keys` maps
+// lower-case keys to actions, such as the toss shortcuts. Every dialog is
+// edged in the theme's frame colour.
+export default function Dialog({ label, onClose, keys, className, children }) {
+  const panel = useRef(null);
+  const token = useRef({});
+  const handlers = useRef({});
+  handlers.current = { onClose, keys };
+
+  useEffect(() => {
+    const self = token.current;
+    const previous = document.activeElement;
+    openDialogs.push(self);
+
+    const onKeyDown = (e) => {
+      if (openDialogs[openDialogs.length - 1] !== self) return;
+      const { onClose: close, keys: actions } = handlers.current;
+      if (e.key === 'Escape') {
+        if (close) {
+          e.preventDefault();
+          close();
+        }
+        return;
+      }
+      if (e.key === 'Tab') {
+        const focusable = [...panel.current.querySelectorAll(FOCUSABLE)];
+        if (focusable.length === 0) {
+          e.preventDefault();
+          return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = panel.current.contains(document.activeElement);
+        if (e.shiftKey && (!inside || document.activeElement === first)) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+          e.preventDefault();
+          first.focus();
+        }
+        return;
+      }
+      const key = shortcutKey(e);
+      if (actions && key && actions[key]) {
+        e.preventDefault();
+        actions[key]();
+      }
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      openDialogs.splice(openDialogs.indexOf(self), 1);
+      if (previous && previous.focus && document.contains(previous)) previous.focus();
+    };
+  }, []);
+
+  // Focus the first control on opening, and again whenever the focused one
+  // goes away, e.g. when the toss hands give way to Bat and Bowl.
+  useEffect(() => {
+    if (openDialogs[openDialogs.length - 1] !== token.current || panel.current.contains(document.activeElement)) return;
+    (panel.current.querySelector(FOCUSABLE) || panel.current).focus();
+  });
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-60 backdrop-blur-sm" onClick={onClose}>
+      <div ref={panel} role="dialog" aria-modal="true" aria-label={label} tabIndex={-1} className={`border-t-4 border-frame ${className}`} onClick={(e) => e.stopPropagation()}>
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { currentInnings, DEFAULT_PLAYERS } from '../game/engine';
+import { getTranslator } from '../game/i18n';
+
+export const GESTURES = { 0: '✊', 1: '☝️', 2: '✌️', 3: '🤟', 4: '🖖', 5: '🖐️', 6: '👍' };
+
+const FIST = GESTURES[0];
+
+// --- The two hands of the current ball ---
+// `beat` is the countdown before a reveal ('1', '2', '3', 'shoot'): both
+// hands show a fist and pump in time. Each new gesture flips in.
+export default function GesturePanels({ match, playerChoice, computerChoice, beat = null, beatMs = 0, reducedMotion = false, t = getTranslator() }) {
+  const innings = match ? currentInnings(match) : null;
+  const usesNames = match ? match.mode !== 'ai' : false;
+  const names = match ? match.players : DEFAULT_PLAYERS;
+  const isPlayerBatting = innings ? innings.batting === 'player' : false;
+  const panelClass = 'rounded-lg p-3 flex flex-col items-center justify-center bg-raised [perspective:600px]';
+  const labelClass = 'font-semibold mb-1 text-body';
+
+  const hand = (choice) => (beat ? (
+    <p key={`beat-${beat}`} className={`text-4xl ${reducedMotion ? '' : 'animate-pump'}`} style={{ animationDuration: `${beatMs}ms` }}>{FIST}</p>
+  ) : (
+    <p key={choice} className={`text-4xl ${reducedMotion || choice === '?' ? '' : 'animate-flip'}`}>{choice}</p>
+  ));
+
+  return (
+    <div className="relative grid grid-cols-2 gap-4 mb-4 min-h-[100px]">
+        <div className={panelClass}>
+            <p className={labelClass}>{usesNames ? t(isPlayerBatting ? 'hands.namedShot' : 'hands.namedBall', { name: names.player }) : isPlayerBatting ? t('hands.yourShot') : t('hands.yourBall')}</p>
+            {hand(playerChoice)}
+        </div>
+        <div className={panelClass}>
+            <p className={labelClass}>{usesNames ? t(isPlayerBatting ? 'hands.namedBall' : 'hands.namedShot', { name: names.computer }) : isPlayerBatting ? t('hands.bowlersBall') : t('hands.batsmansShot')}</p>
+            {hand(computerChoice)}
+        </div>
+        {beat && (
+            <p key={beat} aria-hidden="true" className={`absolute inset-x-0 -bottom-3 mx-auto w-fit px-3 rounded-full text-sm font-black uppercase bg-accent text-on-accent ${reducedMotion ? '' : 'animate-pop'}`}>
+                {beat === 'shoot' ? t('hands.shoot') : t.number(Number(beat))}
+            </p>
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import React from 'react';
+import { getTranslator } from '../game/i18n';
+
+// --- Pass-and-play hand-over prompt ---
+// Shown in place of a pick (number grid or toss hands) until the named player
+// has the device, so nobody sees the other player's choice being made.
+export default function HandoverPanel({ name, onReady, t = getTranslator() }) {
+  return (
+    <div className="rounded-lg p-4 text-center bg-raised">
+      <p className="text-4xl mb-2">📱</p>
+      <p className="font-semibold mb-3 text-body">{t('handover.pass', { name })}</p>
+      <button onClick={onReady} className="bg-primary text-on-primary hover:brightness-90 font-bold py-2 px-6 rounded-lg">
+        {t('handover.ready', { name })}
+      </button>
+    </div>
+  );
+}
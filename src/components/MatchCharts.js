@@ -0,0 +1,122 @@
+import React from 'react';
+import { wormData, manhattanData, mainInnings } from '../game/analytics';
+import { getTranslator } from '../game/i18n';
+import { sideNames } from './Scorecard';
+
+// --- Per-match charts, drawn as plain SVG ---
+// Worm: running total ball by ball, with a dot for each wicket.
+// Manhattan: runs in each over, the two innings side by side.
+const WIDTH = 300;
+const HEIGHT = 140;
+const PAD = { top: 16, right: 8, bottom: 20, left: 28 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+// Each side in its team colour from the theme: the player in the accent, the
+// opponent in the primary.
+const SIDE_CLASSES = {
+  player: { line: 'stroke-accent', bar: 'fill-accent', key: 'bg-accent' },
+  computer: { line: 'stroke-primary', bar: 'fill-primary', key: 'bg-primary' },
+};
+
+// Round axis maximum with about four gridlines.
+const axisMax = (value) => {
+  const step = Math.max(1, Math.ceil(value / 4));
+  return { max: step * Math.max(1, Math.ceil(value / step)), step };
+};
+
+const Axes = ({ max, step, xLabel }) => {
+  const ticks = [];
+  for (let value = 0; value <= max; value += step) ticks.push(value);
+  return (
+    <g fontSize="9" className="fill-muted">
+      {ticks.map(value => {
+        const y = PAD.top + PLOT_H - (value / max) * PLOT_H;
+        return (
+          <g key={value}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y} y2={y} className="stroke-line" strokeWidth="0.5" />
+            <text x={PAD.left - 4} y={y + 3} textAnchor="end">{value}</text>
+          </g>
+        );
+      })}
+      <text x={PAD.left + PLOT_W / 2} y={HEIGHT - 4} textAnchor="middle">{xLabel}</text>
+    </g>
+  );
+};
+
+const Legend = ({ record, t }) => {
+  const names = sideNames(record, t);
+  return (
+    <div className="flex justify-center gap-4 text-xs">
+      {mainInnings(record).map(({ batting }) => (
+        <span key={batting} className="flex items-center gap-1">
+          <span className={`inline-block w-3 h-3 rounded-sm ${SIDE_CLASSES[batting].key}`} />
+          {names[batting]}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+const WormChart = ({ record, t }) => {
+  const worms = wormData(record);
+  const longest = Math.max(1, ...worms.map(w => w.points.length - 1));
+  const { max, step } = axisMax(Math.max(1, ...worms.map(w => w.points[w.points.length - 1].runs)));
+  const x = (ball) => PAD.left + (ball / longest) * PLOT_W;
+  const y = (runs) => PAD.top + PLOT_H - (runs / max) * PLOT_H;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label={t('charts.wormLabel')}>
+      <Axes max={max} step={step} xLabel={t('charts.balls')} />
+      {worms.map(({ batting, points }) => (
+        <g key={batting}>
+          <polyline points={points.map(p => `${x(p.ball)},${y(p.runs)}`).join(' ')} fill="none" className={SIDE_CLASSES[batting].line} strokeWidth="2" strokeLinejoin="round" />
+          {points.filter(p => p.wicket).map(p => (
+            <circle key={p.ball} cx={x(p.ball)} cy={y(p.runs)} r="3" className="fill-danger stroke-surface" strokeWidth="0.5" />
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+const ManhattanChart = ({ record, t }) => {
+  const innings = manhattanData(record);
+  const overCount = Math.max(1, ...innings.map(i => i.overs.length));
+  const { max, step } = axisMax(Math.max(1, ...innings.flatMap(i => i.overs.map(o => o.runs))));
+  const slot = PLOT_W / overCount;
+  const barWidth = (slot * 0.8) / Math.max(1, innings.length);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label={t('charts.manhattanLabel')}>
+      <Axes max={max} step={step} xLabel={t('charts.overs')} />
+      {innings.map(({ batting, overs }, index) => overs.map(over => {
+        const height = (over.runs / max) * PLOT_H;
+        const left = PAD.left + (over.over - 1) * slot + slot * 0.1 + index * barWidth;
+        return (
+          <g key={`${batting}-${over.over}`}>
+            <rect x={left} y={PAD.top + PLOT_H - height} width={barWidth} height={height} className={SIDE_CLASSES[batting].bar}>
+              <title>{t('charts.over', { over: over.over, runs: t('analytics.runs', { count: over.runs }), wickets: t('formats.wickets', { count: over.wickets }) })}</title>
+            </rect>
+            {Array.from({ length: over.wickets }, (_, w) => (
+              <circle key={w} cx={left + barWidth / 2} cy={PAD.top + PLOT_H - height - 4 - w * 6} r="2.5" className="fill-danger" />
+            ))}
+          </g>
+        );
+      }))}
+    </svg>
+  );
+};
+
+export default function MatchCharts({ record, t = getTranslator() }) {
+  const headingClass = 'text-sm font-semibold text-heading';
+  return (
+    <div className="space-y-2">
+      <Legend record={record} t={t} />
+      <h4 className={headingClass}>{t('charts.worm')}</h4>
+      <WormChart record={record} t={t} />
+      <h4 className={headingClass}>{t('charts.manhattan')}</h4>
+      <ManhattanChart record={record} t={t} />
+      <p className="text-xs opacity-75">{t('charts.wicketDots')}</p>
+    </div>
+  );
+}
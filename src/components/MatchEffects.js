@@ -0,0 +1,53 @@
+import React from 'react';
+
+// How long the effects below are worth keeping on screen.
+export const WICKET_FALL_MS = 1200;
+export const CONFETTI_MS = 1800;
+
+const STUMPS = [{ left: '35%', tilt: '-28deg' }, { left: '48%', tilt: '6deg' }, { left: '61%', tilt: '32deg' }];
+const BAILS = [{ left: '38%', drift: '-60px', spin: '-260deg' }, { left: '54%', drift: '70px', spin: '300deg' }];
+
+// --- Wicket falling ---
+// Three stumps knocked over, bails flying, laid over the hands. Decoration
+// only: the wicket itself is in the message and the commentary.
+export function WicketFall() {
+  return (
+    <div aria-hidden="true" className="pointer-events-none absolute inset-0 z-10">
+      <div className="absolute bottom-2 left-1/2 -translate-x-1/2 w-24 h-20">
+        {STUMPS.map(stump => (
+          <span key={stump.left} className="absolute bottom-0 w-1.5 h-16 rounded-sm origin-bottom animate-topple bg-danger" style={{ left: stump.left, '--tilt': stump.tilt }} />
+        ))}
+        {BAILS.map(bail => (
+          <span key={bail.left} className="absolute top-3 w-5 h-1 rounded-sm animate-bail bg-danger" style={{ left: bail.left, '--drift': bail.drift, '--spin': bail.spin }} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// The pieces are spread evenly rather than at random, so every burst looks
+// the same and nothing changes between renders.
+const CONFETTI_COLOURS = ['bg-primary', 'bg-accent', 'bg-success', 'bg-danger', 'bg-score'];
+const PIECES = Array.from({ length: 28 }, (_, index) => ({
+  left: `${(index * 37) % 100}%`,
+  drift: `${((index * 53) % 120) - 60}px`,
+  spin: `${((index * 97) % 720) - 360}deg`,
+  delay: `${(index % 7) * 60}ms`,
+  colour: CONFETTI_COLOURS[index % CONFETTI_COLOURS.length],
+}));
+
+// --- Confetti ---
+// A burst from the top of the card for a fifty or a hundred.
+export function Confetti() {
+  return (
+    <div aria-hidden="true" className="pointer-events-none absolute inset-0 z-20 overflow-hidden rounded-2xl">
+      {PIECES.map((piece, index) => (
+        <span
+          key={index}
+          className={`absolute -top-2 w-2 h-3 rounded-sm animate-confetti ${piece.colour}`}
+          style={{ left: piece.left, animationDelay: piece.delay, '--drift': piece.drift, '--spin': piece.spin }}
+        />
+      ))}
+    </div>
+  );
+}
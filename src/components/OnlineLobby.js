@@ -0,0 +1,32 @@
+import React, { useState } from 'react';
+import { getTranslator } from '../game/i18n';
+
+// --- Online lobby: create a room or join one with its short code ---
+export default function OnlineLobby({ online, name, onNameChange, onCreate, onJoin, onCancel, t = getTranslator() }) {
+  const [code, setCode] = useState('');
+  const inputClass = 'rounded-lg p-2 text-center bg-raised text-body';
+  const mutedClass = 'text-muted';
+
+  if (online.code) {
+    return (
+      <div className="grid grid-cols-1 gap-3">
+        <p className={mutedClass}>{t('lobby.shareCode')}</p>
+        <p className="text-4xl font-bold tracking-widest text-score">{online.code}</p>
+        <p className={mutedClass}>{online.status === 'connected' ? t('lobby.waiting') : t('lobby.reconnecting')}</p>
+        <button onClick={onCancel} className="bg-neutral hover:brightness-90 text-white font-bold py-2 rounded-lg">{t('common.cancel')}</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 gap-3">
+      <input value={name} maxLength={16} aria-label={t('lobby.name')} placeholder={t('lobby.name')} onChange={(e) => onNameChange(e.target.value)} className={inputClass} />
+      <button onClick={onCreate} disabled={online.status === 'connecting'} className="bg-primary text-on-primary hover:brightness-90 font-bold py-3 rounded-lg">{t('lobby.create')}</button>
+      <div className="flex gap-2">
+        <input value={code} maxLength={4} aria-label={t('lobby.code')} placeholder={t('lobby.codePlaceholder')} onChange={(e) => setCode(e.target.value.toUpperCase())} className={`${inputClass} flex-1 tracking-widest`} />
+        <button onClick={() => onJoin(code)} disabled={code.length !== 4} className="bg-accent text-on-accent hover:brightness-90 disabled:opacity-50 font-bold py-2 px-4 rounded-lg">{t('lobby.join')}</button>
+      </div>
+      {online.status === 'reconnecting' && <p className="text-sm text-danger">{t('lobby.unreachable')}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { DATE_RANGES, filterMatches, opponentKey, opponentLabel, ruleSetsOf } from '../game/archive';
+import { rulesFromKey, rulesLabel } from '../game/rules';
+import { encodeReplay, decodeReplay } from '../game/replay';
+import { formatName } from '../game/formats';
+import { getTranslator } from '../game/i18n';
+import Scorecard, { resultLabel } from './Scorecard';
+import Dialog from './Dialog';
+
+const saveReplayFile = (record) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([encodeReplay(record)], { type: 'text/plain' }));
+  link.download = `hand-cricket-${record.playedAt.slice(0, 10)}.hcr`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+// --- Past Matches: filterable list of archived matches with scorecards ---
+// Any match can be watched again, shared as a replay code or file, and a
+// teammate's code or file can be imported to watch theirs.
+export default function PastMatches({ records, onWatch, onClose, t = getTranslator() }) {
+  const [filters, setFilters] = useState({ result: 'all', opponent: 'all', range: 'all', rules: 'all' });
+  const [selectedId, setSelectedId] = useState(null);
+  const [importCode, setImportCode] = useState('');
+  const [importError, setImportError] = useState('');
+  const [copied, setCopied] = useState(false);
+  const selected = records.find(record => record.id === selectedId);
+  const visible = filterMatches(records, filters);
+  const ruleSets = ruleSetsOf(records);
+
+  const opponents = [];
+  records.forEach(record => {
+    const key = opponentKey(record);
+    if (!opponents.some(([k]) => k === key)) opponents.push([key, record.mode === 'ai' ? opponentLabel(record, t) : `${record.mode === 'online' ? '🌐' : '📱'} ${t(`newMatch.modes.${record.mode}`)}`]);
+  });
+
+  const selectClass = 'rounded p-1 text-sm bg-raised text-body';
+  const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+  const watchCode = (code) => {
+    try {
+      onWatch(decodeReplay(code));
+    } catch (error) {
+      setImportError(t(`errors.${error.code}`, {}, error.message));
+    }
+  };
+
+  const importFile = async (e) => {
+    const [file] = e.target.files;
+    if (file) watchCode(await file.text());
+    e.target.value = '';
+  };
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(encodeReplay(selected));
+      setCopied(true);
+    } catch (error) {
+      setImportError(t('pastMatches.copyBlocked'));
+    }
+  };
+
+  const buttonClass = 'flex-1 font-bold py-2 rounded-lg';
+
+  return (
+    <Dialog label={t('pastMatches.label')} onClose={onClose} className="rounded-2xl shadow-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto bg-surface text-body">
+      <h2 className="text-2xl font-bold mb-4 text-center text-heading">{t('pastMatches.title')}</h2>
+      {selected ? (
+        <>
+          <Scorecard record={selected} t={t} />
+          <button onClick={() => onWatch(selected)} className="w-full mt-4 bg-accent text-on-accent hover:brightness-90 font-bold py-2 rounded-lg">▶️ {t('pastMatches.watch')}</button>
+          <div className="flex gap-2 mt-2">
+            <button onClick={copyCode} className={`${buttonClass} bg-neutral text-white hover:brightness-90`}>{copied ? `✅ ${t('pastMatches.copied')}` : `📋 ${t('pastMatches.copy')}`}</button>
+            <button onClick={() => saveReplayFile(selected)} className={`${buttonClass} bg-neutral text-white hover:brightness-90`}>💾 {t('pastMatches.saveFile')}</button>
+          </div>
+          {importError && <p className="text-sm text-danger mt-2">{importError}</p>}
+          <button onClick={() => { setSelectedId(null); setCopied(false); setImportError(''); }} className="w-full mt-2 bg-primary text-on-primary hover:brightness-90 font-bold py-2 rounded-lg">{t('pastMatches.back')}</button>
+        </>
+      ) : (
+        <>
+          <div className="flex flex-wrap justify-center gap-2 mb-4">
+            <select aria-label={t('pastMatches.result')} value={filters.result} onChange={setFilter('result')} className={selectClass}>
+              <option value="all">{t('pastMatches.allResults')}</option>
+              <option value="win">{t('pastMatches.wins')}</option>
+              <option value="loss">{t('pastMatches.losses')}</option>
+              <option value="draw">{t('pastMatches.draws')}</option>
+            </select>
+            <select aria-label={t('pastMatches.opponent')} value={filters.opponent} onChange={setFilter('opponent')} className={selectClass}>
+              <option value="all">{t('pastMatches.allOpponents')}</option>
+              {opponents.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <select aria-label={t('pastMatches.date')} value={filters.range} onChange={setFilter('range')} className={selectClass}>
+              {Object.keys(DATE_RANGES).map(range => <option key={range} value={range}>{t(`pastMatches.ranges.${range}`)}</option>)}
+            </select>
+            {ruleSets.length > 1 && (
+              <select aria-label={t('rules.label')} value={filters.rules} onChange={setFilter('rules')} className={selectClass}>
+                <option value="all">{t('rules.any')}</option>
+                {ruleSets.map(key => <option key={key} value={key}>{rulesLabel(rulesFromKey(key), t)}</option>)}
+              </select>
+            )}
+          </div>
+          {visible.length === 0 ? (
+            <p className="text-center text-muted">{t('pastMatches.empty')}</p>
+          ) : (
+            <div className="space-y-2">
+              {visible.map(record => (
+                <button key={record.id} onClick={() => setSelectedId(record.id)} className="w-full flex items-center justify-between gap-2 p-2 rounded-lg text-left text-sm bg-raised hover:bg-control">
+                  <span>
+                    <span className="block font-semibold">{opponentLabel(record, t)}</span>
+                    <span className="block text-xs text-muted">{t.date(record.playedAt)} · {formatName(record.format, t)}</span>
+                  </span>
+                  <span className="text-right">
+                    <span className="block font-bold">{record.innings.map(i => `${i.runs}/${i.wickets}`).join(' · ')}</span>
+                    <span className="block text-xs">{resultLabel(record, t)}</span>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="mt-4 pt-4 border-t border-line">
+            <p className="font-semibold mb-2 text-sm">{t('pastMatches.shared')}</p>
+            <div className="flex gap-2">
+              <input value={importCode} aria-label={t('pastMatches.code')} placeholder={t('pastMatches.codePlaceholder')} onChange={(e) => { setImportCode(e.target.value); setImportError(''); }} className={`${selectClass} flex-1 p-2`} />
+              <button onClick={() => watchCode(importCode)} disabled={!importCode.trim()} className="bg-accent text-on-accent hover:brightness-90 disabled:opacity-50 font-bold py-2 px-4 rounded-lg">{t('pastMatches.watchCode')}</button>
+            </div>
+            <label className="block mt-2 text-sm cursor-pointer text-score">
+              📂 {t('pastMatches.openFile')}
+              <input type="file" accept=".hcr,text/plain" onChange={importFile} className="hidden" />
+            </label>
+            {importError && <p className="text-sm text-danger mt-2">{importError}</p>}
+          </div>
+        </>
+      )}
+    </Dialog>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { AVATARS, MAX_NAME_LENGTH, LEADERBOARD_COLUMNS, canAddProfile, profileNameError, leaderboard } from '../game/profiles';
+import { getTranslator } from '../game/i18n';
+import Dialog from './Dialog';
+
+// Name and avatar, for a new profile or one being edited.
+function ProfileForm({ list, profile = null, onSave, onCancel, t }) {
+  const [name, setName] = useState(profile ? profile.name : '');
+  const [avatar, setAvatar] = useState(profile ? profile.avatar : AVATARS[list.profiles.length % AVATARS.length]);
+  const [touched, setTouched] = useState(false);
+  const error = profileNameError(list, name, profile && profile.id);
+
+  const save = (e) => {
+    e.preventDefault();
+    setTouched(true);
+    if (!error) onSave({ name, avatar });
+  };
+
+  return (
+    <form onSubmit={save} className="p-3 rounded-lg space-y-2 bg-raised">
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={MAX_NAME_LENGTH}
+        aria-label={t('profiles.name')}
+        placeholder={t('profiles.name')}
+        className="w-full p-2 rounded-lg bg-control text-body"
+      />
+      {touched && error && <p className="text-sm text-danger">{t(`profiles.errors.${error}`)}</p>}
+      <div className="grid grid-cols-6 gap-1" role="group" aria-label={t('profiles.avatar')}>
+        {AVATARS.map(option => (
+          <button key={option} type="button" onClick={() => setAvatar(option)} aria-pressed={avatar === option} className={`text-xl p-1 rounded-lg ${avatar === option ? 'bg-accent' : 'bg-control'}`}>
+            {option}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" className="flex-1 font-bold py-2 rounded-lg bg-accent text-on-accent hover:brightness-90">{profile ? t('profiles.save') : t('profiles.create')}</button>
+        <button type="button" onClick={onCancel} className="flex-1 font-bold py-2 rounded-lg bg-neutral text-white hover:brightness-90">{t('common.cancel')}</button>
+      </div>
+    </form>
+  );
+}
+
+// --- Profiles ---
+// Who is playing on this device, and how their careers against the computer
+// compare. Deleting a profile asks first.
+export default function ProfilesPanel({ profiles, careers, onSwitch, onCreate, onEdit, onDelete, onClose, t = getTranslator() }) {
+  const [editing, setEditing] = useState(null); // profile id, or 'new'
+  const [confirmingDelete, setConfirmingDelete] = useState(null);
+  const [sortBy, setSortBy] = useState('wins');
+  const rows = leaderboard(profiles, careers, sortBy);
+  const iconButton = 'p-1 rounded-lg hover:bg-control-hover';
+
+  const value = (row, column) => (column === 'winRate' ? t.number(row.winRate, { style: 'percent' }) : t.number(row[column]));
+
+  return (
+    <Dialog label={t('profiles.title')} onClose={onClose} className="rounded-2xl shadow-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto space-y-4 bg-surface text-body">
+      <h2 className="text-2xl font-bold text-center text-heading">👥 {t('profiles.title')}</h2>
+
+      <ul className="space-y-2">
+        {profiles.profiles.map(profile => (
+          <li key={profile.id}>
+            {editing === profile.id ? (
+              <ProfileForm list={profiles} profile={profile} onSave={(details) => { onEdit(profile.id, details); setEditing(null); }} onCancel={() => setEditing(null)} t={t} />
+            ) : (
+              <div className={`flex items-center gap-2 p-2 rounded-lg ${profile.id === profiles.active ? 'bg-success-soft' : 'bg-raised'}`}>
+                <span className="text-2xl">{profile.avatar}</span>
+                <span className="flex-1 font-bold text-left">{profile.name}</span>
+                {profile.id === profiles.active ? (
+                  <span className="text-sm text-muted">{t('profiles.playing')}</span>
+                ) : (
+                  <button onClick={() => onSwitch(profile.id)} className="px-3 py-1 rounded-lg font-semibold bg-primary text-on-primary hover:brightness-90">{t('profiles.play')}</button>
+                )}
+                <button onClick={() => { setEditing(profile.id); setConfirmingDelete(null); }} aria-label={t('profiles.edit', { name: profile.name })} className={iconButton}>✏️</button>
+                {profiles.profiles.length > 1 && (
+                  <button onClick={() => { setConfirmingDelete(profile.id); setEditing(null); }} aria-label={t('profiles.delete', { name: profile.name })} className={iconButton}>🗑️</button>
+                )}
+              </div>
+            )}
+            {confirmingDelete === profile.id && (
+              <div className="mt-2 p-3 rounded-lg text-sm bg-danger-soft text-body">
+                <p>{t('profiles.deleteWarning', { name: profile.name })}</p>
+                <div className="flex gap-2 mt-2">
+                  <button onClick={() => { onDelete(profile.id); setConfirmingDelete(null); }} className="flex-1 font-bold py-2 rounded-lg bg-danger text-white hover:brightness-90">{t('profiles.confirmDelete')}</button>
+                  <button onClick={() => setConfirmingDelete(null)} className="flex-1 font-bold py-2 rounded-lg bg-neutral text-white hover:brightness-90">{t('common.cancel')}</button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {editing === 'new' ? (
+        <ProfileForm list={profiles} onSave={onCreate} onCancel={() => setEditing(null)} t={t} />
+      ) : canAddProfile(profiles) && (
+        <button onClick={() => { setEditing('new'); setConfirmingDelete(null); }} className="w-full font-bold py-2 rounded-lg bg-control text-body hover:bg-control-hover">➕ {t('profiles.new')}</button>
+      )}
+
+      {profiles.profiles.length > 1 && (
+        <div>
+          <h3 className="text-xl font-bold mb-2 text-center text-heading">{t('profiles.leaderboard')}</h3>
+          <div className="grid grid-cols-4 gap-1 mb-2" role="group" aria-label={t('profiles.sortBy')}>
+            {LEADERBOARD_COLUMNS.map(column => (
+              <button key={column} onClick={() => setSortBy(column)} aria-pressed={sortBy === column} className={`py-1 rounded-lg text-xs font-semibold ${sortBy === column ? 'bg-accent text-on-accent' : 'bg-control text-body'}`}>
+                {t(`profiles.columns.${column}`)}
+              </button>
+            ))}
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-muted">
+                <th scope="col" className="text-left font-normal">#</th>
+                <th scope="col" className="text-left font-normal">{t('profiles.player')}</th>
+                {LEADERBOARD_COLUMNS.map(column => (
+                  <th key={column} scope="col" className={`text-right font-normal ${sortBy === column ? 'font-bold text-body' : ''}`}>{t(`profiles.columns.${column}`)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.profile.id}>
+                  <td className="text-left">{t.number(row.rank)}</td>
+                  <td className="text-left font-bold">{row.profile.avatar} {row.profile.name}</td>
+                  {LEADERBOARD_COLUMNS.map(column => (
+                    <td key={column} className={`text-right ${sortBy === column ? 'font-bold' : ''}`}>{value(row, column)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs mt-2 text-muted">{t('profiles.leaderboardNote')}</p>
+        </div>
+      )}
+
+      <button onClick={onClose} className="w-full bg-primary text-on-primary hover:brightness-90 font-bold py-2 rounded-lg">{t('common.done')}</button>
+    </Dialog>
+  );
+}
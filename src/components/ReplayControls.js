@@ -0,0 +1,62 @@
+import React from 'react';
+import { currentInnings } from '../game/engine';
+import { REPLAY_SPEEDS, inningsBreakFrame } from '../game/replay';
+import { getTranslator } from '../game/i18n';
+import { resultLabel } from './Scorecard';
+
+// --- Replay captions ---
+// One line describing what happened on a frame, for the message area and log.
+export const frameCaption = (frame, t = getTranslator()) => {
+  const { state, events } = frame;
+  const named = state.mode !== 'ai';
+  const who = (side) => (named ? state.players[side] : side === 'player' ? t('sides.you') : t('sides.computer'));
+  const person = (side) => (!named && side === 'player' ? 'you' : 'they');
+  const batsFirst = (side) => t('replay.batsFirst', { name: who(side), person: person(side) });
+
+  if (events.length === 0) return batsFirst(currentInnings(state).batting);
+  return events.map(event => {
+    switch (event.type) {
+      case 'ball': return event.wicket ? t('match.out') : `${event.noBall ? `${t('replay.noBall')} ` : ''}${t('replay.runs', { count: event.runs })}`;
+      case 'review': return event.overturned ? t('replay.reviewOverturned') : t('replay.reviewUpheld');
+      case 'inningsEnd': return event.reason === 'overs' ? t('match.oversComplete') : '';
+      case 'superOver': return t('replay.superOver');
+      case 'inningsStart': return event.target
+        ? t('match.needToWin', { name: who(event.batting), person: person(event.batting), target: event.target })
+        : batsFirst(event.batting);
+      case 'matchEnd': return t('replay.result', { result: resultLabel(state, t) });
+      default: return '';
+    }
+  }).filter(Boolean).join(' ');
+};
+
+// --- Replay controls: shown in place of the number grid while replaying ---
+export default function ReplayControls({ replay, onTogglePlay, onStep, onJump, onSpeed, onExit, t = getTranslator() }) {
+  const { frames, step, playing, speed } = replay;
+  const lastStep = frames.length - 1;
+  const breakStep = inningsBreakFrame(frames);
+  const buttonClass = 'py-2 rounded-lg font-bold disabled:opacity-50 bg-control hover:bg-control-hover text-body';
+
+  return (
+    <div className="grid grid-cols-1 gap-3">
+      <p className="font-medium text-body">📼 {t('replay.position', { step, count: lastStep })}</p>
+      <input type="range" min={0} max={lastStep} value={step} aria-label={t('replay.positionLabel')} onChange={(e) => onJump(Number(e.target.value))} className="w-full accent-primary" />
+      <div className="grid grid-cols-4 gap-2">
+        <button onClick={() => onJump(0)} disabled={step === 0} aria-label={t('replay.start')} className={buttonClass}>⏮</button>
+        <button onClick={() => onStep(-1)} disabled={step === 0} aria-label={t('replay.back')} className={buttonClass}>◀</button>
+        <button onClick={onTogglePlay} aria-label={playing ? t('replay.pause') : t('replay.play')} className="py-2 rounded-lg font-bold bg-primary text-on-primary hover:brightness-90">{playing ? '⏸' : '▶️'}</button>
+        <button onClick={() => onStep(1)} disabled={step === lastStep} aria-label={t('replay.forward')} className={buttonClass}>▶</button>
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <button onClick={() => onJump(breakStep)} disabled={breakStep < 0} className={`${buttonClass} flex-1 text-sm`}>{t('replay.inningsBreak')}</button>
+        <div className="flex gap-1" role="group" aria-label={t('replay.speed')}>
+          {REPLAY_SPEEDS.map(option => (
+            <button key={option} onClick={() => onSpeed(option)} aria-pressed={speed === option} className={`py-2 px-2 rounded-lg text-sm font-semibold ${speed === option ? 'bg-accent text-on-accent' : 'bg-control text-body'}`}>
+              {t('replay.speedOption', { speed: option })}
+            </button>
+          ))}
+        </div>
+      </div>
+      <button onClick={onExit} className="bg-neutral hover:brightness-90 text-white font-bold py-2 rounded-lg">{t('replay.exit')}</button>
+    </div>
+  );
+}
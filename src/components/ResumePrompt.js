@@ -0,0 +1,35 @@
+import React from 'react';
+import { currentInnings } from '../game/engine';
+import { getPersona, personaName } from '../game/personas';
+import { formatName } from '../game/formats';
+import { getTranslator } from '../game/i18n';
+import Dialog from './Dialog';
+
+// --- Resume prompt: a match saved mid-innings before the page was closed ---
+export default function ResumePrompt({ match, onResume, onAbandon, t = getTranslator() }) {
+  const innings = currentInnings(match);
+  const named = match.mode !== 'ai';
+  const title = named
+    ? t('scoreboard.versus', { player: match.players.player, opponent: match.players.computer })
+    : t('scoreboard.versus', { player: t('sides.you'), opponent: personaName(getPersona(match.opponent), t) });
+  const batting = named ? match.players[innings.batting] : innings.batting === 'player' ? t('sides.you') : t('sides.computer');
+  const mutedClass = 'text-muted';
+
+  return (
+    <Dialog label={t('resume.title')} className="rounded-2xl shadow-xl p-8 text-center w-full max-w-sm bg-surface text-body">
+      <h2 className="text-2xl font-bold mb-2 text-heading">{t('resume.title')}</h2>
+      <p className="font-semibold">{title}</p>
+      <p className={`mb-1 ${mutedClass}`}>{formatName(match.format, t)}</p>
+      <p className="text-lg mb-4">
+        {t('resume.score', { batting, runs: innings.runs, wickets: innings.wickets })}{match.target > 0 ? t('resume.target', { target: match.target }) : ''}
+      </p>
+      <p className={`text-sm mb-6 ${mutedClass}`}>
+        {named ? t('resume.dropNamed') : t('resume.forfeit')}
+      </p>
+      <div className="grid grid-cols-1 gap-3">
+        <button onClick={onResume} className="bg-primary text-on-primary hover:brightness-90 font-bold py-3 rounded-lg text-lg">{t('resume.resume')}</button>
+        <button onClick={onAbandon} className="bg-neutral hover:brightness-90 text-white font-bold py-2 rounded-lg">{t('resume.abandon')}</button>
+      </div>
+    </Dialog>
+  );
+}
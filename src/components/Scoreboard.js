@@ -0,0 +1,80 @@
+import React from 'react';
+import { currentInnings, ballsLeft, requiredRunRate, legalBalls, inningsFormat, DEFAULT_PLAYERS } from '../game/engine';
+import { formatOvers, formatName } from '../game/formats';
+import { getPersona, personaName } from '../game/personas';
+import { RULE_VARIANTS, POWERPLAY_BALLS, cleanRules, hasRule, ruleName, ruleDescription } from '../game/rules';
+import { getTranslator } from '../game/i18n';
+
+// --- Scoreboard: title, target, current score and the format/chase line ---
+// Takes any match state, so live games and replays show the same board.
+export default function Scoreboard({ match, children, t = getTranslator() }) {
+  const innings = match ? currentInnings(match) : null;
+  const usesNames = match ? match.mode !== 'ai' : false;
+  const names = match ? match.players : DEFAULT_PLAYERS;
+  const isPlayerBatting = innings ? innings.batting === 'player' : false;
+  const battingName = innings ? names[innings.batting] : names.computer;
+  const targetScore = match ? match.target : 0;
+  const currentScore = innings ? innings.runs : 0;
+  const currentWickets = innings ? innings.wickets : 0;
+  const remainingBalls = match ? ballsLeft(match) : null;
+  const runRateNeeded = match && match.phase === 'innings' ? requiredRunRate(match) : null;
+  const format = match && innings ? inningsFormat(match, innings) : null;
+  const rules = match ? cleanRules(match.rules) : [];
+
+  // What the rule variants mean for the next ball.
+  const ruleStatus = [];
+  if (match && innings && match.phase === 'innings') {
+    if (innings.superOver) ruleStatus.push(`🔁 ${t('scoreboard.superOver')}`);
+    if (innings.freeHit) ruleStatus.push(`🚫 ${t('scoreboard.freeHit')}`);
+    if (hasRule(match.rules, 'powerplay') && !innings.superOver && legalBalls(innings) < POWERPLAY_BALLS) ruleStatus.push(`⚡ ${t('scoreboard.powerplay')}`);
+    if (hasRule(match.rules, 'review') && !innings.reviewUsed) ruleStatus.push(`📺 ${t('scoreboard.reviewLeft')}`);
+  }
+
+  return (
+    <>
+        <h1 className="text-3xl md:text-4xl font-bold mb-4 text-heading">{usesNames ? t('scoreboard.versus', { player: names.player, opponent: names.computer }) : match ? t('scoreboard.versus', { player: t('sides.you'), opponent: personaName(getPersona(match.opponent), t) }) : t('scoreboard.youVsAi')}</h1>
+
+        <div className="grid grid-cols-2 gap-4 mb-4 text-center">
+            <div>
+                <p className="text-sm uppercase font-semibold text-muted">{t('scoreboard.target')}</p>
+                <p className="text-3xl font-bold text-danger">{targetScore || '-'}</p>
+            </div>
+            <div>
+                <p className="text-sm uppercase font-semibold text-muted">{usesNames ? t('scoreboard.score', { name: battingName }) : isPlayerBatting ? t('scoreboard.yourScore') : t('scoreboard.computerScore')}</p>
+                <p className="text-3xl font-bold text-score">{currentScore}/{currentWickets}</p>
+            </div>
+        </div>
+
+        {rules.length > 0 && (
+            <div className="flex flex-wrap justify-center gap-1 -mt-2 mb-4 text-xs">
+                {rules.map(id => (
+                    <span key={id} title={ruleDescription(id, t)} className="px-2 py-0.5 rounded-full bg-control text-body">
+                        {RULE_VARIANTS[id].emoji} {ruleName(id, t)}
+                    </span>
+                ))}
+            </div>
+        )}
+
+        {children}
+
+        {match && innings && (
+            <div className="flex justify-center gap-4 -mt-2 mb-4 text-sm text-muted">
+                <span>{formatName(format, t)}</span>
+                <span>{t('scoreboard.overs', { overs: `${formatOvers(legalBalls(innings))}${format.overs ? `/${format.overs}` : ''}` })}</span>
+                {targetScore > 0 && match.phase === 'innings' && (
+                    <span>
+                        {remainingBalls === null
+                          ? t('scoreboard.need', { need: Math.max(targetScore - currentScore, 0) })
+                          : t('scoreboard.needFrom', { need: Math.max(targetScore - currentScore, 0), count: remainingBalls })}
+                        {runRateNeeded !== null && ` · ${t('scoreboard.requiredRate', { rate: t.number(runRateNeeded, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) })}`}
+                    </span>
+                )}
+            </div>
+        )}
+
+        {ruleStatus.length > 0 && (
+            <p className="-mt-2 mb-4 text-sm font-semibold text-center text-heading">{ruleStatus.join(' · ')}</p>
+        )}
+    </>
+  );
+}
@@ -0,0 +1,61 @@
+import React from 'react';
+import { oversOf, opponentLabel } from '../game/archive';
+import { formatOvers, formatName } from '../game/formats';
+import { batterRuns } from '../game/engine';
+import { rulesLabel } from '../game/rules';
+import { getTranslator } from '../game/i18n';
+
+// --- Full scorecard of an archived match ---
+export const resultLabel = (record, t = getTranslator()) => {
+  if (record.forfeitedBy) return record.mode === 'ai' ? t('results.youForfeited') : t('results.forfeited', { name: record.players[record.forfeitedBy] });
+  if (record.result === 'draw') return t('results.drawn');
+  if (record.mode === 'ai') return record.result === 'win' ? t('results.youWon') : t('results.youLost');
+  return t('results.won', { name: record.players[record.result === 'win' ? 'player' : 'computer'] });
+};
+
+export const sideNames = (record, t = getTranslator()) => (record.mode === 'ai' ? { player: t('sides.you'), computer: opponentLabel(record, t) } : record.players);
+
+const ballTitle = (ball, t) => [
+  t('scorecard.ball', { batter: ball.batter, bowler: ball.bowler }),
+  ...(ball.noBall ? [t('scorecard.noBall')] : []),
+  ...(ball.freeHit ? [t('scorecard.freeHit')] : []),
+  ...(ball.review ? [t(ball.review === 'overturned' ? 'scorecard.reviewOverturned' : 'scorecard.reviewUpheld')] : []),
+].join(' · ');
+
+export default function Scorecard({ record, t = getTranslator() }) {
+  const mutedClass = 'text-muted';
+  const names = sideNames(record, t);
+  const { toss } = record;
+
+  return (
+    <div className="text-left text-sm space-y-3">
+      <div>
+        <p className="font-bold">{t('scoreboard.versus', { player: names.player, opponent: names.computer })}</p>
+        <p className={mutedClass}>{t.dateTime(record.playedAt)} · {formatName(record.format, t)}</p>
+        {record.rules && record.rules.length > 0 && <p className={mutedClass}>{rulesLabel(record.rules, t)}</p>}
+        {toss && toss.decision && (
+          <p className={mutedClass}>{t(`scorecard.toss.${toss.decision}`, { person: record.mode === 'ai' && toss.winner === 'player' ? 'you' : 'they', name: names[toss.winner] })}</p>
+        )}
+        <p className="font-semibold mt-1">{resultLabel(record, t)}</p>
+      </div>
+      {record.innings.map((innings, index) => (
+        <div key={index} className="rounded-lg p-2 bg-raised">
+          <p className="font-semibold mb-1">
+            {innings.superOver ? `🔁 ${t('scoreboard.superOver')} · ` : ''}{t('scorecard.innings', { name: names[innings.batting], runs: innings.runs, wickets: innings.wickets, overs: formatOvers(innings.balls) })}
+          </p>
+          {oversOf(record, index + 1).map((over, overIndex) => (
+            <div key={overIndex} className="flex items-center gap-1 mb-1">
+              <span className={`w-10 text-xs ${mutedClass}`}>{t('scorecard.over', { number: overIndex + 1 })}</span>
+              {over.map((ball, ballIndex) => (
+                <span key={ballIndex} title={ballTitle(ball, t)} className={`w-8 text-center rounded ${ball.wicket ? 'bg-danger text-white' : batterRuns(ball) === 6 ? 'bg-success text-white' : 'bg-surface'}`}>
+                  <span className="block font-bold">{ball.wicket ? 'W' : ball.noBall ? `${ball.runs}nb` : ball.runs}</span>
+                  <span className="block text-[10px] opacity-75">{ball.batter}v{ball.bowler}</span>
+                </span>
+              ))}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { COMMENTARY_STYLES } from '../game/commentary';
+import { SOUND_CATEGORIES, SOUND_PACKS } from '../game/sounds';
+import { THEMES, SYSTEM_THEME, CUSTOM_THEME } from '../game/themes';
+import { exportSaveData, importSaveData, matchesToCsv, SECTION_LABELS } from '../game/saveData';
+import { LANGUAGES, getTranslator } from '../game/i18n';
+import { PACES, MOTION_OPTIONS } from '../game/pacing';
+import Dialog from './Dialog';
+
+const downloadFile = (name, text, type) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+// --- Settings ---
+// Also where the player's data is backed up, restored or wiped. Restoring
+// and resetting both ask first.
+export default function SettingsPanel({ theme, onThemeChange, customTheme, onCustomThemeChange, audio, onAudioChange, commentaryStyle, onCommentaryStyleChange, commentaryAvailable, language, onLanguageChange, pacing, onPacingChange, saveData, onRestore, onResetCareer, onClose, t = getTranslator() }) {
+  const [pendingImport, setPendingImport] = useState(null); // { data, problems } read from a backup file
+  const [confirmingReset, setConfirmingReset] = useState(false);
+  const [dataMessage, setDataMessage] = useState('');
+  const mutedClass = 'text-muted';
+  const headingClass = 'font-bold mb-1 text-heading';
+  const buttonClass = 'flex-1 font-bold py-2 rounded-lg';
+  const today = new Date().toISOString().slice(0, 10);
+
+  const readBackup = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    setConfirmingReset(false);
+    try {
+      setPendingImport(importSaveData(await file.text()));
+      setDataMessage('');
+    } catch (error) {
+      setDataMessage(t(`errors.${error.code}`, {}, error.message));
+    }
+  };
+
+  const restore = async () => {
+    const { problems } = pendingImport;
+    await onRestore(pendingImport.data);
+    setPendingImport(null);
+    setDataMessage(problems.length
+      ? t('settings.restoredExcept', { sections: t.list(problems.map(section => t(`sections.${section}`, {}, SECTION_LABELS[section]))) })
+      : t('settings.restored'));
+  };
+
+  const reset = async () => {
+    await onResetCareer();
+    setConfirmingReset(false);
+    setDataMessage(t('settings.resetDone'));
+  };
+
+  const setVolume = (category) => (e) => {
+    const value = Number(e.target.value);
+    onAudioChange(category === 'master' ? { ...audio, master: value } : { ...audio, volumes: { ...audio.volumes, [category]: value } });
+  };
+
+  const chipClass = (active) => `p-2 rounded-lg text-left ${active ? 'bg-accent text-on-accent' : 'bg-control text-body'}`;
+
+  return (
+    <Dialog label={t('settings.title')} onClose={onClose} className="rounded-2xl shadow-xl p-6 w-full max-w-sm max-h-[90vh] overflow-y-auto space-y-4 bg-surface text-body">
+      <h2 className="text-2xl font-bold text-center text-heading">⚙️ {t('settings.title')}</h2>
+
+      <div>
+        <h3 className={headingClass}>{t('settings.language')}</h3>
+        <div className="grid grid-cols-3 gap-2" role="group" aria-label={t('settings.language')}>
+          {Object.values(LANGUAGES).map(option => (
+            <button key={option.id} lang={option.locale} onClick={() => onLanguageChange(option.id)} aria-pressed={language === option.id} className={`${chipClass(language === option.id)} text-center text-sm`}>
+              {option.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className={headingClass}>{t('settings.theme')}</h3>
+        <div className="grid grid-cols-3 gap-2 mb-3">
+          {[{ id: SYSTEM_THEME, name: 'Device', emoji: '🖥️' }, ...Object.values(THEMES), { id: CUSTOM_THEME, name: 'Team Colours', emoji: '🎨' }].map(option => (
+            <button key={option.id} onClick={() => onThemeChange(option.id)} aria-pressed={theme === option.id} className={`${chipClass(theme === option.id)} text-center text-sm`}>
+              <span className="block text-xl">{option.emoji}</span>
+              {t(`themes.${option.id}`, {}, option.name)}
+            </button>
+          ))}
+        </div>
+        {theme === CUSTOM_THEME && (
+          <div className="space-y-2 text-sm">
+            <label className="flex items-center gap-2">
+              <span className="w-32">{t('settings.mainColour')}</span>
+              <input type="color" value={customTheme.primary} onChange={(e) => onCustomThemeChange({ ...customTheme, primary: e.target.value })} />
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="w-32">{t('settings.secondColour')}</span>
+              <input type="color" value={customTheme.accent} onChange={(e) => onCustomThemeChange({ ...customTheme, accent: e.target.value })} />
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="w-32">{t('settings.background')}</span>
+              <select value={customTheme.base} onChange={(e) => onCustomThemeChange({ ...customTheme, base: e.target.value })} className="rounded p-1 bg-raised">
+                <option value="light">{t('themes.light')}</option>
+                <option value="dark">{t('themes.dark')}</option>
+              </select>
+            </label>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h3 className={headingClass}>{t('settings.sound')}</h3>
+        <label className="flex items-center gap-2 text-sm mb-2">
+          <input type="checkbox" checked={!audio.muted} onChange={() => onAudioChange({ ...audio, muted: !audio.muted })} />
+          {t('settings.soundOn')}
+        </label>
+        <div className="grid grid-cols-3 gap-2 mb-3">
+          {Object.values(SOUND_PACKS).map(pack => (
+            <button key={pack.id} onClick={() => onAudioChange({ ...audio, pack: pack.id }, 'six')} aria-pressed={audio.pack === pack.id} title={t(`sounds.packs.${pack.id}.description`, {}, pack.description)} className={`${chipClass(audio.pack === pack.id)} text-center text-sm`}>
+              <span className="block text-xl">{pack.emoji}</span>
+              {t(`sounds.packs.${pack.id}.name`, {}, pack.name)}
+            </button>
+          ))}
+        </div>
+        {[{ id: 'master', name: 'Master' }, ...SOUND_CATEGORIES].map(({ id, name }) => (
+          <label key={id} className="flex items-center gap-2 text-sm">
+            <span className="w-32">{t(`sounds.${id}`, {}, name)}</span>
+            <input type="range" min="0" max="1" step="0.05" value={id === 'master' ? audio.master : audio.volumes[id]} onChange={setVolume(id)} disabled={audio.muted} className="flex-1" />
+          </label>
+        ))}
+      </div>
+
+      <div>
+        <h3 className={headingClass}>{t('settings.pace')}</h3>
+        <p className={`text-sm mb-2 ${mutedClass}`}>{t('settings.paceIntro')}</p>
+        <div className="grid grid-cols-3 gap-2 mb-3" role="group" aria-label={t('settings.pace')}>
+          {Object.values(PACES).map(pace => (
+            <button key={pace.id} onClick={() => onPacingChange({ ...pacing, pace: pace.id })} aria-pressed={pacing.pace === pace.id} title={t(`settings.paces.${pace.id}.description`, {}, pace.name)} className={`${chipClass(pacing.pace === pace.id)} text-center text-sm`}>
+              <span className="block text-xl">{pace.emoji}</span>
+              {t(`settings.paces.${pace.id}.name`, {}, pace.name)}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm font-semibold mb-1">{t('settings.motion')}</p>
+        <div className="grid grid-cols-3 gap-2" role="group" aria-label={t('settings.motion')}>
+          {MOTION_OPTIONS.map(option => (
+            <button key={option} onClick={() => onPacingChange({ ...pacing, motion: option })} aria-pressed={pacing.motion === option} className={`${chipClass(pacing.motion === option)} text-center text-sm`}>
+              {t(`settings.motionOptions.${option}`)}
+            </button>
+          ))}
+        </div>
+        <p className={`text-xs mt-2 ${mutedClass}`}>{t('settings.motionNote')}</p>
+      </div>
+
+      <div>
+        <h3 className={headingClass}>{t('settings.commentaryStyle')}</h3>
+        <p className={`text-sm mb-2 ${mutedClass}`}>
+          {commentaryAvailable ? t('settings.commentaryOn') : t('settings.commentaryOff')}
+        </p>
+        <div className="grid grid-cols-1 gap-2">
+          {Object.values(COMMENTARY_STYLES).map(style => (
+            <button key={style.id} onClick={() => onCommentaryStyleChange(style.id)} aria-pressed={commentaryStyle === style.id} className={chipClass(commentaryStyle === style.id)}>
+              <span className="font-semibold">{style.emoji} {t(`commentaryStyles.${style.id}.name`, {}, style.name)}</span>
+              <span className="block text-xs opacity-80">{t(`commentaryStyles.${style.id}.description`, {}, style.description)}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className={headingClass}>{t('settings.yourData')}</h3>
+        <p className={`text-sm mb-2 ${mutedClass}`}>{t('settings.dataIntro')}</p>
+        <div className="flex gap-2">
+          <button onClick={() => downloadFile(`hand-cricket-backup-${today}.json`, exportSaveData(saveData), 'application/json')} className={`${buttonClass} bg-primary text-on-primary hover:brightness-90`}>💾 {t('settings.backup')}</button>
+          <button onClick={() => downloadFile(`hand-cricket-matches-${today}.csv`, matchesToCsv(saveData.matches), 'text/csv')} disabled={saveData.matches.length === 0} className={`${buttonClass} bg-primary text-on-primary hover:brightness-90 disabled:opacity-50`}>📊 {t('settings.matchesCsv')}</button>
+        </div>
+        <div className="flex gap-2 mt-2">
+          <label className={`${buttonClass} text-center cursor-pointer bg-neutral text-white hover:brightness-90`}>
+            📂 {t('settings.restore')}
+            <input type="file" accept=".json,application/json" onChange={readBackup} className="hidden" aria-label={t('settings.backupFile')} />
+          </label>
+          <button onClick={() => { setConfirmingReset(true); setPendingImport(null); setDataMessage(''); }} className={`${buttonClass} bg-danger text-white hover:brightness-90`}>{t('settings.resetCareer')}</button>
+        </div>
+
+        {pendingImport && (
+          <div className="mt-3 p-3 rounded-lg text-sm bg-raised">
+            <p>{t('settings.backupSummary', { matches: t('settings.pastMatches', { count: pendingImport.data.matches.length }), wins: t('settings.wins', { count: pendingImport.data.stats.wins }) })}</p>
+            <div className="flex gap-2 mt-2">
+              <button onClick={restore} className={`${buttonClass} bg-accent text-on-accent hover:brightness-90`}>{t('settings.replaceData')}</button>
+              <button onClick={() => setPendingImport(null)} className={`${buttonClass} bg-neutral text-white hover:brightness-90`}>{t('common.cancel')}</button>
+            </div>
+          </div>
+        )}
+        {confirmingReset && (
+          <div className="mt-3 p-3 rounded-lg text-sm bg-danger-soft text-body">
+            <p>{t('settings.resetWarning')}</p>
+            <div className="flex gap-2 mt-2">
+              <button onClick={reset} className={`${buttonClass} bg-danger text-white hover:brightness-90`}>{t('settings.confirmReset')}</button>
+              <button onClick={() => setConfirmingReset(false)} className={`${buttonClass} bg-neutral text-white hover:brightness-90`}>{t('common.cancel')}</button>
+            </div>
+          </div>
+        )}
+        {dataMessage && <p className={`text-sm mt-2 ${mutedClass}`}>{dataMessage}</p>}
+      </div>
+
+      <button onClick={onClose} className="w-full bg-primary text-on-primary hover:brightness-90 font-bold py-2 rounded-lg">{t('common.done')}</button>
+    </Dialog>
+  );
+}
@@ -0,0 +1,34 @@
+import React, { useEffect } from 'react';
+import { getTranslator } from '../game/i18n';
+
+const TOAST_MS = 4000;
+const MAX_SHOWN = 3;
+
+const Toast = ({ toast, onDismiss, t }) => {
+  // The clock only starts once a toast is on screen, so queued ones get their full time.
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(toast.id), TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [toast.id, onDismiss]);
+
+  return (
+    <div className="flex items-start gap-3 bg-success text-white p-4 rounded-lg shadow-lg text-left">
+      <div className="flex-1">
+        <h4 className="font-bold">{toast.icon} {toast.title}</h4>
+        <p>{toast.message}</p>
+      </div>
+      <button onClick={() => onDismiss(toast.id)} aria-label={t('toasts.dismiss', { title: toast.title })} className="font-bold opacity-80 hover:opacity-100">✕</button>
+    </div>
+  );
+};
+
+// --- Toasts: achievement, milestone and connection notices ---
+// Queued oldest first; a few show at a time and the rest wait their turn.
+// The region is polite-live, so screen readers read each one as it appears.
+export default function Toasts({ toasts, onDismiss, t = getTranslator() }) {
+  return (
+    <div role="status" aria-live="polite" className="fixed bottom-5 left-1/2 -translate-x-1/2 w-full max-w-sm z-50 space-y-2">
+      {toasts.slice(0, MAX_SHOWN).map(toast => <Toast key={toast.id} toast={toast} onDismiss={onDismiss} t={t} />)}
+    </div>
+  );
+}
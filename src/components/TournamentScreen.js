@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { PERSONAS, personaName } from '../game/personas';
+import { formatName } from '../game/formats';
+import { getTranslator } from '../game/i18n';
+import {
+  USER, SERIES_LENGTHS, createSeries, createLeague, pointsTable, tournamentAwards, tournamentName, userFixture, advancingTeam, teamLabel,
+} from '../game/tournament';
+import Dialog from './Dialog';
+
+const person = (team) => (team === USER ? 'you' : 'they');
+
+const fixtureLine = (fixture, t) => {
+  const { home, away, result } = fixture;
+  if (!result) return t('tournament.fixture', { home: teamLabel(home, t), away: teamLabel(away, t) });
+  const score = (team) => result.innings.filter(i => i.team === team).map(i => `${i.runs}/${i.wickets}`).join(' ') || '-';
+  const line = t('tournament.result', { home: teamLabel(home, t), homeScore: score(home), away: teamLabel(away, t), awayScore: score(away) });
+  const through = fixture.favourite && advancingTeam(fixture);
+  if (result.forfeit) return t('tournament.forfeit', { fixture: line });
+  if (result.winner === null && through) return t('tournament.drawnThrough', { fixture: line, team: teamLabel(through, t), person: person(through) });
+  return line;
+};
+
+const stageLabel = ({ stage, round }, t) => (stage === 'final'
+  ? t('tournament.stages.final')
+  : t('tournament.stageRound', { stage: t(`tournament.stages.${stage}`), round }));
+
+// --- New series or league ---
+function TournamentSetup({ format, onStart, t }) {
+  const [type, setType] = useState('series');
+  const [opponent, setOpponent] = useState('keeper');
+  const [bestOf, setBestOf] = useState(SERIES_LENGTHS[0]);
+  const [opponents, setOpponents] = useState(['rookie', 'keeper', 'slogger']);
+  const chipClass = (active) => `py-2 px-3 rounded-lg text-sm font-semibold ${active ? 'bg-accent text-on-accent' : 'bg-control text-body'}`;
+  const toggleOpponent = (id) => setOpponents(prev => (prev.includes(id) ? prev.filter(p => p !== id) : [...prev, id]));
+
+  const start = () => onStart(type === 'series'
+    ? createSeries({ opponent, bestOf, format })
+    : createLeague({ opponents: Object.keys(PERSONAS).filter(id => opponents.includes(id)), format }));
+
+  return (
+    <div className="space-y-3 text-center">
+      <div className="grid grid-cols-2 gap-2">
+        <button onClick={() => setType('series')} className={chipClass(type === 'series')}>{t('tournament.types.series')}</button>
+        <button onClick={() => setType('league')} className={chipClass(type === 'league')}>{t('tournament.types.league')}</button>
+      </div>
+      <p className="text-sm text-muted">
+        {t(type === 'series' ? 'tournament.seriesIntro' : 'tournament.leagueIntro')}
+        {' '}{t('tournament.format', { format: formatName(format, t) })}
+      </p>
+      {type === 'series' ? (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            {Object.values(PERSONAS).map(persona => (
+              <button key={persona.id} onClick={() => setOpponent(persona.id)} className={chipClass(opponent === persona.id)}>{persona.emoji} {personaName(persona, t)}</button>
+            ))}
+          </div>
+          <div className="flex justify-center gap-2">
+            {SERIES_LENGTHS.map(length => (
+              <button key={length} onClick={() => setBestOf(length)} className={chipClass(bestOf === length)}>{t('tournament.bestOf', { count: length })}</button>
+            ))}
+          </div>
+        </>
+      ) : (
+        <div className="grid grid-cols-2 gap-2">
+          {Object.values(PERSONAS).map(persona => (
+            <button key={persona.id} onClick={() => toggleOpponent(persona.id)} aria-pressed={opponents.includes(persona.id)} className={chipClass(opponents.includes(persona.id))}>{persona.emoji} {personaName(persona, t)}</button>
+          ))}
+        </div>
+      )}
+      <button onClick={start} disabled={type === 'league' && opponents.length < 2} className="w-full bg-primary text-on-primary hover:brightness-90 disabled:opacity-50 font-bold py-3 rounded-lg">
+        {type === 'league' && opponents.length < 2 ? t('tournament.pickTwo') : t('tournament.start')}
+      </button>
+    </div>
+  );
+}
+
+// --- Tournament screen: standings, fixtures, awards and the honours board ---
+export default function TournamentScreen({ tournament, history, format, canPlay, onStart, onPlay, onAbandon, onClose, t = getTranslator() }) {
+  const [settingUp, setSettingUp] = useState(!tournament);
+  const mutedClass = 'text-muted';
+  const panelClass = 'rounded-lg p-3 bg-raised';
+  const headingClass = 'font-bold mb-2 text-heading';
+  const fixture = tournament && userFixture(tournament);
+  const awards = tournament ? tournamentAwards(tournament, t) : [];
+
+  return (
+    <Dialog label={t('tournament.label')} onClose={onClose} className="rounded-2xl shadow-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto space-y-4 bg-surface text-body">
+      <h2 className="text-2xl font-bold text-center text-heading">🏆 {t('tournament.title')}</h2>
+
+      {settingUp || !tournament ? (
+        <TournamentSetup format={format} onStart={(created) => { setSettingUp(false); onStart(created); }} t={t} />
+      ) : (
+        <>
+          <div className="text-center">
+            <p className="text-lg font-bold">{tournamentName(tournament, t)}</p>
+            <p className={`text-sm ${mutedClass}`}>{formatName(tournament.format, t)} · {t(`tournament.phases.${tournament.phase}`)}</p>
+          </div>
+
+          {tournament.phase === 'complete' ? (
+            <div className="text-center rounded-lg p-3 bg-yellow-100 text-yellow-900">
+              <p className="text-2xl">🏆</p>
+              <p className="font-bold">{tournament.champion ? t('tournament.champion', { team: teamLabel(tournament.champion, t), person: person(tournament.champion) }) : t('tournament.shared')}</p>
+            </div>
+          ) : fixture && (
+            <button onClick={onPlay} disabled={!canPlay} className="w-full bg-accent text-on-accent hover:brightness-90 disabled:opacity-50 font-bold py-3 rounded-lg">
+              {canPlay ? t('tournament.play', { stage: t(`tournament.stages.${fixture.stage}`), home: t('sides.you'), away: teamLabel(fixture.away, t) }) : t('tournament.finishFirst')}
+            </button>
+          )}
+
+          <div className={panelClass}>
+            <h3 className={headingClass}>{tournament.type === 'series' ? t('tournament.types.series') : t('tournament.pointsTable')}</h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className={mutedClass}>
+                  <th className="text-left">{t('tournament.columns.team')}</th>
+                  {['played', 'won', 'drawn', 'lost', 'points', 'netRunRate'].map(column => <th key={column}>{t(`tournament.columns.${column}`)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {pointsTable(tournament).map(row => (
+                  <tr key={row.team} className={row.team === USER ? 'font-bold' : ''}>
+                    <td className="text-left">{teamLabel(row.team, t)}</td>
+                    <td className="text-center">{row.played}</td>
+                    <td className="text-center">{row.won}</td>
+                    <td className="text-center">{row.drawn}</td>
+                    <td className="text-center">{row.lost}</td>
+                    <td className="text-center">{row.points}</td>
+                    <td className="text-center">{t.number(row.netRunRate, { minimumFractionDigits: 2, maximumFractionDigits: 2, signDisplay: 'always' })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className={panelClass}>
+            <h3 className={headingClass}>{t('tournament.fixtures')}</h3>
+            <div className="space-y-1 text-sm max-h-48 overflow-y-auto">
+              {tournament.fixtures.map(f => (
+                <p key={f.id} className={f.result ? '' : mutedClass}>
+                  <span className="font-semibold">{stageLabel(f, t)}:</span> {fixtureLine(f, t)}
+                </p>
+              ))}
+            </div>
+          </div>
+
+          {awards.length > 0 && (
+            <div className={panelClass}>
+              <h3 className={headingClass}>{t('tournament.awards.title')}</h3>
+              {awards.map(award => (
+                <p key={award.id} className="text-sm">{award.emoji} <span className="font-semibold">{award.title}:</span> {teamLabel(award.team, t)} ({award.value})</p>
+              ))}
+            </div>
+          )}
+
+          {tournament.phase === 'complete' ? (
+            <button onClick={() => setSettingUp(true)} className="w-full bg-primary text-on-primary hover:brightness-90 font-bold py-2 rounded-lg">{t('tournament.newTournament')}</button>
+          ) : (
+            <button onClick={onAbandon} disabled={!canPlay} className="w-full bg-neutral hover:brightness-90 disabled:opacity-50 text-white font-bold py-2 rounded-lg">{t(`tournament.abandon.${tournament.type}`)}</button>
+          )}
+        </>
+      )}
+
+      {history.length > 0 && (
+        <div className={panelClass}>
+          <h3 className={headingClass}>{t('tournament.honours')}</h3>
+          {history.map(past => (
+            <p key={past.id} className="text-sm">
+              {tournamentName(past, t)} · {past.champion ? `🏆 ${teamLabel(past.champion, t)}` : t('tournament.sharedShort')}
+              <span className={`block text-xs ${mutedClass}`}>{t.date(past.completedAt)} · {tournamentAwards(past, t).map(a => `${a.emoji} ${teamLabel(a.team, t)}`).join(' ')}</span>
+            </p>
+          ))}
+        </div>
+      )}
+    </Dialog>
+  );
+}
@@ -0,0 +1,165 @@
+import { runsFor, resultFor, wicketsTakenBy, legalBalls, batterRuns } from './engine.js';
+import { BALLS_PER_OVER } from './formats.js';
+import { getTranslator } from './i18n.js';
+
+// --- Achievements ---
+// Achievements are plain data, so a player's progress can be saved as it is
+// and the catalogue can grow without new checking code. Each one counts
+// something and unlocks a tier whenever the count reaches the next of its
+// `tiers`. It counts either
+// - `stat`: a career stat, such as wins or total runs, or
+// - `when`: finished matches whose match facts meet a condition.
+//
+// A condition is { fact, min?, max?, equals? } or { all: [conditions] }. A
+// fact with no bounds must simply be true (or non-zero).
+// `{n}` in a description is the count needed for the next tier. Titles and
+// descriptions here are the English; other languages translate them in their
+// catalogue under `achievements.<id>`.
+
+export const TIER_NAMES = ['Bronze', 'Silver', 'Gold'];
+
+export const ACHIEVEMENTS = [
+  { id: 'firstWin', title: 'First Victory', icon: '🏅', description: 'Win your first match.', stat: 'wins', tiers: [1] },
+  { id: 'tenWins', title: 'Serial Winner', icon: '🏆', description: 'Win {n} matches.', stat: 'wins', tiers: [10, 25, 50] },
+  { id: 'regular', title: 'Regular', icon: '📅', description: 'Play {n} matches.', stat: 'played', tiers: [10, 50, 100] },
+  { id: 'runMachine', title: 'Run Machine', icon: '🏃', description: 'Score {n} runs in your career.', stat: 'totalRuns', tiers: [100, 500, 1000] },
+  { id: 'fiveWickets', title: 'Five-Wicket Haul', icon: '🎯', description: 'Take 5 wickets in your career.', stat: 'wickets', tiers: [5] },
+  { id: 'wicketMachine', title: 'Wicket Machine', icon: '🧤', description: 'Take {n} wickets in your career.', stat: 'wickets', tiers: [25, 100, 250] },
+  { id: 'fiftyRuns', title: 'Half-Century', icon: '🏏', description: 'Score 50 in a single match.', when: { fact: 'runs', min: 50 }, tiers: [1] },
+  { id: 'hundredRuns', title: 'Century Scorer', icon: '💯', description: 'Score 100 in a single match.', when: { fact: 'runs', min: 100 }, tiers: [1] },
+  { id: 'boundaryBonanza', title: 'Boundary Bonanza', icon: '💥', description: 'Hit five fours in one innings.', when: { fact: 'fours', min: 5 }, tiers: [1] },
+  { id: 'hatTrickSixes', title: 'Six, Six, Six', icon: '🚀', description: 'Hit three sixes in a row.', when: { fact: 'sixStreak', min: 3 }, tiers: [1] },
+  { id: 'chaseMaster', title: 'Chase Master', icon: '🎯', description: 'Win {n} matches batting second.', when: { fact: 'wonChasing' }, tiers: [5, 15, 30] },
+  { id: 'defender', title: 'Defender', icon: '🛡️', description: 'Win {n} matches batting first.', when: { fact: 'wonDefending' }, tiers: [5, 15, 30] },
+  { id: 'lastBallHero', title: 'Last-Ball Hero', icon: '⏱️', description: 'Chase down a target off the very last ball.', when: { fact: 'wonOnLastBall' }, tiers: [1] },
+  { id: 'byAWhisker', title: 'By a Whisker', icon: '😅', description: 'Win by a single run.', when: { fact: 'winningRunMargin', equals: 1 }, tiers: [1] },
+  { id: 'againstTheOdds', title: 'Against the Odds', icon: '🪙', description: 'Win a match after losing the toss.', when: { all: [{ fact: 'won' }, { fact: 'lostToss' }] }, tiers: [1] },
+  { id: 'skittled', title: 'Skittled', icon: '🧹', description: 'Bowl a side out for under 5.', when: { fact: 'opponentAllOutFor', max: 4 }, tiers: [1] },
+  { id: 'flawless', title: 'Flawless', icon: '✨', description: 'Win a match of 3 or more wickets without losing one.', when: { all: [{ fact: 'won' }, { fact: 'wicketsLost', max: 0 }, { fact: 'wicketsPerSide', min: 3 }] }, tiers: [1] },
+  { id: 'mindOverMatter', title: 'Mind Over Matter', icon: '🧠', description: 'Beat the Mind Reader.', when: { all: [{ fact: 'won' }, { fact: 'opponent', equals: 'mindReader' }] }, tiers: [1] },
+  { id: 'goldenArm', title: 'Golden Arm', icon: '💪', description: "Take a wicket with the first ball of the other side's innings.", when: { fact: 'firstBallWicket' }, tiers: [1], hidden: true },
+  { id: 'duck', title: 'Quacker', icon: '🦆', description: 'Get out without scoring.', when: { fact: 'ducks', min: 1 }, tiers: [1], hidden: true },
+  { id: 'honoursEven', title: 'Honours Even', icon: '🤝', description: 'Tie a match.', when: { fact: 'drawn' }, tiers: [1], hidden: true },
+];
+
+const EMPTY = { count: 0, tier: 0, unlockedAt: [] };
+
+// --- Match facts ---
+// Everything the conditions can ask about one side's match. `won` and the
+// other winning facts leave out matches the other side forfeited.
+export const matchFacts = (match, side = 'player') => {
+  const batted = match.innings.find(i => i.batting === side);
+  const bowled = match.innings.find(i => i.batting !== side);
+  const result = resultFor(match, side);
+  const won = result === 'win' && !match.forfeitedBy;
+  const chasing = Boolean(batted) && match.innings.indexOf(batted) === 1;
+  const balls = batted ? batted.balls : [];
+  const superOver = match.innings.some(i => i.superOver);
+
+  let sixStreak = 0;
+  let streak = 0;
+  let ducks = 0;
+  let sinceWicket = 0;
+  balls.forEach(b => {
+    streak = !b.wicket && batterRuns(b) === 6 ? streak + 1 : 0;
+    sixStreak = Math.max(sixStreak, streak);
+    if (b.wicket && sinceWicket === 0) ducks++;
+    sinceWicket = b.wicket ? 0 : sinceWicket + b.runs;
+  });
+
+  return {
+    won,
+    drawn: result === 'draw',
+    runs: runsFor(match, side),
+    fours: balls.filter(b => !b.wicket && batterRuns(b) === 4).length,
+    sixStreak,
+    ducks,
+    wicketsTaken: wicketsTakenBy(match, side),
+    wicketsLost: batted ? batted.wickets : 0,
+    wicketsPerSide: match.format.wickets,
+    wonChasing: won && chasing,
+    wonDefending: won && !chasing,
+    wonOnLastBall: won && chasing && !superOver && Boolean(match.format.overs) && legalBalls(batted) === match.format.overs * BALLS_PER_OVER,
+    winningRunMargin: won && !chasing ? batted.runs - bowled.runs : null,
+    lostToss: Boolean(match.toss) && match.toss.winner !== side,
+    opponentAllOutFor: bowled && bowled.wickets >= match.format.wickets ? bowled.runs : null,
+    firstBallWicket: Boolean(bowled && bowled.balls.length && bowled.balls[0].wicket),
+    opponent: match.mode === 'ai' && side === 'player' ? match.opponent : null,
+  };
+};
+
+export const meetsCondition = (facts, condition) => {
+  if (condition.all) return condition.all.every(c => meetsCondition(facts, c));
+  const value = facts[condition.fact];
+  if (value === null || value === undefined) return false;
+  if ('equals' in condition) return value === condition.equals;
+  if (!('min' in condition) && !('max' in condition)) return Boolean(value);
+  return (!('min' in condition) || value >= condition.min) && (!('max' in condition) || value <= condition.max);
+};
+
+// Career stats as the `stat` achievements see them.
+const careerFacts = (stats) => ({ ...stats, played: (stats.wins || 0) + (stats.losses || 0) + (stats.draws || 0) });
+
+// --- Progress ---
+// Folds a finished match (its facts) and the career stats after it into the
+// saved progress, { [id]: { count, tier, unlockedAt: [iso date per tier] } }.
+// Without facts only the career counts are brought up to date.
+export const updateAchievements = (progress = {}, { stats, facts = null, now = new Date() }) => {
+  const career = careerFacts(stats);
+  const next = {};
+  const unlocked = [];
+  ACHIEVEMENTS.forEach(achievement => {
+    const previous = progress[achievement.id] || EMPTY;
+    const count = achievement.stat
+      ? career[achievement.stat] || 0
+      : previous.count + (facts && meetsCondition(facts, achievement.when) ? 1 : 0);
+    let tier = previous.tier;
+    const unlockedAt = [...previous.unlockedAt];
+    while (tier < achievement.tiers.length && count >= achievement.tiers[tier]) {
+      unlockedAt.push(now.toISOString());
+      tier++;
+      unlocked.push({ achievement, tier });
+    }
+    next[achievement.id] = { count, tier, unlockedAt };
+  });
+  return { progress: next, unlocked };
+};
+
+// Older saves only kept the ids of unlocked achievements.
+export const migrateAchievements = (stats) => {
+  if (stats.achievements) return stats;
+  const { unlockedAchievements = [], ...rest } = stats;
+  const progress = Object.fromEntries(unlockedAchievements.map(id => [id, { count: 1, tier: 1, unlockedAt: [null] }]));
+  return { ...rest, achievements: updateAchievements(progress, { stats }).progress };
+};
+
+export const unlockedCount = (progress = {}) => Object.values(progress).reduce((total, entry) => total + entry.tier, 0);
+
+// --- Display ---
+export const tierName = (tier, t = getTranslator()) => t(`achievements.tiers.${tier}`, {}, TIER_NAMES[tier - 1]);
+
+export const achievementTitle = (achievement, tier, t = getTranslator()) => {
+  const title = t(`achievements.${achievement.id}.title`, {}, achievement.title);
+  return achievement.tiers.length > 1 && tier > 0 ? t('achievements.tieredTitle', { title, tier: tierName(tier, t) }) : title;
+};
+
+export const achievementDescription = (achievement, target, t = getTranslator()) =>
+  t(`achievements.${achievement.id}.description`, { n: target, count: target }, achievement.description);
+
+// How one achievement stands, for the achievements list.
+export const achievementStatus = (achievement, entry = EMPTY, t = getTranslator()) => {
+  const complete = entry.tier >= achievement.tiers.length;
+  const target = achievement.tiers[Math.min(entry.tier, achievement.tiers.length - 1)];
+  return {
+    achievement,
+    tier: entry.tier,
+    complete,
+    hidden: Boolean(achievement.hidden) && entry.tier === 0,
+    title: achievementTitle(achievement, entry.tier, t),
+    description: achievementDescription(achievement, target, t),
+    count: Math.min(entry.count, target),
+    target,
+    progressLabel: t('achievements.progress', { count: Math.min(entry.count, target), target }),
+    unlockedAt: entry.unlockedAt[entry.unlockedAt.length - 1] || null,
+  };
+};
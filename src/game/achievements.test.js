@@ -0,0 +1,75 @@
+import { createMatch, toss, chooseTo, playBall } from './engine';
+import { customFormat } from './formats';
+import { DEFAULT_STATS, recordMatch } from './stats';
+import { ACHIEVEMENTS, matchFacts, updateAchievements, migrateAchievements, achievementStatus, unlockedCount } from './achievements';
+
+const NOW = new Date('2026-07-01T12:00:00Z');
+const byId = (id) => ACHIEVEMENTS.find(a => a.id === id);
+
+const playMatch = ({ format, decision, balls }) => {
+  let state = createMatch({ mode: 'hotseat', players: { player: 'Ann', computer: 'Bob' }, format, seed: 3 });
+  state = toss(state, 'rock', 'scissors').state; // Ann wins the toss
+  state = chooseTo(state, decision).state;
+  return balls.reduce((acc, [ann, bob]) => playBall(acc, ann, bob).state, state);
+};
+
+// Bob bats first and is bowled out for 3; Ann knocks it off with a six.
+const skittledMatch = () => playMatch({ format: customFormat(3, 1), decision: 'bowl', balls: [[1, 1], [2, 3], [4, 4], [5, 5], [6, 1]] });
+
+const unlockedIds = (match, side) => {
+  const stats = recordMatch(DEFAULT_STATS, match, side);
+  return updateAchievements({}, { stats, facts: matchFacts(match, side), now: NOW }).unlocked.map(u => u.achievement.id);
+};
+
+test('match facts are worked out from the ball sequence for either side', () => {
+  const match = skittledMatch();
+  expect(matchFacts(match, 'player')).toMatchObject({
+    won: true, runs: 6, wicketsLost: 0, wonChasing: true, opponentAllOutFor: 3, firstBallWicket: true, lostToss: false, wonOnLastBall: false,
+  });
+  expect(matchFacts(match, 'computer')).toMatchObject({ won: false, runs: 3, ducks: 2, lostToss: true, opponentAllOutFor: null });
+  expect(unlockedIds(match, 'player')).toEqual(['firstWin', 'skittled', 'flawless', 'goldenArm']);
+  expect(unlockedIds(match, 'computer')).toEqual(['duck']);
+});
+
+test('a chase won off the last ball, and sixes in a row', () => {
+  const lastBall = playMatch({ format: customFormat(1, 1), decision: 'bat', balls: [[4, 1], [6, 1], [1, 1], [1, 2], [1, 2], [1, 2], [1, 2], [1, 2], [1, 3]] });
+  expect(lastBall.result).toBe('loss');
+  expect(matchFacts(lastBall, 'computer')).toMatchObject({ wonOnLastBall: true, lostToss: true });
+  expect(unlockedIds(lastBall, 'computer')).toEqual(['firstWin', 'lastBallHero', 'againstTheOdds']);
+
+  const sixes = playMatch({ format: customFormat(1, null), decision: 'bat', balls: [[6, 1], [6, 2], [4, 1], [6, 1], [6, 2], [6, 3]] });
+  expect(matchFacts(sixes, 'player').sixStreak).toBe(3);
+});
+
+test('tiers unlock in turn and show progress towards the next one', () => {
+  const serialWinner = byId('tenWins');
+  let { progress } = updateAchievements({}, { stats: { ...DEFAULT_STATS, wins: 7 }, now: NOW });
+  expect(achievementStatus(serialWinner, progress.tenWins)).toMatchObject({ tier: 0, progressLabel: '7/10', description: 'Win 10 matches.' });
+
+  const after = updateAchievements(progress, { stats: { ...DEFAULT_STATS, wins: 26 }, now: NOW });
+  expect(after.unlocked.filter(u => u.achievement.id === 'tenWins').map(u => u.tier)).toEqual([1, 2]);
+  expect(achievementStatus(serialWinner, after.progress.tenWins)).toMatchObject({
+    title: 'Serial Winner (Silver)', progressLabel: '26/50', description: 'Win 50 matches.', unlockedAt: NOW.toISOString(),
+  });
+
+  // Counted achievements add up match by match.
+  const match = skittledMatch();
+  ({ progress } = updateAchievements({}, { stats: DEFAULT_STATS, facts: matchFacts(match), now: NOW }));
+  ({ progress } = updateAchievements(progress, { stats: DEFAULT_STATS, facts: matchFacts(match), now: NOW }));
+  expect(achievementStatus(byId('chaseMaster'), progress.chaseMaster).progressLabel).toBe('2/5');
+});
+
+test('hidden achievements stay hidden until unlocked', () => {
+  expect(achievementStatus(byId('duck')).hidden).toBe(true);
+  const { progress } = updateAchievements({}, { stats: DEFAULT_STATS, facts: matchFacts(skittledMatch(), 'computer'), now: NOW });
+  expect(achievementStatus(byId('duck'), progress.duck)).toMatchObject({ hidden: false, title: 'Quacker' });
+});
+
+test('saves that only kept unlocked ids are carried over', () => {
+  const migrated = migrateAchievements({ ...DEFAULT_STATS, achievements: undefined, wins: 12, unlockedAchievements: ['firstWin', 'tenWins', 'fiftyRuns'] });
+  expect(migrated.unlockedAchievements).toBeUndefined();
+  expect(migrated.achievements.fiftyRuns).toEqual({ count: 1, tier: 1, unlockedAt: [null] });
+  expect(migrated.achievements.tenWins).toMatchObject({ count: 12, tier: 1 });
+  expect(unlockedCount(migrated.achievements)).toBe(4); // and Regular, from the 12 matches played
+  expect(migrateAchievements(migrated)).toBe(migrated);
+});
@@ -0,0 +1,38 @@
+import { NUMBERS, predictNext } from './predictor.js';
+import { getPersona } from './personas.js';
+
+// --- Computer opponent ---
+const weightedPick = (weights, rng) => {
+  let roll = rng.next() * weights.reduce((sum, w) => sum + w, 0);
+  for (let i = 0; i < weights.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return NUMBERS[i];
+  }
+  return NUMBERS[NUMBERS.length - 1];
+};
+
+// Highest score wins; ties are broken at random so play stays unpredictable.
+const bestBy = (score, rng) => {
+  const best = Math.max(...NUMBERS.map(score));
+  return rng.pick(NUMBERS.filter(n => score(n) >= best - 1e-9));
+};
+
+// `role` is the player's role for this ball: 'batting' or 'bowling'. The
+// model only holds the player's earlier balls, never the one being played.
+export const getComputerChoice = ({ model, role, opponent, rng }) => {
+  const persona = getPersona(opponent);
+  const style = role === 'batting' ? persona.bowling : persona.batting;
+  if (rng.next() >= style.read) return weightedPick(style.preference, rng);
+
+  const { probs } = predictNext(model, role);
+  // Bowling: aim at the number the batter is most likely to play.
+  if (role === 'batting') return bestBy(n => probs[n], rng);
+  // Batting: trade the chance of matching the bowler against the runs on offer.
+  return bestBy(n => (1 - probs[n]) ** style.caution * n, rng);
+};
+
+export const getTossDecision = ({ opponent, rng }) => {
+  const { tossPreference } = getPersona(opponent);
+  const random = rng.next() > 0.5 ? 'bat' : 'bowl';
+  return tossPreference || random;
+};
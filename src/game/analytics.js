@@ -0,0 +1,106 @@
+import { oversOf } from './archive.js';
+
+// --- Career analytics ---
+// Worked out from the match archive, so everything here is ball by ball.
+// Only matches against the computer count towards the player's career; the
+// player is always the 'player' side of those records. Super overs only
+// settle ties, so they are left out of the figures and the charts.
+
+const NUMBERS = [1, 2, 3, 4, 5, 6];
+export const FORM_LENGTH = 10;
+
+const emptyRecord = () => ({ played: 0, won: 0, lost: 0, drawn: 0 });
+
+const addResult = (tally, result) => ({
+  played: tally.played + 1,
+  won: tally.won + (result === 'win' ? 1 : 0),
+  lost: tally.lost + (result === 'loss' ? 1 : 0),
+  drawn: tally.drawn + (result === 'draw' ? 1 : 0),
+});
+
+// The two innings of the match proper; super overs come after them.
+export const mainInnings = (record) => record.innings.filter(innings => !innings.superOver);
+
+// Runs of one result in a row, in the order the results are given.
+const longestRun = (results, matches) => results.reduce(([best, current], result) => {
+  const next = matches(result) ? current + 1 : 0;
+  return [Math.max(best, next), next];
+}, [0, 0])[0];
+
+// The result of the latest match and how many in a row ended the same way.
+const currentStreak = (results) => {
+  if (results.length === 0) return null;
+  const result = results[results.length - 1];
+  let length = 0;
+  while (length < results.length && results[results.length - 1 - length] === result) length++;
+  return { result, length };
+};
+
+// `records` newest first, as the archive keeps them.
+export const careerAnalytics = (records) => {
+  const matches = records.filter(record => record.mode === 'ai');
+  let runs = 0;
+  let ballsFaced = 0;
+  let dismissals = 0;
+  const usage = { batting: NUMBERS.map(() => 0), bowling: NUMBERS.map(() => 0) };
+  const byOpponent = {};
+  const byInnings = { battedFirst: emptyRecord(), bowledFirst: emptyRecord() };
+
+  matches.forEach(record => {
+    const innings = mainInnings(record);
+    record.balls.filter(ball => ball.innings <= innings.length).forEach(ball => {
+      const role = innings[ball.innings - 1].batting === 'player' ? 'batting' : 'bowling';
+      const mine = role === 'batting' ? ball.batter : ball.bowler;
+      if (mine > 0) usage[role][mine - 1]++; // a defended 0 isn't one of the six
+      if (role !== 'batting') return;
+      ballsFaced++;
+      runs += ball.runs;
+      if (ball.wicket) dismissals++;
+    });
+    byOpponent[record.opponent] = addResult(byOpponent[record.opponent] || emptyRecord(), record.result);
+    if (record.innings.length > 0) {
+      const key = record.innings[0].batting === 'player' ? 'battedFirst' : 'bowledFirst';
+      byInnings[key] = addResult(byInnings[key], record.result);
+    }
+  });
+
+  const oldestFirst = matches.map(record => record.result).reverse();
+  return {
+    played: matches.length,
+    runs,
+    ballsFaced,
+    dismissals,
+    average: dismissals ? runs / dismissals : null,
+    strikeRate: ballsFaced ? (runs / ballsFaced) * 100 : null,
+    dismissalRate: ballsFaced ? (dismissals / ballsFaced) * 100 : null,
+    usage,
+    byOpponent,
+    byInnings,
+    form: oldestFirst.slice(-FORM_LENGTH),
+    currentStreak: currentStreak(oldestFirst),
+    longestWinStreak: longestRun(oldestFirst, r => r === 'win'),
+    longestUnbeaten: longestRun(oldestFirst, r => r !== 'loss'),
+  };
+};
+
+// --- Per-match charts ---
+// Worm: the running total after every ball of each innings, starting at 0.
+export const wormData = (record) => mainInnings(record).map((innings, index) => {
+  let total = 0;
+  const points = [{ ball: 0, runs: 0, wicket: false }];
+  record.balls.filter(b => b.innings === index + 1).forEach((ball, n) => {
+    total += ball.runs;
+    points.push({ ball: n + 1, runs: total, wicket: ball.wicket });
+  });
+  return { batting: innings.batting, points };
+});
+
+// Manhattan: runs and wickets in each over of each innings.
+export const manhattanData = (record) => mainInnings(record).map((innings, index) => ({
+  batting: innings.batting,
+  overs: oversOf(record, index + 1).map((balls, over) => ({
+    over: over + 1,
+    runs: balls.reduce((sum, b) => sum + b.runs, 0),
+    wickets: balls.filter(b => b.wicket).length,
+  })),
+}));
@@ -0,0 +1,77 @@
+import { createMatch, toss, chooseTo, playBall } from './engine';
+import { toMatchRecord } from './archive';
+import { careerAnalytics, wormData, manhattanData, FORM_LENGTH } from './analytics';
+import { customFormat } from './formats';
+
+// The player bats first: 4, 6 then out; the computer makes 5, 1 then is out.
+const playedRecord = () => {
+  let state = createMatch({ mode: 'ai', opponent: 'slogger', format: customFormat(1, 1), seed: 5 });
+  state = toss(state, 'rock', 'scissors').state;
+  state = chooseTo(state, 'bat').state;
+  [[4, 1], [6, 2], [3, 3]].forEach(([player, computer]) => { state = playBall(state, player, computer).state; });
+  [[2, 5], [3, 1], [2, 2]].forEach(([player, computer]) => { state = playBall(state, player, computer).state; });
+  return toMatchRecord(state, new Date('2026-05-01T10:00:00Z'));
+};
+
+const result = (outcome, opponent = 'rookie', battedFirst = true) => ({
+  mode: 'ai',
+  opponent,
+  result: outcome,
+  innings: battedFirst ? [{ batting: 'player' }, { batting: 'computer' }] : [{ batting: 'computer' }, { batting: 'player' }],
+  balls: [],
+});
+
+test('batting figures and number habits come from the ball-by-ball record', () => {
+  const analytics = careerAnalytics([playedRecord()]);
+  expect(analytics).toMatchObject({ played: 1, runs: 10, ballsFaced: 3, dismissals: 1, average: 10 });
+  expect(analytics.strikeRate).toBeCloseTo(333.33);
+  expect(analytics.dismissalRate).toBeCloseTo(33.33);
+  expect(analytics.usage.batting).toEqual([0, 0, 1, 1, 0, 1]);
+  expect(analytics.usage.bowling).toEqual([0, 2, 1, 0, 0, 0]);
+});
+
+test('with no matches there are no figures or streaks', () => {
+  const analytics = careerAnalytics([]);
+  expect(analytics).toMatchObject({ played: 0, average: null, strikeRate: null, currentStreak: null, form: [] });
+});
+
+test('results are split by opponent and by batting or bowling first', () => {
+  const analytics = careerAnalytics([
+    result('win', 'rookie'),
+    result('loss', 'mindReader', false),
+    result('draw', 'rookie', false),
+    { ...result('win'), mode: 'hotseat' },
+  ]);
+  expect(analytics.played).toBe(3);
+  expect(analytics.byOpponent).toEqual({
+    rookie: { played: 2, won: 1, lost: 0, drawn: 1 },
+    mindReader: { played: 1, won: 0, lost: 1, drawn: 0 },
+  });
+  expect(analytics.byInnings.battedFirst).toEqual({ played: 1, won: 1, lost: 0, drawn: 0 });
+  expect(analytics.byInnings.bowledFirst).toEqual({ played: 2, won: 0, lost: 1, drawn: 1 });
+});
+
+test('form and streaks read the archive oldest match first', () => {
+  // Newest first: W W D W W W L ...
+  const outcomes = ['win', 'win', 'draw', 'win', 'win', 'win', 'loss', 'win', 'loss', 'loss', 'loss', 'win'];
+  const analytics = careerAnalytics(outcomes.map(outcome => result(outcome)));
+  expect(analytics.form).toHaveLength(FORM_LENGTH);
+  expect(analytics.form[FORM_LENGTH - 1]).toBe('win');
+  expect(analytics.form[0]).toBe('loss');
+  expect(analytics.currentStreak).toEqual({ result: 'win', length: 2 });
+  expect(analytics.longestWinStreak).toBe(3);
+  expect(analytics.longestUnbeaten).toBe(6);
+});
+
+test('worm and Manhattan charts follow each innings', () => {
+  const record = playedRecord();
+  const [first, second] = wormData(record);
+  expect(first.batting).toBe('player');
+  expect(first.points.map(p => p.runs)).toEqual([0, 4, 10, 10]);
+  expect(first.points[3].wicket).toBe(true);
+  expect(second.points.map(p => p.runs)).toEqual([0, 5, 6, 6]);
+
+  const manhattan = manhattanData(record);
+  expect(manhattan[0].overs).toEqual([{ over: 1, runs: 10, wickets: 1 }]);
+  expect(manhattan[1].overs).toEqual([{ over: 1, runs: 6, wickets: 1 }]);
+});
@@ -0,0 +1,72 @@
+import { getPersona, personaName } from './personas.js';
+import { legalBalls } from './engine.js';
+import { splitOvers } from './formats.js';
+import { rulesKey } from './rules.js';
+import { getTranslator } from './i18n.js';
+
+// --- Match archive ---
+// Every finished match is kept as a structured record: the setup, the toss,
+// each ball in order and the result. Records are plain JSON, newest first.
+
+export const MAX_ARCHIVED_MATCHES = 300;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DATE_RANGES = { all: null, today: 1, week: 7, month: 30 };
+
+export const toMatchRecord = (match, playedAt = new Date()) => ({
+  id: `${playedAt.getTime().toString(36)}-${match.seed.toString(36)}`,
+  playedAt: playedAt.toISOString(),
+  mode: match.mode,
+  players: match.players,
+  opponent: match.mode === 'ai' ? match.opponent : null,
+  format: match.format,
+  rules: match.rules || [],
+  seed: match.seed, // replays need it to repeat no-balls and reviews
+  toss: match.toss,
+  // The target set in the first innings; a super over sets its own.
+  target: match.innings.length > 1 ? match.innings[0].runs + 1 : 0,
+  innings: match.innings.map(innings => ({
+    batting: innings.batting,
+    runs: innings.runs,
+    wickets: innings.wickets,
+    balls: legalBalls(innings),
+    ...(innings.superOver && { superOver: true }),
+  })),
+  balls: match.innings.flatMap((innings, index) => innings.balls.map(ball => ({ innings: index + 1, ...ball }))),
+  result: match.result,
+  forfeitedBy: match.forfeitedBy || null,
+});
+
+export const archiveMatch = (records, record) => [record, ...records].slice(0, MAX_ARCHIVED_MATCHES);
+
+// The opponent as shown in lists and used by the opponent filter.
+export const opponentKey = (record) => (record.mode === 'ai' ? record.opponent : record.mode);
+
+export const opponentLabel = (record, t = getTranslator()) => {
+  if (record.mode === 'ai') {
+    const persona = getPersona(record.opponent);
+    return `${persona.emoji} ${personaName(persona, t)}`;
+  }
+  return `${record.mode === 'online' ? '🌐' : '📱'} ${record.players.computer}`;
+};
+
+export const filterMatches = (records, { result = 'all', opponent = 'all', range = 'all', rules = 'all' } = {}, now = new Date()) => {
+  const days = DATE_RANGES[range];
+  const since = days ? now.getTime() - days * DAY_MS : null;
+  return records.filter(record =>
+    (result === 'all' || record.result === result) &&
+    (opponent === 'all' || opponentKey(record) === opponent) &&
+    (rules === 'all' || rulesKey(record.rules) === rules) &&
+    (since === null || new Date(record.playedAt).getTime() >= since)
+  );
+};
+
+// Balls of one innings grouped into overs.
+export const oversOf = (record, inningsNumber) => splitOvers(record.balls.filter(b => b.innings === inningsNumber));
+
+// The rule sets the records were played under, standard first, as keys for
+// the rules filter.
+export const ruleSetsOf = (records) => {
+  const keys = [...new Set(records.map(record => rulesKey(record.rules)))];
+  return keys.sort((a, b) => (a === 'standard' ? -1 : b === 'standard' ? 1 : a.localeCompare(b)));
+};
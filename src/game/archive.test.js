@@ -0,0 +1,50 @@
+import { createMatch, toss, chooseTo, playBall } from './engine';
+import { toMatchRecord, archiveMatch, filterMatches, oversOf, opponentLabel, MAX_ARCHIVED_MATCHES } from './archive';
+import { customFormat } from './formats';
+import { getTranslator } from './i18n';
+
+const playedMatch = () => {
+  let state = createMatch({ mode: 'hotseat', players: { player: 'Ann', computer: 'Bob' }, format: customFormat(1, 2), seed: 3 });
+  state = toss(state, 'paper', 'rock').state;
+  state = chooseTo(state, 'bowl').state;
+  [[4, 1], [6, 2], [1, 1]].forEach(([player, computer]) => { state = playBall(state, player, computer).state; });
+  [[2, 5], [3, 6]].forEach(([player, computer]) => { state = playBall(state, player, computer).state; });
+  return state;
+};
+
+test('a finished match becomes a ball-by-ball record', () => {
+  const record = toMatchRecord(playedMatch(), new Date('2026-05-01T10:00:00Z'));
+  expect(record).toMatchObject({
+    playedAt: '2026-05-01T10:00:00.000Z',
+    mode: 'hotseat',
+    toss: { winner: 'player', decision: 'bowl' },
+    target: 4,
+    result: 'win',
+    innings: [{ batting: 'computer', runs: 3, wickets: 1, balls: 3 }, { batting: 'player', runs: 5, wickets: 0, balls: 2 }],
+  });
+  expect(record.balls[0]).toEqual({ innings: 1, batter: 1, bowler: 4, runs: 1, wicket: false });
+  expect(record.balls[2]).toEqual({ innings: 1, batter: 1, bowler: 1, runs: 0, wicket: true });
+  expect(oversOf(record, 1)).toHaveLength(1);
+});
+
+test('the archive keeps the newest matches and filters them', () => {
+  const now = new Date('2026-05-10T12:00:00Z');
+  const records = [
+    { id: 'a', result: 'win', mode: 'ai', opponent: 'rookie', playedAt: '2026-05-10T09:00:00Z' },
+    { id: 'b', result: 'loss', mode: 'ai', opponent: 'mindReader', playedAt: '2026-05-06T09:00:00Z' },
+    { id: 'c', result: 'win', mode: 'hotseat', opponent: null, playedAt: '2026-03-01T09:00:00Z' },
+  ];
+  expect(filterMatches(records, { result: 'win' }, now).map(r => r.id)).toEqual(['a', 'c']);
+  expect(filterMatches(records, { opponent: 'mindReader' }, now).map(r => r.id)).toEqual(['b']);
+  expect(filterMatches(records, { range: 'week' }, now).map(r => r.id)).toEqual(['a', 'b']);
+  expect(filterMatches(records, { opponent: 'hotseat', range: 'month' }, now)).toEqual([]);
+
+  expect(opponentLabel(records[1])).toBe('🔮 Mind Reader');
+  expect(opponentLabel(records[1], getTranslator('ta'))).toBe(`🔮 ${getTranslator('ta')('personas.mindReader.name')}`);
+  expect(opponentLabel({ mode: 'online', players: { computer: 'Bob' } })).toBe('🌐 Bob');
+
+  const full = Array.from({ length: MAX_ARCHIVED_MATCHES }, (_, i) => ({ id: String(i) }));
+  const archived = archiveMatch(full, { id: 'new' });
+  expect(archived).toHaveLength(MAX_ARCHIVED_MATCHES);
+  expect(archived[0].id).toBe('new');
+});
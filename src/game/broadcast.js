@@ -0,0 +1,70 @@
+import { currentInnings, legalBalls, inningsFormat, ballsLeft, otherSide } from './engine.js';
+import { formatOvers } from './formats.js';
+
+// --- Broadcast overlay ---
+// What the streaming overlay shows, worked out by the game and sent to it
+// whole, so the overlay needs no engine of its own. Everything here is plain
+// data that can cross a BroadcastChannel or sit in localStorage.
+
+export const LAST_BALLS = 6;
+
+// How a ball reads on the score bug: W for a wicket, a dot for no runs, and
+// nb after a no-ball's runs.
+export const ballMark = (ball) => {
+  if (ball.wicket) return 'W';
+  if (ball.noBall) return `${ball.runs}nb`;
+  return ball.runs ? String(ball.runs) : '•';
+};
+
+// `names` are the sides' display names and `hands` the gestures on show for
+// the current ball, both keyed by side.
+export const overlaySnapshot = (match, { names, hands, language }) => {
+  if (!match) return { language, phase: null };
+  const innings = currentInnings(match);
+  const base = { language, phase: match.phase, names };
+  if (!innings) return base;
+
+  const { overs } = inningsFormat(match, innings);
+  const bowling = otherSide(innings.batting);
+  const chasing = match.target > 0 && match.phase === 'innings';
+  return {
+    ...base,
+    batting: names[innings.batting],
+    bowling: names[bowling],
+    runs: innings.runs,
+    wickets: innings.wickets,
+    overs: formatOvers(legalBalls(innings)),
+    maxOvers: overs,
+    target: match.target || null,
+    need: chasing ? match.target - innings.runs : null,
+    ballsLeft: chasing ? ballsLeft(match) : null,
+    lastBalls: innings.balls.slice(-LAST_BALLS).map(ballMark),
+    hands: match.phase === 'innings' ? { batting: hands[innings.batting], bowling: hands[bowling] } : null,
+    freeHit: Boolean(innings.freeHit),
+    superOver: Boolean(innings.superOver),
+    winner: match.result && match.result !== 'draw' ? names[match.result === 'win' ? 'player' : 'computer'] : null,
+    drawn: match.result === 'draw',
+  };
+};
+
+// The banners a set of match events calls for, in order: wickets (and
+// reviews that overturn them), milestones, super overs and the result.
+export const overlayBanners = (events, match, names, t) => events.flatMap(event => {
+  switch (event.type) {
+    case 'ball':
+      return event.wicket ? [{ kind: 'out', title: t('match.out'), detail: names[event.batting] }] : [];
+    case 'review':
+      return event.overturned ? [{ kind: 'notOut', title: t('match.notOut'), detail: names[event.batting] }] : [];
+    case 'milestone':
+      return [{ kind: 'milestone', title: `${t.number(event.runs)}!`, detail: names[event.batting] }];
+    case 'superOver':
+      return [{ kind: 'superOver', title: t('notify.superOver') }];
+    case 'matchEnd':
+      return [{
+        kind: 'result',
+        title: match.result === 'draw' ? t('results.drawn') : t('results.won', { name: names[match.result === 'win' ? 'player' : 'computer'] }),
+      }];
+    default:
+      return [];
+  }
+});
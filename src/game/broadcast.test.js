@@ -0,0 +1,72 @@
+import { createMatch, toss, chooseTo, playBall } from './engine';
+import { FORMAT_PRESETS } from './formats';
+import { getTranslator } from './i18n';
+import { ballMark, overlaySnapshot, overlayBanners } from './broadcast';
+
+const names = { player: 'Ann', computer: 'Bob' };
+const hands = { player: '✌️', computer: '👍' };
+
+// Ann bowls to Bob first; balls are [Ann's number, Bob's number].
+const play = (balls, format = FORMAT_PRESETS.classic) => {
+  let state = createMatch({ mode: 'hotseat', players: names, format, seed: 3 });
+  state = toss(state, 'rock', 'scissors').state;
+  state = chooseTo(state, 'bowl').state;
+  let events = [];
+  balls.forEach(([ann, bob]) => ({ state, events } = playBall(state, ann, bob)));
+  return { state, events };
+};
+
+test('balls read as runs, dots, wickets and no-balls', () => {
+  expect(ballMark({ runs: 4, wicket: false })).toBe('4');
+  expect(ballMark({ runs: 0, wicket: false })).toBe('•');
+  expect(ballMark({ runs: 3, wicket: true })).toBe('W');
+  expect(ballMark({ runs: 5, wicket: false, noBall: true })).toBe('5nb');
+});
+
+test('the snapshot carries the score, the last six balls and the hands', () => {
+  const { state } = play([[1, 4], [2, 6], [3, 1], [6, 2], [5, 3], [2, 2], [1, 1]], FORMAT_PRESETS.t5);
+  const snapshot = overlaySnapshot(state, { names, hands, language: 'en' });
+  expect(snapshot).toMatchObject({
+    language: 'en',
+    phase: 'innings',
+    batting: 'Bob',
+    bowling: 'Ann',
+    runs: 16,
+    wickets: 2,
+    overs: '1.1',
+    maxOvers: 5,
+    target: null,
+    need: null,
+    lastBalls: ['6', '1', '2', '3', 'W', 'W'],
+    hands: { batting: '👍', bowling: '✌️' },
+    winner: null,
+  });
+  expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+});
+
+test('a chase shows what is needed, and the end shows the winner', () => {
+  const chasing = play([[1, 4], [2, 6], [3, 3], [4, 1]]).state;
+  expect(overlaySnapshot(chasing, { names, hands, language: 'en' })).toMatchObject({ batting: 'Ann', runs: 4, target: 11, need: 7, ballsLeft: null });
+
+  const { state } = play([[1, 4], [2, 6], [3, 3], [4, 1], [5, 5]]);
+  expect(overlaySnapshot(state, { names, hands, language: 'en' })).toMatchObject({ phase: 'over', winner: 'Bob', need: null, hands: null });
+  expect(overlaySnapshot(null, { names, hands, language: 'si' })).toEqual({ language: 'si', phase: null });
+});
+
+test('wickets, milestones and results become banners', () => {
+  const t = getTranslator('en');
+  const { state, events } = play([[1, 4], [2, 6], [3, 3], [4, 1], [5, 5]]);
+  expect(overlayBanners(events, state, names, t)).toEqual([
+    { kind: 'out', title: 'OUT!', detail: 'Ann' },
+    { kind: 'result', title: 'Bob won' },
+  ]);
+
+  let match = play([]).state;
+  let fifty = [];
+  while (fifty.length === 0) {
+    const played = playBall(match, 1, 6);
+    match = played.state;
+    fifty = overlayBanners(played.events, match, names, t);
+  }
+  expect(fifty).toEqual([{ kind: 'milestone', title: '50!', detail: 'Bob' }]);
+});
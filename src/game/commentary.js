@@ -0,0 +1,262 @@
+import { ballsLeft, legalBalls, batterRuns } from './engine.js';
+import { BALLS_PER_OVER, formatOvers, splitOvers } from './formats.js';
+import { getPersona, personaName } from './personas.js';
+import { getTranslator } from './i18n.js';
+
+// --- Commentary ---
+// Template commentary worked out from the ball sequence alone, so it never
+// needs the network. Templates are picked by ball number rather than at
+// random, which keeps the same match reading the same way every time. The
+// words come from the message catalogues, in whichever language `t` speaks.
+
+// How to talk about one side: "You smash it" but "Bob smashes it". `person`
+// picks the message form, `name` starts a sentence and `mid` goes inside one.
+const voiceOf = (state, side, t) => {
+  const named = state.mode !== 'ai';
+  const you = !named && side === 'player';
+  if (named) return { person: 'they', name: state.players[side], mid: state.players[side] };
+  return you
+    ? { person: 'you', name: t('sides.you'), mid: t('sides.youMid') }
+    : { person: 'they', name: t('sides.theComputer'), mid: t('sides.theComputerMid') };
+};
+
+const isBoundary = (ball) => !ball.wicket && (batterRuns(ball) === 4 || batterRuns(ball) === 6);
+
+// The innings a ball event belongs to.
+const inningsOf = (state, event) => state.innings[event.innings - 1];
+
+// --- Ball by ball ---
+// One or more { icon, text } lines for a 'ball' event, given the state after
+// it. A wicket that ends the innings is left to the innings summary, and a
+// reviewed one to the review.
+export const ballCommentary = (state, event, t = getTranslator()) => {
+  const innings = inningsOf(state, event);
+  const number = innings.balls.length;
+  const ball = innings.balls[number - 1];
+  const batter = voiceOf(state, event.batting, t);
+  const bowler = voiceOf(state, event.batting === 'player' ? 'computer' : 'player', t);
+  const inningsOver = state.phase === 'over' || innings !== state.innings[state.innings.length - 1];
+  const lines = [];
+
+  if (ball.review) return lines;
+  if (ball.wicket) {
+    if (inningsOver) return lines;
+    const how = t('commentary.wicket', { ...bowler, number: ball.bowler, variant: number });
+    const score = t('commentary.score', { ...batter, runs: innings.runs, wickets: innings.wickets });
+    lines.push({ icon: '🔴', text: t('commentary.out', { how, score }) });
+    return lines;
+  }
+
+  const shot = batterRuns(ball);
+  if (ball.batter === ball.bowler) {
+    lines.push({ icon: '😅', text: t(ball.noBall ? 'commentary.surviveNoBall' : 'commentary.surviveFreeHit', { ...batter, number: ball.batter }) });
+  } else if (shot === 0) {
+    lines.push({ icon: '🛡️', text: t('commentary.defend', { ...batter, variant: number }) });
+  } else {
+    lines.push({ icon: isBoundary(ball) ? '💥' : '🏏', text: t(`commentary.runs.${shot}`, { ...batter, variant: number }) });
+  }
+  if (ball.powerplay && shot > 0) lines.push({ icon: '⚡', text: t('commentary.powerplay', { runs: shot * 2 }) });
+  if (ball.noBall) lines.push({ icon: '🚫', text: t('commentary.noBall') });
+  if (shot > 0 && ball.bowler > 0 && Math.abs(ball.batter - ball.bowler) === 1) {
+    lines.push({ icon: '😮', text: t('commentary.closeCall', { ...bowler, number: ball.bowler }) });
+  }
+  const lastThree = innings.balls.slice(-3);
+  if (lastThree.length === 3 && lastThree.every(isBoundary)) {
+    lines.push({ icon: '🔥', text: t('commentary.boundaryStreak', batter) });
+  }
+
+  // Pressure in the chase, while it is still on.
+  if (state.target > 0 && state.phase === 'innings') {
+    const need = state.target - innings.runs;
+    const left = ballsLeft(state);
+    if (need === 1) {
+      lines.push({ icon: '😬', text: t('commentary.scoresLevel') });
+    } else if (need <= BALLS_PER_OVER) {
+      lines.push({ icon: '😬', text: t('commentary.pressure', { need }) });
+    } else if (left !== null && left <= BALLS_PER_OVER) {
+      lines.push({ icon: '⏱️', text: t('commentary.lastBalls', { need, count: left }) });
+    } else if (left !== null && legalBalls(innings) % BALLS_PER_OVER === 0 && (need * BALLS_PER_OVER) / left > BALLS_PER_OVER) {
+      const rate = t.number((need * BALLS_PER_OVER) / left, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+      lines.push({ icon: '📈', text: t('commentary.requiredRate', { need, count: left, rate }) });
+    }
+  }
+  return lines;
+};
+
+// The third umpire's call on a reviewed dismissal.
+export const reviewCommentary = (state, event, t = getTranslator()) => {
+  const batter = voiceOf(state, event.batting, t);
+  const innings = state.innings.filter(i => i.batting === event.batting).pop();
+  return event.overturned
+    ? { icon: '📺', text: t('commentary.reviewOverturned', batter) }
+    : { icon: '📺', text: t('commentary.reviewUpheld', { ...batter, runs: innings.runs, wickets: innings.wickets }) };
+};
+
+export const milestoneCommentary = (state, event, t = getTranslator()) => {
+  const batter = voiceOf(state, event.batting, t);
+  return event.runs === 100
+    ? { icon: '💯', text: t('commentary.century', batter) }
+    : { icon: '🎉', text: t('commentary.fifty', batter) };
+};
+
+// --- Screen reader announcements ---
+// One plain sentence per ball for the live region: both numbers, what came of
+// them and the score, so the ball makes sense without seeing the board.
+export const ballAnnouncement = (state, event, t = getTranslator()) => {
+  const innings = inningsOf(state, event);
+  const ball = innings.balls[innings.balls.length - 1];
+  const batter = voiceOf(state, event.batting, t);
+  const bowler = voiceOf(state, event.batting === 'player' ? 'computer' : 'player', t);
+  const parts = [
+    t('announce.batterShows', { ...batter, number: ball.batter }),
+    t('announce.bowlerShows', { ...bowler, number: ball.bowler }),
+    ...(ball.noBall ? [t('announce.noBall')] : ball.freeHit ? [t('announce.freeHit')] : []),
+    ball.wicket ? t('announce.out') : t('announce.runs', { count: ball.runs }),
+    t('announce.score', { ...batter, runs: innings.runs, wickets: innings.wickets }),
+  ];
+  if (state.target > 0 && state.phase === 'innings' && innings === state.innings[state.innings.length - 1]) {
+    const left = ballsLeft(state);
+    const need = state.target - innings.runs;
+    parts.push(left === null ? t('announce.need', { need }) : t('announce.needFrom', { need, count: left }));
+  }
+  return parts.join(' ');
+};
+
+// --- Match report ---
+const sideLabel = (state, side, t) => {
+  if (state.mode !== 'ai') return state.players[side];
+  return side === 'player' ? t('sides.you') : personaName(getPersona(state.opponent), t);
+};
+
+const personOf = (state, side) => (state.mode === 'ai' && side === 'player' ? 'you' : 'they');
+
+const headlineFor = (state, t) => {
+  const [first, second] = state.innings;
+  const label = (side) => sideLabel(state, side, t);
+  if (state.forfeitedBy) {
+    return t('report.walkedOff', { name: label(state.forfeitedBy), winner: label(state.forfeitedBy === 'player' ? 'computer' : 'player'), person: personOf(state, state.forfeitedBy) });
+  }
+  const superOver = state.innings.length > 2;
+  if (state.result === 'draw') {
+    return superOver ? t('report.drawnAfterSuperOver') : t('report.drawn', { runs: first.runs });
+  }
+
+  const winner = state.result === 'win' ? 'player' : 'computer';
+  const loser = winner === 'player' ? 'computer' : 'player';
+  const outcome = state.mode !== 'ai' ? 'named' : winner === 'player' ? 'won' : 'lost';
+  const names = { winner: label(winner), loser: label(loser) };
+  if (superOver) return t('report.superOver', { runs: first.runs, beat: t(`report.beatMid.${outcome}`, names) });
+  const beat = t(`report.beat.${outcome}`, names);
+  if (second.batting === winner) {
+    const wicketsLeft = state.format.wickets - second.wickets;
+    return state.format.wickets > 1
+      ? t('report.byWickets', { beat, count: wicketsLeft, target: state.target })
+      : t('report.chased', { beat, target: state.target });
+  }
+  return t('report.byRuns', { beat, count: first.runs - second.runs });
+};
+
+const inningsLine = (state, innings, t) => {
+  const fours = innings.balls.filter(b => isBoundary(b) && batterRuns(b) === 4).length;
+  const sixes = innings.balls.filter(b => isBoundary(b) && batterRuns(b) === 6).length;
+  const name = sideLabel(state, innings.batting, t);
+  return t('report.innings', {
+    label: innings.superOver ? t('report.superOverLabel', { name }) : name,
+    runs: innings.runs,
+    wickets: innings.wickets,
+    overs: formatOvers(legalBalls(innings)),
+    fours: t('report.fours', { count: fours }),
+    sixes: t('report.sixes', { count: sixes }),
+  });
+};
+
+// Moments that swung the match, in match order, keeping the latest three.
+const turningPointsFor = (state, t) => {
+  const points = [];
+  state.innings.filter(innings => !innings.superOver).forEach((innings, index) => {
+    const side = { name: sideLabel(state, innings.batting, t), person: personOf(state, innings.batting) };
+    const overs = splitOvers(innings.balls);
+    const complete = legalBalls(innings) % BALLS_PER_OVER === 0 ? overs : overs.slice(0, -1);
+    // The most expensive over of a long enough innings.
+    if (complete.length >= 2) {
+      let best = { over: 0, runs: -1 };
+      complete.forEach((balls, over) => {
+        const runs = balls.reduce((sum, b) => sum + b.runs, 0);
+        if (runs > best.runs) best = { over: over + 1, runs };
+      });
+      points.push({ order: index * 1000 + best.over * BALLS_PER_OVER, text: t('report.expensiveOver', { ...side, over: best.over, runs: best.runs }) });
+    }
+    // A clatter of wickets: two or more inside one over.
+    overs.forEach((balls, over) => {
+      const wickets = balls.filter(b => b.wicket).length;
+      if (wickets >= 2) points.push({ order: index * 1000 + over * BALLS_PER_OVER, text: t('report.wicketsInOver', { ...side, count: wickets, over: over + 1 }) });
+    });
+    if (index === 1) {
+      // When the chase came within one hit, and wickets that fell close to the line.
+      const target = state.innings[0].runs + 1;
+      let runs = 0;
+      let legal = 0;
+      let closeCalled = false;
+      innings.balls.forEach((b, ball) => {
+        runs += b.runs;
+        legal += b.noBall ? 0 : 1;
+        const need = target - runs;
+        if (!closeCalled && !b.wicket && need > 0 && need <= BALLS_PER_OVER && ball > 0) {
+          closeCalled = true;
+          points.push({ order: index * 1000 + ball, text: t('report.closeChase', { ...side, overs: formatOvers(legal), need }) });
+        }
+        if (b.wicket && need <= BALLS_PER_OVER * 2) {
+          points.push({ order: index * 1000 + ball, text: t('report.lateWicket', { overs: formatOvers(legal), need }) });
+        }
+      });
+    }
+  });
+  return points.sort((a, b) => a.order - b.order).slice(-3).map(p => p.text);
+};
+
+// Against the computer: the number the player leaned on most, if it stood out.
+const tipFor = (state, t) => {
+  if (state.mode !== 'ai') return null;
+  const counts = {};
+  state.innings.forEach(innings => innings.balls.forEach(b => {
+    const mine = innings.batting === 'player' ? b.batter : b.bowler;
+    counts[mine] = (counts[mine] || 0) + 1;
+  }));
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const [favourite, times] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  if (!total || times / total < 0.3) return t('report.tipVaried');
+  return t('report.tipFavourite', { number: Number(favourite), percent: Math.round((times / total) * 100) });
+};
+
+export const matchReport = (state, t = getTranslator()) => ({
+  headline: headlineFor(state, t),
+  innings: state.innings.map(innings => inningsLine(state, innings, t)),
+  turningPoints: turningPointsFor(state, t),
+  tip: tipFor(state, t),
+});
+
+// The report as plain text, for sharing or handing to a language model.
+export const reportText = (report, t = getTranslator()) => [
+  report.headline,
+  ...report.innings,
+  ...(report.turningPoints.length ? [t('report.turningPointsHeading'), ...report.turningPoints.map(p => `- ${p}`)] : []),
+  ...(report.tip ? [report.tip] : []),
+].join('\n');
+
+// Every ball as runs, or W and the number both sides showed, one line per innings.
+export const ballSequenceText = (state, t = getTranslator()) => state.innings
+  .map(innings => t('report.ballSequence', {
+    name: sideLabel(state, innings.batting, t),
+    balls: innings.balls.map(b => (b.wicket ? `W(${b.batter})` : b.runs)).join(' '),
+  }))
+  .join('\n');
+
+// --- Commentary styles ---
+// The voices the commentary server can put on; `voice` goes into its prompt.
+export const COMMENTARY_STYLES = {
+  classic: { id: 'classic', name: 'Classic', emoji: '🎙️', description: 'Warm and measured, straight from the box.', voice: 'a warm, knowledgeable cricket broadcaster of the classic school' },
+  hype: { id: 'hype', name: 'Hype', emoji: '🔥', description: 'Every single is a World Cup final.', voice: 'an over-the-top, excitable commentator who treats every run like a World Cup final' },
+  dry: { id: 'dry', name: 'Dry Wit', emoji: '🫖', description: 'Understated, and gently sarcastic.', voice: 'a dry, understated commentator with a gently sarcastic sense of humour' },
+  coach: { id: 'coach', name: 'Coach', emoji: '📋', description: 'What went right, and what to try next time.', voice: 'a thoughtful coach reviewing the match and what to try differently next time' },
+};
+export const DEFAULT_COMMENTARY_STYLE = 'classic';
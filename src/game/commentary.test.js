@@ -0,0 +1,81 @@
+import { createMatch, toss, chooseTo, playBall, forfeit } from './engine';
+import { customFormat } from './formats';
+import { ballCommentary, ballAnnouncement, milestoneCommentary, matchReport, reportText } from './commentary';
+
+const start = (options) => {
+  let state = createMatch({ seed: 1, ...options });
+  state = toss(state, 'rock', 'scissors').state;
+  return chooseTo(state, 'bat').state;
+};
+
+const play = (state, balls) => balls.reduce((acc, [player, computer]) => {
+  const { state: next, events } = playBall(acc.state, player, computer);
+  return { state: next, lines: [...acc.lines, ...ballCommentary(next, events[0])] };
+}, { state, lines: [] });
+
+test('balls are called with the right voice', () => {
+  const { lines } = play(start({ opponent: 'keeper' }), [[6, 1], [4, 3], [1, 5]]);
+  expect(lines.map(l => l.text)).toEqual([
+    'SIX! You clear the ropes with ease.',
+    'Boundary! You pierce the field.',
+    'Close call! The computer was one away with a 3.',
+    'Just the one for you.',
+  ]);
+
+  const named = play(start({ mode: 'hotseat', players: { player: 'Ann', computer: 'Bob' } }), [[6, 2], [2, 2]]);
+  expect(named.lines.map(l => l.text)).toEqual(['SIX! Ann clears the ropes with ease.']);
+});
+
+test('wickets and boundary streaks are called, but an innings-ending wicket is left to the summary', () => {
+  const { lines } = play(start({ format: customFormat(3, null) }), [[4, 1], [6, 1], [5, 1], [3, 3]]);
+  expect(lines.map(l => l.icon)).toEqual(['💥', '💥', '🏏', '🔴']);
+  expect(lines[3].text).toBe('OUT! The computer matches the 3 and the stumps are rattled. You are 15/1.');
+
+  const streak = play(start({ format: customFormat(3, null) }), [[4, 1], [6, 1], [4, 2]]);
+  expect(streak.lines[streak.lines.length - 1]).toEqual({ icon: '🔥', text: 'Three boundaries in a row for you!' });
+});
+
+test('the chase builds pressure as the target comes close', () => {
+  const setUp = play(start({ format: customFormat(1, 1) }), [[6, 1], [6, 1], [1, 1]]);
+  expect(setUp.state.target).toBe(13);
+  const chase = play(setUp.state, [[2, 1], [1, 6], [2, 5]]);
+  expect(chase.lines.map(l => l.text)).toContain('12 needed off the last 5 balls.');
+  expect(chase.lines.map(l => l.text)).toContain('6 needed now. The pressure is on!');
+  expect(chase.lines.map(l => l.text)).toContain('Scores level! One more run wins it.');
+});
+
+test('every ball is announced with both numbers and the score', () => {
+  let state = start({ format: customFormat(1, 1) });
+  const announce = ([player, computer]) => {
+    const { state: next, events } = playBall(state, player, computer);
+    state = next;
+    return ballAnnouncement(next, events[0]);
+  };
+  expect(announce([4, 2])).toBe('You show 4, the computer shows 2. 4 runs. You are 4 for 0.');
+  expect(announce([1, 1])).toBe('You show 1, the computer shows 1. Out! You are 4 for 1.');
+  expect(announce([3, 1])).toBe('The computer shows 1, you show 3. 1 run. The computer is 1 for 0. 4 needed from 5 balls.');
+});
+
+test('milestones get a line of their own', () => {
+  const state = start({ mode: 'hotseat', players: { player: 'Ann', computer: 'Bob' } });
+  expect(milestoneCommentary(state, { type: 'milestone', batting: 'computer', runs: 50 })).toEqual({ icon: '🎉', text: 'Fifty up for Bob!' });
+});
+
+test('the match report sums up the result, the innings and the turning points', () => {
+  const first = play(start({ opponent: 'slogger', format: customFormat(3, 2) }), [[4, 1], [4, 2], [4, 3], [2, 2], [4, 6], [4, 1], [1, 1], [5, 5]]);
+  expect(first.state.target).toBe(21);
+  const { state } = play(first.state, [[1, 6], [1, 5], [2, 2], [1, 4], [3, 3], [4, 4]]);
+  const report = matchReport(state);
+  expect(report.headline).toBe('You beat Aggressive Slogger by 5 runs.');
+  expect(report.innings[0]).toBe('You: 20/3 (1.2 ov), 5 fours and 0 sixes.');
+  expect(report.innings[1]).toBe('Aggressive Slogger: 15/3 (1.0 ov), 1 four and 1 six.');
+  expect(report.turningPoints).toEqual([
+    'At 0.4 Aggressive Slogger needed just 6.',
+    'A wicket at 0.5 with only 6 needed.',
+    'A wicket at 1.0 with only 6 needed.',
+  ]);
+  expect(report.tip).toBe('Tip: you showed 4 on 43% of balls. Mix it up next time!');
+  expect(reportText(report).split('\n')).toHaveLength(8);
+
+  expect(matchReport(forfeit(first.state).state).headline).toBe('You walked off. The match goes to Aggressive Slogger.');
+});
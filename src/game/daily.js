@@ -0,0 +1,154 @@
+import { createRng } from './rng.js';
+import { createMatch, toss, chooseTo, playBall, currentInnings, TOSS_CHOICES, BEATS } from './engine.js';
+import { getComputerChoice } from './ai.js';
+import { BALLS_PER_OVER, customFormat, formatName } from './formats.js';
+import { PERSONAS, getPersona, personaName } from './personas.js';
+import { getTranslator } from './i18n.js';
+import { createPlayerModel } from './predictor.js';
+
+// --- Daily challenge ---
+// One chase a day, the same for everyone. The date seeds the opponent, the
+// format, the toss, the computer's innings (and so the target) and every
+// number the computer bowls in the chase, so nothing depends on what the
+// player picks or what the Mind Reader has learned about them. Each player
+// gets one attempt; `results` remembers how it went, newest first.
+
+export const MAX_DAILY_RESULTS = 60;
+export const DEFAULT_DAILY = { results: [], bestStreak: 0 };
+
+const DAILY_FORMATS = [customFormat(1, 2), customFormat(2, 2), customFormat(3, 3), customFormat(5, 5)];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIRST_DAY = Date.UTC(2026, 0, 1); // Daily #1
+
+// --- Days ---
+// A day is its local date as 'YYYY-MM-DD', so the challenge changes at midnight.
+export const dayKey = (date = new Date()) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+
+const dayIndex = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+};
+
+const previousDay = (key) => new Date((dayIndex(key) - 1) * DAY_MS).toISOString().slice(0, 10);
+
+export const dailyNumber = (key) => dayIndex(key) - FIRST_DAY / DAY_MS + 1;
+
+// FNV-1a, so every device turns the same date into the same seed.
+export const dailySeed = (key) => {
+  let hash = 0x811c9dc5;
+  for (const char of `hand-cricket-daily:${key}`) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// --- The challenge ---
+// A match already into the chase: the computer has won the toss, batted and
+// set the target. `playerModel` is only carried so the player's own record
+// isn't reset by playing; nothing in the challenge reads it.
+export const createDailyChallenge = ({ date = new Date(), playerModel = createPlayerModel() } = {}) => {
+  const id = dayKey(date);
+  const seed = dailySeed(id);
+  const rng = createRng(seed);
+  const opponent = rng.pick(Object.keys(PERSONAS));
+  const format = rng.pick(DAILY_FORMATS);
+
+  // The computer always wins the toss and bats, so everyone chases.
+  const loser = rng.pick(TOSS_CHOICES);
+  const winner = TOSS_CHOICES.find(hand => BEATS[hand] === loser);
+  let state = createMatch({ opponent, format, seed });
+  state = chooseTo(toss(state, loser, winner).state, 'bat').state;
+  while (state.target === 0) state = playBall(state, rng.int(1, 6)).state;
+
+  const bowling = Array.from({ length: format.overs * BALLS_PER_OVER }, () =>
+    getComputerChoice({ model: createPlayerModel(), role: 'batting', opponent, rng }));
+  return { ...state, playerModel, daily: { id, number: dailyNumber(id), bowling } };
+};
+
+// The number the computer bowls at the next ball of a daily chase.
+export const dailyBowl = (state) => state.daily.bowling[currentInnings(state).balls.length];
+
+// --- Results and streaks ---
+export const dailyResult = (daily, id) => daily.results.find(entry => entry.id === id) || null;
+
+// Days in a row with a finished attempt, up to today, or up to yesterday while
+// today's is still to play.
+export const dailyStreak = (daily, today = dayKey()) => {
+  const finished = new Set(daily.results.filter(entry => entry.result).map(entry => entry.id));
+  let day = finished.has(today) ? today : previousDay(today);
+  let streak = 0;
+  while (finished.has(day)) {
+    streak += 1;
+    day = previousDay(day);
+  }
+  return streak;
+};
+
+const withEntry = (daily, entry) => ({
+  ...daily,
+  results: [entry, ...daily.results.filter(other => other.id !== entry.id)].slice(0, MAX_DAILY_RESULTS),
+});
+
+// The attempt counts from the first ball, so reloading can't buy a second go.
+export const startDailyAttempt = (daily, state) => withEntry(daily, {
+  id: state.daily.id,
+  number: state.daily.number,
+  opponent: state.opponent,
+  format: state.format,
+  target: state.target,
+  result: null,
+  balls: [],
+});
+
+export const finishDailyAttempt = (daily, state) => {
+  const entry = dailyResult(daily, state.daily.id) || startDailyAttempt(DEFAULT_DAILY, state).results[0];
+  const chase = state.innings.find(innings => innings.batting === 'player');
+  const next = withEntry(daily, {
+    ...entry,
+    result: state.result,
+    balls: chase ? chase.balls.map(({ runs, wicket }) => ({ runs, wicket })) : [],
+  });
+  return { ...next, bestStreak: Math.max(next.bestStreak, dailyStreak(next, entry.id)) };
+};
+
+// --- Sharing ---
+const KEYCAPS = ['0️⃣', '1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣'];
+const WICKET = '🔴';
+
+// How the chase went, in a few words.
+export const dailyOutcome = (entry, t = getTranslator()) => {
+  const runs = entry.balls.reduce((total, ball) => total + ball.runs, 0);
+  if (entry.result === 'win') {
+    return t('daily.wonWithBalls', { count: entry.format.overs * BALLS_PER_OVER - entry.balls.length });
+  }
+  if (entry.result === 'draw') return t('daily.tied');
+  const short = entry.target - 1 - runs;
+  return short > 0 ? t('daily.lostByRuns', { count: short }) : t('daily.lost');
+};
+
+// Opponent, format and target, as the card and the shared text show them.
+export const dailyMatchLine = (entry, t = getTranslator()) => {
+  const persona = getPersona(entry.opponent);
+  return t('daily.matchLine', {
+    opponent: `${persona.emoji} ${personaName(persona, t)}`,
+    format: formatName(entry.format, t),
+    target: entry.target,
+  });
+};
+
+// The text to paste into chat: the chase ball by ball, one line per over,
+// with runs as keycaps and wickets as red dots.
+export const dailyShareText = (entry, streak, t = getTranslator()) => {
+  const cells = entry.balls.map(ball => (ball.wicket ? WICKET : KEYCAPS[ball.runs]));
+  const overs = [];
+  for (let i = 0; i < cells.length; i += BALLS_PER_OVER) overs.push(cells.slice(i, i + BALLS_PER_OVER).join(''));
+  return [
+    `🏏 ${t('daily.shareTitle', { number: entry.number })}`,
+    dailyMatchLine(entry, t),
+    dailyOutcome(entry, t),
+    ...overs,
+    ...(streak > 1 ? [`🔥 ${t('daily.streakDays', { count: streak })}`] : []),
+  ].join('\n');
+};
@@ -0,0 +1,82 @@
+import { playBall } from './engine';
+import { createPlayerModel, updatePlayerModel } from './predictor';
+import {
+  createDailyChallenge, dailyBowl, dayKey, dailyNumber, dailyStreak, startDailyAttempt, finishDailyAttempt, dailyShareText, DEFAULT_DAILY,
+} from './daily';
+
+const DAY = new Date(2026, 4, 4, 9, 30);
+
+const playChase = (state, pick) => {
+  let match = state;
+  while (match.phase === 'innings') match = playBall(match, pick(match), dailyBowl(match)).state;
+  return match;
+};
+
+test('everyone gets the same chase on the same day, whatever they have played before', () => {
+  const learned = updatePlayerModel(createPlayerModel(), 'batting', 6);
+  const morning = createDailyChallenge({ date: DAY });
+  const evening = createDailyChallenge({ date: new Date(2026, 4, 4, 23, 59), playerModel: learned });
+  expect(morning.daily).toEqual(evening.daily);
+  expect(morning).toMatchObject({ phase: 'innings', target: evening.target, opponent: evening.opponent, format: evening.format });
+  expect(morning.toss).toMatchObject({ winner: 'computer', decision: 'bat' });
+  expect(morning.innings[0].balls).toEqual(evening.innings[0].balls);
+  expect(evening.playerModel).toBe(learned);
+  expect(morning.daily).toMatchObject({ id: '2026-05-04', number: 124 });
+  expect(createDailyChallenge({ date: new Date(2026, 4, 5) }).daily.bowling).not.toEqual(morning.daily.bowling);
+
+  // The computer bowls the same numbers whatever the player picks.
+  const sixes = playChase(morning, () => 6);
+  const ones = playChase(evening, () => 1);
+  const bowled = (match) => match.innings[1].balls.map(ball => ball.bowler);
+  const shorter = Math.min(bowled(sixes).length, bowled(ones).length);
+  expect(bowled(sixes).slice(0, shorter)).toEqual(bowled(ones).slice(0, shorter));
+});
+
+test('days are local dates, numbered from the first daily', () => {
+  expect(dayKey(new Date(2026, 0, 1, 0, 5))).toBe('2026-01-01');
+  expect(dailyNumber('2026-01-01')).toBe(1);
+  expect(dailyNumber('2027-01-01')).toBe(366);
+});
+
+test('a streak counts finished days in a row, and an unplayed today does not break it', () => {
+  const entry = (id, result = 'win') => ({ id, result });
+  const daily = { results: [entry('2026-05-03'), entry('2026-05-02', 'loss'), entry('2026-04-30')], bestStreak: 0 };
+  expect(dailyStreak(daily, '2026-05-04')).toBe(2);
+  expect(dailyStreak(daily, '2026-05-03')).toBe(2);
+  expect(dailyStreak(daily, '2026-05-06')).toBe(0);
+  expect(dailyStreak({ results: [entry('2026-05-04', null), ...daily.results] }, '2026-05-04')).toBe(2);
+});
+
+test('an attempt is recorded from the start and finished with its balls', () => {
+  const state = createDailyChallenge({ date: DAY });
+  const started = startDailyAttempt({ results: [{ id: '2026-05-03', result: 'win', balls: [] }], bestStreak: 1 }, state);
+  expect(started.results[0]).toMatchObject({ id: '2026-05-04', number: 124, target: state.target, result: null, balls: [] });
+
+  const over = playChase(state, () => 4);
+  const finished = finishDailyAttempt(started, over);
+  expect(finished.results).toHaveLength(2);
+  expect(finished.results[0].result).toBe(over.result);
+  expect(finished.results[0].balls).toHaveLength(over.innings[1].balls.length);
+  expect(finished.bestStreak).toBe(2);
+  expect(finishDailyAttempt(DEFAULT_DAILY, over).results).toHaveLength(1);
+});
+
+test('the share text shows the chase one over per line', () => {
+  const entry = {
+    number: 12,
+    opponent: 'keeper',
+    format: { name: '2 wkts, 2 ov', overs: 2 },
+    target: 20,
+    result: 'loss',
+    balls: [4, 0, 6, 1, 2, 0, 3].map(runs => ({ runs, wicket: runs === 0 })),
+  };
+  expect(dailyShareText(entry, 3)).toBe([
+    '🏏 Hand Cricket Daily #12',
+    '🧤 Cautious Keeper · 2 wkts, 2 ov · Target 20',
+    'Lost by 3 runs',
+    '4️⃣🔴6️⃣1️⃣2️⃣🔴',
+    '3️⃣',
+    '🔥 3-day streak',
+  ].join('\n'));
+  expect(dailyShareText({ ...entry, result: 'win', balls: entry.balls.slice(0, 3) }, 1)).toContain('Won with 9 balls to spare');
+});
@@ -0,0 +1,334 @@
+import { createRng, randomSeed } from './rng.js';
+import { getComputerChoice, getTossDecision } from './ai.js';
+import { DEFAULT_OPPONENT } from './personas.js';
+import { createPlayerModel, updatePlayerModel } from './predictor.js';
+import { BALLS_PER_OVER, DEFAULT_FORMAT } from './formats.js';
+import {
+  STANDARD_RULES, NO_BALL_CHANCE, REVIEW_SUCCESS, POWERPLAY_BALLS, DEFEND_CHANCE, SUPER_OVER_FORMAT, hasRule,
+} from './rules.js';
+
+// --- Headless match engine ---
+// A match is a plain, serialisable object. Every action takes the current
+// state and returns `{ state, events }`; the caller decides how to present the
+// events (sounds, log lines, notifications) and never mutates the state.
+//
+// The two sides are always called 'player' and 'computer'. In pass-and-play
+// and online modes the 'computer' side is the second human, and `players`
+// holds the names to show for each side.
+//
+// `rules` lists the rule variants in play (see rules.js). Only the innings
+// and balls they affect carry extra fields: `noBall`, `freeHit`, `powerplay`
+// and `review` on a ball, `freeHit`, `reviewUsed` and `superOver` on an
+// innings.
+
+export const TOSS_CHOICES = ['rock', 'paper', 'scissors'];
+export const BEATS = { rock: 'scissors', paper: 'rock', scissors: 'paper' };
+const MILESTONES = [50, 100];
+
+export const otherSide = (side) => (side === 'player' ? 'computer' : 'player');
+
+export const DEFAULT_PLAYERS = { player: 'You', computer: 'Computer' };
+
+export const createMatch = ({
+  mode = 'ai', // 'ai' | 'hotseat' | 'online'
+  players = DEFAULT_PLAYERS,
+  opponent = DEFAULT_OPPONENT, // AI persona id
+  playerModel = createPlayerModel(), // carried over from earlier matches
+  format = DEFAULT_FORMAT,
+  rules = STANDARD_RULES,
+  seed = randomSeed(),
+} = {}) => ({
+  phase: 'toss', // toss -> choose -> innings -> over
+  mode,
+  players,
+  opponent,
+  playerModel,
+  format,
+  rules,
+  seed,
+  rngState: seed,
+  toss: null,
+  innings: [],
+  target: 0,
+  result: null, // 'win' | 'loss' | 'draw', from the player's point of view
+  forfeitedBy: null, // the side that walked away from an unfinished match
+  pendingReview: false, // a dismissal the batter can still review
+});
+
+// --- Selectors ---
+export const currentInnings = (state) => state.innings[state.innings.length - 1] || null;
+
+export const battingSide = (state) => {
+  const innings = currentInnings(state);
+  return innings ? innings.batting : null;
+};
+
+// No-balls are bowled again, so only legal balls count towards the over.
+export const legalBalls = (innings) => innings.balls.filter(ball => !ball.noBall).length;
+
+// The limits an innings is played to: the match format, or one over and one
+// wicket in a super over.
+export const inningsFormat = (state, innings = currentInnings(state)) =>
+  (innings && innings.superOver ? SUPER_OVER_FORMAT : state.format);
+
+// Runs off the bat, before powerplay doubling and no-ball extras. Matching
+// numbers score nothing even when they don't get the batter out.
+export const batterRuns = (ball) => (ball.batter === ball.bowler ? 0 : ball.batter);
+
+// A super over only settles a tie, so it counts towards nobody's figures.
+export const runsFor = (state, side) =>
+  state.innings.filter(i => i.batting === side && !i.superOver).reduce((total, i) => total + i.runs, 0);
+
+export const resultFor = (state, side) => {
+  if (side === 'player' || state.result === 'draw' || !state.result) return state.result;
+  return state.result === 'win' ? 'loss' : 'win';
+};
+
+export const ballsLeft = (state) => {
+  const innings = currentInnings(state);
+  const { overs } = inningsFormat(state, innings);
+  if (!innings || !overs) return null;
+  return overs * BALLS_PER_OVER - legalBalls(innings);
+};
+
+// Runs per over still needed in a limited-overs chase.
+export const requiredRunRate = (state) => {
+  const remaining = ballsLeft(state);
+  if (!state.target || !remaining) return null;
+  const needed = state.target - currentInnings(state).runs;
+  return (needed * BALLS_PER_OVER) / remaining;
+};
+
+export const wicketsTakenBy = (state, side) =>
+  state.innings.filter(i => i.batting !== side && !i.superOver).reduce((total, i) => total + i.wickets, 0);
+
+// --- Perspective ---
+// Online, each client sees the match from its own seat: the guest swaps the
+// sides of every state and event so that 'player' always means "me".
+const flipSide = (side) => (side === 'player' || side === 'computer' ? otherSide(side) : side);
+const flipResult = (result) => (result === 'win' ? 'loss' : result === 'loss' ? 'win' : result);
+
+export const swapSides = (state) => ({
+  ...state,
+  players: { player: state.players.computer, computer: state.players.player },
+  toss: state.toss && {
+    ...state.toss,
+    playerChoice: state.toss.computerChoice,
+    computerChoice: state.toss.playerChoice,
+    winner: flipSide(state.toss.winner),
+  },
+  innings: state.innings.map(i => ({ ...i, batting: otherSide(i.batting) })),
+  result: flipResult(state.result),
+});
+
+export const swapEventSides = (event) => {
+  const swapped = { ...event };
+  ['batting', 'side', 'winner'].forEach(key => {
+    if (key in event) swapped[key] = flipSide(event[key]);
+  });
+  if ('playerNumber' in event) [swapped.playerNumber, swapped.computerNumber] = [event.computerNumber, event.playerNumber];
+  if ('playerChoice' in event) [swapped.playerChoice, swapped.computerChoice] = [event.computerChoice, event.playerChoice];
+  if ('result' in event) swapped.result = flipResult(event.result);
+  return swapped;
+};
+
+// --- Internal helpers ---
+const withRng = (state, fn) => {
+  const rng = createRng(state.rngState);
+  const value = fn(rng);
+  return [value, rng.getState()];
+};
+
+const startInnings = (state, batting, superOver = false) => ({
+  ...state,
+  phase: 'innings',
+  innings: [...state.innings, { batting, runs: 0, wickets: 0, balls: [], ...(superOver && { superOver }) }],
+});
+
+// No-balls and reviews are decided by the seed and the ball's place in the
+// match rather than the running random source, so they come out the same
+// however the computer picked its numbers, and a replay repeats them.
+const NO_BALL_ROLL = 1;
+const REVIEW_ROLL = 2;
+const variantRoll = (state, roll) => {
+  const place = state.innings.length * 1000 + currentInnings(state).balls.length;
+  return createRng((state.seed ^ Math.imul(place * 4 + roll, 0x9e3779b1)) >>> 0).next();
+};
+
+const finishMatch = (state, winner) => {
+  const result = winner === 'tie' ? 'draw' : winner === 'player' ? 'win' : 'loss';
+  return [{ ...state, phase: 'over', result }, { type: 'matchEnd', result }];
+};
+
+// --- Actions ---
+// `opponentChoice` / `opponentNumber` are only passed when the other side is a
+// human; otherwise the computer picks from the match's random source.
+export const toss = (state, playerChoice, opponentChoice = null) => {
+  if (state.phase !== 'toss') return { state, events: [] };
+
+  const [{ computerChoice, decision }, rngState] = opponentChoice
+    ? [{ computerChoice: opponentChoice, decision: null }, state.rngState]
+    : withRng(state, (rng) => {
+      const pick = rng.pick(TOSS_CHOICES);
+      return { computerChoice: pick, decision: getTossDecision({ opponent: state.opponent, rng }) };
+    });
+
+  let winner;
+  if (playerChoice === computerChoice) winner = 'tie';
+  else if (BEATS[playerChoice] === computerChoice) winner = 'player';
+  else winner = 'computer';
+
+  const tossEvent = { type: 'toss', playerChoice, computerChoice, winner };
+  const next = { ...state, rngState, toss: { playerChoice, computerChoice, winner, decision: null } };
+
+  if (winner === 'tie') return { state: next, events: [tossEvent] };
+  if (winner === 'player' || !decision) return { state: { ...next, phase: 'choose' }, events: [tossEvent] };
+
+  // The computer decides straight away.
+  const chosen = chooseTo({ ...next, phase: 'choose' }, decision);
+  return { state: chosen.state, events: [tossEvent, ...chosen.events] };
+};
+
+export const chooseTo = (state, decision) => {
+  if (state.phase !== 'choose') return { state, events: [] };
+
+  const winner = state.toss.winner;
+  const batting = decision === 'bat' ? winner : otherSide(winner);
+  const next = startInnings({ ...state, toss: { ...state.toss, decision } }, batting);
+  return {
+    state: next,
+    events: [
+      { type: 'decision', side: winner, decision },
+      { type: 'inningsStart', batting, target: 0 },
+    ],
+  };
+};
+
+// Walking away from an unfinished match loses it; a finished one stands.
+export const forfeit = (state, side = 'player') => {
+  if (state.phase === 'over') return { state, events: [] };
+  const result = side === 'player' ? 'loss' : 'win';
+  return {
+    state: { ...state, phase: 'over', result, forfeitedBy: side },
+    events: [{ type: 'matchEnd', result, forfeit: side }],
+  };
+};
+
+export const playBall = (state, playerNumber, opponentNumber = null) => {
+  if (state.phase !== 'innings' || state.pendingReview) return { state, events: [] };
+
+  const innings = currentInnings(state);
+  const role = innings.batting === 'player' ? 'batting' : 'bowling';
+  const [computerNumber, rngState] = opponentNumber !== null
+    ? [opponentNumber, state.rngState]
+    : withRng(state, (rng) => (hasRule(state.rules, 'defend') && rng.next() < DEFEND_CHANCE
+      ? 0
+      : getComputerChoice({ model: state.playerModel, role, opponent: state.opponent, rng })));
+  // The computer learns from the ball only after it has chosen. A defended 0
+  // isn't one of the numbers it reads.
+  const learns = opponentNumber === null && playerNumber !== 0;
+  const playerModel = learns ? updatePlayerModel(state.playerModel, role, playerNumber) : state.playerModel;
+
+  const [batter, bowler] = role === 'batting' ? [playerNumber, computerNumber] : [computerNumber, playerNumber];
+  const noBall = hasRule(state.rules, 'freeHit') && variantRoll(state, NO_BALL_ROLL) < NO_BALL_CHANCE;
+  const freeHit = Boolean(innings.freeHit);
+  const powerplay = hasRule(state.rules, 'powerplay') && legalBalls(innings) < POWERPLAY_BALLS;
+  const extras = { ...(noBall && { noBall }), ...(freeHit && { freeHit }), ...(powerplay && { powerplay }) };
+  const wicket = batter === bowler && !noBall && !freeHit;
+  const runs = batterRuns({ batter, bowler }) * (powerplay ? 2 : 1) + (noBall ? 1 : 0);
+  const updatedInnings = {
+    ...innings,
+    runs: innings.runs + runs,
+    wickets: innings.wickets + (wicket ? 1 : 0),
+    balls: [...innings.balls, { batter, bowler, runs, wicket, ...extras }],
+    ...(hasRule(state.rules, 'freeHit') && { freeHit: noBall }),
+  };
+
+  const next = {
+    ...state,
+    rngState,
+    playerModel,
+    innings: [...state.innings.slice(0, -1), updatedInnings],
+  };
+  const events = [{ type: 'ball', innings: state.innings.length, batting: innings.batting, playerNumber, computerNumber, runs, wicket, ...extras }];
+
+  MILESTONES.forEach(milestone => {
+    if (innings.runs < milestone && updatedInnings.runs >= milestone) {
+      events.push({ type: 'milestone', batting: innings.batting, runs: milestone });
+    }
+  });
+
+  // A dismissal that can be reviewed waits for the batter's call. The
+  // computer always reviews.
+  if (wicket && hasRule(state.rules, 'review') && !innings.reviewUsed) {
+    const offered = { ...next, pendingReview: true };
+    if (state.mode === 'ai' && innings.batting === 'computer') {
+      const reviewed = reviewDismissal(offered, true);
+      return { state: reviewed.state, events: [...events, ...reviewed.events] };
+    }
+    return { state: offered, events: [...events, { type: 'reviewOffer', batting: innings.batting }] };
+  }
+  return settleBall(next, events);
+};
+
+// The batter's answer to a review offer. A review that is taken is used up
+// whichever way it goes; turning it down keeps it for later.
+export const reviewDismissal = (state, take) => {
+  if (!state.pendingReview) return { state, events: [] };
+
+  const next = { ...state, pendingReview: false };
+  if (!take) return settleBall(next, []);
+
+  const innings = currentInnings(state);
+  const ball = innings.balls[innings.balls.length - 1];
+  const overturned = variantRoll(state, REVIEW_ROLL) < REVIEW_SUCCESS;
+  const reviewed = {
+    ...innings,
+    wickets: innings.wickets - (overturned ? 1 : 0),
+    reviewUsed: true,
+    balls: [...innings.balls.slice(0, -1), { ...ball, wicket: !overturned, review: overturned ? 'overturned' : 'upheld' }],
+  };
+  return settleBall(
+    { ...next, innings: [...state.innings.slice(0, -1), reviewed] },
+    [{ type: 'review', batting: innings.batting, overturned }],
+  );
+};
+
+// Once a ball stands: the chase may be won, the innings over, or a tied match
+// sent to a super over.
+const settleBall = (state, events) => {
+  const innings = currentInnings(state);
+  const chasing = state.target > 0;
+  if (chasing && innings.runs >= state.target) {
+    const [finished, endEvent] = finishMatch(state, innings.batting);
+    return { state: finished, events: [...events, endEvent] };
+  }
+
+  const limits = inningsFormat(state, innings);
+  const allOut = innings.wickets >= limits.wickets;
+  const oversUp = Boolean(limits.overs) && legalBalls(innings) >= limits.overs * BALLS_PER_OVER;
+  if (!allOut && !oversUp) return { state, events };
+
+  const ended = [...events, {
+    type: 'inningsEnd',
+    batting: innings.batting,
+    runs: innings.runs,
+    wickets: innings.wickets,
+    reason: allOut ? 'allOut' : 'overs',
+  }];
+  if (chasing) {
+    const tied = innings.runs === state.target - 1;
+    if (tied && hasRule(state.rules, 'superOver') && !innings.superOver) {
+      // The side that batted second bats first in the super over.
+      const superOver = startInnings({ ...state, target: 0 }, innings.batting, true);
+      return { state: superOver, events: [...ended, { type: 'superOver' }, { type: 'inningsStart', batting: innings.batting, target: 0 }] };
+    }
+    const [finished, endEvent] = finishMatch(state, tied ? 'tie' : otherSide(innings.batting));
+    return { state: finished, events: [...ended, endEvent] };
+  }
+
+  const target = innings.runs + 1;
+  const batting = otherSide(innings.batting);
+  const next = startInnings({ ...state, target }, batting, Boolean(innings.superOver));
+  return { state: next, events: [...ended, { type: 'inningsStart', batting, target }] };
+};
@@ -0,0 +1,223 @@
+import {
+  createMatch, toss, chooseTo, playBall, reviewDismissal, forfeit, currentInnings, runsFor, ballsLeft, legalBalls, swapSides, swapEventSides,
+} from './engine';
+import { FORMAT_PRESETS, customFormat, formatOvers } from './formats';
+import { createRng } from './rng';
+
+const startBatting = (seed, format) => {
+  let state = createMatch({ seed, format });
+  while (state.phase === 'toss') state = toss(state, 'rock').state;
+  if (state.phase === 'choose') state = chooseTo(state, 'bat').state;
+  return state;
+};
+
+const playOut = (state, pickNumber) => {
+  const events = [];
+  let ball = 0;
+  while (state.phase === 'innings') {
+    const step = playBall(state, pickNumber(ball++));
+    events.push(...step.events);
+    state = step.state;
+  }
+  return { state, events };
+};
+
+test('the seeded rng is reproducible', () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const values = Array.from({ length: 5 }, () => a.int(1, 6));
+  expect(values).toEqual(Array.from({ length: 5 }, () => b.int(1, 6)));
+  expect(values.every(v => v >= 1 && v <= 6)).toBe(true);
+});
+
+test('the same seed and inputs replay the same match', () => {
+  const first = playOut(startBatting(7), ball => (ball % 6) + 1);
+  const second = playOut(startBatting(7), ball => (ball % 6) + 1);
+  expect(second.state).toEqual(first.state);
+  expect(second.events).toEqual(first.events);
+});
+
+test('actions never mutate the state they are given', () => {
+  const state = startBatting(3);
+  const snapshot = JSON.parse(JSON.stringify(state));
+  playBall(state, 4);
+  expect(state).toEqual(snapshot);
+});
+
+test('a wicket in the first innings sets the target and switches sides', () => {
+  let state = startBatting(11);
+  const firstBatting = currentInnings(state).batting;
+  let events = [];
+  while (state.innings.length === 1) {
+    const step = playBall(state, 2);
+    state = step.state;
+    events = step.events;
+  }
+  const firstInnings = state.innings[0];
+  expect(firstInnings.balls[firstInnings.balls.length - 1].wicket).toBe(true);
+  expect(state.target).toBe(firstInnings.runs + 1);
+  expect(currentInnings(state).batting).not.toBe(firstBatting);
+  expect(events.map(e => e.type)).toEqual(['ball', 'inningsEnd', 'inningsStart']);
+});
+
+test('every match ends with a result that matches the scores', () => {
+  for (let seed = 1; seed <= 25; seed++) {
+    const { state, events } = playOut(startBatting(seed), ball => ((ball * 5) % 6) + 1);
+    const player = runsFor(state, 'player');
+    const computer = runsFor(state, 'computer');
+    const expected = player > computer ? 'win' : player < computer ? 'loss' : 'draw';
+    expect(state.phase).toBe('over');
+    expect(state.result).toBe(expected);
+    expect(events[events.length - 1]).toEqual({ type: 'matchEnd', result: expected });
+  }
+});
+
+test('a multi-wicket innings carries on until the side is all out', () => {
+  const { state } = playOut(startBatting(5, customFormat(3, null)), ball => (ball % 6) + 1);
+  const [first] = state.innings;
+  expect(first.wickets).toBe(3);
+  expect(first.balls.filter(b => b.wicket)).toHaveLength(3);
+  expect(first.balls[first.balls.length - 1].wicket).toBe(true);
+});
+
+test('an innings ends when the overs run out', () => {
+  let state = startBatting(9, customFormat(10, 1));
+  let end = null;
+  while (!end) {
+    const step = playBall(state, (state.innings[0].balls.length % 6) + 1);
+    state = step.state;
+    end = step.events.find(e => e.type === 'inningsEnd');
+  }
+  const [first] = state.innings;
+  expect(end.reason).toBe('overs');
+  expect(first.balls).toHaveLength(6);
+  expect(state.target).toBe(first.runs + 1);
+  expect(ballsLeft(state)).toBe(6);
+});
+
+test('overs are shown as completed overs and balls', () => {
+  expect(formatOvers(0)).toBe('0.0');
+  expect(formatOvers(14)).toBe('2.2');
+  expect(customFormat(5, 5)).toBe(FORMAT_PRESETS.t5);
+});
+
+test('pass-and-play uses both players\' picks and lets either toss winner choose', () => {
+  let state = createMatch({ mode: 'hotseat', players: { player: 'Ann', computer: 'Bob' }, seed: 1 });
+  state = toss(state, 'rock', 'paper').state;
+  expect(state.toss.winner).toBe('computer');
+  expect(state.phase).toBe('choose');
+
+  state = chooseTo(state, 'bat').state;
+  expect(currentInnings(state).batting).toBe('computer');
+
+  const { state: next, events } = playBall(state, 2, 5);
+  expect(events[0]).toMatchObject({ playerNumber: 2, computerNumber: 5, runs: 5, wicket: false });
+  expect(next.rngState).toBe(state.rngState);
+});
+
+test('swapping sides shows the match from the other seat', () => {
+  let state = createMatch({ mode: 'online', players: { player: 'Ann', computer: 'Bob' }, seed: 1 });
+  const tossed = toss(state, 'rock', 'scissors');
+  state = chooseTo(tossed.state, 'bat').state;
+  const { state: next, events } = playBall(state, 4, 2);
+
+  const view = swapSides(next);
+  expect(view.players).toEqual({ player: 'Bob', computer: 'Ann' });
+  expect(view.toss).toMatchObject({ playerChoice: 'scissors', computerChoice: 'rock', winner: 'computer' });
+  expect(currentInnings(view).batting).toBe('computer');
+  expect(swapEventSides(events[0])).toMatchObject({ batting: 'computer', playerNumber: 2, computerNumber: 4 });
+  expect(swapEventSides({ type: 'matchEnd', result: 'win' }).result).toBe('loss');
+  expect(swapSides(view)).toEqual(next);
+});
+
+test('forfeiting an unfinished match loses it, but a finished one stands', () => {
+  const state = playBall(startBatting(3), 4, 1).state;
+  const { state: forfeited, events } = forfeit(state);
+  expect(forfeited).toMatchObject({ phase: 'over', result: 'loss', forfeitedBy: 'player' });
+  expect(runsFor(forfeited, 'player')).toBe(4);
+  expect(events).toEqual([{ type: 'matchEnd', result: 'loss', forfeit: 'player' }]);
+  expect(forfeit(state, 'computer').state.result).toBe('win');
+  expect(forfeit(forfeited, 'computer')).toEqual({ state: forfeited, events: [] });
+});
+
+// --- Rule variants ---
+const variantMatch = (rules, { format = customFormat(1, 2), seed = 1, mode = 'hotseat' } = {}) => {
+  const state = createMatch({ mode, players: { player: 'Ann', computer: 'Bob' }, format, rules, seed });
+  return chooseTo(toss(state, 'paper', 'rock').state, 'bat').state;
+};
+const playAll = (state, balls) => balls.reduce((current, [player, computer]) => playBall(current, player, computer).state, state);
+
+test('defending scores nothing, and powerplay runs count double in the first over', () => {
+  let state = playAll(variantMatch(['defend', 'powerplay']), [[4, 1], [0, 3], [1, 2], [1, 2], [1, 2], [1, 2]]);
+  expect(currentInnings(state)).toMatchObject({ runs: 16, wickets: 0 });
+  expect(currentInnings(state).balls[0]).toEqual({ batter: 4, bowler: 1, runs: 8, wicket: false, powerplay: true });
+  state = playBall(state, 3, 1).state;
+  expect(currentInnings(state).balls[6]).toEqual({ batter: 3, bowler: 1, runs: 3, wicket: false });
+  const { state: out, events } = playBall(state, 0, 0);
+  expect(events.map(e => e.type)).toEqual(['ball', 'inningsEnd', 'inningsStart']);
+  expect(out.target).toBe(20);
+});
+
+test('a no-ball gives an extra run, is bowled again and brings a free hit', () => {
+  let state = variantMatch(['freeHit'], { format: customFormat(1, 10) });
+  while (!currentInnings(state).balls.some(ball => ball.noBall)) state = playBall(state, 2, 5).state;
+  const innings = currentInnings(state);
+  expect(innings.balls[innings.balls.length - 1]).toMatchObject({ runs: 3, wicket: false, noBall: true });
+  expect(legalBalls(innings)).toBe(innings.balls.length - 1);
+  expect(ballsLeft(state)).toBe(60 - legalBalls(innings));
+  expect(innings.freeHit).toBe(true);
+
+  // Matching numbers can't get the batter out off a free hit.
+  const { state: next, events } = playBall(state, 3, 3);
+  expect(events[0]).toMatchObject({ wicket: false, freeHit: true });
+  expect(currentInnings(next).wickets).toBe(0);
+});
+
+test('a dismissal can be reviewed once an innings', () => {
+  const { state: offered, events } = playBall(variantMatch(['review'], { format: customFormat(3, 2) }), 3, 3);
+  expect(events.map(e => e.type)).toEqual(['ball', 'reviewOffer']);
+  expect(offered.pendingReview).toBe(true);
+  expect(playBall(offered, 1, 2).state).toBe(offered);
+
+  // Turning it down keeps the review; taking it uses it up either way.
+  const declined = reviewDismissal(offered, false).state;
+  expect(currentInnings(declined)).toMatchObject({ wickets: 1 });
+  expect(playBall(declined, 4, 4).events.map(e => e.type)).toEqual(['ball', 'reviewOffer']);
+
+  const calls = [1, 2, 3, 4, 5, 6, 7, 8].map(seed => {
+    const state = playBall(variantMatch(['review'], { format: customFormat(3, 2), seed }), 3, 3).state;
+    const reviewed = reviewDismissal(state, true);
+    const innings = currentInnings(reviewed.state);
+    expect(innings.wickets).toBe(reviewed.events[0].overturned ? 0 : 1);
+    expect(innings.balls[0].review).toBe(reviewed.events[0].overturned ? 'overturned' : 'upheld');
+    expect(playBall(reviewed.state, 5, 5).events.map(e => e.type)).toEqual(['ball']);
+    return reviewed.events[0].overturned;
+  });
+  expect(calls).toContain(true);
+  expect(calls).toContain(false);
+
+  // The computer always reviews straight away.
+  let ai = createMatch({ opponent: 'rookie', format: customFormat(3, 2), rules: ['review'], seed: 4 });
+  ai = chooseTo(toss(ai, 'paper', 'rock').state, 'bowl').state;
+  expect(playBall(ai, 2, 2).events.map(e => e.type)).toEqual(['ball', 'review']);
+});
+
+test('a tie goes to a super over, which counts towards nobody\'s runs', () => {
+  let state = playAll(variantMatch(['superOver'], { format: customFormat(1, 1) }), [[4, 1], [2, 2], [1, 4]]);
+  const { state: superOver, events } = playBall(state, 3, 3);
+  expect(events.map(e => e.type)).toEqual(['ball', 'inningsEnd', 'superOver', 'inningsStart']);
+  expect(currentInnings(superOver)).toEqual({ batting: 'computer', runs: 0, wickets: 0, balls: [], superOver: true });
+  expect(superOver).toMatchObject({ phase: 'innings', target: 0 });
+  expect(ballsLeft(superOver)).toBe(6);
+
+  state = playAll(superOver, [[1, 6], [2, 2]]);
+  expect(currentInnings(state)).toMatchObject({ batting: 'player', superOver: true });
+  expect(state.target).toBe(7);
+  state = playAll(state, [[6, 1], [1, 2]]);
+  expect(state).toMatchObject({ phase: 'over', result: 'win' });
+  expect(runsFor(state, 'player')).toBe(4);
+
+  // A tied super over is a draw.
+  const level = playAll(superOver, [[1, 6], [2, 2], [6, 1], [3, 3]]);
+  expect(level).toMatchObject({ phase: 'over', result: 'draw' });
+});
@@ -0,0 +1,47 @@
+import { getTranslator } from './i18n.js';
+
+// --- Match formats ---
+export const BALLS_PER_OVER = 6;
+export const WICKET_OPTIONS = [1, 3, 5, 10];
+export const OVER_OPTIONS = [null, 1, 2, 3, 5, 10]; // null = no overs limit
+
+export const FORMAT_PRESETS = {
+  classic: { id: 'classic', name: 'Classic 1-wicket', wickets: 1, overs: null },
+  t5: { id: 't5', name: 'T5', wickets: 5, overs: 5 },
+  test: { id: 'test', name: 'Test-style', wickets: 10, overs: null },
+};
+
+export const DEFAULT_FORMAT = FORMAT_PRESETS.classic;
+
+// Builds a format from individual settings, reusing a preset's name when the
+// settings happen to match one.
+export const customFormat = (wickets, overs) => {
+  const preset = Object.values(FORMAT_PRESETS).find(p => p.wickets === wickets && p.overs === overs);
+  if (preset) return preset;
+  return { id: 'custom', name: `${wickets} wkt${wickets === 1 ? '' : 's'}${overs ? `, ${overs} ov` : ''}`, wickets, overs };
+};
+
+// A format's name in the player's language. Custom formats are named from
+// their settings, so they read right whatever language they were made in.
+export const formatName = (format, t = getTranslator()) => {
+  if (format.id !== 'custom') return t(`formats.${format.id}`, {}, format.name);
+  const wickets = t('formats.wickets', { count: format.wickets });
+  return format.overs ? t('formats.wicketsAndOvers', { wickets, overs: format.overs }) : wickets;
+};
+
+export const formatOvers = (balls) => `${Math.floor(balls / BALLS_PER_OVER)}.${balls % BALLS_PER_OVER}`;
+
+// Balls grouped into overs. An over is six legal balls; a no-ball is bowled
+// again, so an over with one in it runs longer.
+export const splitOvers = (balls) => {
+  const overs = [];
+  let over = [];
+  balls.forEach(ball => {
+    over.push(ball);
+    if (over.filter(b => !b.noBall).length === BALLS_PER_OVER) {
+      overs.push(over);
+      over = [];
+    }
+  });
+  return over.length ? [...overs, over] : overs;
+};
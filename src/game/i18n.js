@@ -0,0 +1,81 @@
+import en from './locales/en.js';
+import si from './locales/si.js';
+import ta from './locales/ta.js';
+
+// --- Languages ---
+// Every word the game shows comes from a message catalogue in
+// src/game/locales, looked up by a dotted key such as 'toss.title'. A message
+// is a string with {placeholders}, or picks one of several forms:
+// - { one, other, ... }: plural forms for the `count` parameter, chosen by
+//   the language's own plural rules;
+// - { you, they }: whether the sentence is about the player ("You score")
+//   or anyone else ("Bob scores"), for the `person` parameter;
+// - a list: alternative wordings, for the `variant` parameter.
+// Forms can nest. Numbers in parameters are formatted for the language.
+// Messages a catalogue doesn't have yet fall back to English.
+
+export const LANGUAGES = {
+  en: { id: 'en', name: 'English', englishName: 'English', locale: 'en-GB', messages: en },
+  si: { id: 'si', name: 'සිංහල', englishName: 'Sinhala', locale: 'si-LK', messages: si },
+  ta: { id: 'ta', name: 'தமிழ்', englishName: 'Tamil', locale: 'ta-LK', messages: ta },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const isLanguage = (id) => Object.keys(LANGUAGES).includes(id);
+
+const lookup = (messages, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' && !Array.isArray(node) ? node[part] : undefined),
+  messages,
+);
+
+const isPersonForm = (form) => 'you' in form || 'they' in form;
+
+export const createTranslator = (language = DEFAULT_LANGUAGE) => {
+  const { id, locale, messages } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  const plurals = new Intl.PluralRules(locale);
+  const numbers = new Intl.NumberFormat(locale);
+
+  const chooseForm = (message, params) => {
+    let form = message;
+    while (form && typeof form === 'object') {
+      if (Array.isArray(form)) form = form[(params.variant || 0) % form.length];
+      else if (isPersonForm(form)) form = form[params.person] || form.they;
+      else form = form[plurals.select(params.count || 0)] || form.other;
+    }
+    return form;
+  };
+
+  const format = (value) => (typeof value === 'number' ? numbers.format(value) : String(value));
+
+  // `fallback` is the English for messages that live with their data, such
+  // as achievement titles, rather than in the English catalogue.
+  const t = (key, params = {}, fallback = key) => {
+    const found = lookup(messages, key);
+    const message = found !== undefined ? found : lookup(en, key);
+    const text = chooseForm(message !== undefined ? message : fallback, params);
+    return String(text).replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? format(params[name]) : placeholder));
+  };
+  t.language = id;
+  t.locale = locale;
+  t.number = (value, options) => (options ? new Intl.NumberFormat(locale, options).format(value) : numbers.format(value));
+  t.date = (value, options) => new Date(value).toLocaleDateString(locale, options);
+  t.dateTime = (value) => new Date(value).toLocaleString(locale);
+  t.list = (items) => new Intl.ListFormat(locale, { type: 'conjunction' }).format(items);
+  return t;
+};
+
+const translators = {};
+
+// One translator per language, made the first time it's asked for.
+export const getTranslator = (language = DEFAULT_LANGUAGE) => {
+  const id = isLanguage(language) ? language : DEFAULT_LANGUAGE;
+  if (!translators[id]) translators[id] = createTranslator(id);
+  return translators[id];
+};
+
+// The best match for the browser's languages, for a first visit.
+export const preferredLanguage = (languages = []) => {
+  const match = languages.map(tag => String(tag).toLowerCase().split('-')[0]).find(isLanguage);
+  return match || DEFAULT_LANGUAGE;
+};
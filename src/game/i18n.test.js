@@ -0,0 +1,49 @@
+import { createTranslator, getTranslator, preferredLanguage, isLanguage, LANGUAGES } from './i18n';
+import en from './locales/en';
+
+test('plural messages pick the form for the count', () => {
+  const t = createTranslator('en');
+  expect(t('replay.runs', { count: 1 })).toBe('1 run.');
+  expect(t('replay.runs', { count: 4 })).toBe('4 runs.');
+  expect(t('replay.runs', { count: 0 })).toBe('0 runs.');
+});
+
+test('person forms tell the player apart from everyone else', () => {
+  const t = createTranslator('en');
+  expect(t('match.scored', { person: 'you', score: 12 })).toBe('You scored 12.');
+  expect(t('match.scored', { person: 'they', name: 'Bob', score: 12 })).toBe('Bob scored 12.');
+});
+
+test('numbers are formatted for the language', () => {
+  expect(createTranslator('en')('stats.pastMatches', { count: 1234 })).toBe('Past Matches (1,234)');
+  expect(createTranslator('ta').number(7.5, { minimumFractionDigits: 2 })).toBe(new Intl.NumberFormat('ta-LK', { minimumFractionDigits: 2 }).format(7.5));
+});
+
+test('missing messages fall back to English, then to the given text', () => {
+  const t = createTranslator('si');
+  expect(t('toss.title')).not.toBe(en.toss.title);
+  expect(t('no.such.key', {}, 'Fallback {n}')).toBe('Fallback {n}');
+  expect(t('no.such.key', { n: 3 }, 'Fallback {n}')).toBe('Fallback 3');
+  expect(createTranslator('xx').language).toBe('en');
+});
+
+test('every language has every English message', () => {
+  const keys = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => (
+    value && typeof value === 'object' && !Array.isArray(value) && !('other' in value) && !('they' in value)
+      ? keys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  ));
+  const english = keys(en);
+  Object.values(LANGUAGES).forEach(({ id, messages }) => {
+    const own = new Set(keys(messages));
+    expect({ id, missing: english.filter(key => !own.has(key)) }).toEqual({ id, missing: [] });
+  });
+});
+
+test('the first visit follows the browser language', () => {
+  expect(preferredLanguage(['ta-LK', 'en-GB'])).toBe('ta');
+  expect(preferredLanguage(['fr-FR', 'si'])).toBe('si');
+  expect(preferredLanguage(['fr-FR'])).toBe('en');
+  expect(isLanguage('si')).toBe(true);
+  expect(getTranslator('si')).toBe(getTranslator('si'));
+});
@@ -0,0 +1,613 @@
+// --- English ---
+// The catalogue every other language follows, and falls back to. Achievement,
+// persona, rule and format names live with their data; other languages
+// translate them here under the same ids.
+
+const en = {
+  sides: {
+    you: 'You',
+    youMid: 'you',
+    computer: 'Computer',
+    theComputer: 'The computer',
+    theComputerMid: 'the computer',
+  },
+
+  commentary: {
+    runs: {
+      1: [{ you: 'You nudge a single.', they: '{name} nudges a single.' }, 'Just the one for {mid}.'],
+      2: [{ you: 'You scamper back for two.', they: '{name} scampers back for two.' }, 'Two more for {mid}.'],
+      3: [{ you: 'You run hard for three.', they: '{name} runs hard for three.' }, 'Three, well placed by {mid}.'],
+      4: [
+        { you: 'FOUR! You find the gap.', they: 'FOUR! {name} finds the gap.' },
+        'FOUR! Crisply struck by {mid}.',
+        { you: 'Boundary! You pierce the field.', they: 'Boundary! {name} pierces the field.' },
+      ],
+      5: [{ you: 'You pick up five.', they: '{name} picks up five.' }, { you: 'Five more, and you are moving along.', they: 'Five more, and {mid} is moving along.' }],
+      6: [
+        { you: 'SIX! You launch it into the stands.', they: 'SIX! {name} launches it into the stands.' },
+        { you: 'SIX! You clear the ropes with ease.', they: 'SIX! {name} clears the ropes with ease.' },
+        { you: 'Maximum! You go big.', they: 'Maximum! {name} goes big.' },
+      ],
+    },
+    wicket: [
+      { you: 'You read it perfectly, both hands on {number}.', they: '{name} reads it perfectly, both hands on {number}.' },
+      { you: 'You match the {number} and the stumps are rattled.', they: '{name} matches the {number} and the stumps are rattled.' },
+      { you: 'Snapped up! You call the {number}.', they: 'Snapped up! {name} calls the {number}.' },
+    ],
+    score: { you: 'You are {runs}/{wickets}.', they: '{name} is {runs}/{wickets}.' },
+    out: 'OUT! {how} {score}',
+    defend: [{ you: 'You show 0 and defend it.', they: '{name} shows 0 and defends it.' }, 'Solid block from {mid}. No run.'],
+    surviveNoBall: { you: "Both on {number}, but it's a no-ball. You survive!", they: "Both on {number}, but it's a no-ball. {name} survives!" },
+    surviveFreeHit: { you: "Both on {number}, but it's a free hit. You survive!", they: "Both on {number}, but it's a free hit. {name} survives!" },
+    powerplay: "Powerplay! That's worth {runs}.",
+    noBall: 'No-ball! One extra, and the next ball is a free hit.',
+    closeCall: { you: 'Close call! You were one away with a {number}.', they: 'Close call! {name} was one away with a {number}.' },
+    boundaryStreak: 'Three boundaries in a row for {mid}!',
+    scoresLevel: 'Scores level! One more run wins it.',
+    pressure: '{need} needed now. The pressure is on!',
+    lastBalls: { one: '{need} needed off the last {count} ball.', other: '{need} needed off the last {count} balls.' },
+    requiredRate: '{need} needed from {count} balls, {rate} an over.',
+    reviewOverturned: { you: "You review, and it's overturned. NOT OUT!", they: "{name} reviews, and it's overturned. NOT OUT!" },
+    reviewUpheld: {
+      you: 'You review, but the decision stands. You are out for {runs}/{wickets}.',
+      they: '{name} reviews, but the decision stands. {name} is out for {runs}/{wickets}.',
+    },
+    century: 'A century for {mid}! What an innings.',
+    fifty: 'Fifty up for {mid}!',
+  },
+
+  announce: {
+    batterShows: { you: 'You show {number},', they: '{name} shows {number},' },
+    bowlerShows: { you: 'you show {number}.', they: '{mid} shows {number}.' },
+    noBall: 'No-ball.',
+    freeHit: 'Free hit.',
+    out: 'Out!',
+    runs: { one: '{count} run.', other: '{count} runs.' },
+    score: { you: 'You are {runs} for {wickets}.', they: '{name} is {runs} for {wickets}.' },
+    need: '{need} needed.',
+    needFrom: { one: '{need} needed from {count} ball.', other: '{need} needed from {count} balls.' },
+  },
+
+  report: {
+    walkedOff: '{name} walked off. The match goes to {winner}.',
+    drawn: 'Scores level on {runs}. The match is drawn!',
+    drawnAfterSuperOver: "Even a super over couldn't split them. The match is drawn!",
+    beat: { won: 'You beat {loser}', lost: '{winner} beats you', named: '{winner} beats {loser}' },
+    beatMid: { won: 'you beat {loser}', lost: '{winner} beats you', named: '{winner} beats {loser}' },
+    superOver: 'Scores level on {runs}, and {beat} in the super over!',
+    byWickets: { one: '{beat} by {count} wicket, chasing down {target}.', other: '{beat} by {count} wickets, chasing down {target}.' },
+    chased: '{beat}, chasing down {target}.',
+    byRuns: { one: '{beat} by {count} run.', other: '{beat} by {count} runs.' },
+    innings: '{label}: {runs}/{wickets} ({overs} ov), {fours} and {sixes}.',
+    superOverLabel: 'Super over, {name}',
+    fours: { one: '{count} four', other: '{count} fours' },
+    sixes: { one: '{count} six', other: '{count} sixes' },
+    expensiveOver: { you: 'Over {over} of your innings went for {runs}.', they: "Over {over} of {name}'s innings went for {runs}." },
+    wicketsInOver: '{name} lost {count} wickets in over {over}.',
+    closeChase: { you: 'At {overs} you needed just {need}.', they: 'At {overs} {name} needed just {need}.' },
+    lateWicket: 'A wicket at {overs} with only {need} needed.',
+    tipVaried: 'Tip: you kept it varied. Keep them guessing!',
+    tipFavourite: 'Tip: you showed {number} on {percent}% of balls. Mix it up next time!',
+    turningPointsHeading: 'Turning points:',
+    ballSequence: '{name} batting: {balls}',
+  },
+
+  app: {
+    lightTheme: 'Switch to light theme',
+    darkTheme: 'Switch to dark theme',
+    tournaments: 'Series and leagues',
+    history: 'Match History',
+  },
+
+  newMatch: {
+    label: 'New match',
+    modes: { ai: 'You vs AI', hotseat: 'Pass & Play', online: 'Online' },
+    titles: { ai: 'Choose Your Opponent', hotseat: 'Pass & Play', online: 'Play Online' },
+    intros: {
+      ai: 'Pick a match format, then who you want to face.',
+      hotseat: 'Two players, one device. Pick a match format and enter your names.',
+      online: 'Play a friend on another machine. Pick a format, then create or join a room.',
+    },
+    wickets: 'Wickets',
+    overs: 'Overs',
+    noLimit: 'No limit',
+    houseRules: 'House rules',
+    onlineOffline: 'Online matches need a connection. Pass & Play and matches against the AI work offline.',
+    playerName: 'Player {number}',
+    playerNameLabel: 'Player {number} name',
+    start: 'Start Match',
+    tournaments: 'Series & Leagues',
+    nextMatchReady: 'Next match ready',
+  },
+
+  toss: {
+    label: 'Coin toss',
+    title: 'Coin Toss',
+    choose: 'Choose Rock, Paper, or Scissors.',
+    namedChoose: '{name}, choose Rock, Paper, or Scissors.',
+    waiting: 'Waiting for {name} to pick…',
+    hands: { rock: 'Rock', paper: 'Paper', scissors: 'Scissors' },
+    handNames: { rock: 'rock', paper: 'paper', scissors: 'scissors' },
+    bothChose: { you: 'You chose {playerHand}, {computer} chose {computerHand}.', they: '{player} chose {playerHand}, {computer} chose {computerHand}.' },
+    computerChose: { bat: 'Computer chose to bat.', bowl: 'Computer chose to bowl.' },
+    tie: "It's a Tie!",
+    youWon: 'You Won!',
+    computerWon: 'Computer Won',
+    namedWon: '{name} Won!',
+    waitingDecision: 'Waiting for {name} to choose…',
+    bat: 'Bat',
+    bowl: 'Bowl',
+  },
+
+  play: {
+    choose: 'Choose your number:',
+    namedChoose: '{name}, choose your number:',
+    waiting: 'Waiting for {name}…',
+    defend: 'Defend',
+  },
+
+  review: {
+    prompt: {
+      you: "Review the dismissal? It's your only review this innings.",
+      they: "{name}, review the dismissal? It's your only review this innings.",
+    },
+    review: 'Review',
+    walkOff: 'Walk off',
+    waiting: 'Waiting for {name} to decide on a review…',
+  },
+
+  match: {
+    out: 'OUT!',
+    notOut: 'NOT OUT!',
+    allOut: 'All out!',
+    oversComplete: 'Overs complete!',
+    scored: { you: 'You scored {score}.', they: '{name} scored {score}.' },
+    inningsBreak: 'Innings Break.',
+    needToWin: { you: 'You need {target} to win.', they: '{name} needs {target} to win.' },
+    youBatting: "You are batting. Let's start!",
+    computerBatting: 'Computer is batting. Get them out!',
+    namedBatting: "{name} is batting. Let's start!",
+    isBatting: '{name} is batting.',
+    reviewOffer: { you: 'OUT! Review it?', they: 'OUT! Will {name} review it?' },
+    reviewOfferSpoken: 'Out, and the batter can review it.',
+    superOver: 'Scores level! On to a super over: one over, one wicket each.',
+    resumed: 'Match resumed. Play on!',
+    dailyStart: {
+      one: 'Daily Challenge #{number}: {name} won the toss and scored {score}. You need {target} off {count} ball.',
+      other: 'Daily Challenge #{number}: {name} won the toss and scored {score}. You need {target} off {count} balls.',
+    },
+  },
+
+  gameOver: {
+    youWon: 'You Won!',
+    greatPerformance: 'A great performance!',
+    computerWon: 'Computer Won',
+    betterLuck: 'Better luck next time!',
+    drawn: 'Match Drawn',
+    level: 'Scores are level!',
+    namedWon: '{name} Won!',
+    wellPlayedBoth: 'Well played, both of you!',
+    opponentLeft: 'Opponent Left',
+    leftMatch: '{name} left the match.',
+    analysis: 'Get Match Analysis',
+    backToTournament: 'Back to Tournament',
+    playAgain: 'Play Again',
+  },
+
+  corner: {
+    title: "Commentator's Corner",
+    turningPoints: 'Turning Points',
+    loading: 'The commentator is checking the tapes...',
+    offline: "You're offline, so there's no live commentary.",
+    error: '{error} The report above still stands.',
+  },
+
+  stats: {
+    label: 'Career stats',
+    title: 'Career Stats & Achievements',
+    pastMatches: 'Past Matches ({count})',
+    tabs: { career: 'Career', analytics: 'Analytics' },
+    wins: 'Wins',
+    losses: 'Losses',
+    forfeited: '{count} forfeited',
+    draws: 'Draws',
+    highestScore: 'Highest Score',
+    wicketsTaken: 'Wickets Taken',
+    totalRuns: 'Total Runs',
+    achievements: 'Achievements',
+    record: 'W {wins} · L {losses} · D {draws}',
+    highScore: 'HS {score}',
+  },
+
+  profiles: {
+    title: 'Players',
+    switch: 'Playing as {name}. Switch player',
+    playingAs: '{avatar} {name} · Switch player',
+    name: 'Name',
+    avatar: 'Avatar',
+    errors: { empty: 'Give this player a name.', taken: 'Someone on this device already has that name.' },
+    new: 'New player',
+    create: 'Create and play',
+    save: 'Save',
+    playing: 'Playing',
+    play: 'Play',
+    edit: 'Edit {name}',
+    delete: 'Delete {name}',
+    deleteWarning: "This deletes {name}'s stats, achievements, past matches and settings from this device. It can't be undone, so back them up first from Settings if you might want them again.",
+    confirmDelete: 'Yes, delete',
+    leaderboard: 'Leaderboard',
+    sortBy: 'Sort by',
+    player: 'Player',
+    columns: { wins: 'Wins', highestScore: 'Best', winRate: 'Win %', achievements: 'Awards' },
+    leaderboardNote: 'Matches against the computer only.',
+  },
+
+  online: {
+    yourOpponent: 'Your opponent',
+    room: 'Room {code}',
+    connected: 'Connected',
+    reconnecting: 'Reconnecting…',
+    disconnected: '{name} disconnected',
+  },
+
+  notify: {
+    achievement: 'Achievement Unlocked!',
+    namedAchievement: '{name}: {title}',
+    milestone: 'Milestone!',
+    fifty: { you: '50 Runs! Well played!', they: '50 Runs for {name}! Well played!' },
+    incredible: 'Incredible!',
+    century: { you: '100 Runs! A brilliant century!', they: '100 Runs for {name}! A brilliant century!' },
+    superOver: 'Super Over!',
+    repaired: 'Saved data repaired',
+    repairedMessage: "Couldn't read {sections}, so that was reset. The old copy was kept aside.",
+    forfeited: 'Match forfeited',
+    forfeitLoss: 'The abandoned match counts as a loss.',
+    forfeitStands: 'The match was already over, so its result stands.',
+    connectionLost: 'Connection lost',
+    droppedOut: '{name} dropped out. Waiting {seconds}s for them to come back…',
+    backOnline: 'Back online',
+    reconnected: '{name} reconnected.',
+    matchServer: 'Match server',
+  },
+
+  scoreboard: {
+    versus: '{player} vs {opponent}',
+    youVsAi: 'You vs AI',
+    target: 'Target',
+    score: "{name}'s Score",
+    yourScore: 'Your Score',
+    computerScore: "Computer's Score",
+    overs: 'Overs {overs}',
+    need: 'Need {need}',
+    needFrom: { one: 'Need {need} from {count} ball', other: 'Need {need} from {count} balls' },
+    requiredRate: 'RRR {rate}',
+    superOver: 'Super over',
+    freeHit: 'Free hit!',
+    powerplay: 'Powerplay',
+    reviewLeft: 'Review left',
+  },
+
+  hands: {
+    yourShot: 'Your Shot',
+    yourBall: 'Your Ball',
+    bowlersBall: "Bowler's Ball",
+    batsmansShot: "Batsman's Shot",
+    namedShot: "{name}'s Shot",
+    namedBall: "{name}'s Ball",
+    shoot: 'Shoot!',
+  },
+
+  handover: {
+    pass: 'Hand the device to {name}',
+    ready: "I'm {name}, ready",
+  },
+
+  resume: {
+    title: 'Match in Progress',
+    score: '{batting} {runs}/{wickets}',
+    target: ' · Target {target}',
+    dropNamed: 'Abandoning drops the match without a result.',
+    forfeit: 'Abandoning counts as a forfeit, so it goes down as a loss.',
+    resume: 'Resume Match',
+    abandon: 'Abandon',
+  },
+
+  replay: {
+    batsFirst: { you: 'You bat first.', they: '{name} bats first.' },
+    noBall: 'No-ball!',
+    runs: { one: '{count} run.', other: '{count} runs.' },
+    reviewOverturned: 'Reviewed: not out!',
+    reviewUpheld: 'Reviewed: still out.',
+    superOver: 'Scores level: super over!',
+    result: '{result}!',
+    ball: 'Ball {number}: {caption}',
+    position: 'Replay · Ball {step} of {count}',
+    positionLabel: 'Replay position',
+    start: 'Back to the start',
+    back: 'Step back',
+    play: 'Play',
+    pause: 'Pause',
+    forward: 'Step forward',
+    inningsBreak: 'Innings break',
+    speed: 'Replay speed',
+    speedOption: '{speed}×',
+    exit: 'Exit Replay',
+  },
+
+  results: {
+    youForfeited: 'You forfeited',
+    forfeited: '{name} forfeited',
+    drawn: 'Match drawn',
+    youWon: 'You won',
+    youLost: 'You lost',
+    won: '{name} won',
+  },
+
+  scorecard: {
+    toss: {
+      bat: { you: 'You won the toss and chose to bat.', they: '{name} won the toss and chose to bat.' },
+      bowl: { you: 'You won the toss and chose to bowl.', they: '{name} won the toss and chose to bowl.' },
+    },
+    innings: '{name} · {runs}/{wickets} ({overs} ov)',
+    over: 'Ov {number}',
+    ball: 'Batter {batter} · Bowler {bowler}',
+    noBall: 'No-ball',
+    freeHit: 'Free hit',
+    reviewOverturned: 'Review overturned',
+    reviewUpheld: 'Review upheld',
+  },
+
+  pastMatches: {
+    label: 'Past matches',
+    title: 'Past Matches',
+    watch: 'Watch Replay',
+    copy: 'Copy code',
+    copied: 'Copied',
+    saveFile: 'Save file',
+    copyBlocked: 'Copying was blocked. Use "Save file" instead.',
+    back: 'Back to list',
+    result: 'Result',
+    allResults: 'All results',
+    wins: 'Wins',
+    losses: 'Losses',
+    draws: 'Draws',
+    opponent: 'Opponent',
+    allOpponents: 'All opponents',
+    date: 'Date',
+    ranges: { all: 'Any time', today: 'Today', week: 'Last 7 days', month: 'Last 30 days' },
+    empty: 'No matches yet. Go and play one!',
+    shared: 'Watch a shared replay',
+    code: 'Replay code',
+    codePlaceholder: 'Paste a replay code',
+    watchCode: 'Watch',
+    openFile: 'Open a replay file…',
+  },
+
+  analytics: {
+    empty: 'Finish a match to see your analytics.',
+    average: 'Average',
+    strikeRate: 'Strike Rate',
+    outEvery: 'Out Every',
+    ballsShort: '{balls} b',
+    summary: '{runs} off {balls}, out {outs} ({rate}% of balls faced).',
+    runs: { one: '{count} run', other: '{count} runs' },
+    balls: { one: '{count} ball', other: '{count} balls' },
+    outs: { one: '{count} time', other: '{count} times' },
+    recentForm: 'Recent Form',
+    lastResults: 'Last {count} results',
+    badges: { win: 'W', loss: 'L', draw: 'D' },
+    streak: {
+      win: { one: 'Won the last match', other: 'Won the last {count}' },
+      loss: { one: 'Lost the last match', other: 'Lost the last {count}' },
+      draw: { one: 'Drew the last match', other: 'Drew the last {count}' },
+    },
+    streaks: 'Best winning run {best} · Longest unbeaten {unbeaten}',
+    results: 'Results',
+    notPlayed: 'Not played',
+    battedFirst: 'Batting first',
+    bowledFirst: 'Bowling first',
+    yourNumbers: 'Your Numbers',
+    batting: 'Batting',
+    bowling: 'Bowling',
+    charts: 'Match Charts',
+    chartMatch: 'Chart match',
+  },
+
+  charts: {
+    worm: 'Worm',
+    wormLabel: 'Worm chart',
+    manhattan: 'Manhattan',
+    manhattanLabel: 'Manhattan chart',
+    balls: 'Balls',
+    overs: 'Overs',
+    over: 'Over {over}: {runs}, {wickets}',
+    wicketDots: 'Dots mark the wickets.',
+  },
+
+  tournament: {
+    label: 'Series and leagues',
+    title: 'Series & Leagues',
+    types: { series: 'Series', league: 'League' },
+    seriesIntro: 'Take on one opponent over several matches. First to a majority wins.',
+    leagueIntro: 'Play everyone once. Win 2 points, draw 1. The top sides meet in the knockouts.',
+    format: 'Format: {format}.',
+    bestOf: 'Best of {count}',
+    pickTwo: 'Pick at least two opponents',
+    start: 'Start',
+    seriesName: 'Best of {count} v {opponent}',
+    leagueName: '{count}-team League',
+    phases: { series: 'Series', league: 'League stage', knockout: 'Knockouts', complete: 'Finished' },
+    champion: { you: '{team} are the champion!', they: '{team} is the champion!' },
+    shared: 'The series is shared.',
+    play: 'Play {stage}: {home} v {away}',
+    finishFirst: 'Finish your current match first',
+    stages: { series: 'Match', league: 'League', semi: 'Semi-final', final: 'Final' },
+    stageRound: '{stage} {round}',
+    fixture: '{home} v {away}',
+    result: '{home} {homeScore} v {away} {awayScore}',
+    forfeit: '{fixture} (forfeit)',
+    drawnThrough: { you: '{fixture} (drawn, {team} go through)', they: '{fixture} (drawn, {team} goes through)' },
+    pointsTable: 'Points Table',
+    columns: { team: 'Team', played: 'P', won: 'W', drawn: 'D', lost: 'L', points: 'Pts', netRunRate: 'NRR' },
+    fixtures: 'Fixtures',
+    awards: { title: 'Awards', topScorer: 'Top Scorer', mostWickets: 'Most Wickets', highestInnings: 'Highest Innings' },
+    runs: { one: '{count} run', other: '{count} runs' },
+    wickets: { one: '{count} wicket', other: '{count} wickets' },
+    newTournament: 'New Series or League',
+    abandon: { series: 'Abandon Series', league: 'Abandon League' },
+    honours: 'Honours',
+    sharedShort: 'Shared',
+  },
+
+  daily: {
+    title: 'Daily Challenge #{number}',
+    intro: 'One chase a day, the same for everyone. You only get one go.',
+    play: "Play Today's Chase",
+    streak: 'Streak {streak} · Best {best}',
+    copy: 'Copy result',
+    copied: 'Copied',
+    copyBlocked: 'Copying was blocked by the browser.',
+    inProgress: 'In progress. Finish it to share your result.',
+    tomorrow: 'Come back tomorrow for the next one.',
+    wonWithBalls: { one: 'Won with {count} ball to spare', other: 'Won with {count} balls to spare' },
+    tied: 'Tied',
+    lostByRuns: { one: 'Lost by {count} run', other: 'Lost by {count} runs' },
+    lost: 'Lost',
+    matchLine: '{opponent} · {format} · Target {target}',
+    shareTitle: 'Hand Cricket Daily #{number}',
+    streakDays: '{count}-day streak',
+  },
+
+  achievementList: {
+    unlocked: '{unlocked} of {count} unlocked',
+    hidden: 'Hidden achievement',
+    hiddenHint: 'Keep playing to find this one.',
+    progress: '{title} progress {progress}',
+    toTier: '{progress} to {tier}',
+    unlockedOn: 'Unlocked {date}',
+  },
+
+  achievements: {
+    tiers: { 1: 'Bronze', 2: 'Silver', 3: 'Gold' },
+    tieredTitle: '{title} ({tier})',
+    progress: '{count}/{target}',
+  },
+
+  formats: {
+    wickets: { one: '{count} wkt', other: '{count} wkts' },
+    wicketsAndOvers: '{wickets}, {overs} ov',
+  },
+
+  rules: {
+    standard: 'Standard rules',
+    label: 'Rules',
+    any: 'Any rules',
+  },
+
+  lobby: {
+    shareCode: 'Share this room code with your opponent:',
+    waiting: 'Waiting for them to join…',
+    reconnecting: 'Reconnecting to the match server…',
+    name: 'Your name',
+    create: 'Create Room',
+    code: 'Room code',
+    codePlaceholder: 'CODE',
+    join: 'Join',
+    unreachable: "Can't reach the match server. Is `npm run server` running?",
+  },
+
+  settings: {
+    title: 'Settings',
+    language: 'Language',
+    theme: 'Theme',
+    mainColour: 'Main colour',
+    secondColour: 'Second colour',
+    background: 'Background',
+    sound: 'Sound',
+    soundOn: 'Sound on',
+    pace: 'Match pace',
+    paceIntro: 'How long each ball takes to play out.',
+    paces: {
+      instant: { name: 'Instant', description: 'No countdown and no waiting.' },
+      normal: { name: 'Normal', description: 'A quick 1, 2, 3, shoot before each reveal.' },
+      dramatic: { name: 'Dramatic', description: 'A slow count and a long look at every wicket.' },
+    },
+    motion: 'Animations',
+    motionOptions: { system: 'Follow device', full: 'On', reduced: 'Reduced' },
+    motionNote: 'Reduced turns off the flips, falling stumps and confetti. Follow device uses your system setting.',
+    commentaryStyle: 'Commentary style',
+    commentaryOn: "Who's in the box for Commentator's Corner.",
+    commentaryOff: 'Live commentary is off. Set REACT_APP_COMMENTARY_URL to turn it on; the match report works either way.',
+    yourData: 'Your data',
+    dataIntro: 'Back up your stats, achievements, past matches and settings, or move them to another device.',
+    backup: 'Backup (JSON)',
+    matchesCsv: 'Matches (CSV)',
+    restore: 'Restore backup',
+    backupFile: 'Backup file',
+    resetCareer: 'Reset career',
+    backupSummary: 'This backup has {matches} and {wins}. Restoring it replaces all your current data.',
+    pastMatches: { one: '{count} past match', other: '{count} past matches' },
+    wins: { one: '{count} win', other: '{count} wins' },
+    replaceData: 'Replace my data',
+    resetWarning: "This deletes your stats, achievements, past matches, series and leagues, and what the Mind Reader has learned. It can't be undone, so take a backup first if you might want them back.",
+    confirmReset: 'Yes, reset my career',
+    restored: 'Backup restored.',
+    restoredExcept: "Backup restored, except {sections}, which couldn't be read.",
+    resetDone: 'Your career has been reset.',
+  },
+
+  status: {
+    offline: "You're offline. Everything works except online matches and live commentary.",
+    update: 'A new version is ready. A match in progress is kept.',
+    reload: 'Reload',
+    later: 'Later',
+  },
+
+  toasts: {
+    dismiss: 'Dismiss {title}',
+  },
+
+  errors: {
+    backup: {
+      notBackup: "That file isn't a hand cricket backup.",
+      newerVersion: 'That backup is from a newer version of the game. Update the game, then import it.',
+    },
+    room: {
+      notFound: 'No room with that code.',
+      full: 'That room is already full.',
+      gone: 'That match is no longer available.',
+      takenOver: 'This match was picked up somewhere else.',
+      notJoined: 'Join a room first.',
+      unknownMessage: 'Unknown message.',
+      notJson: 'Messages must be JSON.',
+    },
+    commentary: {
+      offline: "Can't reach the commentary box. Is `npm run server` running?",
+      httpError: 'The commentary box answered with an error ({status}).',
+      brokeOff: 'The commentary stopped part way through.',
+      failed: 'The commentary box had a problem.',
+      notSetUp: "Commentary isn't set up on this server.",
+      tooMany: { one: 'Too many commentary requests. Try again in {count} second.', other: 'Too many commentary requests. Try again in {count} seconds.' },
+      tooLong: 'That match is too long to commentate on.',
+      notJson: 'Requests must be JSON.',
+      noReport: 'Send the match report and ball sequence.',
+      usePost: 'Use POST to ask for commentary.',
+      timedOut: '{provider} took too long to answer.',
+      unreadable: "{provider} sent something the server couldn't read.",
+      unreachable: "Couldn't reach {provider}.",
+      providerBusy: '{provider} is rate limiting commentary. Try again in a minute.',
+      keyRefused: "{provider} turned down the server's API key.",
+      providerFailed: '{provider} answered with an error ({status}).',
+    },
+    replay: {
+      invalid: "That isn't a valid hand cricket replay.",
+    },
+  },
+
+  common: {
+    cancel: 'Cancel',
+    done: 'Done',
+  },
+};
+
+export default en;
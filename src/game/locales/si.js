@@ -0,0 +1,696 @@
+// --- Sinhala ---
+// Follows the English catalogue key for key. Sinhala has two plural forms,
+// `one` and `other`; player names stay as the players typed them.
+
+const si = {
+  sides: {
+    you: 'ඔබ',
+    youMid: 'ඔබ',
+    computer: 'පරිගණකය',
+    theComputer: 'පරිගණකය',
+    theComputerMid: 'පරිගණකය',
+  },
+
+  commentary: {
+    runs: {
+      1: [{ you: 'ඔබ එක ලකුණක් ගන්නවා.', they: '{name} එක ලකුණක් ගන්නවා.' }, '{mid}ට එක ලකුණක් පමණයි.'],
+      2: [{ you: 'ඔබ වේගයෙන් දුවලා ලකුණු දෙකක් ගන්නවා.', they: '{name} වේගයෙන් දුවලා ලකුණු දෙකක් ගන්නවා.' }, '{mid}ට තවත් ලකුණු දෙකක්.'],
+      3: [{ you: 'ඔබ දැඩි ලෙස දුවලා ලකුණු තුනක් ගන්නවා.', they: '{name} දැඩි ලෙස දුවලා ලකුණු තුනක් ගන්නවා.' }, '{mid}ගේ හොඳ පහරකින් ලකුණු තුනක්.'],
+      4: [
+        { you: 'හතරයි! ඔබ පරතරය සොයා ගන්නවා.', they: 'හතරයි! {name} පරතරය සොයා ගන්නවා.' },
+        'හතරයි! {mid}ගේ පිරිසිදු පහරක්.',
+        { you: 'සීමා මායිමට! ඔබ ක්ෂේත්‍රය විනිවිද යනවා.', they: 'සීමා මායිමට! {name} ක්ෂේත්‍රය විනිවිද යනවා.' },
+      ],
+      5: [{ you: 'ඔබ ලකුණු පහක් ගන්නවා.', they: '{name} ලකුණු පහක් ගන්නවා.' }, { you: 'තවත් ලකුණු පහක්, ඔබ හොඳින් ඉදිරියට යනවා.', they: 'තවත් ලකුණු පහක්, {mid} හොඳින් ඉදිරියට යනවා.' }],
+      6: [
+        { you: 'හයයි! ඔබ පන්දුව ප්‍රේක්ෂකාගාරයට යවනවා.', they: 'හයයි! {name} පන්දුව ප්‍රේක්ෂකාගාරයට යවනවා.' },
+        { you: 'හයයි! ඔබ පහසුවෙන් සීමාව පනිනවා.', they: 'හයයි! {name} පහසුවෙන් සීමාව පනිනවා.' },
+        { you: 'උපරිමය! ඔබ ලොකු පහරක් එල්ල කරනවා.', they: 'උපරිමය! {name} ලොකු පහරක් එල්ල කරනවා.' },
+      ],
+    },
+    wicket: [
+      { you: 'ඔබ එය හරියටම කියවනවා, අත් දෙකම {number} මත.', they: '{name} එය හරියටම කියවනවා, අත් දෙකම {number} මත.' },
+      { you: 'ඔබ {number} ගළපනවා, කඩුලු සෙලවෙනවා.', they: '{name} {number} ගළපනවා, කඩුලු සෙලවෙනවා.' },
+      { you: 'අල්ලා ගත්තා! ඔබ {number} අනුමාන කරනවා.', they: 'අල්ලා ගත්තා! {name} {number} අනුමාන කරනවා.' },
+    ],
+    score: { you: 'ඔබ {runs}/{wickets}.', they: '{name} {runs}/{wickets}.' },
+    out: 'දැවී ගියා! {how} {score}',
+    defend: [{ you: 'ඔබ 0 පෙන්වා පන්දුව ආරක්ෂා කරනවා.', they: '{name} 0 පෙන්වා පන්දුව ආරක්ෂා කරනවා.' }, '{mid}ගේ ශක්තිමත් ආරක්ෂාවක්. ලකුණු නැහැ.'],
+    surviveNoBall: { you: 'දෙදෙනාම {number}, නමුත් එය නෝ බෝල් එකක්. ඔබ බේරෙනවා!', they: 'දෙදෙනාම {number}, නමුත් එය නෝ බෝල් එකක්. {name} බේරෙනවා!' },
+    surviveFreeHit: { you: 'දෙදෙනාම {number}, නමුත් එය නිදහස් පහරක්. ඔබ බේරෙනවා!', they: 'දෙදෙනාම {number}, නමුත් එය නිදහස් පහරක්. {name} බේරෙනවා!' },
+    powerplay: 'පවර්ප්ලේ! එහි වටිනාකම ලකුණු {runs}යි.',
+    noBall: 'නෝ බෝල්! අමතර ලකුණක්, ඊළඟ පන්දුව නිදහස් පහරක්.',
+    closeCall: { you: 'ආසන්නයි! ඔබ {number} සමඟ එකකින් මඟ හැරුණා.', they: 'ආසන්නයි! {name} {number} සමඟ එකකින් මඟ හැරුණා.' },
+    boundaryStreak: '{mid}ට පිට පිට සීමා මායිම් තුනක්!',
+    scoresLevel: 'ලකුණු සමානයි! තවත් එක ලකුණකින් ජයග්‍රහණය.',
+    pressure: 'දැන් ලකුණු {need}ක් අවශ්‍යයි. පීඩනය වැඩියි!',
+    lastBalls: { one: 'අවසාන පන්දුවෙන් ලකුණු {need}ක් අවශ්‍යයි.', other: 'අවසාන පන්දු {count}න් ලකුණු {need}ක් අවශ්‍යයි.' },
+    requiredRate: 'පන්දු {count}න් ලකුණු {need}ක් අවශ්‍යයි, පන්දුවාරයකට {rate} බැගින්.',
+    reviewOverturned: { you: 'ඔබ සමාලෝචනය ඉල්ලනවා, තීරණය වෙනස් වෙනවා. දැවී නැහැ!', they: '{name} සමාලෝචනය ඉල්ලනවා, තීරණය වෙනස් වෙනවා. දැවී නැහැ!' },
+    reviewUpheld: {
+      you: 'ඔබ සමාලෝචනය ඉල්ලනවා, නමුත් තීරණය නොවෙනස්. ඔබ {runs}/{wickets} ලෙස දැවී යනවා.',
+      they: '{name} සමාලෝචනය ඉල්ලනවා, නමුත් තීරණය නොවෙනස්. {name} {runs}/{wickets} ලෙස දැවී යනවා.',
+    },
+    century: '{mid}ට ශතකයක්! මොනතරම් ඉනිමක්ද.',
+    fifty: '{mid}ට අර්ධ ශතකයක්!',
+  },
+
+  announce: {
+    batterShows: { you: 'ඔබ {number} පෙන්වනවා,', they: '{name} {number} පෙන්වනවා,' },
+    bowlerShows: { you: 'ඔබ {number} පෙන්වනවා.', they: '{mid} {number} පෙන්වනවා.' },
+    noBall: 'නෝ බෝල්.',
+    freeHit: 'නිදහස් පහර.',
+    out: 'දැවී ගියා!',
+    runs: { one: 'ලකුණු {count}යි.', other: 'ලකුණු {count}යි.' },
+    score: { you: 'ඔබ කඩුලු {wickets}කට ලකුණු {runs}යි.', they: '{name} කඩුලු {wickets}කට ලකුණු {runs}යි.' },
+    need: 'ලකුණු {need}ක් අවශ්‍යයි.',
+    needFrom: { one: 'පන්දු {count}න් ලකුණු {need}ක් අවශ්‍යයි.', other: 'පන්දු {count}න් ලකුණු {need}ක් අවශ්‍යයි.' },
+  },
+
+  report: {
+    walkedOff: '{name} ඉවත් වුණා. තරගය {winner}ට හිමියි.',
+    drawn: 'ලකුණු {runs} සමඟ සමානයි. තරගය ජය පරාජයකින් තොරව අවසන්!',
+    drawnAfterSuperOver: 'සුපිරි පන්දුවාරයකටවත් ඔවුන් වෙන් කළ නොහැකි වුණා. තරගය ජය පරාජයකින් තොරව අවසන්!',
+    beat: { won: 'ඔබ {loser} පරාජය කළා', lost: '{winner} ඔබව පරාජය කළා', named: '{winner} {loser} පරාජය කළා' },
+    beatMid: { won: 'ඔබ {loser} පරාජය කළා', lost: '{winner} ඔබව පරාජය කළා', named: '{winner} {loser} පරාජය කළා' },
+    superOver: 'ලකුණු {runs} සමඟ සමානයි, සුපිරි පන්දුවාරයෙන් {beat}!',
+    byWickets: { one: '{beat}, කඩුලු {count}කින්, ඉලක්කය {target} හඹා ගොස්.', other: '{beat}, කඩුලු {count}කින්, ඉලක්කය {target} හඹා ගොස්.' },
+    chased: '{beat}, ඉලක්කය {target} හඹා ගොස්.',
+    byRuns: { one: '{beat}, ලකුණු {count}කින්.', other: '{beat}, ලකුණු {count}කින්.' },
+    innings: '{label}: {runs}/{wickets} (පන්දුවාර {overs}), {fours}, {sixes}.',
+    superOverLabel: 'සුපිරි පන්දුවාරය, {name}',
+    fours: { one: 'හතරේ පහර {count}', other: 'හතරේ පහර {count}' },
+    sixes: { one: 'හයේ පහර {count}', other: 'හයේ පහර {count}' },
+    expensiveOver: { you: 'ඔබගේ ඉනිමේ {over} වන පන්දුවාරයෙන් ලකුණු {runs}ක් ලැබුණා.', they: '{name}ගේ ඉනිමේ {over} වන පන්දුවාරයෙන් ලකුණු {runs}ක් ලැබුණා.' },
+    wicketsInOver: '{name} {over} වන පන්දුවාරයේදී කඩුලු {count}ක් අහිමි කර ගත්තා.',
+    closeChase: { you: 'පන්දුවාර {overs}දී ඔබට අවශ්‍ය වුණේ ලකුණු {need}ක් පමණයි.', they: 'පන්දුවාර {overs}දී {name}ට අවශ්‍ය වුණේ ලකුණු {need}ක් පමණයි.' },
+    lateWicket: 'ලකුණු {need}ක් පමණක් අවශ්‍ය වූ විට, පන්දුවාර {overs}දී කඩුල්ලක්.',
+    tipVaried: 'ඉඟිය: ඔබ අංක වෙනස් කළා. ඔවුන්ව අනුමාන කරමින් තබන්න!',
+    tipFavourite: 'ඉඟිය: ඔබ පන්දුවලින් {percent}%ක {number} පෙන්නුවා. ඊළඟ වතාවේ වෙනස් කරන්න!',
+    turningPointsHeading: 'තීරණාත්මක අවස්ථා:',
+    ballSequence: '{name} පිතිකරණය: {balls}',
+  },
+
+  app: {
+    lightTheme: 'ආලෝක තේමාවට මාරු වන්න',
+    darkTheme: 'අඳුරු තේමාවට මාරු වන්න',
+    tournaments: 'තරඟාවලි සහ ලීග',
+    history: 'තරග ඉතිහාසය',
+  },
+
+  newMatch: {
+    label: 'නව තරගය',
+    modes: { ai: 'ඔබ එදිරිව AI', hotseat: 'එකම උපාංගයෙන්', online: 'ඔන්ලයින්' },
+    titles: { ai: 'ඔබේ ප්‍රතිවාදියා තෝරන්න', hotseat: 'එකම උපාංගයෙන්', online: 'ඔන්ලයින් ක්‍රීඩා කරන්න' },
+    intros: {
+      ai: 'තරග ආකෘතියක් තෝරා, පසුව ඔබ මුහුණ දීමට කැමති කෙනා තෝරන්න.',
+      hotseat: 'ක්‍රීඩකයන් දෙදෙනෙක්, එක් උපාංගයක්. තරග ආකෘතියක් තෝරා ඔබේ නම් ඇතුළත් කරන්න.',
+      online: 'වෙනත් උපාංගයක සිටින මිතුරෙකු සමඟ ක්‍රීඩා කරන්න. ආකෘතියක් තෝරා, කාමරයක් සාදන්න හෝ එකතු වන්න.',
+    },
+    wickets: 'කඩුලු',
+    overs: 'පන්දුවාර',
+    noLimit: 'සීමාවක් නැත',
+    houseRules: 'විශේෂ නීති',
+    onlineOffline: 'ඔන්ලයින් තරගවලට සම්බන්ධතාවයක් අවශ්‍යයි. එකම උපාංගයෙන් සහ AI එදිරිව තරග අන්තර්ජාලය නැතිවත් ක්‍රියා කරයි.',
+    playerName: 'ක්‍රීඩක {number}',
+    playerNameLabel: 'ක්‍රීඩක {number} නම',
+    start: 'තරගය අරඹන්න',
+    tournaments: 'තරඟාවලි සහ ලීග',
+    nextMatchReady: 'ඊළඟ තරගය සූදානම්',
+  },
+
+  toss: {
+    label: 'කාසිය උඩ දැමීම',
+    title: 'කාසිය උඩ දැමීම',
+    choose: 'ගල, කොළය හෝ කතුර තෝරන්න.',
+    namedChoose: '{name}, ගල, කොළය හෝ කතුර තෝරන්න.',
+    waiting: '{name} තෝරන තෙක් රැඳී සිටිමින්…',
+    hands: { rock: 'ගල', paper: 'කොළය', scissors: 'කතුර' },
+    handNames: { rock: 'ගල', paper: 'කොළය', scissors: 'කතුර' },
+    bothChose: { you: 'ඔබ {playerHand} තේරුවා, {computer} {computerHand} තේරුවා.', they: '{player} {playerHand} තේරුවා, {computer} {computerHand} තේරුවා.' },
+    computerChose: { bat: 'පරිගණකය පිතිකරණය තේරුවා.', bowl: 'පරිගණකය පන්දු යැවීම තේරුවා.' },
+    tie: 'සමානයි!',
+    youWon: 'ඔබ දිනුවා!',
+    computerWon: 'පරිගණකය දිනුවා',
+    namedWon: '{name} දිනුවා!',
+    waitingDecision: '{name} තීරණය කරන තෙක් රැඳී සිටිමින්…',
+    bat: 'පිතිකරණය',
+    bowl: 'පන්දු යැවීම',
+  },
+
+  play: {
+    choose: 'ඔබේ අංකය තෝරන්න:',
+    namedChoose: '{name}, ඔබේ අංකය තෝරන්න:',
+    waiting: '{name} සඳහා රැඳී සිටිමින්…',
+    defend: 'ආරක්ෂා කරන්න',
+  },
+
+  review: {
+    prompt: {
+      you: 'දැවී යාම සමාලෝචනය කරනවාද? මෙම ඉනිමේ ඔබට ඇත්තේ එක් සමාලෝචනයක් පමණයි.',
+      they: '{name}, දැවී යාම සමාලෝචනය කරනවාද? මෙම ඉනිමේ ඔබට ඇත්තේ එක් සමාලෝචනයක් පමණයි.',
+    },
+    review: 'සමාලෝචනය',
+    walkOff: 'පිටව යන්න',
+    waiting: '{name} සමාලෝචනයක් ගැන තීරණය කරන තෙක් රැඳී සිටිමින්…',
+  },
+
+  match: {
+    out: 'දැවී ගියා!',
+    notOut: 'දැවී නැහැ!',
+    allOut: 'සියලු දෙනා දැවී ගියා!',
+    oversComplete: 'පන්දුවාර අවසන්!',
+    scored: { you: 'ඔබ {score} ලබා ගත්තා.', they: '{name} {score} ලබා ගත්තා.' },
+    inningsBreak: 'ඉනිම් විවේකය.',
+    needToWin: { you: 'ජය ගැනීමට ඔබට ලකුණු {target}ක් අවශ්‍යයි.', they: 'ජය ගැනීමට {name}ට ලකුණු {target}ක් අවශ්‍යයි.' },
+    youBatting: 'ඔබ පිතිකරණය කරනවා. පටන් ගනිමු!',
+    computerBatting: 'පරිගණකය පිතිකරණය කරනවා. ඔවුන්ව දවන්න!',
+    namedBatting: '{name} පිතිකරණය කරනවා. පටන් ගනිමු!',
+    isBatting: '{name} පිතිකරණය කරනවා.',
+    reviewOffer: { you: 'දැවී ගියා! සමාලෝචනය කරනවාද?', they: 'දැවී ගියා! {name} සමාලෝචනය කරයිද?' },
+    reviewOfferSpoken: 'දැවී ගියා, පිතිකරුට එය සමාලෝචනය කළ හැකියි.',
+    superOver: 'ලකුණු සමානයි! සුපිරි පන්දුවාරයකට: එක් එක් පැත්තට එක් පන්දුවාරයක්, එක් කඩුල්ලක්.',
+    resumed: 'තරගය නැවත ආරම්භ විය. දිගටම ක්‍රීඩා කරන්න!',
+    dailyStart: {
+      one: 'දෛනික අභියෝගය #{number}: {name} කාසිය දිනා ලකුණු {score}ක් ලබා ගත්තා. ඔබට පන්දු {count}න් ලකුණු {target}ක් අවශ්‍යයි.',
+      other: 'දෛනික අභියෝගය #{number}: {name} කාසිය දිනා ලකුණු {score}ක් ලබා ගත්තා. ඔබට පන්දු {count}න් ලකුණු {target}ක් අවශ්‍යයි.',
+    },
+  },
+
+  gameOver: {
+    youWon: 'ඔබ දිනුවා!',
+    greatPerformance: 'විශිෂ්ට දක්ෂතාවයක්!',
+    computerWon: 'පරිගණකය දිනුවා',
+    betterLuck: 'ඊළඟ වතාවේ වාසනාව!',
+    drawn: 'තරගය සමයි',
+    level: 'ලකුණු සමානයි!',
+    namedWon: '{name} දිනුවා!',
+    wellPlayedBoth: 'දෙදෙනාම හොඳින් ක්‍රීඩා කළා!',
+    opponentLeft: 'ප්‍රතිවාදියා ඉවත් විය',
+    leftMatch: '{name} තරගයෙන් ඉවත් වුණා.',
+    analysis: 'තරග විශ්ලේෂණය ලබා ගන්න',
+    backToTournament: 'තරඟාවලියට ආපසු',
+    playAgain: 'නැවත ක්‍රීඩා කරන්න',
+  },
+
+  corner: {
+    title: 'විචාරක කොටස',
+    turningPoints: 'තීරණාත්මක අවස්ථා',
+    loading: 'විචාරකයා පටිගත කිරීම් පරීක්ෂා කරමින්...',
+    offline: 'ඔබ අන්තර්ජාලයෙන් විසන්ධි වී ඇති නිසා සජීවී විචාරයක් නැහැ.',
+    error: '{error} ඉහත වාර්තාව තවමත් වලංගුයි.',
+  },
+
+  stats: {
+    label: 'වෘත්තීය සංඛ්‍යාලේඛන',
+    title: 'වෘත්තීය සංඛ්‍යාලේඛන සහ ජයග්‍රහණ',
+    pastMatches: 'පසුගිය තරග ({count})',
+    tabs: { career: 'වෘත්තිය', analytics: 'විශ්ලේෂණ' },
+    wins: 'ජය',
+    losses: 'පරාජය',
+    forfeited: '{count}ක් අත්හැරියා',
+    draws: 'සම',
+    highestScore: 'ඉහළම ලකුණු',
+    wicketsTaken: 'ගත් කඩුලු',
+    totalRuns: 'මුළු ලකුණු',
+    achievements: 'ජයග්‍රහණ',
+    record: 'ජය {wins} · පරාජය {losses} · සම {draws}',
+    highScore: 'ඉහළම {score}',
+  },
+
+  profiles: {
+    title: 'ක්‍රීඩකයන්',
+    switch: '{name} ලෙස ක්‍රීඩා කරයි. ක්‍රීඩකයා මාරු කරන්න',
+    playingAs: '{avatar} {name} · ක්‍රීඩකයා මාරු කරන්න',
+    name: 'නම',
+    avatar: 'රූපය',
+    errors: { empty: 'මෙම ක්‍රීඩකයාට නමක් දෙන්න.', taken: 'මෙම උපාංගයේ කෙනෙකුට දැනටමත් එම නම තිබේ.' },
+    new: 'නව ක්‍රීඩකයෙක්',
+    create: 'සාදා ක්‍රීඩා කරන්න',
+    save: 'සුරකින්න',
+    playing: 'ක්‍රීඩා කරයි',
+    play: 'ක්‍රීඩා කරන්න',
+    edit: '{name} සංස්කරණය කරන්න',
+    delete: '{name} මකන්න',
+    deleteWarning: 'මෙය {name}ගේ සංඛ්‍යාලේඛන, ජයග්‍රහණ, පෙර තරග සහ සැකසුම් මෙම උපාංගයෙන් මකා දමයි. මෙය ආපසු හැරවිය නොහැක, එබැවින් නැවත අවශ්‍ය විය හැකි නම් පළමුව සැකසුම් වෙතින් උපස්ථ කරන්න.',
+    confirmDelete: 'ඔව්, මකන්න',
+    leaderboard: 'ප්‍රමුඛ පුවරුව',
+    sortBy: 'අනුපිළිවෙළ',
+    player: 'ක්‍රීඩකයා',
+    columns: { wins: 'ජය', highestScore: 'ඉහළම', winRate: 'ජය %', achievements: 'සම්මාන' },
+    leaderboardNote: 'පරිගණකයට එරෙහි තරග පමණි.',
+  },
+
+  online: {
+    yourOpponent: 'ඔබේ ප්‍රතිවාදියා',
+    room: 'කාමරය {code}',
+    connected: 'සම්බන්ධයි',
+    reconnecting: 'නැවත සම්බන්ධ වෙමින්…',
+    disconnected: '{name} විසන්ධි විය',
+  },
+
+  notify: {
+    achievement: 'ජයග්‍රහණයක් අගුළු හැරියා!',
+    namedAchievement: '{name}: {title}',
+    milestone: 'සන්ධිස්ථානයක්!',
+    fifty: { you: 'ලකුණු 50යි! හොඳින් ක්‍රීඩා කළා!', they: '{name}ට ලකුණු 50යි! හොඳින් ක්‍රීඩා කළා!' },
+    incredible: 'විශ්මයජනකයි!',
+    century: { you: 'ලකුණු 100යි! විශිෂ්ට ශතකයක්!', they: '{name}ට ලකුණු 100යි! විශිෂ්ට ශතකයක්!' },
+    superOver: 'සුපිරි පන්දුවාරය!',
+    repaired: 'සුරකින ලද දත්ත අලුත්වැඩියා කළා',
+    repairedMessage: '{sections} කියවිය නොහැකි වූ නිසා එය යළි සකසා ඇත. පැරණි පිටපත වෙනම තබා ඇත.',
+    forfeited: 'තරගය අත්හැරියා',
+    forfeitLoss: 'අත්හැරිය තරගය පරාජයක් ලෙස ගණන් ගැනේ.',
+    forfeitStands: 'තරගය දැනටමත් අවසන්ව තිබූ නිසා එහි ප්‍රතිඵලය එලෙසම පවතී.',
+    connectionLost: 'සම්බන්ධතාවය නැති විය',
+    droppedOut: '{name} විසන්ධි වුණා. ඔවුන් ආපසු එන තෙක් තත්පර {seconds}ක් රැඳී සිටිමින්…',
+    backOnline: 'නැවත සම්බන්ධයි',
+    reconnected: '{name} නැවත සම්බන්ධ වුණා.',
+    matchServer: 'තරග සේවාදායකය',
+  },
+
+  scoreboard: {
+    versus: '{player} එදිරිව {opponent}',
+    youVsAi: 'ඔබ එදිරිව AI',
+    target: 'ඉලක්කය',
+    score: '{name}ගේ ලකුණු',
+    yourScore: 'ඔබේ ලකුණු',
+    computerScore: 'පරිගණකයේ ලකුණු',
+    overs: 'පන්දුවාර {overs}',
+    need: 'ලකුණු {need}ක් අවශ්‍යයි',
+    needFrom: { one: 'පන්දු {count}න් ලකුණු {need}ක් අවශ්‍යයි', other: 'පන්දු {count}න් ලකුණු {need}ක් අවශ්‍යයි' },
+    requiredRate: 'අවශ්‍ය අනුපාතය {rate}',
+    superOver: 'සුපිරි පන්දුවාරය',
+    freeHit: 'නිදහස් පහර!',
+    powerplay: 'පවර්ප්ලේ',
+    reviewLeft: 'සමාලෝචනයක් ඉතිරියි',
+  },
+
+  hands: {
+    yourShot: 'ඔබේ පහර',
+    yourBall: 'ඔබේ පන්දුව',
+    bowlersBall: 'පන්දු යවන්නාගේ පන්දුව',
+    batsmansShot: 'පිතිකරුගේ පහර',
+    namedShot: '{name}ගේ පහර',
+    namedBall: '{name}ගේ පන්දුව',
+    shoot: 'පෙන්වන්න!',
+  },
+
+  handover: {
+    pass: 'උපාංගය {name}ට දෙන්න',
+    ready: 'මම {name}, සූදානම්',
+  },
+
+  resume: {
+    title: 'තරගය සිදුවෙමින් පවතී',
+    score: '{batting} {runs}/{wickets}',
+    target: ' · ඉලක්කය {target}',
+    dropNamed: 'අත්හැරීමෙන් තරගය ප්‍රතිඵලයකින් තොරව ඉවත් වේ.',
+    forfeit: 'අත්හැරීම පරාජයක් ලෙස ගණන් ගැනේ.',
+    resume: 'තරගය නැවත අරඹන්න',
+    abandon: 'අත්හරින්න',
+  },
+
+  replay: {
+    batsFirst: { you: 'ඔබ පළමුව පිතිකරණය කරනවා.', they: '{name} පළමුව පිතිකරණය කරනවා.' },
+    noBall: 'නෝ බෝල්!',
+    runs: { one: 'ලකුණු {count}යි.', other: 'ලකුණු {count}යි.' },
+    reviewOverturned: 'සමාලෝචනය: දැවී නැහැ!',
+    reviewUpheld: 'සමාලෝචනය: තවමත් දැවී ගොස්.',
+    superOver: 'ලකුණු සමානයි: සුපිරි පන්දුවාරය!',
+    result: '{result}!',
+    ball: 'පන්දුව {number}: {caption}',
+    position: 'නැවත ධාවනය · පන්දුව {step} / {count}',
+    positionLabel: 'නැවත ධාවන ස්ථානය',
+    start: 'ආරම්භයට ආපසු',
+    back: 'පියවරක් ආපසු',
+    play: 'ධාවනය',
+    pause: 'විරාමය',
+    forward: 'පියවරක් ඉදිරියට',
+    inningsBreak: 'ඉනිම් විවේකය',
+    speed: 'නැවත ධාවන වේගය',
+    speedOption: '{speed}×',
+    exit: 'නැවත ධාවනයෙන් ඉවත් වන්න',
+  },
+
+  results: {
+    youForfeited: 'ඔබ අත්හැරියා',
+    forfeited: '{name} අත්හැරියා',
+    drawn: 'තරගය සමයි',
+    youWon: 'ඔබ දිනුවා',
+    youLost: 'ඔබ පැරදුණා',
+    won: '{name} දිනුවා',
+  },
+
+  scorecard: {
+    toss: {
+      bat: { you: 'ඔබ කාසිය දිනා පිතිකරණය තේරුවා.', they: '{name} කාසිය දිනා පිතිකරණය තේරුවා.' },
+      bowl: { you: 'ඔබ කාසිය දිනා පන්දු යැවීම තේරුවා.', they: '{name} කාසිය දිනා පන්දු යැවීම තේරුවා.' },
+    },
+    innings: '{name} · {runs}/{wickets} (පන්දුවාර {overs})',
+    over: 'පන්දුවාරය {number}',
+    ball: 'පිතිකරු {batter} · පන්දු යවන්නා {bowler}',
+    noBall: 'නෝ බෝල්',
+    freeHit: 'නිදහස් පහර',
+    reviewOverturned: 'සමාලෝචනයෙන් තීරණය වෙනස් විය',
+    reviewUpheld: 'සමාලෝචනයෙන් තීරණය තහවුරු විය',
+  },
+
+  pastMatches: {
+    label: 'පසුගිය තරග',
+    title: 'පසුගිය තරග',
+    watch: 'නැවත ධාවනය නරඹන්න',
+    copy: 'කේතය පිටපත් කරන්න',
+    copied: 'පිටපත් කළා',
+    saveFile: 'ගොනුව සුරකින්න',
+    copyBlocked: 'පිටපත් කිරීම අවහිර විය. ඒ වෙනුවට "ගොනුව සුරකින්න" භාවිත කරන්න.',
+    back: 'ලැයිස්තුවට ආපසු',
+    result: 'ප්‍රතිඵලය',
+    allResults: 'සියලු ප්‍රතිඵල',
+    wins: 'ජය',
+    losses: 'පරාජය',
+    draws: 'සම',
+    opponent: 'ප්‍රතිවාදියා',
+    allOpponents: 'සියලු ප්‍රතිවාදීන්',
+    date: 'දිනය',
+    ranges: { all: 'ඕනෑම කාලයක්', today: 'අද', week: 'පසුගිය දින 7', month: 'පසුගිය දින 30' },
+    empty: 'තවම තරග නැත. ගිහින් එකක් ක්‍රීඩා කරන්න!',
+    shared: 'බෙදාගත් නැවත ධාවනයක් නරඹන්න',
+    code: 'නැවත ධාවන කේතය',
+    codePlaceholder: 'නැවත ධාවන කේතයක් අලවන්න',
+    watchCode: 'නරඹන්න',
+    openFile: 'නැවත ධාවන ගොනුවක් විවෘත කරන්න…',
+  },
+
+  analytics: {
+    empty: 'ඔබේ විශ්ලේෂණ බැලීමට තරගයක් අවසන් කරන්න.',
+    average: 'සාමාන්‍යය',
+    strikeRate: 'පහර අනුපාතය',
+    outEvery: 'දැවී යන්නේ',
+    ballsShort: 'පන්දු {balls}කට වරක්',
+    summary: '{balls}කින් {runs}, දැවී ගියේ {outs} (මුහුණ දුන් පන්දුවලින් {rate}%).',
+    runs: { one: 'ලකුණු {count}', other: 'ලකුණු {count}' },
+    balls: { one: 'පන්දු {count}', other: 'පන්දු {count}' },
+    outs: { one: 'වාර {count}', other: 'වාර {count}' },
+    recentForm: 'මෑත ක්‍රීඩා ආකෘතිය',
+    lastResults: 'අවසන් ප්‍රතිඵල {count}',
+    badges: { win: 'ජ', loss: 'ප', draw: 'ස' },
+    streak: {
+      win: { one: 'අවසන් තරගය දිනුවා', other: 'අවසන් තරග {count} දිනුවා' },
+      loss: { one: 'අවසන් තරගය පැරදුණා', other: 'අවසන් තරග {count} පැරදුණා' },
+      draw: { one: 'අවසන් තරගය සම වුණා', other: 'අවසන් තරග {count} සම වුණා' },
+    },
+    streaks: 'හොඳම ජය පෙළ {best} · දිගම අපරාජිත පෙළ {unbeaten}',
+    results: 'ප්‍රතිඵල',
+    notPlayed: 'ක්‍රීඩා කර නැත',
+    battedFirst: 'පළමුව පිතිකරණය',
+    bowledFirst: 'පළමුව පන්දු යැවීම',
+    yourNumbers: 'ඔබේ අංක',
+    batting: 'පිතිකරණය',
+    bowling: 'පන්දු යැවීම',
+    charts: 'තරග ප්‍රස්තාර',
+    chartMatch: 'ප්‍රස්තාරයේ තරගය',
+  },
+
+  charts: {
+    worm: 'පණුවා',
+    wormLabel: 'පණු ප්‍රස්තාරය',
+    manhattan: 'මැන්හැටන්',
+    manhattanLabel: 'මැන්හැටන් ප්‍රස්තාරය',
+    balls: 'පන්දු',
+    overs: 'පන්දුවාර',
+    over: 'පන්දුවාරය {over}: {runs}, {wickets}',
+    wicketDots: 'තිත්වලින් කඩුලු දැක්වේ.',
+  },
+
+  tournament: {
+    label: 'තරගාවලි සහ ලීග',
+    title: 'තරගාවලි සහ ලීග',
+    types: { series: 'තරගාවලිය', league: 'ලීගය' },
+    seriesIntro: 'තරග කිහිපයක් පුරා එක් ප්‍රතිවාදියෙකුට මුහුණ දෙන්න. බහුතරයක් පළමුව දිනන්නා ජය ගනී.',
+    leagueIntro: 'සැමට එක් වරක් ක්‍රීඩා කරන්න. ජයට ලකුණු 2, සමට 1. ඉහළම කණ්ඩායම් නොකඩවා තරගවලදී මුණගැසේ.',
+    format: 'ආකාරය: {format}.',
+    bestOf: 'තරග {count}න් හොඳම',
+    pickTwo: 'අවම වශයෙන් ප්‍රතිවාදීන් දෙදෙනෙකු තෝරන්න',
+    start: 'අරඹන්න',
+    seriesName: '{opponent} එදිරිව තරග {count}න් හොඳම',
+    leagueName: 'කණ්ඩායම් {count}ක ලීගය',
+    phases: { series: 'තරගාවලිය', league: 'ලීග අදියර', knockout: 'නොකඩවා තරග', complete: 'අවසන්' },
+    champion: { you: '{team} ශූරයා!', they: '{team} ශූරයා!' },
+    shared: 'තරගාවලිය බෙදී ගියා.',
+    play: '{stage} ක්‍රීඩා කරන්න: {home} එදිරිව {away}',
+    finishFirst: 'පළමුව ඔබේ වත්මන් තරගය අවසන් කරන්න',
+    stages: { series: 'තරගය', league: 'ලීගය', semi: 'අවසන් පූර්ව තරගය', final: 'අවසන් තරගය' },
+    stageRound: '{stage} {round}',
+    fixture: '{home} එදිරිව {away}',
+    result: '{home} {homeScore} එදිරිව {away} {awayScore}',
+    forfeit: '{fixture} (අත්හැරියා)',
+    drawnThrough: { you: '{fixture} (සම විය, {team} ඉදිරියට)', they: '{fixture} (සම විය, {team} ඉදිරියට)' },
+    pointsTable: 'ලකුණු වගුව',
+    columns: { team: 'කණ්ඩායම', played: 'ක්‍රී', won: 'ජ', drawn: 'ස', lost: 'ප', points: 'ලකු', netRunRate: 'ශුද්ධ ලඅ' },
+    fixtures: 'තරග සටහන',
+    awards: { title: 'සම්මාන', topScorer: 'වැඩිම ලකුණු', mostWickets: 'වැඩිම කඩුලු', highestInnings: 'ඉහළම ඉනිම' },
+    runs: { one: 'ලකුණු {count}', other: 'ලකුණු {count}' },
+    wickets: { one: 'කඩුලු {count}', other: 'කඩුලු {count}' },
+    newTournament: 'නව තරගාවලියක් හෝ ලීගයක්',
+    abandon: { series: 'තරගාවලිය අත්හරින්න', league: 'ලීගය අත්හරින්න' },
+    honours: 'ගෞරව',
+    sharedShort: 'බෙදී ගියා',
+  },
+
+  daily: {
+    title: 'දෛනික අභියෝගය #{number}',
+    intro: 'දිනකට එක් ලකුණු හඹා යාමක්, සැමට එකම එක. ඔබට ඇත්තේ එක් අවස්ථාවක් පමණයි.',
+    play: 'අද දින අභියෝගය ක්‍රීඩා කරන්න',
+    streak: 'අඛණ්ඩ දින {streak} · හොඳම {best}',
+    copy: 'ප්‍රතිඵලය පිටපත් කරන්න',
+    copied: 'පිටපත් කළා',
+    copyBlocked: 'බ්‍රව්සරය පිටපත් කිරීම අවහිර කළා.',
+    inProgress: 'සිදුවෙමින් පවතී. ප්‍රතිඵලය බෙදා ගැනීමට එය අවසන් කරන්න.',
+    tomorrow: 'ඊළඟ අභියෝගය සඳහා හෙට නැවත එන්න.',
+    wonWithBalls: { one: 'පන්දු {count}ක් ඉතිරිව දිනුවා', other: 'පන්දු {count}ක් ඉතිරිව දිනුවා' },
+    tied: 'සමයි',
+    lostByRuns: { one: 'ලකුණු {count}කින් පැරදුණා', other: 'ලකුණු {count}කින් පැරදුණා' },
+    lost: 'පැරදුණා',
+    matchLine: '{opponent} · {format} · ඉලක්කය {target}',
+    shareTitle: 'අත් ක්‍රිකට් දෛනික #{number}',
+    streakDays: 'අඛණ්ඩ දින {count}',
+  },
+
+  achievementList: {
+    unlocked: '{count}න් {unlocked}ක් අගුළු හැර ඇත',
+    hidden: 'සැඟවුණු ජයග්‍රහණය',
+    hiddenHint: 'මෙය සොයා ගැනීමට දිගටම ක්‍රීඩා කරන්න.',
+    progress: '{title} ප්‍රගතිය {progress}',
+    toTier: '{tier} දක්වා {progress}',
+    unlockedOn: '{date} අගුළු හැරියා',
+  },
+
+  achievements: {
+    tiers: { 1: 'ලෝකඩ', 2: 'රිදී', 3: 'රන්' },
+    tieredTitle: '{title} ({tier})',
+    progress: '{count}/{target}',
+    firstWin: { title: 'පළමු ජයග්‍රහණය', description: 'ඔබේ පළමු තරගය දිනන්න.' },
+    tenWins: { title: 'නිරන්තර ජයග්‍රාහකයා', description: 'තරග {n}ක් දිනන්න.' },
+    regular: { title: 'නිත්‍ය ක්‍රීඩකයා', description: 'තරග {n}ක් ක්‍රීඩා කරන්න.' },
+    runMachine: { title: 'ලකුණු යන්ත්‍රය', description: 'ඔබේ වෘත්තිය තුළ ලකුණු {n}ක් ලබා ගන්න.' },
+    fiveWickets: { title: 'කඩුලු පහේ ලාභය', description: 'ඔබේ වෘත්තිය තුළ කඩුලු 5ක් ලබා ගන්න.' },
+    wicketMachine: { title: 'කඩුලු යන්ත්‍රය', description: 'ඔබේ වෘත්තිය තුළ කඩුලු {n}ක් ලබා ගන්න.' },
+    fiftyRuns: { title: 'අර්ධ ශතකය', description: 'එක් තරගයකදී ලකුණු 50ක් ලබා ගන්න.' },
+    hundredRuns: { title: 'ශතකධාරියා', description: 'එක් තරගයකදී ලකුණු 100ක් ලබා ගන්න.' },
+    boundaryBonanza: { title: 'සීමා මායිම් උත්සවය', description: 'එක් ඉනිමකදී හතරේ පහර පහක් එල්ල කරන්න.' },
+    hatTrickSixes: { title: 'හය, හය, හය', description: 'පිට පිට හයේ පහර තුනක් එල්ල කරන්න.' },
+    chaseMaster: { title: 'හඹා යාමේ ශූරයා', description: 'දෙවනුව පිතිකරණය කරමින් තරග {n}ක් දිනන්න.' },
+    defender: { title: 'ආරක්ෂකයා', description: 'පළමුව පිතිකරණය කරමින් තරග {n}ක් දිනන්න.' },
+    lastBallHero: { title: 'අවසාන පන්දුවේ වීරයා', description: 'අවසාන පන්දුවෙන්ම ඉලක්කය හඹා යන්න.' },
+    byAWhisker: { title: 'කෙස් ගසකින්', description: 'එක ලකුණකින් දිනන්න.' },
+    againstTheOdds: { title: 'අවාසි මැද', description: 'කාසිය පැරදී තරගයක් දිනන්න.' },
+    skittled: { title: 'සියල්ල බිම', description: 'ප්‍රතිවාදීන් ලකුණු 5ට අඩුවෙන් දවන්න.' },
+    flawless: { title: 'නිර්දෝෂී', description: 'කඩුලු 3ක් හෝ වැඩි තරගයක් කඩුල්ලක්වත් අහිමි නොකර දිනන්න.' },
+    mindOverMatter: { title: 'මනසේ ජයග්‍රහණය', description: 'මනස කියවන්නා පරාජය කරන්න.' },
+    goldenArm: { title: 'රන් අත', description: 'අනෙක් පැත්තේ ඉනිමේ පළමු පන්දුවෙන්ම කඩුල්ලක් ලබා ගන්න.' },
+    duck: { title: 'තාරාවා', description: 'ලකුණක්වත් නොලබා දැවී යන්න.' },
+    honoursEven: { title: 'ගෞරවය සමානයි', description: 'තරගයක් සම කරන්න.' },
+  },
+
+  personas: {
+    rookie: { name: 'ගමේ නවකයා', description: 'අහඹු ලෙස පහර දෙයි, පන්දු යවයි. මෘදු පුහුණුවක්.' },
+    keeper: { name: 'ප්‍රවේශම් කඩුලු රකින්නා', description: 'එකේ දෙකේ ලකුණු ගනී, ඔබේ ප්‍රියතම අංකවලට තදින් පන්දු යවයි.' },
+    slogger: { name: 'ආක්‍රමණශීලී පහරකරු', description: 'හැම පන්දුවකටම ලොකු පහරවල් එල්ල කරයි, ඔබට ඔහුව දවන්න අභියෝග කරයි.' },
+    mindReader: { name: 'මනස කියවන්නා', description: 'ඔබේ පුරුදු, රටා සහ චක්‍ර ඉගෙන ගෙන, ඊළඟ වතාවටත් ඒවා මතක තබා ගනී.' },
+  },
+
+  formats: {
+    classic: 'සම්ප්‍රදායික කඩුලු 1',
+    t5: 'T5',
+    test: 'ටෙස්ට් ආකාරය',
+    superOver: 'සුපිරි පන්දුවාරය',
+    wickets: { one: 'කඩුලු {count}', other: 'කඩුලු {count}' },
+    wicketsAndOvers: '{wickets}, පන්දුවාර {overs}',
+  },
+
+  rules: {
+    standard: 'සාමාන්‍ය නීති',
+    label: 'නීති',
+    any: 'ඕනෑම නීති',
+    defend: { name: 'ආරක්ෂා කිරීම', description: 'ඕනෑම පැත්තකට 0 පෙන්විය හැක. ආරක්ෂා කරන පිතිකරුට ලකුණු නැත, පන්දු යවන්නාත් 0 පෙන්වුවහොත් පමණක් දැවී යයි.' },
+    freeHit: { name: 'නෝ බෝල්', description: 'ඉඳහිට පන්දුවක් නෝ බෝල් වේ: අමතර ලකුණක්, එය ගණන් නොගැනේ, ඊළඟ පන්දුව ඔබට දැවී යා නොහැකි නිදහස් පහරකි.' },
+    powerplay: { name: 'පවර්ප්ලේ', description: 'සෑම ඉනිමකම පළමු පන්දුවාරයේදී පිත්තෙන් ලබන ලකුණු දෙගුණ වේ.' },
+    review: { name: 'සමාලෝචනය', description: 'ඉනිමකට එක් වරක් පිතිකරුට දැවී යාමක් සමාලෝචනය කළ හැක. සමාලෝචනවලින් අඩක් තීරණය වෙනස් කරයි.' },
+    superOver: { name: 'සුපිරි පන්දුවාරය', description: 'සම වූ තරගයක් ජය පරාජයකින් තොරව අවසන් වෙනුවට, එක් එක් පැත්තට එක් පන්දුවාරයක් සහ එක් කඩුල්ලක් සහිත සුපිරි පන්දුවාරයකට යයි.' },
+  },
+
+  lobby: {
+    shareCode: 'මෙම කාමර කේතය ඔබේ ප්‍රතිවාදියා සමඟ බෙදා ගන්න:',
+    waiting: 'ඔවුන් එකතු වන තෙක් රැඳී සිටිමින්…',
+    reconnecting: 'තරග සේවාදායකයට නැවත සම්බන්ධ වෙමින්…',
+    name: 'ඔබේ නම',
+    create: 'කාමරයක් සාදන්න',
+    code: 'කාමර කේතය',
+    codePlaceholder: 'කේතය',
+    join: 'එකතු වන්න',
+    unreachable: 'තරග සේවාදායකයට ළඟා විය නොහැක. `npm run server` ක්‍රියාත්මකද?',
+  },
+
+  settings: {
+    title: 'සැකසුම්',
+    language: 'භාෂාව',
+    theme: 'තේමාව',
+    mainColour: 'ප්‍රධාන වර්ණය',
+    secondColour: 'දෙවන වර්ණය',
+    background: 'පසුබිම',
+    sound: 'ශබ්දය',
+    soundOn: 'ශබ්දය සක්‍රියයි',
+    pace: 'තරග වේගය',
+    paceIntro: 'එක් එක් පන්දුව දිග හැරෙන්නට ගතවන කාලය.',
+    paces: {
+      instant: { name: 'ක්ෂණික', description: 'ගණන් කිරීමක් නැත, රැඳී සිටීමක් නැත.' },
+      normal: { name: 'සාමාන්‍ය', description: 'එක් එක් හෙළිදරව්වට පෙර ඉක්මන් 1, 2, 3, පෙන්වන්න.' },
+      dramatic: { name: 'නාට්‍යමය', description: 'සෙමින් ගණන් කිරීමක් සහ සෑම කඩුල්ලක්ම දිගු වේලාවක් බැලීම.' },
+    },
+    motion: 'සජීවිකරණ',
+    motionOptions: { system: 'උපාංගය අනුව', full: 'සක්‍රීයයි', reduced: 'අඩු කළ' },
+    motionNote: 'අඩු කළ විට පෙරළීම්, වැටෙන කඩුලු සහ වර්ණ කඩදාසි අක්‍රිය වේ. උපාංගය අනුව ඔබේ පද්ධති සැකසුම භාවිත කරයි.',
+    commentaryStyle: 'විචාර ශෛලිය',
+    commentaryOn: 'විචාරක කොටසේ විචාරය කරන්නේ කවුද.',
+    commentaryOff: 'සජීවී විචාරය අක්‍රියයි. එය සක්‍රිය කිරීමට REACT_APP_COMMENTARY_URL සකසන්න; තරග වාර්තාව කෙසේ හෝ ක්‍රියා කරයි.',
+    yourData: 'ඔබේ දත්ත',
+    dataIntro: 'ඔබේ සංඛ්‍යාලේඛන, ජයග්‍රහණ, පසුගිය තරග සහ සැකසුම් උපස්ථ කරන්න, නැතහොත් වෙනත් උපාංගයකට ගෙන යන්න.',
+    backup: 'උපස්ථය (JSON)',
+    matchesCsv: 'තරග (CSV)',
+    restore: 'උපස්ථය ප්‍රතිසාධනය කරන්න',
+    backupFile: 'උපස්ථ ගොනුව',
+    resetCareer: 'වෘත්තිය යළි සකසන්න',
+    backupSummary: 'මෙම උපස්ථයේ {matches} සහ {wins} ඇත. එය ප්‍රතිසාධනය කිරීමෙන් ඔබේ වත්මන් දත්ත සියල්ල ප්‍රතිස්ථාපනය වේ.',
+    pastMatches: { one: 'පසුගිය තරග {count}', other: 'පසුගිය තරග {count}' },
+    wins: { one: 'ජය {count}', other: 'ජය {count}' },
+    replaceData: 'මගේ දත්ත ප්‍රතිස්ථාපනය කරන්න',
+    resetWarning: 'මෙය ඔබේ සංඛ්‍යාලේඛන, ජයග්‍රහණ, පසුගිය තරග, තරඟාවලි සහ ලීග, සහ මනස කියවන්නා ඉගෙන ගත් දේ මකා දමයි. එය අහෝසි කළ නොහැකි නිසා, ඒවා නැවත අවශ්‍ය විය හැකි නම් පළමුව උපස්ථයක් ගන්න.',
+    confirmReset: 'ඔව්, මගේ වෘත්තිය යළි සකසන්න',
+    restored: 'උපස්ථය ප්‍රතිසාධනය කළා.',
+    restoredExcept: 'උපස්ථය ප්‍රතිසාධනය කළා, කියවිය නොහැකි වූ {sections} හැර.',
+    resetDone: 'ඔබේ වෘත්තිය යළි සකසා ඇත.',
+  },
+
+  sections: {
+    stats: 'වෘත්තීය සංඛ්‍යාලේඛන',
+    hotseatStats: 'එකම උපාංග සංඛ්‍යාලේඛන',
+    playerModel: 'මනස කියවන්නාගේ සටහන්',
+    matches: 'පසුගිය තරග',
+    tournament: 'වත්මන් තරඟාවලිය හෝ ලීගය',
+    tournamentHistory: 'ගෞරව පුවරුව',
+    daily: 'දෛනික අභියෝග ප්‍රතිඵල',
+    theme: 'තේමාව',
+    customTheme: 'කණ්ඩායම් වර්ණ',
+    audio: 'ශබ්ද සැකසුම්',
+    commentaryStyle: 'විචාර ශෛලිය',
+    language: 'භාෂාව',
+    liveMatch: 'සිදුවෙමින් පවතින තරගය',
+  },
+
+  themes: {
+    system: 'උපාංගය',
+    light: 'ආලෝකය',
+    dark: 'අඳුර',
+    highContrast: 'ඉහළ වෙනස',
+    colourBlind: 'වර්ණ අන්ධතා ආරක්ෂිත',
+    floodlights: 'ප්‍රදීප ආලෝක',
+    greenTop: 'කොළ තණතීරුව',
+    pinkBall: 'රෝස පන්දුව',
+    custom: 'කණ්ඩායම් වර්ණ',
+  },
+
+  sounds: {
+    master: 'ප්‍රධාන',
+    effects: 'පිත්ත සහ පන්දුව',
+    crowd: 'ප්‍රේක්ෂකයින් සහ උත්සව',
+    interface: 'බොත්තම්',
+    packs: {
+      synth: { name: 'සින්ත්', description: 'පිරිසිදු ඉලෙක්ට්‍රොනික ශබ්ද.' },
+      stadium: { name: 'ක්‍රීඩාංගණ ප්‍රේක්ෂකයින්', description: 'පිත්තට පන්දුව වදින හඬ සහ සෑම පන්දුවක්ම විඳින ප්‍රේක්ෂකයින්.' },
+      retro: { name: 'පැරණි 8-bit', description: 'ආකේඩ් ක්‍රීඩාවකින් ආ බීප් හඬ.' },
+    },
+  },
+
+  commentaryStyles: {
+    classic: { name: 'සම්ප්‍රදායික', description: 'උණුසුම් සහ සංයමයෙන්, විචාර කුටියෙන්ම.' },
+    hype: { name: 'උද්යෝගිමත්', description: 'හැම ලකුණක්ම ලෝක කුසලාන අවසන් තරගයක් වගේ.' },
+    dry: { name: 'වියළි හාස්‍යය', description: 'සංයමයෙන්, මඳක් උපහාසයෙන්.' },
+    coach: { name: 'පුහුණුකරු', description: 'හරියට ගිය දේ, සහ ඊළඟ වතාවේ උත්සාහ කළ යුතු දේ.' },
+  },
+
+  status: {
+    offline: 'ඔබ අන්තර්ජාලයෙන් විසන්ධියි. ඔන්ලයින් තරග සහ සජීවී විචාරය හැර අනෙක් සියල්ල ක්‍රියා කරයි.',
+    update: 'නව අනුවාදයක් සූදානම්. සිදුවෙමින් පවතින තරගය සුරැකේ.',
+    reload: 'නැවත පූරණය කරන්න',
+    later: 'පසුව',
+  },
+
+  toasts: {
+    dismiss: '{title} ඉවත් කරන්න',
+  },
+
+  errors: {
+    backup: {
+      notBackup: 'එම ගොනුව මෙම ක්‍රීඩාවේ උපස්ථයක් නොවේ.',
+      newerVersion: 'එම උපස්ථය ක්‍රීඩාවේ නවතම අනුවාදයකින් සෑදූවකි. ක්‍රීඩාව යාවත්කාලීන කර, පසුව එය ආයාත කරන්න.',
+    },
+    room: {
+      notFound: 'එම කේතය සහිත කාමරයක් නැත.',
+      full: 'එම කාමරය දැනටමත් පිරී ඇත.',
+      gone: 'එම තරගය තවදුරටත් ලබා ගත නොහැක.',
+      takenOver: 'මෙම තරගය වෙනත් තැනක විවෘත කළා.',
+      notJoined: 'පළමුව කාමරයකට එකතු වන්න.',
+      unknownMessage: 'නොදන්නා පණිවිඩයක්.',
+      notJson: 'පණිවිඩ JSON විය යුතුය.',
+    },
+    commentary: {
+      offline: 'විචාර කුටියට ළඟා විය නොහැක. `npm run server` ක්‍රියාත්මකද?',
+      httpError: 'විචාර කුටිය දෝෂයකින් පිළිතුරු දුන්නා ({status}).',
+      brokeOff: 'විචාරය අතරමග නතර වුණා.',
+      failed: 'විචාර කුටියේ ගැටලුවක් ඇති වුණා.',
+      notSetUp: 'මෙම සේවාදායකයේ විචාරය සකසා නැත.',
+      tooMany: { one: 'විචාර ඉල්ලීම් වැඩියි. තත්පර {count}කින් නැවත උත්සාහ කරන්න.', other: 'විචාර ඉල්ලීම් වැඩියි. තත්පර {count}කින් නැවත උත්සාහ කරන්න.' },
+      tooLong: 'එම තරගය විචාරය කිරීමට දිග වැඩියි.',
+      notJson: 'ඉල්ලීම් JSON විය යුතුය.',
+      noReport: 'තරග වාර්තාව සහ පන්දු අනුපිළිවෙල යවන්න.',
+      usePost: 'විචාරය ඉල්ලීමට POST භාවිත කරන්න.',
+      timedOut: '{provider} පිළිතුරු දීමට වැඩි කාලයක් ගත්තා.',
+      unreadable: '{provider} සේවාදායකයට කියවිය නොහැකි දෙයක් එව්වා.',
+      unreachable: '{provider} වෙත ළඟා විය නොහැකි වුණා.',
+      providerBusy: '{provider} විචාර ඉල්ලීම් සීමා කරමින් සිටී. මිනිත්තුවකින් නැවත උත්සාහ කරන්න.',
+      keyRefused: '{provider} සේවාදායකයේ API යතුර ප්‍රතික්ෂේප කළා.',
+      providerFailed: '{provider} දෝෂයකින් පිළිතුරු දුන්නා ({status}).',
+    },
+    replay: {
+      invalid: 'එය වලංගු නැවත ධාවන කේතයක් නොවේ.',
+    },
+  },
+
+  common: {
+    cancel: 'අවලංගු කරන්න',
+    done: 'හරි',
+  },
+};
+
+export default si;
@@ -0,0 +1,696 @@
+// --- Tamil ---
+// Follows the English catalogue key for key. Tamil has two plural forms,
+// `one` and `other`; player names stay as the players typed them.
+
+const ta = {
+  sides: {
+    you: 'நீங்கள்',
+    youMid: 'நீங்கள்',
+    computer: 'கணினி',
+    theComputer: 'கணினி',
+    theComputerMid: 'கணினி',
+  },
+
+  commentary: {
+    runs: {
+      1: [{ you: 'நீங்கள் ஒரு ஓட்டம் எடுக்கிறீர்கள்.', they: '{name} ஒரு ஓட்டம் எடுக்கிறார்.' }, '{mid}க்கு ஒரே ஒரு ஓட்டம்.'],
+      2: [{ you: 'நீங்கள் விரைந்து ஓடி இரண்டு ஓட்டங்கள் எடுக்கிறீர்கள்.', they: '{name} விரைந்து ஓடி இரண்டு ஓட்டங்கள் எடுக்கிறார்.' }, '{mid}க்கு மேலும் இரண்டு ஓட்டங்கள்.'],
+      3: [{ you: 'நீங்கள் கடுமையாக ஓடி மூன்று ஓட்டங்கள் எடுக்கிறீர்கள்.', they: '{name} கடுமையாக ஓடி மூன்று ஓட்டங்கள் எடுக்கிறார்.' }, '{mid} நன்றாக அடித்து மூன்று ஓட்டங்கள்.'],
+      4: [
+        { you: 'நான்கு! நீங்கள் இடைவெளியைக் கண்டுபிடிக்கிறீர்கள்.', they: 'நான்கு! {name} இடைவெளியைக் கண்டுபிடிக்கிறார்.' },
+        'நான்கு! {mid} அழகாக அடித்த பந்து.',
+        { you: 'பவுண்டரி! நீங்கள் களத்தைத் துளைக்கிறீர்கள்.', they: 'பவுண்டரி! {name} களத்தைத் துளைக்கிறார்.' },
+      ],
+      5: [{ you: 'நீங்கள் ஐந்து ஓட்டங்கள் எடுக்கிறீர்கள்.', they: '{name} ஐந்து ஓட்டங்கள் எடுக்கிறார்.' }, { you: 'மேலும் ஐந்து, நீங்கள் சீராக முன்னேறுகிறீர்கள்.', they: 'மேலும் ஐந்து, {mid} சீராக முன்னேறுகிறார்.' }],
+      6: [
+        { you: 'ஆறு! நீங்கள் பந்தை அரங்கத்துக்குள் அனுப்புகிறீர்கள்.', they: 'ஆறு! {name} பந்தை அரங்கத்துக்குள் அனுப்புகிறார்.' },
+        { you: 'ஆறு! நீங்கள் எளிதாக எல்லையைத் தாண்டுகிறீர்கள்.', they: 'ஆறு! {name} எளிதாக எல்லையைத் தாண்டுகிறார்.' },
+        { you: 'அதிகபட்சம்! நீங்கள் பெரிதாக அடிக்கிறீர்கள்.', they: 'அதிகபட்சம்! {name} பெரிதாக அடிக்கிறார்.' },
+      ],
+    },
+    wicket: [
+      { you: 'நீங்கள் சரியாகக் கணித்தீர்கள், இரு கைகளும் {number}.', they: '{name} சரியாகக் கணித்தார், இரு கைகளும் {number}.' },
+      { you: 'நீங்கள் {number} உடன் பொருந்துகிறீர்கள், ஸ்டம்புகள் சிதறுகின்றன.', they: '{name} {number} உடன் பொருந்துகிறார், ஸ்டம்புகள் சிதறுகின்றன.' },
+      { you: 'பிடிபட்டது! நீங்கள் {number} என்று கணிக்கிறீர்கள்.', they: 'பிடிபட்டது! {name} {number} என்று கணிக்கிறார்.' },
+    ],
+    score: { you: 'நீங்கள் {runs}/{wickets}.', they: '{name} {runs}/{wickets}.' },
+    out: 'அவுட்! {how} {score}',
+    defend: [{ you: 'நீங்கள் 0 காட்டி பந்தைத் தடுக்கிறீர்கள்.', they: '{name} 0 காட்டி பந்தைத் தடுக்கிறார்.' }, '{mid}யின் உறுதியான தடுப்பு. ஓட்டம் இல்லை.'],
+    surviveNoBall: { you: 'இருவரும் {number}, ஆனால் அது நோ-பால். நீங்கள் தப்பினீர்கள்!', they: 'இருவரும் {number}, ஆனால் அது நோ-பால். {name} தப்பினார்!' },
+    surviveFreeHit: { you: 'இருவரும் {number}, ஆனால் அது ஃப்ரீ ஹிட். நீங்கள் தப்பினீர்கள்!', they: 'இருவரும் {number}, ஆனால் அது ஃப்ரீ ஹிட். {name} தப்பினார்!' },
+    powerplay: 'பவர்பிளே! அதன் மதிப்பு {runs} ஓட்டங்கள்.',
+    noBall: 'நோ-பால்! ஒரு கூடுதல் ஓட்டம், அடுத்த பந்து ஃப்ரீ ஹிட்.',
+    closeCall: { you: 'நூலிழையில் தவறியது! {number} உடன் நீங்கள் ஒன்றில் தவறவிட்டீர்கள்.', they: 'நூலிழையில் தவறியது! {number} உடன் {name} ஒன்றில் தவறவிட்டார்.' },
+    boundaryStreak: '{mid}க்கு தொடர்ந்து மூன்று பவுண்டரிகள்!',
+    scoresLevel: 'ஸ்கோர் சமம்! இன்னும் ஒரு ஓட்டம் வெற்றி.',
+    pressure: 'இப்போது {need} ஓட்டங்கள் தேவை. அழுத்தம் அதிகம்!',
+    lastBalls: { one: 'கடைசிப் பந்தில் {need} ஓட்டங்கள் தேவை.', other: 'கடைசி {count} பந்துகளில் {need} ஓட்டங்கள் தேவை.' },
+    requiredRate: '{count} பந்துகளில் {need} ஓட்டங்கள் தேவை, ஓவருக்கு {rate}.',
+    reviewOverturned: { you: 'நீங்கள் மறுபரிசீலனை கேட்கிறீர்கள், முடிவு மாறுகிறது. நாட் அவுட்!', they: '{name} மறுபரிசீலனை கேட்கிறார், முடிவு மாறுகிறது. நாட் அவுட்!' },
+    reviewUpheld: {
+      you: 'நீங்கள் மறுபரிசீலனை கேட்கிறீர்கள், ஆனால் முடிவு மாறவில்லை. நீங்கள் {runs}/{wickets} இல் அவுட்.',
+      they: '{name} மறுபரிசீலனை கேட்கிறார், ஆனால் முடிவு மாறவில்லை. {name} {runs}/{wickets} இல் அவுட்.',
+    },
+    century: '{mid}க்கு சதம்! என்ன ஒரு இன்னிங்ஸ்.',
+    fifty: '{mid}க்கு அரைசதம்!',
+  },
+
+  announce: {
+    batterShows: { you: 'நீங்கள் {number} காட்டுகிறீர்கள்,', they: '{name} {number} காட்டுகிறார்,' },
+    bowlerShows: { you: 'நீங்கள் {number} காட்டுகிறீர்கள்.', they: '{mid} {number} காட்டுகிறது.' },
+    noBall: 'நோ-பால்.',
+    freeHit: 'ஃப்ரீ ஹிட்.',
+    out: 'அவுட்!',
+    runs: { one: '{count} ஓட்டம்.', other: '{count} ஓட்டங்கள்.' },
+    score: { you: 'நீங்கள் {wickets} விக்கெட்டுக்கு {runs}.', they: '{name} {wickets} விக்கெட்டுக்கு {runs}.' },
+    need: '{need} ஓட்டங்கள் தேவை.',
+    needFrom: { one: '{count} பந்தில் {need} ஓட்டங்கள் தேவை.', other: '{count} பந்துகளில் {need} ஓட்டங்கள் தேவை.' },
+  },
+
+  report: {
+    walkedOff: '{name} வெளியேறினார். போட்டி {winner}க்குச் செல்கிறது.',
+    drawn: 'ஸ்கோர் {runs} இல் சமம். போட்டி சமநிலையில் முடிந்தது!',
+    drawnAfterSuperOver: 'சூப்பர் ஓவராலும் அவர்களைப் பிரிக்க முடியவில்லை. போட்டி சமநிலையில் முடிந்தது!',
+    beat: { won: 'நீங்கள் {loser}யை வென்றீர்கள்', lost: '{winner} உங்களை வென்றது', named: '{winner} {loser}யை வென்றார்' },
+    beatMid: { won: 'நீங்கள் {loser}யை வென்றீர்கள்', lost: '{winner} உங்களை வென்றது', named: '{winner} {loser}யை வென்றார்' },
+    superOver: 'ஸ்கோர் {runs} இல் சமம், சூப்பர் ஓவரில் {beat}!',
+    byWickets: { one: '{beat}, {count} விக்கெட்டில், இலக்கு {target} ஐத் துரத்தி.', other: '{beat}, {count} விக்கெட்டுகளில், இலக்கு {target} ஐத் துரத்தி.' },
+    chased: '{beat}, இலக்கு {target} ஐத் துரத்தி.',
+    byRuns: { one: '{beat}, {count} ஓட்டத்தில்.', other: '{beat}, {count} ஓட்டங்களில்.' },
+    innings: '{label}: {runs}/{wickets} ({overs} ஓவர்), {fours}, {sixes}.',
+    superOverLabel: 'சூப்பர் ஓவர், {name}',
+    fours: { one: '{count} பவுண்டரி', other: '{count} பவுண்டரிகள்' },
+    sixes: { one: '{count} சிக்ஸர்', other: '{count} சிக்ஸர்கள்' },
+    expensiveOver: { you: 'உங்கள் இன்னிங்ஸின் {over}வது ஓவரில் {runs} ஓட்டங்கள் போனது.', they: '{name}யின் இன்னிங்ஸின் {over}வது ஓவரில் {runs} ஓட்டங்கள் போனது.' },
+    wicketsInOver: '{over}வது ஓவரில் {name} {count} விக்கெட்டுகளை இழந்தார்.',
+    closeChase: { you: '{overs} ஓவரில் உங்களுக்கு {need} ஓட்டங்கள் மட்டுமே தேவைப்பட்டது.', they: '{overs} ஓவரில் {name}க்கு {need} ஓட்டங்கள் மட்டுமே தேவைப்பட்டது.' },
+    lateWicket: '{need} ஓட்டங்கள் மட்டுமே தேவைப்பட்ட போது {overs} ஓவரில் ஒரு விக்கெட்.',
+    tipVaried: 'குறிப்பு: நீங்கள் எண்களை மாற்றி மாற்றிக் காட்டினீர்கள். அவர்களைக் குழப்பிக்கொண்டே இருங்கள்!',
+    tipFavourite: 'குறிப்பு: {percent}% பந்துகளில் நீங்கள் {number} காட்டினீர்கள். அடுத்த முறை மாற்றிப் பாருங்கள்!',
+    turningPointsHeading: 'திருப்புமுனைகள்:',
+    ballSequence: '{name} துடுப்பாட்டம்: {balls}',
+  },
+
+  app: {
+    lightTheme: 'ஒளி தீம்க்கு மாறு',
+    darkTheme: 'இருண்ட தீம்க்கு மாறு',
+    tournaments: 'தொடர்களும் லீக்குகளும்',
+    history: 'போட்டி வரலாறு',
+  },
+
+  newMatch: {
+    label: 'புதிய போட்டி',
+    modes: { ai: 'நீங்கள் vs AI', hotseat: 'ஒரே சாதனத்தில்', online: 'ஆன்லைன்' },
+    titles: { ai: 'உங்கள் எதிராளியைத் தேர்ந்தெடுங்கள்', hotseat: 'ஒரே சாதனத்தில்', online: 'ஆன்லைனில் விளையாடு' },
+    intros: {
+      ai: 'போட்டி வடிவத்தைத் தேர்ந்தெடுத்து, பிறகு யாரை எதிர்கொள்ள வேண்டும் என்று தேர்ந்தெடுங்கள்.',
+      hotseat: 'இரண்டு வீரர்கள், ஒரு சாதனம். போட்டி வடிவத்தைத் தேர்ந்தெடுத்து உங்கள் பெயர்களை உள்ளிடுங்கள்.',
+      online: 'வேறொரு சாதனத்தில் உள்ள நண்பருடன் விளையாடுங்கள். வடிவத்தைத் தேர்ந்தெடுத்து, ஓர் அறையை உருவாக்குங்கள் அல்லது சேருங்கள்.',
+    },
+    wickets: 'விக்கெட்டுகள்',
+    overs: 'ஓவர்கள்',
+    noLimit: 'வரம்பு இல்லை',
+    houseRules: 'சிறப்பு விதிகள்',
+    onlineOffline: 'ஆன்லைன் போட்டிகளுக்கு இணைப்பு தேவை. ஒரே சாதனப் போட்டிகளும் AI உடனான போட்டிகளும் இணைப்பின்றி இயங்கும்.',
+    playerName: 'வீரர் {number}',
+    playerNameLabel: 'வீரர் {number} பெயர்',
+    start: 'போட்டியைத் தொடங்கு',
+    tournaments: 'தொடர்களும் லீக்குகளும்',
+    nextMatchReady: 'அடுத்த போட்டி தயார்',
+  },
+
+  toss: {
+    label: 'நாணயச் சுழற்சி',
+    title: 'நாணயச் சுழற்சி',
+    choose: 'கல், காகிதம் அல்லது கத்தரிக்கோலைத் தேர்ந்தெடுங்கள்.',
+    namedChoose: '{name}, கல், காகிதம் அல்லது கத்தரிக்கோலைத் தேர்ந்தெடுங்கள்.',
+    waiting: '{name} தேர்ந்தெடுக்கக் காத்திருக்கிறது…',
+    hands: { rock: 'கல்', paper: 'காகிதம்', scissors: 'கத்தரிக்கோல்' },
+    handNames: { rock: 'கல்', paper: 'காகிதம்', scissors: 'கத்தரிக்கோல்' },
+    bothChose: { you: 'நீங்கள் {playerHand} தேர்ந்தெடுத்தீர்கள், {computer} {computerHand} தேர்ந்தெடுத்தது.', they: '{player} {playerHand} தேர்ந்தெடுத்தார், {computer} {computerHand} தேர்ந்தெடுத்தார்.' },
+    computerChose: { bat: 'கணினி துடுப்பாட்டத்தைத் தேர்ந்தெடுத்தது.', bowl: 'கணினி பந்துவீச்சைத் தேர்ந்தெடுத்தது.' },
+    tie: 'சமநிலை!',
+    youWon: 'நீங்கள் வென்றீர்கள்!',
+    computerWon: 'கணினி வென்றது',
+    namedWon: '{name} வென்றார்!',
+    waitingDecision: '{name} முடிவெடுக்கக் காத்திருக்கிறது…',
+    bat: 'துடுப்பாட்டம்',
+    bowl: 'பந்துவீச்சு',
+  },
+
+  play: {
+    choose: 'உங்கள் எண்ணைத் தேர்ந்தெடுங்கள்:',
+    namedChoose: '{name}, உங்கள் எண்ணைத் தேர்ந்தெடுங்கள்:',
+    waiting: '{name}க்காகக் காத்திருக்கிறது…',
+    defend: 'தடுப்பு',
+  },
+
+  review: {
+    prompt: {
+      you: 'ஆட்டமிழப்பை மறுபரிசீலனை செய்யவா? இந்த இன்னிங்ஸில் உங்களுக்கு ஒரே ஒரு மறுபரிசீலனை மட்டுமே.',
+      they: '{name}, ஆட்டமிழப்பை மறுபரிசீலனை செய்யவா? இந்த இன்னிங்ஸில் உங்களுக்கு ஒரே ஒரு மறுபரிசீலனை மட்டுமே.',
+    },
+    review: 'மறுபரிசீலனை',
+    walkOff: 'வெளியேறு',
+    waiting: 'மறுபரிசீலனை குறித்து {name} முடிவெடுக்கக் காத்திருக்கிறது…',
+  },
+
+  match: {
+    out: 'அவுட்!',
+    notOut: 'நாட் அவுட்!',
+    allOut: 'அனைவரும் அவுட்!',
+    oversComplete: 'ஓவர்கள் முடிந்தன!',
+    scored: { you: 'நீங்கள் {score} எடுத்தீர்கள்.', they: '{name} {score} எடுத்தார்.' },
+    inningsBreak: 'இன்னிங்ஸ் இடைவேளை.',
+    needToWin: { you: 'வெற்றிக்கு உங்களுக்கு {target} தேவை.', they: 'வெற்றிக்கு {name}க்கு {target} தேவை.' },
+    youBatting: 'நீங்கள் துடுப்பெடுத்தாடுகிறீர்கள். தொடங்குவோம்!',
+    computerBatting: 'கணினி துடுப்பெடுத்தாடுகிறது. அவுட் ஆக்குங்கள்!',
+    namedBatting: '{name} துடுப்பெடுத்தாடுகிறார். தொடங்குவோம்!',
+    isBatting: '{name} துடுப்பெடுத்தாடுகிறார்.',
+    reviewOffer: { you: 'அவுட்! மறுபரிசீலனை செய்யவா?', they: 'அவுட்! {name} மறுபரிசீலனை செய்வாரா?' },
+    reviewOfferSpoken: 'அவுட், துடுப்பாட்டக்காரர் மறுபரிசீலனை கேட்கலாம்.',
+    superOver: 'ஸ்கோர் சமம்! சூப்பர் ஓவருக்கு: ஒவ்வொரு அணிக்கும் ஒரு ஓவர், ஒரு விக்கெட்.',
+    resumed: 'போட்டி மீண்டும் தொடங்கியது. தொடர்ந்து விளையாடுங்கள்!',
+    dailyStart: {
+      one: 'தினசரி சவால் #{number}: {name} நாணயச் சுழற்சியை வென்று {score} ஓட்டங்கள் எடுத்தது. உங்களுக்கு {count} பந்தில் {target} ஓட்டங்கள் தேவை.',
+      other: 'தினசரி சவால் #{number}: {name} நாணயச் சுழற்சியை வென்று {score} ஓட்டங்கள் எடுத்தது. உங்களுக்கு {count} பந்துகளில் {target} ஓட்டங்கள் தேவை.',
+    },
+  },
+
+  gameOver: {
+    youWon: 'நீங்கள் வென்றீர்கள்!',
+    greatPerformance: 'அருமையான ஆட்டம்!',
+    computerWon: 'கணினி வென்றது',
+    betterLuck: 'அடுத்த முறை வெற்றி உங்களுக்கே!',
+    drawn: 'போட்டி சமநிலை',
+    level: 'ஸ்கோர் சமம்!',
+    namedWon: '{name} வென்றார்!',
+    wellPlayedBoth: 'இருவரும் நன்றாக விளையாடினீர்கள்!',
+    opponentLeft: 'எதிராளி வெளியேறினார்',
+    leftMatch: '{name} போட்டியை விட்டு வெளியேறினார்.',
+    analysis: 'போட்டிப் பகுப்பாய்வைப் பெறு',
+    backToTournament: 'தொடருக்குத் திரும்பு',
+    playAgain: 'மீண்டும் விளையாடு',
+  },
+
+  corner: {
+    title: 'வர்ணனையாளர் மூலை',
+    turningPoints: 'திருப்புமுனைகள்',
+    loading: 'வர்ணனையாளர் பதிவுகளைப் பார்க்கிறார்...',
+    offline: 'நீங்கள் இணைப்பில் இல்லை, அதனால் நேரடி வர்ணனை இல்லை.',
+    error: '{error} மேலே உள்ள அறிக்கை அப்படியே உள்ளது.',
+  },
+
+  stats: {
+    label: 'வாழ்க்கைப் புள்ளிவிவரங்கள்',
+    title: 'வாழ்க்கைப் புள்ளிவிவரங்களும் சாதனைகளும்',
+    pastMatches: 'முந்தைய போட்டிகள் ({count})',
+    tabs: { career: 'வாழ்க்கை', analytics: 'பகுப்பாய்வு' },
+    wins: 'வெற்றிகள்',
+    losses: 'தோல்விகள்',
+    forfeited: '{count} கைவிடப்பட்டன',
+    draws: 'சமநிலைகள்',
+    highestScore: 'அதிகபட்ச ஸ்கோர்',
+    wicketsTaken: 'எடுத்த விக்கெட்டுகள்',
+    totalRuns: 'மொத்த ஓட்டங்கள்',
+    achievements: 'சாதனைகள்',
+    record: 'வெ {wins} · தோ {losses} · ச {draws}',
+    highScore: 'அதிகம் {score}',
+  },
+
+  profiles: {
+    title: 'வீரர்கள்',
+    switch: '{name} ஆக விளையாடுகிறது. வீரரை மாற்று',
+    playingAs: '{avatar} {name} · வீரரை மாற்று',
+    name: 'பெயர்',
+    avatar: 'உருவம்',
+    errors: { empty: 'இந்த வீரருக்கு ஒரு பெயர் கொடுங்கள்.', taken: 'இந்தச் சாதனத்தில் ஏற்கெனவே ஒருவருக்கு அந்தப் பெயர் உள்ளது.' },
+    new: 'புதிய வீரர்',
+    create: 'உருவாக்கி விளையாடு',
+    save: 'சேமி',
+    playing: 'விளையாடுகிறார்',
+    play: 'விளையாடு',
+    edit: '{name} ஐத் திருத்து',
+    delete: '{name} ஐ நீக்கு',
+    deleteWarning: 'இது {name}யின் புள்ளிவிவரங்கள், சாதனைகள், முந்தைய போட்டிகள், அமைப்புகளை இந்தச் சாதனத்திலிருந்து நீக்கும். இதைத் திரும்பப் பெற முடியாது, அதனால் மீண்டும் தேவைப்படலாம் என்றால் முதலில் அமைப்புகளில் காப்புப்பிரதி எடுங்கள்.',
+    confirmDelete: 'ஆம், நீக்கு',
+    leaderboard: 'தரவரிசை',
+    sortBy: 'வரிசைப்படுத்து',
+    player: 'வீரர்',
+    columns: { wins: 'வெற்றி', highestScore: 'அதிகம்', winRate: 'வெற்றி %', achievements: 'விருதுகள்' },
+    leaderboardNote: 'கணினிக்கு எதிரான போட்டிகள் மட்டும்.',
+  },
+
+  online: {
+    yourOpponent: 'உங்கள் எதிராளி',
+    room: 'அறை {code}',
+    connected: 'இணைக்கப்பட்டது',
+    reconnecting: 'மீண்டும் இணைக்கிறது…',
+    disconnected: '{name} துண்டிக்கப்பட்டார்',
+  },
+
+  notify: {
+    achievement: 'சாதனை திறக்கப்பட்டது!',
+    namedAchievement: '{name}: {title}',
+    milestone: 'மைல்கல்!',
+    fifty: { you: '50 ஓட்டங்கள்! நன்றாக விளையாடினீர்கள்!', they: '{name}க்கு 50 ஓட்டங்கள்! நன்றாக விளையாடினார்!' },
+    incredible: 'நம்பமுடியாதது!',
+    century: { you: '100 ஓட்டங்கள்! அற்புதமான சதம்!', they: '{name}க்கு 100 ஓட்டங்கள்! அற்புதமான சதம்!' },
+    superOver: 'சூப்பர் ஓவர்!',
+    repaired: 'சேமித்த தரவு சரிசெய்யப்பட்டது',
+    repairedMessage: '{sections} படிக்க முடியவில்லை, அதனால் அது மீட்டமைக்கப்பட்டது. பழைய நகல் தனியாக வைக்கப்பட்டுள்ளது.',
+    forfeited: 'போட்டி கைவிடப்பட்டது',
+    forfeitLoss: 'கைவிடப்பட்ட போட்டி தோல்வியாகக் கணக்கிடப்படும்.',
+    forfeitStands: 'போட்டி ஏற்கெனவே முடிந்துவிட்டது, அதனால் அதன் முடிவு நிலைக்கும்.',
+    connectionLost: 'இணைப்பு துண்டிக்கப்பட்டது',
+    droppedOut: '{name} துண்டிக்கப்பட்டார். அவர் திரும்ப வர {seconds} வினாடிகள் காத்திருக்கிறது…',
+    backOnline: 'மீண்டும் இணைப்பில்',
+    reconnected: '{name} மீண்டும் இணைந்தார்.',
+    matchServer: 'போட்டி சேவையகம்',
+  },
+
+  scoreboard: {
+    versus: '{player} vs {opponent}',
+    youVsAi: 'நீங்கள் vs AI',
+    target: 'இலக்கு',
+    score: '{name}யின் ஸ்கோர்',
+    yourScore: 'உங்கள் ஸ்கோர்',
+    computerScore: 'கணினியின் ஸ்கோர்',
+    overs: 'ஓவர்கள் {overs}',
+    need: '{need} தேவை',
+    needFrom: { one: '{count} பந்தில் {need} தேவை', other: '{count} பந்துகளில் {need} தேவை' },
+    requiredRate: 'தேவை விகிதம் {rate}',
+    superOver: 'சூப்பர் ஓவர்',
+    freeHit: 'ஃப்ரீ ஹிட்!',
+    powerplay: 'பவர்பிளே',
+    reviewLeft: 'மறுபரிசீலனை உள்ளது',
+  },
+
+  hands: {
+    yourShot: 'உங்கள் அடி',
+    yourBall: 'உங்கள் பந்து',
+    bowlersBall: 'பந்துவீச்சாளரின் பந்து',
+    batsmansShot: 'துடுப்பாட்டக்காரரின் அடி',
+    namedShot: '{name}யின் அடி',
+    namedBall: '{name}யின் பந்து',
+    shoot: 'காட்டு!',
+  },
+
+  handover: {
+    pass: 'சாதனத்தை {name}யிடம் கொடுங்கள்',
+    ready: 'நான் {name}, தயார்',
+  },
+
+  resume: {
+    title: 'போட்டி நடந்துகொண்டிருக்கிறது',
+    score: '{batting} {runs}/{wickets}',
+    target: ' · இலக்கு {target}',
+    dropNamed: 'கைவிட்டால் போட்டி முடிவின்றி நீக்கப்படும்.',
+    forfeit: 'கைவிடுவது தோல்வியாகக் கணக்கிடப்படும்.',
+    resume: 'போட்டியைத் தொடர்',
+    abandon: 'கைவிடு',
+  },
+
+  replay: {
+    batsFirst: { you: 'நீங்கள் முதலில் துடுப்பெடுத்தாடுகிறீர்கள்.', they: '{name} முதலில் துடுப்பெடுத்தாடுகிறார்.' },
+    noBall: 'நோ-பால்!',
+    runs: { one: '{count} ஓட்டம்.', other: '{count} ஓட்டங்கள்.' },
+    reviewOverturned: 'மறுபரிசீலனை: நாட் அவுட்!',
+    reviewUpheld: 'மறுபரிசீலனை: இன்னும் அவுட்.',
+    superOver: 'ஸ்கோர் சமம்: சூப்பர் ஓவர்!',
+    result: '{result}!',
+    ball: 'பந்து {number}: {caption}',
+    position: 'மறுஒளிபரப்பு · பந்து {step} / {count}',
+    positionLabel: 'மறுஒளிபரப்பு நிலை',
+    start: 'தொடக்கத்திற்குத் திரும்பு',
+    back: 'ஒரு படி பின்',
+    play: 'இயக்கு',
+    pause: 'இடைநிறுத்து',
+    forward: 'ஒரு படி முன்',
+    inningsBreak: 'இன்னிங்ஸ் இடைவேளை',
+    speed: 'மறுஒளிபரப்பு வேகம்',
+    speedOption: '{speed}×',
+    exit: 'மறுஒளிபரப்பிலிருந்து வெளியேறு',
+  },
+
+  results: {
+    youForfeited: 'நீங்கள் கைவிட்டீர்கள்',
+    forfeited: '{name} கைவிட்டார்',
+    drawn: 'போட்டி சமநிலை',
+    youWon: 'நீங்கள் வென்றீர்கள்',
+    youLost: 'நீங்கள் தோற்றீர்கள்',
+    won: '{name} வென்றார்',
+  },
+
+  scorecard: {
+    toss: {
+      bat: { you: 'நீங்கள் நாணயச் சுழற்சியில் வென்று துடுப்பாட்டத்தைத் தேர்ந்தெடுத்தீர்கள்.', they: '{name} நாணயச் சுழற்சியில் வென்று துடுப்பாட்டத்தைத் தேர்ந்தெடுத்தார்.' },
+      bowl: { you: 'நீங்கள் நாணயச் சுழற்சியில் வென்று பந்துவீச்சைத் தேர்ந்தெடுத்தீர்கள்.', they: '{name} நாணயச் சுழற்சியில் வென்று பந்துவீச்சைத் தேர்ந்தெடுத்தார்.' },
+    },
+    innings: '{name} · {runs}/{wickets} ({overs} ஓவர்)',
+    over: 'ஓவர் {number}',
+    ball: 'துடுப்பாட்டக்காரர் {batter} · பந்துவீச்சாளர் {bowler}',
+    noBall: 'நோ-பால்',
+    freeHit: 'ஃப்ரீ ஹிட்',
+    reviewOverturned: 'மறுஆய்வில் தீர்ப்பு மாற்றப்பட்டது',
+    reviewUpheld: 'மறுஆய்வில் தீர்ப்பு உறுதியானது',
+  },
+
+  pastMatches: {
+    label: 'முந்தைய போட்டிகள்',
+    title: 'முந்தைய போட்டிகள்',
+    watch: 'மறுஒளிபரப்பைப் பார்',
+    copy: 'குறியீட்டை நகலெடு',
+    copied: 'நகலெடுக்கப்பட்டது',
+    saveFile: 'கோப்பாகச் சேமி',
+    copyBlocked: 'நகலெடுப்பது தடுக்கப்பட்டது. அதற்குப் பதிலாக "கோப்பாகச் சேமி" பயன்படுத்துங்கள்.',
+    back: 'பட்டியலுக்குத் திரும்பு',
+    result: 'முடிவு',
+    allResults: 'அனைத்து முடிவுகளும்',
+    wins: 'வெற்றிகள்',
+    losses: 'தோல்விகள்',
+    draws: 'சமநிலைகள்',
+    opponent: 'எதிராளி',
+    allOpponents: 'அனைத்து எதிராளிகளும்',
+    date: 'தேதி',
+    ranges: { all: 'எப்போதும்', today: 'இன்று', week: 'கடந்த 7 நாட்கள்', month: 'கடந்த 30 நாட்கள்' },
+    empty: 'இன்னும் போட்டிகள் இல்லை. போய் ஒன்று விளையாடுங்கள்!',
+    shared: 'பகிரப்பட்ட மறுஒளிபரப்பைப் பார்',
+    code: 'மறுஒளிபரப்புக் குறியீடு',
+    codePlaceholder: 'மறுஒளிபரப்புக் குறியீட்டை ஒட்டுங்கள்',
+    watchCode: 'பார்',
+    openFile: 'மறுஒளிபரப்புக் கோப்பைத் திற…',
+  },
+
+  analytics: {
+    empty: 'உங்கள் பகுப்பாய்வைப் பார்க்க ஒரு போட்டியை முடியுங்கள்.',
+    average: 'சராசரி',
+    strikeRate: 'ஸ்ட்ரைக் ரேட்',
+    outEvery: 'அவுட் ஆவது',
+    ballsShort: '{balls} பந்துக்கு ஒருமுறை',
+    summary: '{balls} இல் {runs}, {outs} அவுட் (எதிர்கொண்ட பந்துகளில் {rate}%).',
+    runs: { one: '{count} ஓட்டம்', other: '{count} ஓட்டங்கள்' },
+    balls: { one: '{count} பந்து', other: '{count} பந்துகள்' },
+    outs: { one: '{count} முறை', other: '{count} முறை' },
+    recentForm: 'சமீபத்திய ஃபார்ம்',
+    lastResults: 'கடைசி {count} முடிவுகள்',
+    badges: { win: 'வெ', loss: 'தோ', draw: 'ச' },
+    streak: {
+      win: { one: 'கடைசிப் போட்டியில் வென்றீர்கள்', other: 'கடைசி {count} போட்டிகளில் வென்றீர்கள்' },
+      loss: { one: 'கடைசிப் போட்டியில் தோற்றீர்கள்', other: 'கடைசி {count} போட்டிகளில் தோற்றீர்கள்' },
+      draw: { one: 'கடைசிப் போட்டி சமநிலை', other: 'கடைசி {count} போட்டிகள் சமநிலை' },
+    },
+    streaks: 'சிறந்த வெற்றித் தொடர் {best} · நீண்ட தோல்வியற்ற தொடர் {unbeaten}',
+    results: 'முடிவுகள்',
+    notPlayed: 'விளையாடவில்லை',
+    battedFirst: 'முதலில் துடுப்பாட்டம்',
+    bowledFirst: 'முதலில் பந்துவீச்சு',
+    yourNumbers: 'உங்கள் எண்கள்',
+    batting: 'துடுப்பாட்டம்',
+    bowling: 'பந்துவீச்சு',
+    charts: 'போட்டி வரைபடங்கள்',
+    chartMatch: 'வரைபடத்துக்கான போட்டி',
+  },
+
+  charts: {
+    worm: 'வோர்ம்',
+    wormLabel: 'வோர்ம் வரைபடம்',
+    manhattan: 'மன்ஹாட்டன்',
+    manhattanLabel: 'மன்ஹாட்டன் வரைபடம்',
+    balls: 'பந்துகள்',
+    overs: 'ஓவர்கள்',
+    over: 'ஓவர் {over}: {runs}, {wickets}',
+    wicketDots: 'புள்ளிகள் விக்கெட்டுகளைக் குறிக்கின்றன.',
+  },
+
+  tournament: {
+    label: 'தொடர்கள் மற்றும் லீக்குகள்',
+    title: 'தொடர்கள் & லீக்குகள்',
+    types: { series: 'தொடர்', league: 'லீக்' },
+    seriesIntro: 'பல போட்டிகளில் ஒரு எதிராளியை எதிர்கொள்ளுங்கள். முதலில் பெரும்பான்மை பெறுபவர் வெல்வார்.',
+    leagueIntro: 'அனைவருடனும் ஒருமுறை விளையாடுங்கள். வெற்றிக்கு 2 புள்ளிகள், சமநிலைக்கு 1. முன்னணி அணிகள் நாக் அவுட்டில் சந்திக்கும்.',
+    format: 'வடிவம்: {format}.',
+    bestOf: '{count} இல் சிறந்தது',
+    pickTwo: 'குறைந்தது இரண்டு எதிராளிகளைத் தேர்ந்தெடுங்கள்',
+    start: 'தொடங்கு',
+    seriesName: '{opponent} உடன் {count} இல் சிறந்தது',
+    leagueName: '{count} அணி லீக்',
+    phases: { series: 'தொடர்', league: 'லீக் சுற்று', knockout: 'நாக் அவுட்', complete: 'முடிந்தது' },
+    champion: { you: '{team} சாம்பியன்!', they: '{team} சாம்பியன்!' },
+    shared: 'தொடர் பகிரப்பட்டது.',
+    play: '{stage} விளையாடு: {home} vs {away}',
+    finishFirst: 'முதலில் உங்கள் தற்போதைய போட்டியை முடியுங்கள்',
+    stages: { series: 'போட்டி', league: 'லீக்', semi: 'அரையிறுதி', final: 'இறுதி' },
+    stageRound: '{stage} {round}',
+    fixture: '{home} vs {away}',
+    result: '{home} {homeScore} vs {away} {awayScore}',
+    forfeit: '{fixture} (கைவிடப்பட்டது)',
+    drawnThrough: { you: '{fixture} (சமநிலை, {team} முன்னேறுகிறீர்கள்)', they: '{fixture} (சமநிலை, {team} முன்னேறுகிறார்)' },
+    pointsTable: 'புள்ளிப் பட்டியல்',
+    columns: { team: 'அணி', played: 'வி', won: 'வெ', drawn: 'ச', lost: 'தோ', points: 'புள்', netRunRate: 'நி.ஓ.வி' },
+    fixtures: 'போட்டி அட்டவணை',
+    awards: { title: 'விருதுகள்', topScorer: 'அதிக ஓட்டங்கள்', mostWickets: 'அதிக விக்கெட்டுகள்', highestInnings: 'அதிகபட்ச இன்னிங்ஸ்' },
+    runs: { one: '{count} ஓட்டம்', other: '{count} ஓட்டங்கள்' },
+    wickets: { one: '{count} விக்கெட்', other: '{count} விக்கெட்டுகள்' },
+    newTournament: 'புதிய தொடர் அல்லது லீக்',
+    abandon: { series: 'தொடரைக் கைவிடு', league: 'லீக்கைக் கைவிடு' },
+    honours: 'கௌரவங்கள்',
+    sharedShort: 'பகிரப்பட்டது',
+  },
+
+  daily: {
+    title: 'தினசரி சவால் #{number}',
+    intro: 'நாளுக்கு ஒரு துரத்தல், அனைவருக்கும் ஒன்றே. உங்களுக்கு ஒரே ஒரு வாய்ப்பு.',
+    play: 'இன்றைய சவாலை விளையாடு',
+    streak: 'தொடர் {streak} · சிறந்தது {best}',
+    copy: 'முடிவை நகலெடு',
+    copied: 'நகலெடுக்கப்பட்டது',
+    copyBlocked: 'உலாவி நகலெடுப்பதைத் தடுத்தது.',
+    inProgress: 'நடந்துகொண்டிருக்கிறது. உங்கள் முடிவைப் பகிர அதை முடியுங்கள்.',
+    tomorrow: 'அடுத்த சவாலுக்கு நாளை வாருங்கள்.',
+    wonWithBalls: { one: '{count} பந்து மீதமிருக்க வெற்றி', other: '{count} பந்துகள் மீதமிருக்க வெற்றி' },
+    tied: 'சமநிலை',
+    lostByRuns: { one: '{count} ஓட்டத்தில் தோல்வி', other: '{count} ஓட்டங்களில் தோல்வி' },
+    lost: 'தோல்வி',
+    matchLine: '{opponent} · {format} · இலக்கு {target}',
+    shareTitle: 'கை கிரிக்கெட் தினசரி #{number}',
+    streakDays: '{count} நாள் தொடர்',
+  },
+
+  achievementList: {
+    unlocked: '{count} இல் {unlocked} திறக்கப்பட்டன',
+    hidden: 'மறைந்த சாதனை',
+    hiddenHint: 'இதைக் கண்டுபிடிக்கத் தொடர்ந்து விளையாடுங்கள்.',
+    progress: '{title} முன்னேற்றம் {progress}',
+    toTier: '{tier} வரை {progress}',
+    unlockedOn: '{date} அன்று திறக்கப்பட்டது',
+  },
+
+  achievements: {
+    tiers: { 1: 'வெண்கலம்', 2: 'வெள்ளி', 3: 'தங்கம்' },
+    tieredTitle: '{title} ({tier})',
+    progress: '{count}/{target}',
+    firstWin: { title: 'முதல் வெற்றி', description: 'உங்கள் முதல் போட்டியை வெல்லுங்கள்.' },
+    tenWins: { title: 'தொடர் வெற்றியாளர்', description: '{n} போட்டிகளை வெல்லுங்கள்.' },
+    regular: { title: 'வழக்கமான வீரர்', description: '{n} போட்டிகள் விளையாடுங்கள்.' },
+    runMachine: { title: 'ஓட்ட இயந்திரம்', description: 'உங்கள் வாழ்க்கையில் {n} ஓட்டங்கள் எடுங்கள்.' },
+    fiveWickets: { title: 'ஐந்து விக்கெட் அறுவடை', description: 'உங்கள் வாழ்க்கையில் 5 விக்கெட்டுகள் எடுங்கள்.' },
+    wicketMachine: { title: 'விக்கெட் இயந்திரம்', description: 'உங்கள் வாழ்க்கையில் {n} விக்கெட்டுகள் எடுங்கள்.' },
+    fiftyRuns: { title: 'அரைசதம்', description: 'ஒரே போட்டியில் 50 ஓட்டங்கள் எடுங்கள்.' },
+    hundredRuns: { title: 'சதம் அடித்தவர்', description: 'ஒரே போட்டியில் 100 ஓட்டங்கள் எடுங்கள்.' },
+    boundaryBonanza: { title: 'பவுண்டரி திருவிழா', description: 'ஒரே இன்னிங்ஸில் ஐந்து பவுண்டரிகள் அடியுங்கள்.' },
+    hatTrickSixes: { title: 'ஆறு, ஆறு, ஆறு', description: 'தொடர்ந்து மூன்று சிக்ஸர்கள் அடியுங்கள்.' },
+    chaseMaster: { title: 'துரத்தல் வல்லுநர்', description: 'இரண்டாவதாகத் துடுப்பெடுத்தாடி {n} போட்டிகளை வெல்லுங்கள்.' },
+    defender: { title: 'காப்பாளர்', description: 'முதலில் துடுப்பெடுத்தாடி {n} போட்டிகளை வெல்லுங்கள்.' },
+    lastBallHero: { title: 'கடைசிப் பந்து நாயகன்', description: 'கடைசிப் பந்திலேயே இலக்கைத் துரத்தி அடையுங்கள்.' },
+    byAWhisker: { title: 'நூலிழையில்', description: 'ஒரே ஒரு ஓட்டத்தில் வெல்லுங்கள்.' },
+    againstTheOdds: { title: 'எதிர்பார்ப்புக்கு மாறாக', description: 'நாணயச் சுழற்சியில் தோற்ற பிறகு போட்டியை வெல்லுங்கள்.' },
+    skittled: { title: 'சிதறடிப்பு', description: 'எதிரணியை 5 ஓட்டங்களுக்குள் ஆட்டமிழக்கச் செய்யுங்கள்.' },
+    flawless: { title: 'குறையற்றது', description: '3 அல்லது அதற்கு மேற்பட்ட விக்கெட் போட்டியை ஒரு விக்கெட்டும் இழக்காமல் வெல்லுங்கள்.' },
+    mindOverMatter: { title: 'மனதின் வெற்றி', description: 'மனம் படிப்பவரை வெல்லுங்கள்.' },
+    goldenArm: { title: 'தங்கக் கை', description: 'எதிரணியின் இன்னிங்ஸின் முதல் பந்திலேயே விக்கெட் எடுங்கள்.' },
+    duck: { title: 'வாத்து', description: 'ஓட்டம் எதுவும் எடுக்காமல் அவுட் ஆகுங்கள்.' },
+    honoursEven: { title: 'சம மரியாதை', description: 'ஒரு போட்டியைச் சமநிலையில் முடியுங்கள்.' },
+  },
+
+  personas: {
+    rookie: { name: 'கிராமத்துப் புதியவர்', description: 'கண்மூடித்தனமாக அடிக்கிறார், பந்துவீசுகிறார். மென்மையான பயிற்சி.' },
+    keeper: { name: 'கவனமான காப்பாளர்', description: 'ஒன்றும் இரண்டுமாக ஓட்டம் சேர்க்கிறார், உங்களுக்குப் பிடித்த எண்களைக் குறிவைத்து இறுக்கமாகப் பந்துவீசுகிறார்.' },
+    slogger: { name: 'ஆக்ரோஷமான அடிப்பவர்', description: 'ஒவ்வொரு பந்திலும் பெரிய அடிக்குப் போகிறார், அவரை அவுட் ஆக்குமாறு சவால் விடுகிறார்.' },
+    mindReader: { name: 'மனம் படிப்பவர்', description: 'உங்கள் பழக்கங்கள், தொடர்கள், சுழற்சிகளைக் கற்று, அடுத்த முறையும் நினைவில் வைத்திருக்கிறார்.' },
+  },
+
+  formats: {
+    classic: 'கிளாசிக் 1 விக்கெட்',
+    t5: 'T5',
+    test: 'டெஸ்ட் பாணி',
+    superOver: 'சூப்பர் ஓவர்',
+    wickets: { one: '{count} விக்', other: '{count} விக்' },
+    wicketsAndOvers: '{wickets}, {overs} ஓவர்',
+  },
+
+  rules: {
+    standard: 'வழக்கமான விதிகள்',
+    label: 'விதிகள்',
+    any: 'எந்த விதிகளும்',
+    defend: { name: 'தடுப்பு', description: 'எந்தப் பக்கமும் 0 காட்டலாம். தடுக்கும் துடுப்பாட்டக்காரர் ஓட்டம் எடுக்கமாட்டார், பந்துவீச்சாளரும் 0 காட்டினால் மட்டுமே அவுட்.' },
+    freeHit: { name: 'நோ-பால்கள்', description: 'அவ்வப்போது ஒரு பந்து நோ-பால் ஆகும்: ஒரு கூடுதல் ஓட்டம், அது கணக்கில் வராது, அடுத்த பந்து நீங்கள் அவுட் ஆக முடியாத ஃப்ரீ ஹிட்.' },
+    powerplay: { name: 'பவர்பிளே', description: 'ஒவ்வொரு இன்னிங்ஸின் முதல் ஓவரிலும் மட்டையால் எடுக்கும் ஓட்டங்கள் இரட்டிப்பாகும்.' },
+    review: { name: 'மறுபரிசீலனை', description: 'ஒரு இன்னிங்ஸுக்கு ஒருமுறை துடுப்பாட்டக்காரர் ஆட்டமிழப்பை மறுபரிசீலனை செய்யலாம். பாதி மறுபரிசீலனைகள் முடிவை மாற்றும்.' },
+    superOver: { name: 'சூப்பர் ஓவர்', description: 'சமநிலையான போட்டி, சமநிலையாக முடியாமல், ஒவ்வொரு அணிக்கும் ஒரு ஓவரும் ஒரு விக்கெட்டும் கொண்ட சூப்பர் ஓவருக்குச் செல்லும்.' },
+  },
+
+  lobby: {
+    shareCode: 'இந்த அறைக் குறியீட்டை உங்கள் எதிராளியுடன் பகிருங்கள்:',
+    waiting: 'அவர்கள் சேரக் காத்திருக்கிறது…',
+    reconnecting: 'போட்டி சேவையகத்துடன் மீண்டும் இணைக்கிறது…',
+    name: 'உங்கள் பெயர்',
+    create: 'அறையை உருவாக்கு',
+    code: 'அறைக் குறியீடு',
+    codePlaceholder: 'குறியீடு',
+    join: 'சேர்',
+    unreachable: 'போட்டி சேவையகத்தை அடைய முடியவில்லை. `npm run server` இயங்குகிறதா?',
+  },
+
+  settings: {
+    title: 'அமைப்புகள்',
+    language: 'மொழி',
+    theme: 'தீம்',
+    mainColour: 'முதன்மை நிறம்',
+    secondColour: 'இரண்டாம் நிறம்',
+    background: 'பின்னணி',
+    sound: 'ஒலி',
+    soundOn: 'ஒலி இயக்கத்தில்',
+    pace: 'போட்டி வேகம்',
+    paceIntro: 'ஒவ்வொரு பந்தும் நடந்து முடிய எடுக்கும் நேரம்.',
+    paces: {
+      instant: { name: 'உடனடி', description: 'எண்ணுதல் இல்லை, காத்திருப்பு இல்லை.' },
+      normal: { name: 'இயல்பு', description: 'ஒவ்வொரு வெளிப்பாட்டுக்கும் முன் விரைவான 1, 2, 3, காட்டு.' },
+      dramatic: { name: 'நாடகீய', description: 'மெதுவான எண்ணுதல், ஒவ்வொரு விக்கெட்டையும் நீண்ட நேரம் பார்த்தல்.' },
+    },
+    motion: 'அசைவூட்டங்கள்',
+    motionOptions: { system: 'சாதனத்தைப் பின்பற்று', full: 'இயக்கு', reduced: 'குறைக்கப்பட்டது' },
+    motionNote: 'குறைக்கப்பட்டது என்றால் புரட்டல்கள், விழும் ஸ்டம்புகள், வண்ணக் காகிதங்கள் இருக்காது. சாதனத்தைப் பின்பற்று உங்கள் கணினி அமைப்பைப் பயன்படுத்தும்.',
+    commentaryStyle: 'வர்ணனை பாணி',
+    commentaryOn: 'வர்ணனையாளர் மூலையில் யார் பேசுகிறார்கள்.',
+    commentaryOff: 'நேரடி வர்ணனை முடக்கப்பட்டுள்ளது. இயக்க REACT_APP_COMMENTARY_URL அமையுங்கள்; போட்டி அறிக்கை எப்படியும் இயங்கும்.',
+    yourData: 'உங்கள் தரவு',
+    dataIntro: 'உங்கள் புள்ளிவிவரங்கள், சாதனைகள், முந்தைய போட்டிகள், அமைப்புகளைக் காப்புப்பிரதி எடுங்கள், அல்லது வேறு சாதனத்துக்கு மாற்றுங்கள்.',
+    backup: 'காப்புப்பிரதி (JSON)',
+    matchesCsv: 'போட்டிகள் (CSV)',
+    restore: 'காப்புப்பிரதியை மீட்டெடு',
+    backupFile: 'காப்புப்பிரதிக் கோப்பு',
+    resetCareer: 'வாழ்க்கையை மீட்டமை',
+    backupSummary: 'இந்தக் காப்புப்பிரதியில் {matches}, {wins} உள்ளன. இதை மீட்டெடுத்தால் உங்கள் தற்போதைய தரவு அனைத்தும் மாற்றப்படும்.',
+    pastMatches: { one: '{count} முந்தைய போட்டி', other: '{count} முந்தைய போட்டிகள்' },
+    wins: { one: '{count} வெற்றி', other: '{count} வெற்றிகள்' },
+    replaceData: 'என் தரவை மாற்று',
+    resetWarning: 'இது உங்கள் புள்ளிவிவரங்கள், சாதனைகள், முந்தைய போட்டிகள், தொடர்கள், லீக்குகள், மனம் படிப்பவர் கற்றவை அனைத்தையும் நீக்கும். இதைத் திரும்பப் பெற முடியாது, அதனால் மீண்டும் தேவைப்படலாம் என்றால் முதலில் காப்புப்பிரதி எடுங்கள்.',
+    confirmReset: 'ஆம், என் வாழ்க்கையை மீட்டமை',
+    restored: 'காப்புப்பிரதி மீட்டெடுக்கப்பட்டது.',
+    restoredExcept: 'காப்புப்பிரதி மீட்டெடுக்கப்பட்டது, படிக்க முடியாத {sections} தவிர.',
+    resetDone: 'உங்கள் வாழ்க்கை மீட்டமைக்கப்பட்டது.',
+  },
+
+  sections: {
+    stats: 'வாழ்க்கைப் புள்ளிவிவரங்கள்',
+    hotseatStats: 'ஒரே சாதனப் புள்ளிவிவரங்கள்',
+    playerModel: 'மனம் படிப்பவரின் குறிப்புகள்',
+    matches: 'முந்தைய போட்டிகள்',
+    tournament: 'தற்போதைய தொடர் அல்லது லீக்',
+    tournamentHistory: 'கௌரவப் பலகை',
+    daily: 'தினசரி சவால் முடிவுகள்',
+    theme: 'தீம்',
+    customTheme: 'அணி நிறங்கள்',
+    audio: 'ஒலி அமைப்புகள்',
+    commentaryStyle: 'வர்ணனை பாணி',
+    language: 'மொழி',
+    liveMatch: 'நடந்துகொண்டிருக்கும் போட்டி',
+  },
+
+  themes: {
+    system: 'சாதனம்',
+    light: 'ஒளி',
+    dark: 'இருள்',
+    highContrast: 'உயர் மாறுபாடு',
+    colourBlind: 'நிறக்குருடு பாதுகாப்பு',
+    floodlights: 'மின்விளக்குகள்',
+    greenTop: 'பச்சை ஆடுகளம்',
+    pinkBall: 'இளஞ்சிவப்புப் பந்து',
+    custom: 'அணி நிறங்கள்',
+  },
+
+  sounds: {
+    master: 'முதன்மை',
+    effects: 'மட்டையும் பந்தும்',
+    crowd: 'ரசிகர்களும் கொண்டாட்டமும்',
+    interface: 'பொத்தான்கள்',
+    packs: {
+      synth: { name: 'சின்த்', description: 'தெளிவான மின்னணு ஒலிகள்.' },
+      stadium: { name: 'அரங்க ரசிகர்கள்', description: 'மட்டையில் பந்து படும் ஒலியும், ஒவ்வொரு பந்தையும் ரசிக்கும் கூட்டமும்.' },
+      retro: { name: 'பழைய 8-bit', description: 'ஆர்கேட் விளையாட்டிலிருந்து வந்த பீப் ஒலிகள்.' },
+    },
+  },
+
+  commentaryStyles: {
+    classic: { name: 'கிளாசிக்', description: 'அன்பும் நிதானமும், வர்ணனை அறையிலிருந்து நேராக.' },
+    hype: { name: 'உற்சாகம்', description: 'ஒவ்வொரு ஓட்டமும் உலகக் கோப்பை இறுதிப் போட்டி.' },
+    dry: { name: 'நையாண்டி', description: 'அடக்கமான, மெல்லிய கேலி.' },
+    coach: { name: 'பயிற்சியாளர்', description: 'எது சரியாகப் போனது, அடுத்த முறை எதை முயற்சிக்கலாம்.' },
+  },
+
+  status: {
+    offline: 'நீங்கள் இணைப்பில் இல்லை. ஆன்லைன் போட்டிகள், நேரடி வர்ணனை தவிர மற்றவை அனைத்தும் இயங்கும்.',
+    update: 'புதிய பதிப்பு தயார். நடந்துகொண்டிருக்கும் போட்டி வைக்கப்படும்.',
+    reload: 'மீண்டும் ஏற்று',
+    later: 'பிறகு',
+  },
+
+  toasts: {
+    dismiss: '{title} ஐ மூடு',
+  },
+
+  errors: {
+    backup: {
+      notBackup: 'அந்தக் கோப்பு இந்த விளையாட்டின் காப்புப்பிரதி அல்ல.',
+      newerVersion: 'அந்தக் காப்புப்பிரதி விளையாட்டின் புதிய பதிப்பிலிருந்து வந்தது. விளையாட்டைப் புதுப்பித்து, பின்னர் இறக்குமதி செய்யுங்கள்.',
+    },
+    room: {
+      notFound: 'அந்தக் குறியீட்டுடன் அறை எதுவும் இல்லை.',
+      full: 'அந்த அறை ஏற்கனவே நிறைந்துவிட்டது.',
+      gone: 'அந்தப் போட்டி இனி கிடைக்காது.',
+      takenOver: 'இந்தப் போட்டி வேறொரு இடத்தில் திறக்கப்பட்டது.',
+      notJoined: 'முதலில் ஒரு அறையில் சேருங்கள்.',
+      unknownMessage: 'தெரியாத செய்தி.',
+      notJson: 'செய்திகள் JSON ஆக இருக்க வேண்டும்.',
+    },
+    commentary: {
+      offline: 'வர்ணனைப் பெட்டியை அடைய முடியவில்லை. `npm run server` இயங்குகிறதா?',
+      httpError: 'வர்ணனைப் பெட்டி பிழையுடன் பதிலளித்தது ({status}).',
+      brokeOff: 'வர்ணனை பாதியில் நின்றுவிட்டது.',
+      failed: 'வர்ணனைப் பெட்டியில் சிக்கல் ஏற்பட்டது.',
+      notSetUp: 'இந்தச் சேவையகத்தில் வர்ணனை அமைக்கப்படவில்லை.',
+      tooMany: { one: 'வர்ணனைக் கோரிக்கைகள் அதிகம். {count} வினாடியில் மீண்டும் முயலுங்கள்.', other: 'வர்ணனைக் கோரிக்கைகள் அதிகம். {count} வினாடிகளில் மீண்டும் முயலுங்கள்.' },
+      tooLong: 'அந்தப் போட்டி வர்ணனை செய்ய மிக நீளமானது.',
+      notJson: 'கோரிக்கைகள் JSON ஆக இருக்க வேண்டும்.',
+      noReport: 'போட்டி அறிக்கையையும் பந்து வரிசையையும் அனுப்புங்கள்.',
+      usePost: 'வர்ணனை கேட்க POST பயன்படுத்துங்கள்.',
+      timedOut: '{provider} பதிலளிக்க அதிக நேரம் எடுத்தது.',
+      unreadable: 'சேவையகத்தால் படிக்க முடியாத ஒன்றை {provider} அனுப்பியது.',
+      unreachable: '{provider} ஐ அடைய முடியவில்லை.',
+      providerBusy: '{provider} வர்ணனைக் கோரிக்கைகளைக் கட்டுப்படுத்துகிறது. ஒரு நிமிடத்தில் மீண்டும் முயலுங்கள்.',
+      keyRefused: '{provider} சேவையகத்தின் API விசையை நிராகரித்தது.',
+      providerFailed: '{provider} பிழையுடன் பதிலளித்தது ({status}).',
+    },
+    replay: {
+      invalid: 'அது சரியான மறுஒளிபரப்புக் குறியீடு அல்ல.',
+    },
+  },
+
+  common: {
+    cancel: 'ரத்துசெய்',
+    done: 'முடிந்தது',
+  },
+};
+
+export default ta;
@@ -0,0 +1,37 @@
+// --- Match pace ---
+// How long each ball takes to play out, and whether it moves while it does.
+// A ball is a countdown ("1, 2, 3, shoot") with both hands pumping, then the
+// reveal; a wicket or the end of an innings holds the board a while longer
+// before the score changes. Motion is separate from pace: it only decides
+// whether things flip, fall and burst, and by default follows the device's
+// reduced-motion setting.
+
+export const COUNTDOWN = ['1', '2', '3', 'shoot'];
+
+export const PACES = {
+  instant: { id: 'instant', name: 'Instant', emoji: '⚡', beatMs: 0, pauseMs: 0, settleMs: 0 },
+  normal: { id: 'normal', name: 'Normal', emoji: '🏏', beatMs: 200, pauseMs: 1200, settleMs: 250 },
+  dramatic: { id: 'dramatic', name: 'Dramatic', emoji: '🎬', beatMs: 500, pauseMs: 2200, settleMs: 400 },
+};
+
+export const MOTION_OPTIONS = ['system', 'full', 'reduced'];
+
+export const DEFAULT_PACING = { pace: 'normal', motion: 'system' };
+
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export const isPace = (value) => Boolean(PACES[value]);
+export const isMotion = (value) => MOTION_OPTIONS.includes(value);
+
+export const reducesMotion = ({ motion }, systemReduced) => motion === 'reduced' || (motion === 'system' && systemReduced);
+
+// When each step of a ball happens, in ms from the tap. `pause` is for a
+// wicket or an innings ending, which hold the reveal before the score moves.
+// Instant pace skips the countdown and does everything at 0.
+export const revealSchedule = ({ pace }, { pause = false } = {}) => {
+  const { beatMs, pauseMs, settleMs } = PACES[pace] || PACES[DEFAULT_PACING.pace];
+  const beats = beatMs ? COUNTDOWN.map((beat, index) => ({ beat, at: index * beatMs })) : [];
+  const revealAt = beats.length * beatMs;
+  const applyAt = revealAt + (pause ? pauseMs : 0);
+  return { beats, revealAt, applyAt, unlockAt: applyAt + (pause ? 0 : settleMs) };
+};
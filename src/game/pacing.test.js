@@ -0,0 +1,25 @@
+import { PACES, DEFAULT_PACING, revealSchedule, reducesMotion } from './pacing';
+
+test('normal pace counts down before the reveal and holds a wicket', () => {
+  const { beatMs, pauseMs, settleMs } = PACES.normal;
+  const ball = revealSchedule(DEFAULT_PACING);
+  expect(ball.beats.map(({ beat }) => beat)).toEqual(['1', '2', '3', 'shoot']);
+  expect(ball.beats.map(({ at }) => at)).toEqual([0, beatMs, 2 * beatMs, 3 * beatMs]);
+  expect(ball).toMatchObject({ revealAt: 4 * beatMs, applyAt: 4 * beatMs, unlockAt: 4 * beatMs + settleMs });
+
+  const wicket = revealSchedule(DEFAULT_PACING, { pause: true });
+  expect(wicket).toMatchObject({ revealAt: 4 * beatMs, applyAt: 4 * beatMs + pauseMs, unlockAt: 4 * beatMs + pauseMs });
+});
+
+test('instant pace does everything at once, and dramatic takes longest', () => {
+  expect(revealSchedule({ pace: 'instant' }, { pause: true })).toEqual({ beats: [], revealAt: 0, applyAt: 0, unlockAt: 0 });
+  expect(revealSchedule({ pace: 'dramatic' }, { pause: true }).unlockAt).toBeGreaterThan(revealSchedule(DEFAULT_PACING, { pause: true }).unlockAt);
+  expect(revealSchedule({ pace: 'unknown' })).toEqual(revealSchedule(DEFAULT_PACING));
+});
+
+test('motion follows the device unless overridden', () => {
+  expect(reducesMotion({ motion: 'system' }, true)).toBe(true);
+  expect(reducesMotion({ motion: 'system' }, false)).toBe(false);
+  expect(reducesMotion({ motion: 'full' }, true)).toBe(false);
+  expect(reducesMotion({ motion: 'reduced' }, false)).toBe(true);
+});
@@ -0,0 +1,56 @@
+import { getTranslator } from './i18n.js';
+
+// --- AI personas ---
+// Each opponent has its own batting and bowling style:
+// - read: chance of acting on the player model instead of its own habits
+// - preference: relative weight of 1-6 when it plays on habit
+// - caution (batting only): how strongly it avoids numbers it expects the
+//   player to bowl; higher means safer, lower-scoring shots
+const EVEN = [1, 1, 1, 1, 1, 1];
+
+export const PERSONAS = {
+  rookie: {
+    id: 'rookie',
+    name: 'Village Rookie',
+    emoji: '🐣',
+    description: 'Swings and bowls at random. A gentle warm-up.',
+    tossPreference: null,
+    batting: { read: 0.1, caution: 2, preference: EVEN },
+    bowling: { read: 0.1, preference: EVEN },
+  },
+  keeper: {
+    id: 'keeper',
+    name: 'Cautious Keeper',
+    emoji: '🧤',
+    description: 'Nudges ones and twos, and bowls tight at your favourite numbers.',
+    tossPreference: 'bowl',
+    batting: { read: 0.6, caution: 6, preference: [4, 3, 2, 1, 1, 1] },
+    bowling: { read: 0.7, preference: EVEN },
+  },
+  slogger: {
+    id: 'slogger',
+    name: 'Aggressive Slogger',
+    emoji: '💥',
+    description: 'Goes for the big hits every ball and dares you to get them out.',
+    tossPreference: 'bat',
+    batting: { read: 0.5, caution: 1, preference: [1, 1, 1, 2, 3, 4] },
+    bowling: { read: 0.5, preference: [1, 1, 2, 2, 3, 3] },
+  },
+  mindReader: {
+    id: 'mindReader',
+    name: 'Mind Reader',
+    emoji: '🔮',
+    description: 'Learns your habits, streaks and cycles, and remembers them next time.',
+    tossPreference: null,
+    batting: { read: 0.95, caution: 3, preference: EVEN },
+    bowling: { read: 0.95, preference: EVEN },
+  },
+};
+
+export const DEFAULT_OPPONENT = 'keeper';
+
+export const getPersona = (id) => PERSONAS[id] || PERSONAS[DEFAULT_OPPONENT];
+
+// A persona's name and description in the player's language.
+export const personaName = (persona, t = getTranslator()) => t(`personas.${persona.id}.name`, {}, persona.name);
+export const personaDescription = (persona, t = getTranslator()) => t(`personas.${persona.id}.description`, {}, persona.description);
@@ -0,0 +1,101 @@
+// --- Player model ---
+// What the computer has learned about how the player picks numbers, kept
+// separately for when they bat and when they bowl. The model is plain data so
+// it can ride along in the match state and be saved between matches.
+
+export const NUMBERS = [1, 2, 3, 4, 5, 6];
+const RECENT_LIMIT = 12;
+const DECAY = 0.97; // older habits fade so the model follows a changing player
+const STREAK_LENGTH = 3;
+const CYCLE_PERIODS = [2, 3, 4];
+
+const emptyRoleModel = () => ({ counts: {}, transitions: {}, pairs: {}, recent: [] });
+
+export const createPlayerModel = () => ({ batting: emptyRoleModel(), bowling: emptyRoleModel() });
+
+const addTo = (row = {}, number, scale = 1) => {
+  const next = {};
+  Object.keys(row).forEach(key => { next[key] = row[key] * scale; });
+  next[number] = (next[number] || 0) + 1;
+  return next;
+};
+
+const total = (row = {}) => Object.values(row).reduce((sum, count) => sum + count, 0);
+
+// `role` is the player's role when they picked `number`.
+export const updatePlayerModel = (model, role, number) => {
+  const roleModel = model[role];
+  const { recent } = roleModel;
+  const last = recent[recent.length - 1];
+  const lastPair = recent.slice(-2).join(',');
+  return {
+    ...model,
+    [role]: {
+      counts: addTo(roleModel.counts, number, DECAY),
+      transitions: last === undefined ? roleModel.transitions : { ...roleModel.transitions, [last]: addTo(roleModel.transitions[last], number) },
+      pairs: recent.length < 2 ? roleModel.pairs : { ...roleModel.pairs, [lastPair]: addTo(roleModel.pairs[lastPair], number) },
+      recent: [...recent, number].slice(-RECENT_LIMIT),
+    },
+  };
+};
+
+// --- Pattern detection ---
+// The same number at least three times running.
+export const detectStreak = (recent) => {
+  if (recent.length < STREAK_LENGTH) return null;
+  const number = recent[recent.length - 1];
+  let length = 0;
+  for (let i = recent.length - 1; i >= 0 && recent[i] === number; i--) length++;
+  return length >= STREAK_LENGTH ? { number, length } : null;
+};
+
+// The last moves repeating with a short period, e.g. 1,2,3,1,2,3 -> next is 1.
+export const detectCycle = (recent) => {
+  for (const period of CYCLE_PERIODS) {
+    if (recent.length < period * 2) continue;
+    const tail = recent.slice(-period * 2);
+    const repeats = tail.slice(0, period).every((move, i) => move === tail[i + period]);
+    const varied = new Set(tail).size > 1;
+    if (repeats && varied) return { period, next: recent[recent.length - period] };
+  }
+  return null;
+};
+
+// --- Prediction ---
+const focused = (number, weight) => {
+  const probs = {};
+  NUMBERS.forEach(n => { probs[n] = n === number ? weight : (1 - weight) / (NUMBERS.length - 1); });
+  return probs;
+};
+
+// Blends the pair (order 2) and single (order 1) Markov tables with plain
+// frequency, leaning on whichever tables have seen enough data.
+const blended = (roleModel) => {
+  const { recent } = roleModel;
+  const sources = [
+    [roleModel.pairs[recent.slice(-2).join(',')], 0.5],
+    [roleModel.transitions[recent[recent.length - 1]], 0.3],
+    [roleModel.counts, 0.2],
+  ].filter(([row]) => total(row) >= 2);
+
+  const probs = {};
+  NUMBERS.forEach(n => { probs[n] = 1 / NUMBERS.length; });
+  if (!sources.length) return probs;
+
+  const weightSum = sources.reduce((sum, [, weight]) => sum + weight, 0);
+  NUMBERS.forEach(n => {
+    const learned = sources.reduce((sum, [row, weight]) => sum + ((row[n] || 0) / total(row)) * weight, 0) / weightSum;
+    probs[n] = 0.85 * learned + 0.15 / NUMBERS.length;
+  });
+  return probs;
+};
+
+// Returns a probability for each number and which pattern drove it.
+export const predictNext = (model, role) => {
+  const roleModel = model[role];
+  const streak = detectStreak(roleModel.recent);
+  if (streak) return { probs: focused(streak.number, 0.7), pattern: 'streak' };
+  const cycle = detectCycle(roleModel.recent);
+  if (cycle) return { probs: focused(cycle.next, 0.75), pattern: 'cycle' };
+  return { probs: blended(roleModel), pattern: roleModel.recent.length ? 'markov' : 'none' };
+};
@@ -0,0 +1,46 @@
+import { createPlayerModel, updatePlayerModel, predictNext, detectStreak, detectCycle } from './predictor';
+import { getComputerChoice } from './ai';
+import { createRng } from './rng';
+
+const learn = (moves, role = 'batting', model = createPlayerModel()) =>
+  moves.reduce((m, move) => updatePlayerModel(m, role, move), model);
+
+const mostLikely = (probs) => Number(Object.keys(probs).reduce((a, b) => (probs[b] > probs[a] ? b : a)));
+
+test('streaks and short cycles are detected', () => {
+  expect(detectStreak([2, 5, 5, 5])).toEqual({ number: 5, length: 3 });
+  expect(detectStreak([5, 5, 4])).toBeNull();
+  expect(detectCycle([1, 2, 3, 1, 2, 3])).toEqual({ period: 3, next: 1 });
+  expect(detectCycle([4, 6, 4, 6])).toEqual({ period: 2, next: 4 });
+  expect(detectCycle([1, 2, 3, 4, 5])).toBeNull();
+});
+
+test('the prediction follows the pattern the player is in', () => {
+  expect(predictNext(learn([1, 2, 3, 1, 2, 3, 1, 2]), 'batting')).toMatchObject({ pattern: 'cycle' });
+  expect(mostLikely(predictNext(learn([1, 2, 3, 1, 2, 3, 1, 2]), 'batting').probs)).toBe(3);
+  expect(mostLikely(predictNext(learn([4, 6, 6, 6]), 'batting').probs)).toBe(6);
+});
+
+test('markov tables pick up what usually follows a number', () => {
+  const model = learn([2, 5, 1, 2, 5, 3, 2, 5, 6, 2]);
+  const { probs, pattern } = predictNext(model, 'batting');
+  expect(pattern).toBe('markov');
+  expect(mostLikely(probs)).toBe(5);
+});
+
+test('batting and bowling habits are learned separately', () => {
+  const model = learn([6, 6, 6], 'bowling', learn([1, 1, 1]));
+  expect(mostLikely(predictNext(model, 'batting').probs)).toBe(1);
+  expect(mostLikely(predictNext(model, 'bowling').probs)).toBe(6);
+});
+
+test('the mind reader bowls at a cycling batter and the slogger hits big', () => {
+  const rng = createRng(4);
+  const cycling = learn([1, 2, 3, 1, 2, 3]);
+  const balls = Array.from({ length: 20 }, () => getComputerChoice({ model: cycling, role: 'batting', opponent: 'mindReader', rng }));
+  expect(balls.filter(n => n === 1).length).toBeGreaterThan(15);
+
+  const shots = Array.from({ length: 200 }, () => getComputerChoice({ model: createPlayerModel(), role: 'bowling', opponent: 'slogger', rng }));
+  const average = shots.reduce((sum, n) => sum + n, 0) / shots.length;
+  expect(average).toBeGreaterThan(4);
+});
@@ -0,0 +1,117 @@
+import { DEFAULT_STATS } from './stats.js';
+import { unlockedCount } from './achievements.js';
+
+// --- Profiles ---
+// Everyone sharing a device gets a profile of their own: its career,
+// achievements, past matches and preferences are every saved section from
+// saveData.js, kept under the profile's own copy of each key. The list of
+// profiles, and whose turn it is, live under PROFILES_KEY.
+
+export const PROFILES_KEY = 'handCricketProfiles';
+export const FIRST_PROFILE = 'main';
+export const MAX_PROFILES = 8;
+export const MAX_NAME_LENGTH = 20;
+export const AVATARS = ['🏏', '🦁', '🐯', '🦊', '🐼', '🐸', '🦉', '🐙', '🦄', '🚀', '⭐', '🔥'];
+
+// The first profile keeps the keys from before profiles, so an older save
+// becomes its career without being moved.
+export const profileKey = (id, key) => (id === FIRST_PROFILE ? key : `${key}.${id}`);
+
+export const defaultProfiles = (name = 'Player 1') => ({
+  active: FIRST_PROFILE,
+  profiles: [{ id: FIRST_PROFILE, name, avatar: AVATARS[0] }],
+});
+
+export const activeProfile = ({ active, profiles }) => profiles.find(profile => profile.id === active) || profiles[0];
+
+export const cleanName = (name) => String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+
+// Why a name can't be used, as 'empty' or 'taken', or null if it can. Names
+// are compared ignoring case; `exceptId` is the profile being renamed.
+export const profileNameError = ({ profiles }, name, exceptId = null) => {
+  const clean = cleanName(name).toLowerCase();
+  if (!clean) return 'empty';
+  return profiles.some(profile => profile.id !== exceptId && profile.name.toLowerCase() === clean) ? 'taken' : null;
+};
+
+export const canAddProfile = ({ profiles }) => profiles.length < MAX_PROFILES;
+
+// --- Changes ---
+// Each returns the new profile list; none of them touch saved sections.
+export const addProfile = (list, { name, avatar }, now = new Date()) => {
+  const base = `p${now.getTime().toString(36)}`;
+  const ids = list.profiles.map(profile => profile.id);
+  let id = base;
+  for (let n = 2; ids.includes(id); n++) id = `${base}${n}`;
+  const profile = { id, name: cleanName(name), avatar: AVATARS.includes(avatar) ? avatar : AVATARS[0] };
+  return { list: { ...list, profiles: [...list.profiles, profile] }, profile };
+};
+
+export const updateProfile = (list, id, { name, avatar }) => ({
+  ...list,
+  profiles: list.profiles.map(profile => (profile.id === id
+    ? { ...profile, ...(name !== undefined && { name: cleanName(name) }), ...(AVATARS.includes(avatar) && { avatar }) }
+    : profile)),
+});
+
+export const switchProfile = (list, id) => (list.profiles.some(profile => profile.id === id) ? { ...list, active: id } : list);
+
+// The last profile can't be removed. Removing the active one hands the
+// device to the first that is left.
+export const removeProfile = (list, id) => {
+  if (list.profiles.length <= 1) return list;
+  const profiles = list.profiles.filter(profile => profile.id !== id);
+  return { active: list.active === id ? profiles[0].id : list.active, profiles };
+};
+
+// --- Loading ---
+// The raw PROFILES_KEY string, or null on a first visit. Anything that can't
+// be read falls back to a single first profile, which still finds the
+// first profile's data.
+export const loadProfiles = (text, name) => {
+  let stored;
+  try {
+    stored = JSON.parse(text);
+  } catch (error) {
+    return defaultProfiles(name);
+  }
+  if (!stored || !Array.isArray(stored.profiles)) return defaultProfiles(name);
+  const profiles = stored.profiles
+    .filter(profile => profile && typeof profile.id === 'string' && cleanName(profile.name))
+    .filter((profile, index, all) => all.findIndex(other => other.id === profile.id) === index)
+    .slice(0, MAX_PROFILES)
+    .map(profile => ({ id: profile.id, name: cleanName(profile.name), avatar: AVATARS.includes(profile.avatar) ? profile.avatar : AVATARS[0] }));
+  if (profiles.length === 0) return defaultProfiles(name);
+  return { active: profiles.some(profile => profile.id === stored.active) ? stored.active : profiles[0].id, profiles };
+};
+
+// --- Leaderboard ---
+// Careers against the computer, compared across the device's profiles.
+export const LEADERBOARD_COLUMNS = ['wins', 'highestScore', 'winRate', 'achievements'];
+
+export const winRate = (stats) => {
+  const played = stats.wins + stats.losses + stats.draws;
+  return played ? stats.wins / played : 0;
+};
+
+// `careers` maps profile ids to their career stats. Rows are sorted by the
+// chosen column, then by wins and name; equal values share a rank.
+export const leaderboard = ({ profiles }, careers, by = 'wins') => {
+  const rows = profiles.map(profile => {
+    const stats = { ...DEFAULT_STATS, ...careers[profile.id] };
+    return {
+      profile,
+      played: stats.wins + stats.losses + stats.draws,
+      wins: stats.wins,
+      highestScore: stats.highestScore,
+      winRate: winRate(stats),
+      achievements: unlockedCount(stats.achievements),
+    };
+  });
+  rows.sort((a, b) => b[by] - a[by] || b.wins - a.wins || a.profile.name.localeCompare(b.profile.name));
+  let rank = 0;
+  return rows.map((row, index) => {
+    if (index === 0 || rows[index - 1][by] !== row[by]) rank = index + 1;
+    return { ...row, rank };
+  });
+};
@@ -0,0 +1,73 @@
+import {
+  FIRST_PROFILE, MAX_PROFILES, profileKey, defaultProfiles, activeProfile, profileNameError, canAddProfile,
+  addProfile, updateProfile, switchProfile, removeProfile, loadProfiles, leaderboard,
+} from './profiles';
+import { DEFAULT_STATS } from './stats';
+
+const NOW = new Date(2026, 4, 4, 9, 30);
+
+const withProfiles = (...names) => names.reduce(
+  (list, name, index) => addProfile(list, { name, avatar: '🦊' }, new Date(NOW.getTime() + index)).list,
+  defaultProfiles('Ann'),
+);
+
+test('the first profile keeps the keys saved before profiles', () => {
+  expect(profileKey(FIRST_PROFILE, 'handCricketStats')).toBe('handCricketStats');
+  const { list, profile } = addProfile(defaultProfiles(), { name: 'Bob', avatar: '🦉' }, NOW);
+  expect(profileKey(profile.id, 'handCricketStats')).toBe(`handCricketStats.${profile.id}`);
+  expect(list.profiles.map(p => p.name)).toEqual(['Player 1', 'Bob']);
+  expect(activeProfile(list).id).toBe(FIRST_PROFILE);
+});
+
+test('profiles made in the same moment still get their own ids', () => {
+  const once = addProfile(defaultProfiles(), { name: 'Bob', avatar: '🦉' }, NOW);
+  const twice = addProfile(once.list, { name: 'Cat', avatar: '🦉' }, NOW);
+  expect(twice.profile.id).not.toBe(once.profile.id);
+});
+
+test('names are tidied, required and unique ignoring case', () => {
+  const list = withProfiles('Bob');
+  expect(profileNameError(list, '   ')).toBe('empty');
+  expect(profileNameError(list, ' bob ')).toBe('taken');
+  expect(profileNameError(list, 'Bob', list.profiles[1].id)).toBe(null);
+  expect(addProfile(list, { name: '  Cat   Smith ', avatar: 'not an avatar' }, NOW).profile).toMatchObject({ name: 'Cat Smith', avatar: '🏏' });
+  expect(canAddProfile(withProfiles(...Array.from({ length: MAX_PROFILES - 1 }, (_, i) => `P${i}`)))).toBe(false);
+});
+
+test('profiles can be renamed, switched to and removed, but never the last one', () => {
+  const list = withProfiles('Bob');
+  const bob = list.profiles[1].id;
+  expect(updateProfile(list, bob, { name: 'Robert', avatar: '🐙' }).profiles[1]).toMatchObject({ name: 'Robert', avatar: '🐙' });
+  const playing = switchProfile(list, bob);
+  expect(playing.active).toBe(bob);
+  expect(switchProfile(list, 'nobody')).toBe(list);
+  expect(removeProfile(playing, bob)).toEqual({ active: FIRST_PROFILE, profiles: [list.profiles[0]] });
+  expect(removeProfile(playing, FIRST_PROFILE).active).toBe(bob);
+  const alone = defaultProfiles();
+  expect(removeProfile(alone, FIRST_PROFILE)).toBe(alone);
+});
+
+test('an unreadable profile list falls back to the first profile', () => {
+  expect(loadProfiles(null)).toEqual(defaultProfiles());
+  expect(loadProfiles('{oops')).toEqual(defaultProfiles());
+  expect(loadProfiles(JSON.stringify({ profiles: [] }), 'Ann')).toEqual(defaultProfiles('Ann'));
+  const list = withProfiles('Bob');
+  expect(loadProfiles(JSON.stringify(list))).toEqual(list);
+  const messy = { active: 'gone', profiles: [{ id: 'a', name: ' Al ', avatar: '💩' }, { id: 'a', name: 'Dup' }, { id: 'b', name: '' }, null] };
+  expect(loadProfiles(JSON.stringify(messy))).toEqual({ active: 'a', profiles: [{ id: 'a', name: 'Al', avatar: '🏏' }] });
+});
+
+test('the leaderboard sorts by the chosen column and shares ranks on ties', () => {
+  const list = withProfiles('Bob', 'Cat');
+  const [ann, bob] = list.profiles.map(p => p.id);
+  const careers = {
+    [ann]: { ...DEFAULT_STATS, wins: 3, losses: 3, highestScore: 40 },
+    [bob]: { ...DEFAULT_STATS, wins: 3, losses: 1, highestScore: 12, achievements: { firstWin: { count: 1, tier: 1, unlockedAt: [null] } } },
+  };
+  const byWins = leaderboard(list, careers);
+  expect(byWins.map(row => [row.profile.name, row.rank])).toEqual([['Ann', 1], ['Bob', 1], ['Cat', 3]]);
+  expect(byWins[2]).toMatchObject({ played: 0, wins: 0, winRate: 0, achievements: 0 });
+  expect(leaderboard(list, careers, 'winRate').map(row => [row.profile.name, row.winRate])).toEqual([['Bob', 0.75], ['Ann', 0.5], ['Cat', 0]]);
+  expect(leaderboard(list, careers, 'highestScore')[0].profile.id).toBe(ann);
+  expect(leaderboard(list, careers, 'achievements')[0]).toMatchObject({ profile: { id: bob }, achievements: 1, rank: 1 });
+});
@@ -0,0 +1,124 @@
+import { createMatch, chooseTo, playBall, reviewDismissal, forfeit, currentInnings, TOSS_CHOICES } from './engine.js';
+import { WICKET_OPTIONS, OVER_OPTIONS, customFormat } from './formats.js';
+import { PERSONAS } from './personas.js';
+import { RULE_VARIANTS, cleanRules } from './rules.js';
+import { toMatchRecord } from './archive.js';
+
+// --- Replays ---
+// A replay re-runs an archived match through the engine with both hands
+// fixed, giving one frame per ball. Frame 0 is the first innings about to
+// start; frame n is the state right after ball n. The seed brings back the
+// same no-balls and review calls, and a ball marked as reviewed answers its
+// review offer.
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+export const REPLAY_BALL_MS = 1200;
+
+const REPLAY_PREFIX = 'HCR1:';
+const MODES = ['ai', 'hotseat', 'online'];
+const SIDES = ['player', 'computer'];
+
+export const replayFrames = (record) => {
+  const setup = createMatch({
+    mode: record.mode,
+    players: record.players,
+    opponent: record.opponent || undefined,
+    format: record.format,
+    rules: record.rules || [],
+    seed: record.seed || 0,
+  });
+  let state = chooseTo({ ...setup, phase: 'choose', toss: record.toss }, record.toss.decision).state;
+  const frames = [{ state, events: [] }];
+  record.balls.forEach(({ batter, bowler, review }) => {
+    const playerBatting = state.phase === 'innings' && currentInnings(state).batting === 'player';
+    let played = playerBatting ? playBall(state, batter, bowler) : playBall(state, bowler, batter);
+    if (played.state.pendingReview) {
+      const answered = reviewDismissal(played.state, Boolean(review));
+      played = { state: answered.state, events: [...played.events, ...answered.events] };
+    }
+    state = played.state;
+    frames.push(played);
+  });
+  return frames;
+};
+
+// The frame where the second innings is about to start.
+export const inningsBreakFrame = (frames) => frames.findIndex(frame => frame.events.some(e => e.type === 'inningsStart'));
+
+// --- Sharing ---
+// A replay code holds just the setup, the toss, each ball's two hands and
+// which balls were reviewed; everything else is worked out again by the
+// engine when it is imported.
+const toBase64 = (text) =>
+  btoa(encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+
+const fromBase64 = (data) =>
+  decodeURIComponent(Array.from(atob(data), char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+
+export const encodeReplay = (record) => REPLAY_PREFIX + toBase64(JSON.stringify({
+  id: record.id,
+  at: record.playedAt,
+  mode: record.mode,
+  players: [record.players.player, record.players.computer],
+  opponent: record.opponent,
+  format: [record.format.wickets, record.format.overs],
+  rules: record.rules && record.rules.length ? record.rules : undefined,
+  seed: record.seed,
+  toss: [record.toss.playerChoice, record.toss.computerChoice, record.toss.winner, record.toss.decision],
+  balls: record.balls.map(ball => `${ball.batter}${ball.bowler}`).join(''),
+  reviews: record.balls.some(ball => ball.review) ? record.balls.flatMap((ball, index) => (ball.review ? [index] : [])) : undefined,
+  forfeit: record.forfeitedBy || undefined,
+}));
+
+// `code` is the message's key under 'errors' in the catalogues.
+const invalidReplay = () => Object.assign(new Error("That isn't a valid hand cricket replay."), { code: 'replay.invalid' });
+
+const parseReplay = (text) => {
+  const code = String(text || '').trim();
+  if (!code.startsWith(REPLAY_PREFIX)) throw invalidReplay();
+  try {
+    return JSON.parse(fromBase64(code.slice(REPLAY_PREFIX.length)));
+  } catch (error) {
+    throw invalidReplay();
+  }
+};
+
+// Turns a replay code back into a full match record; throws on anything that
+// does not replay to a finished match.
+export const decodeReplay = (text) => {
+  const data = parseReplay(text);
+  const [wickets, overs] = Array.isArray(data.format) ? data.format : [];
+  const [playerChoice, computerChoice, winner, decision] = Array.isArray(data.toss) ? data.toss : [];
+  const playedAt = new Date(data.at);
+  const rules = data.rules === undefined ? [] : data.rules;
+  const reviews = data.reviews === undefined ? [] : data.reviews;
+  const valid = MODES.includes(data.mode) &&
+    Array.isArray(data.players) && data.players.length === 2 && data.players.every(name => typeof name === 'string') &&
+    (data.mode !== 'ai' || Boolean(PERSONAS[data.opponent])) &&
+    WICKET_OPTIONS.includes(wickets) && OVER_OPTIONS.includes(overs) &&
+    TOSS_CHOICES.includes(playerChoice) && TOSS_CHOICES.includes(computerChoice) &&
+    SIDES.includes(winner) && (decision === 'bat' || decision === 'bowl') &&
+    Array.isArray(rules) && rules.every(id => Boolean(RULE_VARIANTS[id])) &&
+    (data.seed === undefined || (Number.isInteger(data.seed) && data.seed >= 0)) &&
+    typeof data.balls === 'string' && /^([0-6]{2})*$/.test(data.balls) &&
+    Array.isArray(reviews) && reviews.every(Number.isInteger) &&
+    !Number.isNaN(playedAt.getTime());
+  if (!valid) throw invalidReplay();
+
+  const balls = (data.balls.match(/../g) || []).map((pair, index) => ({ batter: Number(pair[0]), bowler: Number(pair[1]), review: reviews.includes(index) }));
+  const frames = replayFrames({
+    mode: data.mode,
+    players: { player: data.players[0], computer: data.players[1] },
+    opponent: data.mode === 'ai' ? data.opponent : null,
+    format: customFormat(wickets, overs),
+    rules: cleanRules(rules),
+    seed: data.seed || 0,
+    toss: { playerChoice, computerChoice, winner, decision },
+    balls,
+  });
+  const last = frames[frames.length - 1].state;
+  const finished = SIDES.includes(data.forfeit) ? forfeit(last, data.forfeit).state : last;
+  if (finished.phase !== 'over' || frames.slice(1).some(frame => frame.events.length === 0)) throw invalidReplay();
+  const record = toMatchRecord(finished, playedAt);
+  return typeof data.id === 'string' && data.id ? { ...record, id: data.id } : record;
+};
@@ -0,0 +1,66 @@
+import { createMatch, toss, chooseTo, playBall, reviewDismissal } from './engine';
+import { toMatchRecord } from './archive';
+import { customFormat } from './formats';
+import { replayFrames, inningsBreakFrame, encodeReplay, decodeReplay } from './replay';
+
+const playedMatch = () => {
+  let state = createMatch({ players: { player: 'You', computer: 'Computer' }, opponent: 'slogger', seed: 9 });
+  state = toss(state, 'rock', 'scissors').state;
+  state = chooseTo(state, 'bowl').state;
+  [[4, 1], [6, 2], [1, 1]].forEach(([player, computer]) => { state = playBall(state, player, computer).state; });
+  [[2, 5], [6, 3]].forEach(([player, computer]) => { state = playBall(state, player, computer).state; });
+  return toMatchRecord(state, new Date('2026-06-01T18:30:00Z'));
+};
+
+test('a record replays ball by ball through the engine', () => {
+  const record = playedMatch();
+  const frames = replayFrames(record);
+  expect(frames).toHaveLength(record.balls.length + 1);
+  expect(frames[0].state.innings).toEqual([{ batting: 'computer', runs: 0, wickets: 0, balls: [] }]);
+  expect(frames[2].events[0]).toMatchObject({ type: 'ball', playerNumber: 6, computerNumber: 2, runs: 2 });
+
+  const breakFrame = inningsBreakFrame(frames);
+  expect(breakFrame).toBe(3);
+  expect(frames[breakFrame].state.target).toBe(4);
+  expect(frames[frames.length - 1].state).toMatchObject({ phase: 'over', result: 'win' });
+});
+
+test('a replay code round-trips to the same match', () => {
+  const record = playedMatch();
+  const code = encodeReplay(record);
+  expect(code.startsWith('HCR1:')).toBe(true);
+  expect(decodeReplay(`  ${code}\n`)).toEqual(record);
+
+  const named = { ...record, mode: 'hotseat', opponent: null, players: { player: 'Kāvya', computer: 'சமன்' } };
+  expect(decodeReplay(encodeReplay(named)).players).toEqual(named.players);
+
+  const forfeited = { ...record, balls: record.balls.slice(0, 4), result: 'loss', forfeitedBy: 'player' };
+  expect(decodeReplay(encodeReplay(forfeited))).toMatchObject({ result: 'loss', forfeitedBy: 'player', innings: [{ runs: 3 }, { runs: 2 }] });
+});
+
+test('rule variants replay the same no-balls and reviews', () => {
+  let state = createMatch({ mode: 'hotseat', players: { player: 'Ann', computer: 'Bob' }, format: customFormat(3, 1), rules: ['defend', 'freeHit', 'review', 'superOver'], seed: 21 });
+  state = chooseTo(toss(state, 'paper', 'rock').state, 'bat').state;
+  const picks = [[0, 3], [3, 3], [2, 5], [4, 4], [1, 6], [2, 1], [5, 3], [6, 6], [2, 2], [1, 1], [3, 3], [4, 2], [6, 5], [5, 2], [4, 1]];
+  for (const [player, computer] of picks) {
+    if (state.phase !== 'innings') break;
+    state = playBall(state, player, computer).state;
+    if (state.pendingReview) state = reviewDismissal(state, true).state;
+  }
+  const record = toMatchRecord(state, new Date('2026-06-02T18:30:00Z'));
+  expect(record.rules).toEqual(['defend', 'freeHit', 'review', 'superOver']);
+  expect(record.balls.filter(ball => ball.review)).toHaveLength(2);
+  expect(record.balls.some(ball => ball.noBall)).toBe(true);
+  expect(replayFrames(record)[record.balls.length].state.innings).toEqual(state.innings);
+  expect(state.phase).toBe('over');
+  expect(decodeReplay(encodeReplay(record))).toEqual(record);
+});
+
+test('broken or tampered replay codes are rejected', () => {
+  const record = playedMatch();
+  expect(() => decodeReplay('not a replay')).toThrow("That isn't a valid hand cricket replay.");
+  expect(() => decodeReplay('HCR1:%%%')).toThrow("That isn't a valid hand cricket replay.");
+  expect(() => decodeReplay('HCR1:%%%')).toThrow(expect.objectContaining({ code: 'replay.invalid' }));
+  expect(() => decodeReplay(encodeReplay({ ...record, balls: record.balls.slice(0, 4) }))).toThrow(); // unfinished
+  expect(() => decodeReplay(encodeReplay({ ...record, balls: [...record.balls, record.balls[0]] }))).toThrow(); // ball after the end
+});
@@ -0,0 +1,23 @@
+// --- Seeded random source (mulberry32) ---
+// The whole generator state is a single 32-bit integer, so it can live inside
+// a serialisable match state and be resumed exactly where it left off.
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    getState: () => state,
+  };
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
@@ -0,0 +1,74 @@
+import { getTranslator } from './i18n.js';
+
+// --- Rule variants ---
+// Optional rules on top of "same number is out, otherwise the batter scores
+// their number". Each one is switched on separately before a match, and the
+// match (and its archived record) keeps them as `rules`: a list of variant
+// ids in the order below. No variants at all is the standard game.
+
+export const RULE_VARIANTS = {
+  defend: {
+    id: 'defend',
+    name: 'Defend',
+    emoji: '🛡️',
+    description: 'Either side can show 0. A batter who defends scores nothing, and is only out if the bowler shows 0 too.',
+  },
+  freeHit: {
+    id: 'freeHit',
+    name: 'No-balls',
+    emoji: '🚫',
+    description: "Now and then a ball is a no-ball: one extra run, it doesn't count, and the next ball is a free hit you can't be out to.",
+  },
+  powerplay: {
+    id: 'powerplay',
+    name: 'Powerplay',
+    emoji: '⚡',
+    description: 'Runs off the bat count double in the first over of each innings.',
+  },
+  review: {
+    id: 'review',
+    name: 'Review',
+    emoji: '📺',
+    description: 'Once an innings the batter can review a dismissal. Half of all reviews are overturned.',
+  },
+  superOver: {
+    id: 'superOver',
+    name: 'Super Over',
+    emoji: '🔁',
+    description: 'A tie goes to a super over, one over and one wicket each, instead of a draw.',
+  },
+};
+
+export const STANDARD_RULES = [];
+
+export const NO_BALL_CHANCE = 1 / 12;
+export const REVIEW_SUCCESS = 0.5;
+export const POWERPLAY_BALLS = 6;
+export const DEFEND_CHANCE = 0.1; // how often the computer shows 0
+export const SUPER_OVER_FORMAT = { id: 'superOver', name: 'Super over', wickets: 1, overs: 1 };
+
+const NUMBERS = [1, 2, 3, 4, 5, 6];
+
+// `rules` may be missing on matches and records from before variants.
+export const hasRule = (rules, id) => Array.isArray(rules) && rules.includes(id);
+
+// Known ids only, in their usual order, so equal rule sets look the same.
+export const cleanRules = (rules) => Object.keys(RULE_VARIANTS).filter(id => hasRule(rules, id));
+
+export const toggleRule = (rules, id) => cleanRules(hasRule(rules, id) ? rules.filter(rule => rule !== id) : [...rules, id]);
+
+// The numbers either side can show.
+export const numbersFor = (rules) => (hasRule(rules, 'defend') ? [0, ...NUMBERS] : NUMBERS);
+
+// A name for a rule set, and a key to group matches by it.
+export const rulesKey = (rules) => cleanRules(rules).join('+') || 'standard';
+
+export const rulesFromKey = (key) => (key === 'standard' ? [] : cleanRules(key.split('+')));
+
+export const ruleName = (id, t = getTranslator()) => t(`rules.${id}.name`, {}, RULE_VARIANTS[id].name);
+export const ruleDescription = (id, t = getTranslator()) => t(`rules.${id}.description`, {}, RULE_VARIANTS[id].description);
+
+export const rulesLabel = (rules, t = getTranslator()) => {
+  const ids = cleanRules(rules);
+  return ids.length ? ids.map(id => `${RULE_VARIANTS[id].emoji} ${ruleName(id, t)}`).join(' · ') : t('rules.standard');
+};
@@ -0,0 +1,303 @@
+import { DEFAULT_STATS } from './stats.js';
+import { migrateAchievements } from './achievements.js';
+import { COMMENTARY_STYLES, DEFAULT_COMMENTARY_STYLE } from './commentary.js';
+import { createPlayerModel } from './predictor.js';
+import { MAX_ARCHIVED_MATCHES } from './archive.js';
+import { MAX_TOURNAMENT_HISTORY } from './tournament.js';
+import { getPersona } from './personas.js';
+import { DEFAULT_AUDIO, SOUND_CATEGORIES, SOUND_PACKS } from './sounds.js';
+import { DEFAULT_DAILY, MAX_DAILY_RESULTS } from './daily.js';
+import { SYSTEM_THEME, DEFAULT_CUSTOM_THEME, isThemeChoice, isHexColour } from './themes.js';
+import { DEFAULT_LANGUAGE, isLanguage } from './i18n.js';
+import { DEFAULT_PACING, isPace, isMotion } from './pacing.js';
+import { RULE_VARIANTS, cleanRules } from './rules.js';
+
+// --- Saved data ---
+// Everything the app keeps in localStorage, handled as one versioned bundle
+// of sections. Loading runs what was stored through the migrations, one
+// version at a time up to DATA_VERSION, then checks each section against its
+// schema: missing fields get their defaults, and a section that can't be read
+// at all is set aside and reported instead of crashing the app.
+
+export const DATA_VERSION = 1;
+export const VERSION_KEY = 'handCricketDataVersion';
+export const CORRUPT_PREFIX = 'handCricketCorrupt.';
+const BACKUP_APP = 'hand-cricket';
+
+export const STORAGE_KEYS = {
+  stats: 'handCricketStats',
+  hotseatStats: 'handCricketHotseatStats',
+  playerModel: 'handCricketPlayerModel',
+  matches: 'handCricketMatches',
+  tournament: 'handCricketTournament',
+  tournamentHistory: 'handCricketTournamentHistory',
+  daily: 'handCricketDaily',
+  theme: 'handCricketTheme',
+  customTheme: 'handCricketCustomTheme',
+  audio: 'handCricketAudio',
+  commentaryStyle: 'handCricketCommentaryStyle',
+  language: 'handCricketLanguage',
+  pacing: 'handCricketPacing',
+  liveMatch: 'handCricketLiveMatch',
+};
+
+export const SECTION_LABELS = {
+  stats: 'career stats',
+  hotseatStats: 'pass-and-play stats',
+  playerModel: "the Mind Reader's notes",
+  matches: 'past matches',
+  tournament: 'the current series or league',
+  tournamentHistory: 'the honours board',
+  daily: 'daily challenge results',
+  theme: 'theme',
+  customTheme: 'team colours',
+  audio: 'sound settings',
+  commentaryStyle: 'commentary style',
+  language: 'language',
+  pacing: 'match pace',
+  liveMatch: 'the match in progress',
+};
+
+// Stored as plain strings rather than JSON.
+const TEXT_SECTIONS = ['theme', 'commentaryStyle', 'language'];
+
+// Wiped by "reset career"; preferences stay, and so do daily challenge
+// results, or a reset would buy a second go at today's.
+export const CAREER_SECTIONS = ['stats', 'hotseatStats', 'playerModel', 'matches', 'tournament', 'tournamentHistory'];
+
+// A backup holds everything but the match in progress.
+const BACKUP_SECTIONS = Object.keys(STORAGE_KEYS).filter(section => section !== 'liveMatch');
+
+export const defaultSaveData = () => ({
+  stats: DEFAULT_STATS,
+  hotseatStats: {},
+  playerModel: createPlayerModel(),
+  matches: [],
+  tournament: null,
+  tournamentHistory: [],
+  daily: DEFAULT_DAILY,
+  theme: SYSTEM_THEME,
+  customTheme: DEFAULT_CUSTOM_THEME,
+  audio: DEFAULT_AUDIO,
+  commentaryStyle: DEFAULT_COMMENTARY_STYLE,
+  language: DEFAULT_LANGUAGE,
+  pacing: DEFAULT_PACING,
+  liveMatch: null,
+});
+
+// --- Migrations ---
+// MIGRATIONS[n] takes data at version n to version n + 1. Saves from before
+// versioning are version 0.
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+
+const MIGRATIONS = [
+  // 0 -> 1: achievements kept as progress rather than a list of unlocked ids.
+  (data) => ({
+    ...data,
+    ...(isObject(data.stats) && { stats: migrateAchievements(data.stats) }),
+    ...(isObject(data.hotseatStats) && { hotseatStats: mapValues(data.hotseatStats, s => (isObject(s) ? migrateAchievements(s) : s)) }),
+  }),
+];
+
+export const migrateSaveData = (data, fromVersion) =>
+  MIGRATIONS.slice(fromVersion).reduce((migrated, migration) => migration(migrated), data);
+
+// --- Schemas ---
+// Each returns the cleaned section, or INVALID if nothing can be saved of it.
+const INVALID = Symbol('invalid');
+const count = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+const isNumber = (value) => Number.isInteger(value) && value >= 0 && value <= 6; // 0 is a defend
+
+const cleanAchievements = (progress) => (isObject(progress)
+  ? mapValues(progress, entry => ({
+    count: count(entry && entry.count),
+    tier: count(entry && entry.tier),
+    unlockedAt: entry && Array.isArray(entry.unlockedAt) ? entry.unlockedAt.map(at => (isDate(at) ? at : null)) : [],
+  }))
+  : {});
+
+const cleanStats = (stats) => {
+  if (!isObject(stats)) return INVALID;
+  const numbers = Object.keys(DEFAULT_STATS).filter(key => typeof DEFAULT_STATS[key] === 'number');
+  return {
+    ...Object.fromEntries(numbers.map(key => [key, count(stats[key])])),
+    achievements: cleanAchievements(stats.achievements),
+  };
+};
+
+const isMatchRecord = (record) => isObject(record) &&
+  typeof record.id === 'string' && isDate(record.playedAt) &&
+  ['ai', 'hotseat', 'online'].includes(record.mode) &&
+  isObject(record.players) && isObject(record.format) && Array.isArray(record.innings) &&
+  (record.rules === undefined || Array.isArray(record.rules)) &&
+  Array.isArray(record.balls) && record.balls.every(b => isObject(b) && isNumber(b.batter) && isNumber(b.bowler)) &&
+  ['win', 'loss', 'draw'].includes(record.result);
+
+const volume = (value, fallback) => (typeof value === 'number' && value >= 0 && value <= 1 ? value : fallback);
+
+const cleanPacing = (pacing) => (isObject(pacing)
+  ? { pace: isPace(pacing.pace) ? pacing.pace : DEFAULT_PACING.pace, motion: isMotion(pacing.motion) ? pacing.motion : DEFAULT_PACING.motion }
+  : INVALID);
+
+const cleanAudio = (audio) => {
+  if (!isObject(audio)) return INVALID;
+  const volumes = isObject(audio.volumes) ? audio.volumes : {};
+  return {
+    muted: typeof audio.muted === 'boolean' ? audio.muted : DEFAULT_AUDIO.muted,
+    pack: SOUND_PACKS[audio.pack] ? audio.pack : DEFAULT_AUDIO.pack,
+    master: volume(audio.master, DEFAULT_AUDIO.master),
+    volumes: Object.fromEntries(SOUND_CATEGORIES.map(({ id }) => [id, volume(volumes[id], DEFAULT_AUDIO.volumes[id])])),
+  };
+};
+
+const cleanCustomTheme = (custom) => {
+  if (!isObject(custom)) return INVALID;
+  return {
+    base: custom.base === 'dark' ? 'dark' : 'light',
+    primary: isHexColour(custom.primary) ? custom.primary : DEFAULT_CUSTOM_THEME.primary,
+    accent: isHexColour(custom.accent) ? custom.accent : DEFAULT_CUSTOM_THEME.accent,
+  };
+};
+
+const isTournament = (tournament) => isObject(tournament) &&
+  typeof tournament.id === 'string' && Array.isArray(tournament.teams) && Array.isArray(tournament.fixtures) && isObject(tournament.format);
+
+const isDailyResult = (entry) => isObject(entry) &&
+  /^\d{4}-\d{2}-\d{2}$/.test(entry.id) && Number.isInteger(entry.number) && isObject(entry.format) &&
+  typeof entry.target === 'number' && [null, 'win', 'loss', 'draw'].includes(entry.result) &&
+  Array.isArray(entry.balls) && entry.balls.every(b => isObject(b) && Number.isInteger(b.runs));
+
+const cleanDaily = (daily) => {
+  if (!isObject(daily) || !Array.isArray(daily.results)) return INVALID;
+  return {
+    results: daily.results.filter(isDailyResult).slice(0, MAX_DAILY_RESULTS),
+    bestStreak: count(daily.bestStreak),
+  };
+};
+
+const SCHEMAS = {
+  stats: cleanStats,
+  hotseatStats: (value) => (isObject(value)
+    ? Object.fromEntries(Object.entries(value).map(([name, stats]) => [name, cleanStats(stats)]).filter(([, stats]) => stats !== INVALID))
+    : INVALID),
+  playerModel: (value) => (isObject(value) && isObject(value.batting) && isObject(value.bowling) ? value : INVALID),
+  matches: (value) => (Array.isArray(value) ? value.filter(isMatchRecord).slice(0, MAX_ARCHIVED_MATCHES) : INVALID),
+  tournament: (value) => (value === null || isTournament(value) ? value : INVALID),
+  tournamentHistory: (value) => (Array.isArray(value) ? value.filter(isTournament).slice(0, MAX_TOURNAMENT_HISTORY) : INVALID),
+  daily: cleanDaily,
+  theme: (value) => (isThemeChoice(value) ? value : INVALID),
+  customTheme: cleanCustomTheme,
+  audio: cleanAudio,
+  commentaryStyle: (value) => (COMMENTARY_STYLES[value] ? value : INVALID),
+  language: (value) => (isLanguage(value) ? value : INVALID),
+  pacing: cleanPacing,
+  // 'over' is a match saved on its last ball whose result wasn't recorded
+  // before the page went away; the app settles it on the way back in.
+  liveMatch: (value) => (value === null || (isObject(value) && isObject(value.match) && ['innings', 'over'].includes(value.match.phase) && Array.isArray(value.history)) ? value : INVALID),
+};
+
+// Migrates and checks parsed sections; sections that are missing get their
+// defaults, and `problems` lists the ones that were unreadable.
+const restore = (sections, version, problems = []) => {
+  const migrated = migrateSaveData(sections, Math.min(version, DATA_VERSION));
+  const data = defaultSaveData();
+  Object.keys(SCHEMAS).forEach(section => {
+    if (migrated[section] === undefined) return;
+    const clean = SCHEMAS[section](migrated[section]);
+    if (clean === INVALID) problems.push(section);
+    else data[section] = clean;
+  });
+  return { data, problems };
+};
+
+// --- Loading and saving ---
+// `stored` maps each section to its raw string (or null), as read from
+// STORAGE_KEYS; `storedVersion` is the raw VERSION_KEY value.
+export const loadSaveData = (stored, storedVersion) => {
+  const sections = {};
+  const problems = [];
+  Object.keys(STORAGE_KEYS).forEach(section => {
+    const text = stored[section];
+    if (text === null || text === undefined) return;
+    if (TEXT_SECTIONS.includes(section)) {
+      sections[section] = text;
+      return;
+    }
+    try {
+      sections[section] = JSON.parse(text);
+    } catch (error) {
+      problems.push(section);
+    }
+  });
+  return restore(sections, Number(storedVersion) || 0, problems);
+};
+
+// The raw string to store for each section, or null to remove its key.
+export const serializeSection = (section, value) => {
+  if (value === null || value === undefined) return null;
+  return TEXT_SECTIONS.includes(section) ? value : JSON.stringify(value);
+};
+
+// --- Backups ---
+export const exportSaveData = (data, now = new Date()) => JSON.stringify({
+  app: BACKUP_APP,
+  version: DATA_VERSION,
+  exportedAt: now.toISOString(),
+  data: Object.fromEntries(BACKUP_SECTIONS.map(section => [section, data[section]])),
+}, null, 2);
+
+// `code` is the message's key under 'errors' in the catalogues.
+const notBackup = () => Object.assign(new Error("That file isn't a hand cricket backup."), { code: 'backup.notBackup' });
+
+// Reads a backup file. Throws with a message to show if it isn't one this
+// version can use; otherwise `problems` lists any sections left at defaults.
+export const importSaveData = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw notBackup();
+  }
+  if (!isObject(backup) || backup.app !== BACKUP_APP || !isObject(backup.data) || !Number.isInteger(backup.version)) {
+    throw notBackup();
+  }
+  if (backup.version > DATA_VERSION) {
+    throw Object.assign(new Error('That backup is from a newer version of the game. Update the game, then import it.'), { code: 'backup.newerVersion' });
+  }
+  const sections = Object.fromEntries(BACKUP_SECTIONS.filter(section => section in backup.data).map(section => [section, backup.data[section]]));
+  return restore(sections, backup.version);
+};
+
+// --- CSV ---
+const CSV_COLUMNS = [
+  'Played at', 'Mode', 'Player', 'Opponent', 'Format', 'Rules', 'Toss won by', 'Batted first', 'Result',
+  'Player runs', 'Player wickets lost', 'Player balls faced', 'Opponent runs', 'Opponent wickets lost', 'Opponent balls faced',
+  'Target', 'Forfeited by',
+];
+
+// Player names are free text: one starting like a formula gets a leading '
+// so spreadsheets show it rather than run it.
+const csvValue = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per archived match, from the player's point of view.
+export const matchesToCsv = (records) => {
+  const rows = records.map(record => {
+    const name = (side) => (side === 'computer' && record.mode === 'ai' ? getPersona(record.opponent).name : record.players[side]);
+    const innings = (side) => record.innings.find(i => i.batting === side) || { runs: '', wickets: '', balls: '' };
+    const [player, opponent] = [innings('player'), innings('computer')];
+    return [
+      record.playedAt, record.mode, name('player'), name('computer'), record.format.name,
+      cleanRules(record.rules).map(id => RULE_VARIANTS[id].name).join('; ') || 'Standard',
+      record.toss ? name(record.toss.winner) : '', record.innings[0] ? name(record.innings[0].batting) : '', record.result,
+      player.runs, player.wickets, player.balls, opponent.runs, opponent.wickets, opponent.balls,
+      record.target || '', record.forfeitedBy ? name(record.forfeitedBy) : '',
+    ];
+  });
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvValue).join(',')).join('\n');
+};
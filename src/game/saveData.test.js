@@ -0,0 +1,90 @@
+import { createMatch, toss, chooseTo, playBall } from './engine';
+import { toMatchRecord } from './archive';
+import { DEFAULT_STATS } from './stats';
+import { loadSaveData, exportSaveData, importSaveData, matchesToCsv, serializeSection, migrateSaveData, DATA_VERSION } from './saveData';
+
+const record = () => {
+  let state = createMatch({ opponent: 'keeper', seed: 5 });
+  state = toss(state, 'rock', 'scissors').state;
+  state = chooseTo(state, 'bat').state;
+  [[4, 1], [2, 2], [3, 1], [5, 5]].forEach(([player, computer]) => { state = playBall(state, player, computer).state; });
+  return toMatchRecord(state, new Date('2026-05-04T10:00:00Z'));
+};
+
+test('an unversioned save is migrated and missing fields get their defaults', () => {
+  const { data, problems } = loadSaveData({
+    stats: JSON.stringify({ wins: 3, losses: 2, totalRuns: 40, highestScore: 18, unlockedAchievements: ['firstWin'] }),
+    hotseatStats: JSON.stringify({ Ann: { wins: 1, losses: 'lots' } }),
+    theme: 'dark',
+  }, null);
+  expect(problems).toEqual([]);
+  expect(data.stats).toMatchObject({ wins: 3, losses: 2, draws: 0, wickets: 0, forfeits: 0 });
+  expect(data.stats.achievements.firstWin).toMatchObject({ tier: 1 });
+  expect(data.stats.unlockedAchievements).toBeUndefined();
+  expect(data.hotseatStats.Ann).toMatchObject({ wins: 1, losses: 0, achievements: { firstWin: { tier: 1 } } });
+  expect(data).toMatchObject({ theme: 'dark', commentaryStyle: 'classic', matches: [], tournament: null, liveMatch: null });
+  expect(migrateSaveData({}, DATA_VERSION)).toEqual({});
+});
+
+test('corrupt or malformed sections are reported and reset instead of crashing', () => {
+  const good = record();
+  const { data, problems } = loadSaveData({
+    stats: '{"wins": 4,',
+    matches: JSON.stringify([good, { id: 'broken' }]),
+    playerModel: JSON.stringify([1, 2, 3]),
+    theme: 'neon',
+    audio: JSON.stringify({ muted: true, pack: 'disco', master: 3, volumes: { crowd: 0.2 } }),
+    customTheme: JSON.stringify({ base: 'dark', primary: 'gold', accent: '#123456' }),
+    pacing: JSON.stringify({ pace: 'ludicrous', motion: 'reduced' }),
+  }, String(DATA_VERSION));
+  expect(problems).toEqual(['stats', 'playerModel', 'theme']);
+  expect(data.audio).toEqual({ muted: true, pack: 'synth', master: 0.8, volumes: { effects: 1, crowd: 0.2, interface: 0.6 } });
+  expect(data.stats).toEqual(DEFAULT_STATS);
+  expect(data.matches).toEqual([good]);
+  expect(data.customTheme).toEqual({ base: 'dark', primary: '#0891b2', accent: '#123456' });
+  expect(data.theme).toBe('system');
+  expect(data.pacing).toEqual({ pace: 'normal', motion: 'reduced' });
+});
+
+test('a match saved on its last ball is kept so its result can still be recorded', () => {
+  let state = createMatch({ opponent: 'keeper', seed: 5 });
+  state = toss(state, 'rock', 'scissors').state;
+  state = chooseTo(state, 'bat').state;
+  [[4, 1], [2, 2], [1, 6]].forEach(([player, computer]) => { state = playBall(state, player, computer).state; });
+  expect(state.phase).toBe('over');
+
+  const { data, problems } = loadSaveData({ liveMatch: JSON.stringify({ match: state, history: [] }) }, String(DATA_VERSION));
+  expect(problems).toEqual([]);
+  expect(data.liveMatch.match).toMatchObject({ phase: 'over', result: 'loss' });
+  expect(loadSaveData({ liveMatch: JSON.stringify({ match: { ...state, phase: 'toss' }, history: [] }) }, String(DATA_VERSION)).problems).toEqual(['liveMatch']);
+});
+
+test('a JSON backup round-trips, and foreign or newer files are refused', () => {
+  const { data } = loadSaveData({ stats: JSON.stringify({ ...DEFAULT_STATS, wins: 9 }), matches: JSON.stringify([record()]), commentaryStyle: 'hype' }, '1');
+  const backup = exportSaveData(data, new Date('2026-06-01T00:00:00Z'));
+  expect(JSON.parse(backup)).toMatchObject({ app: 'hand-cricket', version: DATA_VERSION, exportedAt: '2026-06-01T00:00:00.000Z' });
+  expect(JSON.parse(backup).data.liveMatch).toBeUndefined();
+
+  const restored = importSaveData(backup);
+  expect(restored.problems).toEqual([]);
+  expect(restored.data).toEqual(data);
+  expect(serializeSection('commentaryStyle', restored.data.commentaryStyle)).toBe('hype');
+  expect(serializeSection('tournament', restored.data.tournament)).toBeNull();
+
+  expect(() => importSaveData('{"some": "thing"}')).toThrow("That file isn't a hand cricket backup.");
+  expect(() => importSaveData('not json')).toThrow("That file isn't a hand cricket backup.");
+  expect(() => importSaveData(JSON.stringify({ app: 'hand-cricket', version: DATA_VERSION + 1, data: {} }))).toThrow('newer version');
+  expect(() => importSaveData('not json')).toThrow(expect.objectContaining({ code: 'backup.notBackup' }));
+  expect(() => importSaveData(JSON.stringify({ app: 'hand-cricket', version: DATA_VERSION + 1, data: {} }))).toThrow(expect.objectContaining({ code: 'backup.newerVersion' }));
+});
+
+test('matches export to CSV from the player\'s point of view', () => {
+  const named = { ...record(), id: 'x', mode: 'hotseat', opponent: null, rules: ['review', 'defend'], players: { player: 'Ann', computer: 'Smith, "Bob"' } };
+  const sneaky = { ...named, id: 'y', players: { player: '=HYPERLINK("x")', computer: '@Bob' } };
+  const [header, ai, hotseat, formula] = matchesToCsv([record(), named, sneaky]).split('\n');
+  expect(header.split(',')).toHaveLength(17);
+  expect(ai).toBe('2026-05-04T10:00:00.000Z,ai,You,Cautious Keeper,Classic 1-wicket,Standard,You,You,win,4,1,2,1,1,2,5,');
+  expect(hotseat).toContain('"Smith, ""Bob"""');
+  expect(hotseat).toContain(',Defend; Review,');
+  expect(formula).toContain(`"'=HYPERLINK(""x"")",'@Bob,`);
+});
@@ -0,0 +1,121 @@
+import { createMatch, toss, chooseTo, playBall, reviewDismissal, TOSS_CHOICES } from './engine.js';
+import { createPlayerModel } from './predictor.js';
+import { PERSONAS } from './personas.js';
+import { DEFAULT_FORMAT } from './formats.js';
+import { STANDARD_RULES } from './rules.js';
+import { createRng, randomSeed } from './rng.js';
+
+// --- Balancing simulations ---
+// Plays scripted players against each AI persona through the real engine, so
+// the personas can be compared and tuned with numbers rather than by feel.
+// Like the app, the persona's notes on the player carry over from one match
+// to the next within a run. Everything is drawn from `seed`, so the same
+// options give the same results.
+
+const NUMBERS = [1, 2, 3, 4, 5, 6];
+
+const weighted = (weights) => (rng) => {
+  let roll = rng.next() * weights.reduce((sum, w) => sum + w, 0);
+  for (let i = 0; i < weights.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return NUMBERS[i];
+  }
+  return NUMBERS[NUMBERS.length - 1];
+};
+
+// `pick(rng, ball)` gets the number of balls the player has played so far,
+// in the match and across the whole run.
+export const STRATEGIES = {
+  random: { id: 'random', name: 'Uniform random', pick: (rng) => rng.pick(NUMBERS) },
+  sixes: { id: 'sixes', name: 'Always 6', pick: () => 6 },
+  cycle: { id: 'cycle', name: 'Cycle 1-6', pick: (rng, { played }) => NUMBERS[played % NUMBERS.length] },
+  biased: { id: 'biased', name: 'Biased to big hits', pick: weighted([1, 1, 1, 2, 3, 4]) },
+};
+
+export const DEFAULT_MATCHES = 1000;
+
+// One match between a scripted player and a persona. The player calls the
+// toss and chooses at random, and always reviews when reviews are on.
+export const playScriptedMatch = ({ strategy, opponent, format = DEFAULT_FORMAT, rules = STANDARD_RULES, playerModel = createPlayerModel(), seed, played = 0 }) => {
+  const rng = createRng(seed ^ 0x85ebca6b);
+  let state = createMatch({ opponent, format, rules, playerModel, seed });
+  while (state.phase === 'toss') state = toss(state, rng.pick(TOSS_CHOICES)).state;
+  if (state.phase === 'choose') state = chooseTo(state, rng.next() < 0.5 ? 'bat' : 'bowl').state;
+
+  let balls = 0;
+  while (state.phase === 'innings') {
+    state = state.pendingReview
+      ? reviewDismissal(state, true).state
+      : playBall(state, STRATEGIES[strategy].pick(rng, { played: played + balls++ })).state;
+  }
+  return { match: state, balls };
+};
+
+// --- Summaries ---
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+const share = (matches, result) => mean(matches.map(match => (match.result === result ? 1 : 0)));
+
+// What one strategy v persona pairing came to. Scores are a side's runs in
+// the match, super overs included; innings lengths count every ball bowled.
+export const summarise = (matches) => {
+  const runsOf = (match, side) => match.innings.filter(i => i.batting === side).reduce((sum, i) => sum + i.runs, 0);
+  const innings = matches.flatMap(match => match.innings);
+  return {
+    matches: matches.length,
+    playerWinRate: share(matches, 'win'),
+    aiWinRate: share(matches, 'loss'),
+    drawRate: share(matches, 'draw'),
+    playerScore: mean(matches.map(match => runsOf(match, 'player'))),
+    aiScore: mean(matches.map(match => runsOf(match, 'computer'))),
+    playerInningsBalls: mean(innings.filter(i => i.batting === 'player').map(i => i.balls.length)),
+    aiInningsBalls: mean(innings.filter(i => i.batting === 'computer').map(i => i.balls.length)),
+    matchBalls: mean(matches.map(match => match.innings.reduce((sum, i) => sum + i.balls.length, 0))),
+  };
+};
+
+// Every strategy against every persona, `matches` times each.
+export const runSimulation = ({
+  strategies = Object.keys(STRATEGIES),
+  opponents = Object.keys(PERSONAS),
+  matches = DEFAULT_MATCHES,
+  format = DEFAULT_FORMAT,
+  rules = STANDARD_RULES,
+  seed = randomSeed(),
+} = {}) => {
+  const seeds = createRng(seed);
+  const results = strategies.flatMap(strategy => opponents.map(opponent => {
+    let playerModel = createPlayerModel();
+    let played = 0;
+    const finished = [];
+    for (let i = 0; i < matches; i++) {
+      const { match, balls } = playScriptedMatch({ strategy, opponent, format, rules, playerModel, played, seed: seeds.int(0, 0xffffffff) });
+      playerModel = match.playerModel;
+      played += balls;
+      finished.push(match);
+    }
+    return { strategy, opponent, ...summarise(finished) };
+  }));
+  return { seed, matches, format, rules, results };
+};
+
+// --- Table ---
+const COLUMNS = [
+  ['Strategy', row => STRATEGIES[row.strategy].name],
+  ['Opponent', row => PERSONAS[row.opponent].name],
+  ['Player win', row => `${(row.playerWinRate * 100).toFixed(1)}%`],
+  ['AI win', row => `${(row.aiWinRate * 100).toFixed(1)}%`],
+  ['Draw', row => `${(row.drawRate * 100).toFixed(1)}%`],
+  ['Player runs', row => row.playerScore.toFixed(1)],
+  ['AI runs', row => row.aiScore.toFixed(1)],
+  ['Player inns', row => row.playerInningsBalls.toFixed(1)],
+  ['AI inns', row => row.aiInningsBalls.toFixed(1)],
+  ['Match balls', row => row.matchBalls.toFixed(1)],
+];
+
+// Plain text, one row per pairing; innings and match lengths are in balls.
+export const simulationTable = ({ results }) => {
+  const rows = [COLUMNS.map(([heading]) => heading), ...results.map(row => COLUMNS.map(([, cell]) => cell(row)))];
+  const widths = COLUMNS.map((column, index) => Math.max(...rows.map(row => row[index].length)));
+  const line = (row) => row.map((cell, index) => (index < 2 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  ');
+  return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)].join('\n');
+};
@@ -0,0 +1,46 @@
+import { STRATEGIES, playScriptedMatch, summarise, runSimulation, simulationTable } from './simulate';
+import { createRng } from './rng';
+import { FORMAT_PRESETS } from './formats';
+
+test('scripted strategies play what they say', () => {
+  const rng = createRng(1);
+  expect([0, 1, 2, 3].map(played => STRATEGIES.sixes.pick(rng, { played }))).toEqual([6, 6, 6, 6]);
+  expect([0, 1, 5, 6, 7].map(played => STRATEGIES.cycle.pick(rng, { played }))).toEqual([1, 2, 6, 1, 2]);
+  const picks = Array.from({ length: 600 }, (_, played) => STRATEGIES.biased.pick(rng, { played }));
+  expect(picks.filter(n => n === 6).length).toBeGreaterThan(picks.filter(n => n === 1).length * 2);
+});
+
+test('a scripted match is played to the end through the engine, reviews and all', () => {
+  const { match, balls } = playScriptedMatch({ strategy: 'random', opponent: 'keeper', format: FORMAT_PRESETS.t5, rules: ['review', 'superOver'], seed: 99 });
+  expect(match.phase).toBe('over');
+  expect(match.pendingReview).toBe(false);
+  expect(balls).toBe(match.innings.reduce((sum, i) => sum + i.balls.length, 0));
+});
+
+test('the same seed gives the same results', () => {
+  const options = { strategies: ['cycle'], opponents: ['mindReader', 'rookie'], matches: 20, seed: 1234 };
+  const run = runSimulation(options);
+  expect(runSimulation(options)).toEqual(run);
+  expect(runSimulation({ ...options, seed: 4321 })).not.toEqual(run);
+  expect(run.results.map(row => [row.strategy, row.opponent, row.matches])).toEqual([['cycle', 'mindReader', 20], ['cycle', 'rookie', 20]]);
+});
+
+test('summaries average the results, scores and lengths', () => {
+  const innings = (batting, runs, balls) => ({ batting, runs, balls: Array(balls).fill({}) });
+  const summary = summarise([
+    { result: 'win', innings: [innings('computer', 10, 4), innings('player', 11, 6)] },
+    { result: 'draw', innings: [innings('player', 5, 2), innings('computer', 5, 2)] },
+  ]);
+  expect(summary).toEqual({
+    matches: 2, playerWinRate: 0.5, aiWinRate: 0, drawRate: 0.5, playerScore: 8, aiScore: 7.5,
+    playerInningsBalls: 4, aiInningsBalls: 3, matchBalls: 7,
+  });
+});
+
+test('the table has a row per pairing', () => {
+  const table = simulationTable(runSimulation({ strategies: ['sixes'], opponents: ['rookie', 'slogger'], matches: 5, seed: 3 }));
+  const lines = table.split('\n');
+  expect(lines).toHaveLength(4);
+  expect(lines[0]).toMatch(/^Strategy\s+Opponent\s+Player win/);
+  expect(lines[2]).toMatch(/^Always 6\s+Village Rookie\s+\d+\.\d%/);
+});
@@ -0,0 +1,122 @@
+import { currentInnings, inningsFormat, legalBalls } from './engine.js';
+import { BALLS_PER_OVER } from './formats.js';
+
+// --- Sounds ---
+// Every sound is a short recipe of layers that the Web Audio engine
+// (src/audio/soundEngine.js) builds on the fly, so nothing is downloaded and
+// the game sounds the same offline. A layer is either
+// - a tone: { wave, freq, to?, start?, duration, gain }, gliding to `to`, or
+// - noise: { color, filter?, start?, attack?, duration, gain }.
+// Times are in seconds from when the sound is played.
+
+export const SOUND_CATEGORIES = [
+  { id: 'effects', name: 'Bat & ball' },
+  { id: 'crowd', name: 'Crowd & fanfare' },
+  { id: 'interface', name: 'Buttons' },
+];
+
+// Which volume slider each sound follows.
+export const SOUND_EVENTS = {
+  batHit: 'effects',
+  six: 'effects',
+  wicket: 'effects',
+  lastBall: 'effects',
+  win: 'crowd',
+  loss: 'crowd',
+  draw: 'crowd',
+  milestone: 'crowd',
+  inningsBreak: 'crowd',
+  click: 'interface',
+};
+
+const NOTES = { G3: 196, C4: 262, E4: 330, G4: 392, A4: 440, C5: 523, E5: 659, G5: 784, A5: 880, C6: 1047, E6: 1319 };
+
+const tone = (wave, freq, duration, options = {}) => ({ type: 'tone', wave, freq, duration, gain: 0.4, ...options });
+const noise = (color, duration, options = {}) => ({ type: 'noise', color, duration, gain: 0.4, ...options });
+// Notes one after another, `step` seconds apart.
+const arpeggio = (wave, notes, step, options = {}) =>
+  notes.map((name, index) => tone(wave, NOTES[name], step, { start: index * step, ...options }));
+
+const roar = (duration, gain = 0.5) => noise('pink', duration, { attack: 0.3, gain, filter: { type: 'bandpass', freq: 900, q: 0.7 } });
+const crack = noise('white', 0.05, { gain: 0.5, filter: { type: 'bandpass', freq: 1800, q: 1 } });
+
+export const SOUND_PACKS = {
+  synth: {
+    id: 'synth',
+    name: 'Synth',
+    emoji: '🎹',
+    description: 'Clean electronic plucks and chimes.',
+    sounds: {
+      batHit: [tone('triangle', NOTES.C5, 0.15, { to: NOTES.C4, gain: 0.5 }), noise('white', 0.03, { gain: 0.2, filter: { type: 'highpass', freq: 2000 } })],
+      six: [tone('triangle', NOTES.C5, 0.15, { to: NOTES.C4, gain: 0.5 }), ...arpeggio('sine', ['C5', 'E5', 'G5', 'C6'], 0.08, { start: 0.1, gain: 0.3 })],
+      wicket: [tone('square', 130, 0.3, { gain: 0.2 }), tone('square', 190, 0.3, { gain: 0.15 }), noise('white', 0.1, { gain: 0.3, filter: { type: 'bandpass', freq: 4000 } })],
+      lastBall: [noise('brown', 0.8, { attack: 0.7, gain: 0.5, filter: { type: 'lowpass', freq: 300 } }), ...arpeggio('sine', ['C5', 'G5', 'C6'], 0.12, { start: 0.8, gain: 0.35 })],
+      win: [noise('white', 2, { attack: 0.2, gain: 0.25, filter: { type: 'lowpass', freq: 3000 } }), ...arpeggio('sine', ['C5', 'E5', 'G5'], 0.15, { gain: 0.3 })],
+      loss: [noise('brown', 2, { attack: 0.5, gain: 0.4 }), tone('sawtooth', 220, 1, { to: 110, gain: 0.1 })],
+      draw: [noise('brown', 0.8, { attack: 0.3, gain: 0.25 })],
+      milestone: [tone('sine', NOTES.C5, 0.2, { gain: 0.4 }), tone('sine', NOTES.G5, 0.3, { start: 0.2, gain: 0.4 })],
+      inningsBreak: [tone('triangle', NOTES.G4, 0.3, { gain: 0.35 }), tone('triangle', NOTES.C5, 0.5, { start: 0.3, gain: 0.35 })],
+      click: [tone('sine', 130, 0.08, { to: 65, gain: 0.4 })],
+    },
+  },
+  stadium: {
+    id: 'stadium',
+    name: 'Stadium Crowd',
+    emoji: '🏟️',
+    description: 'Leather on willow and a crowd that lives every ball.',
+    sounds: {
+      batHit: [crack, tone('sine', 90, 0.1, { to: 60, gain: 0.4 })],
+      six: [crack, roar(2.5, 0.6)],
+      wicket: [noise('white', 0.08, { gain: 0.5, filter: { type: 'bandpass', freq: 3000, q: 2 } }), roar(1.5)],
+      lastBall: [roar(3.5, 0.7)],
+      win: [roar(3, 0.6), noise('white', 2.5, { start: 0.3, attack: 0.2, gain: 0.25, filter: { type: 'bandpass', freq: 2500, q: 0.8 } })],
+      loss: [noise('brown', 2, { attack: 0.4, gain: 0.5, filter: { type: 'lowpass', freq: 400 } })],
+      draw: [noise('pink', 1.5, { attack: 0.3, gain: 0.3, filter: { type: 'lowpass', freq: 800 } })],
+      milestone: [noise('white', 1.5, { attack: 0.1, gain: 0.35, filter: { type: 'bandpass', freq: 2500, q: 0.8 } })],
+      inningsBreak: [noise('pink', 2, { attack: 0.5, gain: 0.2, filter: { type: 'lowpass', freq: 800 } }), tone('sine', NOTES.E5, 0.4, { gain: 0.3 }), tone('sine', NOTES.C5, 0.6, { start: 0.4, gain: 0.3 })],
+      click: [noise('white', 0.02, { gain: 0.3, filter: { type: 'highpass', freq: 3000 } })],
+    },
+  },
+  retro: {
+    id: 'retro',
+    name: 'Retro 8-bit',
+    emoji: '👾',
+    description: 'Bleeps and arpeggios straight out of an arcade.',
+    sounds: {
+      batHit: [tone('square', NOTES.A4, 0.08, { to: NOTES.A5, gain: 0.2 })],
+      six: arpeggio('square', ['C5', 'E5', 'G5', 'C6'], 0.07, { gain: 0.2 }),
+      wicket: [tone('square', NOTES.A4, 0.4, { to: 110, gain: 0.2 })],
+      lastBall: [...arpeggio('square', ['A5', 'A5', 'A5', 'A5'], 0.06, { gain: 0.15 }), tone('square', NOTES.E6, 0.3, { start: 0.24, gain: 0.2 })],
+      win: [...arpeggio('square', ['C5', 'E5', 'G5'], 0.12, { gain: 0.2 }), tone('square', NOTES.C6, 0.3, { start: 0.36, gain: 0.2 })],
+      loss: [...arpeggio('square', ['G4', 'E4', 'C4'], 0.2, { gain: 0.2 }), tone('square', NOTES.G3, 0.5, { start: 0.6, gain: 0.2 })],
+      draw: arpeggio('square', ['A4', 'A4'], 0.15, { gain: 0.2 }),
+      milestone: [tone('square', NOTES.G5, 0.1, { gain: 0.2 }), tone('square', NOTES.C6, 0.2, { start: 0.1, gain: 0.2 })],
+      inningsBreak: arpeggio('triangle', ['C5', 'G4', 'C5'], 0.15, { gain: 0.3 }),
+      click: [tone('square', 1200, 0.03, { gain: 0.1 })],
+    },
+  },
+};
+
+export const DEFAULT_SOUND_PACK = 'synth';
+
+export const DEFAULT_AUDIO = {
+  muted: false,
+  pack: DEFAULT_SOUND_PACK,
+  master: 0.8,
+  volumes: { effects: 1, crowd: 0.8, interface: 0.6 },
+};
+
+export const soundRecipe = (pack, name) => (SOUND_PACKS[pack] || SOUND_PACKS[DEFAULT_SOUND_PACK]).sounds[name] || null;
+
+// The sound for a ball: a finish off the very last ball of the match, a six,
+// a wicket or an ordinary hit. `state` is the match after the ball.
+export const ballSound = (state, events) => {
+  const [ball] = events;
+  const innings = currentInnings(state);
+  const { overs } = inningsFormat(state, innings);
+  const finished = events.some(event => event.type === 'matchEnd');
+  if (finished && overs && legalBalls(innings) === overs * BALLS_PER_OVER) return 'lastBall';
+  if (ball.wicket) return 'wicket';
+  const [batter, bowler] = ball.batting === 'player' ? [ball.playerNumber, ball.computerNumber] : [ball.computerNumber, ball.playerNumber];
+  return batter === 6 && bowler !== 6 ? 'six' : 'batHit';
+};
@@ -0,0 +1,34 @@
+import { createMatch, toss, chooseTo, playBall } from './engine';
+import { customFormat } from './formats';
+import { SOUND_PACKS, SOUND_EVENTS, soundRecipe, ballSound } from './sounds';
+
+const play = (state, [player, computer]) => playBall(state, player, computer);
+
+test('every pack has a sound for every event', () => {
+  Object.values(SOUND_PACKS).forEach(pack => {
+    expect(Object.keys(pack.sounds).sort()).toEqual(Object.keys(SOUND_EVENTS).sort());
+    Object.values(pack.sounds).flat().forEach(layer => {
+      expect(layer.duration).toBeGreaterThan(0);
+      expect(layer.gain).toBeGreaterThan(0);
+    });
+  });
+  expect(soundRecipe('nonsense', 'click')).toBe(SOUND_PACKS.synth.sounds.click);
+  expect(soundRecipe('retro', 'nonsense')).toBeNull();
+});
+
+test('a ball sounds like a hit, a six, a wicket or a last-ball finish', () => {
+  let state = createMatch({ seed: 2, format: customFormat(1, 1) });
+  state = chooseTo(toss(state, 'rock', 'scissors').state, 'bowl').state;
+  const ball = (picks) => {
+    const { state: next, events } = play(state, picks);
+    state = next;
+    return ballSound(next, events);
+  };
+  expect(ball([1, 6])).toBe('six');
+  expect(ball([1, 3])).toBe('batHit');
+  expect(ball([2, 2])).toBe('wicket');
+  // Chasing 10 off six balls, the winning runs come off the last one.
+  [[1, 2], [1, 2], [1, 2], [1, 2], [1, 2]].forEach(picks => ball(picks));
+  expect(state.phase).toBe('innings');
+  expect(ball([5, 1])).toBe('lastBall');
+});
@@ -0,0 +1,32 @@
+import { runsFor, wicketsTakenBy, resultFor } from './engine.js';
+
+// --- Career stats ---
+export const DEFAULT_STATS = { wins: 0, losses: 0, draws: 0, totalRuns: 0, highestScore: 0, wickets: 0, forfeits: 0, achievements: {} };
+
+// Folds a finished match into the career totals of one side in one step, so
+// nothing depends on intermediate per-ball updates having been applied.
+export const recordMatch = (stats, match, side = 'player') => {
+  const runs = runsFor(match, side);
+  const result = resultFor(match, side);
+  return {
+    ...stats,
+    wins: (stats.wins || 0) + (result === 'win' ? 1 : 0),
+    losses: (stats.losses || 0) + (result === 'loss' ? 1 : 0),
+    draws: (stats.draws || 0) + (result === 'draw' ? 1 : 0),
+    totalRuns: (stats.totalRuns || 0) + runs,
+    highestScore: Math.max(stats.highestScore || 0, runs),
+    wickets: (stats.wickets || 0) + wicketsTakenBy(match, side),
+    forfeits: (stats.forfeits || 0) + (match.forfeitedBy === side ? 1 : 0),
+  };
+};
+
+// Pass-and-play careers are kept per local player name, apart from the
+// career against the computer.
+export const recordHotseatMatch = (hotseatStats, match) => {
+  const next = { ...hotseatStats };
+  ['player', 'computer'].forEach(side => {
+    const name = match.players[side];
+    next[name] = recordMatch(next[name] || DEFAULT_STATS, match, side);
+  });
+  return next;
+};
@@ -0,0 +1,33 @@
+import { createMatch, toss, chooseTo, playBall, forfeit } from './engine';
+import { DEFAULT_STATS, recordMatch, recordHotseatMatch } from './stats';
+
+const finishedHotseatMatch = () => {
+  let state = createMatch({ mode: 'hotseat', players: { player: 'Ann', computer: 'Bob' }, seed: 1 });
+  state = toss(state, 'rock', 'scissors').state;
+  state = chooseTo(state, 'bat').state;
+  state = playBall(state, 6, 1).state; // Ann 6
+  state = playBall(state, 3, 3).state; // Ann out for 6, Bob needs 7
+  state = playBall(state, 2, 4).state; // Bob 4
+  return playBall(state, 5, 5).state; // Bob out for 4
+};
+
+test('a match is folded into the career from either side', () => {
+  const match = finishedHotseatMatch();
+  expect(recordMatch(DEFAULT_STATS, match)).toMatchObject({ wins: 1, losses: 0, totalRuns: 6, highestScore: 6, wickets: 1 });
+  expect(recordMatch(DEFAULT_STATS, match, 'computer')).toMatchObject({ wins: 0, losses: 1, totalRuns: 4, highestScore: 4, wickets: 1 });
+});
+
+test('pass-and-play careers are kept per player name', () => {
+  const recorded = recordHotseatMatch({ Ann: { ...DEFAULT_STATS, wins: 2 } }, finishedHotseatMatch());
+  expect(recorded.Ann.wins).toBe(3);
+  expect(recorded.Bob).toMatchObject({ wins: 0, losses: 1 });
+});
+
+test('a forfeit counts as a loss for the side that walked away', () => {
+  let state = createMatch({ seed: 4 });
+  state = toss(state, 'rock', 'scissors').state;
+  state = chooseTo(state, 'bat').state;
+  state = forfeit(playBall(state, 5, 2).state).state;
+  expect(recordMatch(DEFAULT_STATS, state)).toMatchObject({ losses: 1, forfeits: 1, totalRuns: 5 });
+  expect(recordMatch(DEFAULT_STATS, state, 'computer')).toMatchObject({ wins: 1, forfeits: 0 });
+});
@@ -0,0 +1,151 @@
+// --- Themes ---
+// A theme is a set of design tokens, one colour for each role on screen.
+// The app sets them as CSS variables on the page (`--color-<token>`) and
+// Tailwind's colour names (bg-surface, text-muted, bg-primary…, see
+// tailwind.config.js) read those variables, so components never check which
+// theme is on.
+//
+// page, surface      the background and the cards and dialogs on it
+// raised             inputs, rows and panels sitting on a surface
+// control            unselected chips and buttons; controlHover under icons
+// line, frame        borders; frame edges the dialogs
+// body, muted        text and secondary text
+// heading, score     titles and the batting side's score
+// primary, accent    team colours: number buttons and main actions, then
+//                    selected chips and tabs; onPrimary/onAccent sit on them
+// neutral            secondary buttons, with white text
+// success, danger    wins and sixes, wickets and warnings; *Soft behind text
+
+export const THEME_TOKENS = [
+  'page', 'surface', 'raised', 'control', 'controlHover', 'line', 'frame', 'body', 'muted', 'heading', 'score',
+  'primary', 'onPrimary', 'accent', 'onAccent', 'neutral', 'success', 'successSoft', 'danger', 'dangerSoft',
+];
+
+const LIGHT = {
+  page: '#f3f4f6', surface: '#ffffff', raised: '#f3f4f6', control: '#e5e7eb', controlHover: '#d1d5db',
+  line: '#e5e7eb', frame: '#ffffff', body: '#374151', muted: '#6b7280', heading: '#1e3a8a', score: '#0891b2',
+  primary: '#0891b2', onPrimary: '#ffffff', accent: '#9333ea', onAccent: '#ffffff', neutral: '#6b7280',
+  success: '#22c55e', successSoft: '#dcfce7', danger: '#ef4444', dangerSoft: '#fee2e2',
+};
+
+const DARK = {
+  page: '#111827', surface: '#1f2937', raised: '#374151', control: '#374151', controlHover: '#4b5563',
+  line: '#4b5563', frame: '#1f2937', body: '#d1d5db', muted: '#9ca3af', heading: '#eff6ff', score: '#22d3ee',
+  primary: '#0891b2', onPrimary: '#ffffff', accent: '#9333ea', onAccent: '#ffffff', neutral: '#6b7280',
+  success: '#22c55e', successSoft: '#14532d', danger: '#ef4444', dangerSoft: '#7f1d1d',
+};
+
+export const THEMES = {
+  light: { id: 'light', name: 'Light', emoji: '☀️', dark: false, tokens: LIGHT },
+  dark: { id: 'dark', name: 'Dark', emoji: '🌙', dark: true, tokens: DARK },
+  highContrast: {
+    id: 'highContrast', name: 'High Contrast', emoji: '🔳', dark: true,
+    tokens: {
+      ...DARK,
+      page: '#000000', surface: '#000000', raised: '#1a1a1a', control: '#262626', controlHover: '#404040',
+      line: '#ffffff', frame: '#ffffff', body: '#ffffff', muted: '#e5e5e5', heading: '#ffff00', score: '#00ffff',
+      primary: '#ffff00', onPrimary: '#000000', accent: '#00ffff', onAccent: '#000000', neutral: '#404040',
+      success: '#008000', successSoft: '#003300', danger: '#e00000', dangerSoft: '#4d0000',
+    },
+  },
+  // Blue and orange in place of green and red, from the Okabe-Ito palette.
+  colourBlind: {
+    id: 'colourBlind', name: 'Colour-blind Safe', emoji: '👁️', dark: false,
+    tokens: {
+      ...LIGHT,
+      score: '#0072b2', primary: '#0072b2', accent: '#6a3d9a', neutral: '#595959',
+      success: '#0072b2', successSoft: '#d6eaf8', danger: '#d55e00', dangerSoft: '#fbe3d0',
+    },
+  },
+  floodlights: {
+    id: 'floodlights', name: 'Floodlights', emoji: '💡', dark: true,
+    tokens: {
+      ...DARK,
+      page: '#0b1026', surface: '#151c3b', raised: '#222b52', control: '#222b52', controlHover: '#2f3a69',
+      line: '#2f3a69', frame: '#facc15', heading: '#fef9c3', score: '#facc15',
+      primary: '#facc15', onPrimary: '#0b1026', accent: '#2563eb',
+    },
+  },
+  greenTop: {
+    id: 'greenTop', name: 'Green Top', emoji: '🌱', dark: false,
+    tokens: {
+      ...LIGHT,
+      page: '#dcead5', surface: '#fdfbf3', raised: '#eef3e6', control: '#e2ead8', controlHover: '#cfdcc2',
+      line: '#cfdcc2', frame: '#15803d', body: '#2f3b2f', heading: '#14532d', score: '#15803d',
+      primary: '#15803d', accent: '#a16207',
+    },
+  },
+  pinkBall: {
+    id: 'pinkBall', name: 'Pink Ball', emoji: '🩷', dark: true,
+    tokens: {
+      ...DARK,
+      page: '#1a1025', surface: '#2a1a3a', raised: '#3b2850', control: '#3b2850', controlHover: '#4e3768',
+      line: '#4e3768', frame: '#ec4899', heading: '#fce7f3', score: '#f472b6',
+      primary: '#db2777', accent: '#7c3aed',
+    },
+  },
+};
+
+// The `theme` setting is a theme id, 'custom', or 'system' to follow the
+// device's light or dark preference.
+export const SYSTEM_THEME = 'system';
+export const CUSTOM_THEME = 'custom';
+export const isThemeChoice = (value) => value === SYSTEM_THEME || value === CUSTOM_THEME || Boolean(THEMES[value]);
+
+// --- Custom team colours ---
+export const DEFAULT_CUSTOM_THEME = { base: 'light', primary: '#0891b2', accent: '#9333ea' };
+
+const channels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+export const isHexColour = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+// Relative luminance and contrast ratio as defined by WCAG.
+const luminance = (hex) => {
+  const [r, g, b] = channels(hex).map(c => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+export const contrastRatio = (a, b) => {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+// Black or white, whichever reads better on `hex`.
+const textOn = (hex) => (contrastRatio(hex, '#ffffff') >= contrastRatio(hex, '#000000') ? '#ffffff' : '#000000');
+
+// A light or dark theme with the team colours on the buttons, chips and
+// dialog edges. The score only takes the team colour when it stays readable.
+export const customTheme = ({ base, primary, accent }) => {
+  const tokens = THEMES[base].tokens;
+  return {
+    id: CUSTOM_THEME,
+    name: 'Team Colours',
+    emoji: '🎨',
+    dark: THEMES[base].dark,
+    tokens: {
+      ...tokens,
+      frame: primary,
+      score: contrastRatio(primary, tokens.surface) >= 3 ? primary : tokens.score,
+      primary,
+      onPrimary: textOn(primary),
+      accent,
+      onAccent: textOn(accent),
+    },
+  };
+};
+
+// The theme to show for a setting; `systemDark` is whether the device asks
+// for a dark theme.
+export const resolveTheme = (choice, systemDark, custom = DEFAULT_CUSTOM_THEME) => {
+  if (choice === CUSTOM_THEME) return customTheme(custom);
+  return THEMES[choice] || (systemDark ? THEMES.dark : THEMES.light);
+};
+
+const kebab = (token) => token.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+// The CSS custom properties for a theme, e.g. { '--color-on-primary': '#ffffff' }.
+export const themeVariables = (theme) =>
+  Object.fromEntries(THEME_TOKENS.map(token => [`--color-${kebab(token)}`, theme.tokens[token]]));
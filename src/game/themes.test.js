@@ -0,0 +1,33 @@
+import { THEMES, THEME_TOKENS, CUSTOM_THEME, isHexColour, contrastRatio, customTheme, resolveTheme, themeVariables } from './themes';
+
+test('every theme sets every token, with readable text', () => {
+  Object.values(THEMES).forEach(theme => {
+    THEME_TOKENS.forEach(token => expect(isHexColour(theme.tokens[token])).toBe(true));
+    expect(contrastRatio(theme.tokens.body, theme.tokens.surface)).toBeGreaterThanOrEqual(4.5);
+    expect(contrastRatio(theme.tokens.heading, theme.tokens.surface)).toBeGreaterThanOrEqual(4.5);
+    expect(contrastRatio(theme.tokens.onPrimary, theme.tokens.primary)).toBeGreaterThanOrEqual(3);
+  });
+});
+
+test('the system theme follows the device until one is picked', () => {
+  expect(resolveTheme('system', true)).toBe(THEMES.dark);
+  expect(resolveTheme('system', false)).toBe(THEMES.light);
+  expect(resolveTheme('floodlights', false)).toBe(THEMES.floodlights);
+  expect(resolveTheme(CUSTOM_THEME, false, { base: 'dark', primary: '#ffd700', accent: '#000080' }).dark).toBe(true);
+});
+
+test('team colours pick readable text and keep the score legible', () => {
+  const theme = customTheme({ base: 'light', primary: '#ffd700', accent: '#000080' });
+  expect(theme.tokens.onPrimary).toBe('#000000');
+  expect(theme.tokens.onAccent).toBe('#ffffff');
+  // Gold is too pale for the score on a white card.
+  expect(theme.tokens.score).toBe(THEMES.light.tokens.score);
+  expect(customTheme({ base: 'dark', primary: '#ffd700', accent: '#000080' }).tokens.score).toBe('#ffd700');
+});
+
+test('tokens become CSS variables', () => {
+  const variables = themeVariables(THEMES.dark);
+  expect(variables['--color-surface']).toBe('#1f2937');
+  expect(variables['--color-on-primary']).toBe('#ffffff');
+  expect(variables['--color-control-hover']).toBe('#4b5563');
+});
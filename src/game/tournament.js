@@ -0,0 +1,269 @@
+import { createMatch, toss, chooseTo, playBall, currentInnings, TOSS_CHOICES } from './engine.js';
+import { getComputerChoice, getTossDecision } from './ai.js';
+import { createPlayerModel, updatePlayerModel } from './predictor.js';
+import { getPersona, personaName } from './personas.js';
+import { createRng, randomSeed } from './rng.js';
+import { BALLS_PER_OVER, DEFAULT_FORMAT } from './formats.js';
+import { getTranslator } from './i18n.js';
+
+// --- Series and tournaments ---
+// A competition is a plain, serialisable object like a match. Teams are the
+// user (USER) and AI persona ids. The user's fixtures are played as normal
+// matches; fixtures between two personas are simulated by the engine.
+//
+// - series: best of 3 or 5 against one persona; the first to win a majority
+//   takes it, and it is shared if neither has after every match
+// - league: a single round robin, then semi-finals (four or more teams) or a
+//   straight final. A drawn knockout goes to the higher league seed.
+
+export const USER = 'you';
+export const POINTS = { win: 2, draw: 1, loss: 0 };
+export const SERIES_LENGTHS = [3, 5];
+export const MAX_TOURNAMENT_HISTORY = 20;
+
+export const teamName = (team, t = getTranslator()) => (team === USER ? t('sides.you') : personaName(getPersona(team), t));
+export const teamLabel = (team, t = getTranslator()) => `${team === USER ? '🙂' : getPersona(team).emoji} ${teamName(team, t)}`;
+
+// Worked out when shown rather than stored, so it follows the language.
+export const tournamentName = (tournament, t = getTranslator()) => (tournament.type === 'series'
+  ? t('tournament.seriesName', { count: tournament.bestOf, opponent: teamName(tournament.teams[1], t) })
+  : t('tournament.leagueName', { count: tournament.teams.length }));
+
+export const involvesUser = (fixture) => fixture.home === USER || fixture.away === USER;
+
+// --- Persona v persona ---
+// The home persona plays the engine's 'player' side, reading the away
+// persona's habits the same way the engine's AI reads the player's.
+export const simulateMatch = ({ home, away, format = DEFAULT_FORMAT, seed = randomSeed() }) => {
+  const homeRng = createRng(seed ^ 0x9e3779b9);
+  let awayModel = createPlayerModel();
+  let state = createMatch({ opponent: away, format, seed });
+  while (state.phase === 'toss') state = toss(state, homeRng.pick(TOSS_CHOICES)).state;
+  if (state.phase === 'choose') state = chooseTo(state, getTossDecision({ opponent: home, rng: homeRng })).state;
+
+  while (state.phase === 'innings') {
+    const awayRole = currentInnings(state).batting === 'player' ? 'bowling' : 'batting';
+    const homeNumber = getComputerChoice({ model: awayModel, role: awayRole, opponent: home, rng: homeRng });
+    const { state: next, events } = playBall(state, homeNumber);
+    awayModel = updatePlayerModel(awayModel, awayRole, events[0].computerNumber);
+    state = next;
+  }
+  return state;
+};
+
+// What the table and awards need from a finished match. The home team is
+// always the engine's 'player' side.
+export const fixtureResult = (fixture, match) => {
+  const teamOf = { player: fixture.home, computer: fixture.away };
+  return {
+    winner: match.result === 'draw' ? null : teamOf[match.result === 'win' ? 'player' : 'computer'],
+    forfeit: Boolean(match.forfeitedBy),
+    innings: match.innings.map(i => ({
+      team: teamOf[i.batting],
+      runs: i.runs,
+      wickets: i.wickets,
+      balls: i.balls.length,
+      allOut: i.wickets >= match.format.wickets,
+    })),
+  };
+};
+
+// --- Creating ---
+const fixtureSeed = (tournament, index) => (tournament.seed + index * 7919) >>> 0;
+
+// The user always plays at home so their side is the engine's 'player'.
+const addFixture = (tournament, { stage, round, home, away, favourite = null }) => {
+  const [first, second] = away === USER ? [away, home] : [home, away];
+  const fixture = {
+    id: `${stage}-${round}`,
+    stage,
+    round,
+    home: first,
+    away: second,
+    favourite,
+    seed: fixtureSeed(tournament, tournament.fixtures.length),
+    result: null,
+  };
+  return { ...tournament, fixtures: [...tournament.fixtures, fixture] };
+};
+
+const newTournament = ({ type, teams, format, seed, createdAt }) => ({
+  id: `${createdAt.getTime().toString(36)}-${seed.toString(36)}`,
+  type,
+  teams,
+  format,
+  seed,
+  createdAt: createdAt.toISOString(),
+  phase: type === 'series' ? 'series' : 'league', // series | league -> knockout -> complete
+  fixtures: [],
+  champion: null, // null when a series is shared
+  completedAt: null,
+});
+
+export const createSeries = ({ opponent, bestOf = 3, format = DEFAULT_FORMAT, seed = randomSeed(), createdAt = new Date() }) => {
+  const series = {
+    ...newTournament({ type: 'series', teams: [USER, opponent], format, seed, createdAt }),
+    bestOf,
+  };
+  return addFixture(series, { stage: 'series', round: 1, home: USER, away: opponent });
+};
+
+// Circle method: every team meets every other once, one round at a time.
+const roundRobin = (teams) => {
+  const slots = teams.length % 2 ? [...teams, null] : [...teams];
+  const rounds = [];
+  for (let r = 0; r < slots.length - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < slots.length / 2; i++) {
+      const [home, away] = [slots[i], slots[slots.length - 1 - i]];
+      if (home && away) pairs.push([home, away]);
+    }
+    rounds.push(pairs);
+    slots.splice(1, 0, slots.pop());
+  }
+  return rounds;
+};
+
+export const createLeague = ({ opponents, format = DEFAULT_FORMAT, seed = randomSeed(), createdAt = new Date() }) => {
+  const teams = [USER, ...opponents];
+  let league = newTournament({ type: 'league', teams, format, seed, createdAt });
+  let number = 0;
+  roundRobin(teams).forEach(pairs => pairs.forEach(([home, away]) => {
+    number++;
+    league = addFixture(league, { stage: 'league', round: number, home, away });
+  }));
+  return league;
+};
+
+// --- Standings ---
+const runRate = (runs, balls) => (balls ? (runs * BALLS_PER_OVER) / balls : 0);
+
+// Net run rate counts an all-out side as having faced its full overs, as in
+// limited-overs cricket; without an overs limit the balls faced are used.
+export const pointsTable = (tournament) => {
+  const rows = Object.fromEntries(tournament.teams.map(team => [team, {
+    team, played: 0, won: 0, drawn: 0, lost: 0, points: 0, runsFor: 0, ballsFaced: 0, runsAgainst: 0, ballsBowled: 0,
+  }]));
+  const quota = tournament.format.overs ? tournament.format.overs * BALLS_PER_OVER : null;
+
+  tournament.fixtures
+    .filter(f => f.result && (f.stage === 'league' || f.stage === 'series'))
+    .forEach(({ home, away, result }) => {
+      [home, away].forEach(team => {
+        const row = rows[team];
+        const outcome = result.winner === null ? 'draw' : result.winner === team ? 'win' : 'loss';
+        row.played++;
+        if (outcome === 'win') row.won++;
+        else if (outcome === 'draw') row.drawn++;
+        else row.lost++;
+        row.points += POINTS[outcome];
+      });
+      result.innings.forEach(innings => {
+        const balls = innings.allOut && quota ? quota : innings.balls;
+        const bowling = innings.team === home ? away : home;
+        rows[innings.team].runsFor += innings.runs;
+        rows[innings.team].ballsFaced += balls;
+        rows[bowling].runsAgainst += innings.runs;
+        rows[bowling].ballsBowled += balls;
+      });
+    });
+
+  return Object.values(rows)
+    .map(row => ({ ...row, netRunRate: runRate(row.runsFor, row.ballsFaced) - runRate(row.runsAgainst, row.ballsBowled) }))
+    .sort((a, b) => b.points - a.points || b.netRunRate - a.netRunRate || b.won - a.won);
+};
+
+export const nextFixture = (tournament) => tournament.fixtures.find(f => !f.result) || null;
+
+// The next fixture, if it is the user's turn to play.
+export const userFixture = (tournament) => {
+  const fixture = nextFixture(tournament);
+  return fixture && involvesUser(fixture) && tournament.phase !== 'complete' ? fixture : null;
+};
+
+export const advancingTeam = (fixture) => (fixture.result.winner === null ? fixture.favourite : fixture.result.winner);
+
+// --- Progress ---
+export const recordFixture = (tournament, fixtureId, result) => ({
+  ...tournament,
+  fixtures: tournament.fixtures.map(f => (f.id === fixtureId ? { ...f, result } : f)),
+});
+
+const complete = (tournament, champion, completedAt) => ({
+  ...tournament,
+  phase: 'complete',
+  champion,
+  completedAt: completedAt.toISOString(),
+});
+
+// Called once every fixture so far has a result: adds the next fixtures or
+// finishes the competition.
+const closeStage = (tournament, now) => {
+  if (tournament.type === 'series') {
+    const [, opponent] = tournament.teams;
+    const wins = (team) => tournament.fixtures.filter(f => f.result.winner === team).length;
+    const needed = Math.floor(tournament.bestOf / 2) + 1;
+    const [mine, theirs] = [wins(USER), wins(opponent)];
+    if (mine >= needed || theirs >= needed || tournament.fixtures.length === tournament.bestOf) {
+      return complete(tournament, mine > theirs ? USER : theirs > mine ? opponent : null, now);
+    }
+    return addFixture(tournament, { stage: 'series', round: tournament.fixtures.length + 1, home: USER, away: opponent });
+  }
+
+  const seeds = pointsTable(tournament).map(row => row.team);
+  const higherSeed = (a, b) => (seeds.indexOf(a) < seeds.indexOf(b) ? a : b);
+  if (tournament.phase === 'league') {
+    const knockout = { ...tournament, phase: 'knockout' };
+    if (seeds.length < 4) return addFixture(knockout, { stage: 'final', round: 1, home: seeds[0], away: seeds[1], favourite: seeds[0] });
+    const withFirstSemi = addFixture(knockout, { stage: 'semi', round: 1, home: seeds[0], away: seeds[3], favourite: seeds[0] });
+    return addFixture(withFirstSemi, { stage: 'semi', round: 2, home: seeds[1], away: seeds[2], favourite: seeds[1] });
+  }
+
+  const final = tournament.fixtures.find(f => f.stage === 'final');
+  if (final) return complete(tournament, advancingTeam(final), now);
+  const [first, second] = tournament.fixtures.filter(f => f.stage === 'semi').map(advancingTeam);
+  return addFixture(tournament, { stage: 'final', round: 1, home: first, away: second, favourite: higherSeed(first, second) });
+};
+
+// Plays every persona-v-persona fixture up to the user's next match, moving
+// on through the stages as they fill up.
+export const advanceTournament = (tournament, now = new Date()) => {
+  let next = tournament;
+  while (next.phase !== 'complete') {
+    const fixture = nextFixture(next);
+    if (!fixture) {
+      next = closeStage(next, now);
+    } else if (involvesUser(fixture)) {
+      break;
+    } else {
+      const match = simulateMatch({ home: fixture.home, away: fixture.away, format: next.format, seed: fixture.seed });
+      next = recordFixture(next, fixture.id, fixtureResult(fixture, match));
+    }
+  }
+  return next;
+};
+
+// --- Awards ---
+export const tournamentAwards = (tournament, t = getTranslator()) => {
+  const played = tournament.fixtures.filter(f => f.result);
+  if (played.length === 0) return [];
+
+  const totals = Object.fromEntries(tournament.teams.map(team => [team, { runs: 0, wickets: 0, best: 0 }]));
+  played.forEach(({ home, away, result }) => result.innings.forEach(innings => {
+    totals[innings.team].runs += innings.runs;
+    totals[innings.team].best = Math.max(totals[innings.team].best, innings.runs);
+    totals[innings.team === home ? away : home].wickets += innings.wickets;
+  }));
+
+  const leader = (key) => tournament.teams.reduce((best, team) => (totals[team][key] > totals[best][key] ? team : best));
+  const [topScorer, topBowler, topInnings] = [leader('runs'), leader('wickets'), leader('best')];
+  return [
+    { id: 'topScorer', title: t('tournament.awards.topScorer'), emoji: '🏏', team: topScorer, value: t('tournament.runs', { count: totals[topScorer].runs }) },
+    { id: 'mostWickets', title: t('tournament.awards.mostWickets'), emoji: '🎯', team: topBowler, value: t('tournament.wickets', { count: totals[topBowler].wickets }) },
+    { id: 'highestInnings', title: t('tournament.awards.highestInnings'), emoji: '🚀', team: topInnings, value: t('tournament.runs', { count: totals[topInnings].best }) },
+  ];
+};
+
+// Keeps finished competitions for the honours board, newest first.
+export const archiveTournament = (history, tournament) =>
+  [tournament, ...history.filter(t => t.id !== tournament.id)].slice(0, MAX_TOURNAMENT_HISTORY);
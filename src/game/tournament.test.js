@@ -0,0 +1,108 @@
+import { createMatch, toss, chooseTo, playBall, forfeit } from './engine';
+import { customFormat } from './formats';
+import { getTranslator } from './i18n';
+import {
+  USER, simulateMatch, fixtureResult, createSeries, createLeague, recordFixture, advanceTournament,
+  nextFixture, userFixture, pointsTable, tournamentAwards, tournamentName, teamLabel, archiveTournament,
+} from './tournament';
+
+const NOW = new Date('2026-07-01T12:00:00Z');
+
+// The user's side of a fixture: bats first and scores `runs`, then gets the
+// persona out on the first ball (a win) or lets them reach the target (a loss).
+const userMatch = (opponent, win, runs = 4) => {
+  let state = createMatch({ opponent, seed: 1 });
+  state = toss(state, 'rock', 'scissors').state;
+  state = chooseTo(state, 'bat').state;
+  state = playBall(state, runs, 1).state;
+  state = playBall(state, 2, 2).state;
+  return win ? playBall(state, 3, 3).state : playBall(state, 1, 6).state;
+};
+
+const playUser = (tournament, win) => {
+  const fixture = userFixture(tournament);
+  return advanceTournament(recordFixture(tournament, fixture.id, fixtureResult(fixture, userMatch(fixture.away, win))), NOW);
+};
+
+test('persona v persona matches are simulated to a result, repeatably', () => {
+  const match = simulateMatch({ home: 'slogger', away: 'keeper', format: customFormat(3, 2), seed: 42 });
+  expect(match.phase).toBe('over');
+  expect(simulateMatch({ home: 'slogger', away: 'keeper', format: customFormat(3, 2), seed: 42 })).toEqual(match);
+});
+
+test('a series ends as soon as one side has a majority', () => {
+  let series = createSeries({ opponent: 'keeper', bestOf: 3, seed: 5, createdAt: NOW });
+  expect(userFixture(series)).toMatchObject({ id: 'series-1', home: USER, away: 'keeper' });
+  series = playUser(series, true);
+  expect(series.phase).toBe('series');
+  series = playUser(series, true);
+  expect(series).toMatchObject({ phase: 'complete', champion: USER });
+  expect(series.fixtures).toHaveLength(2);
+  expect(pointsTable(series)[0]).toMatchObject({ team: USER, won: 2, points: 4 });
+});
+
+test('a forfeited series match goes to the persona', () => {
+  const series = createSeries({ opponent: 'rookie', bestOf: 3, seed: 2, createdAt: NOW });
+  const fixture = userFixture(series);
+  const abandoned = forfeit(playBall(chooseTo(toss(createMatch({ opponent: 'rookie', seed: 1 }), 'rock', 'scissors').state, 'bat').state, 2, 1).state).state;
+  expect(fixtureResult(fixture, abandoned)).toMatchObject({ winner: 'rookie', forfeit: true });
+});
+
+test('a league is a round robin, then knockouts, then a champion', () => {
+  let league = advanceTournament(createLeague({ opponents: ['rookie', 'keeper', 'slogger'], format: customFormat(1, 1), seed: 11, createdAt: NOW }), NOW);
+  expect(league.fixtures.filter(f => f.stage === 'league')).toHaveLength(6);
+  expect(league.fixtures.every(f => f.home !== USER || f.away !== USER)).toBe(true);
+  expect(league.fixtures.filter(f => f.away === USER)).toHaveLength(0);
+
+  while (league.phase === 'league') league = playUser(league, true);
+  const table = pointsTable(league);
+  expect(table[0]).toMatchObject({ team: USER, played: 3, won: 3, points: 6 });
+  expect(table.reduce((sum, row) => sum + row.played, 0)).toBe(12);
+  expect(table[0].netRunRate).toBeGreaterThan(0);
+
+  const semis = league.fixtures.filter(f => f.stage === 'semi');
+  expect(semis.map(f => [f.home, f.away])).toEqual([[USER, table[3].team], [table[1].team, table[2].team]]);
+
+  while (league.phase !== 'complete') league = userFixture(league) ? playUser(league, true) : advanceTournament(league, NOW);
+  expect(league.champion).toBe(USER);
+  expect(nextFixture(league)).toBe(null);
+  expect(league.completedAt).toBe(NOW.toISOString());
+});
+
+test('three teams go straight to a final, and a drawn knockout goes to the higher seed', () => {
+  let league = advanceTournament(createLeague({ opponents: ['rookie', 'keeper'], seed: 3, createdAt: NOW }), NOW);
+  while (league.phase === 'league') league = playUser(league, false);
+  const final = league.fixtures.find(f => f.stage === 'final');
+  expect(final).toBeTruthy();
+  expect(final.favourite).toBe(pointsTable(league)[0].team);
+  expect(league.fixtures.some(f => f.stage === 'semi')).toBe(false);
+
+  const drawn = recordFixture(league, final.id, { winner: null, forfeit: false, innings: [] });
+  expect(advanceTournament(drawn, NOW).champion).toBe(final.favourite);
+});
+
+test('awards pick the leading team in each category', () => {
+  let series = createSeries({ opponent: 'slogger', bestOf: 5, seed: 8, createdAt: NOW });
+  series = playUser(series, true);
+  const awards = tournamentAwards(series);
+  expect(awards.map(a => a.id)).toEqual(['topScorer', 'mostWickets', 'highestInnings']);
+  expect(awards[1]).toMatchObject({ team: USER, value: '1 wicket' });
+  expect(tournamentAwards(createSeries({ opponent: 'slogger', seed: 1, createdAt: NOW }))).toEqual([]);
+  expect(archiveTournament([series], series)).toHaveLength(1);
+
+  const ta = getTranslator('ta');
+  expect(tournamentAwards(series, ta)[1]).toMatchObject({ title: ta('tournament.awards.mostWickets'), value: '1 விக்கெட்' });
+});
+
+test('names are worked out in the language they are shown in', () => {
+  const series = createSeries({ opponent: 'slogger', bestOf: 5, seed: 8, createdAt: NOW });
+  const league = createLeague({ opponents: ['rookie', 'keeper', 'slogger'], seed: 8, createdAt: NOW });
+  expect(tournamentName(series)).toBe('Best of 5 v Aggressive Slogger');
+  expect(tournamentName(league)).toBe('4-team League');
+  expect(teamLabel(USER)).toBe('🙂 You');
+
+  const si = getTranslator('si');
+  expect(tournamentName(series, si)).toBe(`${si('personas.slogger.name')} එදිරිව තරග 5න් හොඳම`);
+  expect(teamLabel(USER, si)).toBe('🙂 ඔබ');
+  expect(teamLabel('keeper', si)).toContain(si('personas.keeper.name'));
+});
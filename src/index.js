@@ -2,10 +2,18 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import BroadcastOverlay from './components/BroadcastOverlay';
+import { register } from './serviceWorkerRegistration';
+
+// /overlay is the streaming overlay, fed by a game open in another tab.
+const isOverlay = window.location.pathname.replace(/\/+$/, '').endsWith('/overlay');
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {isOverlay ? <BroadcastOverlay /> : <App />}
   </React.StrictMode>
 );
+
+// Installable and playable offline; see src/service-worker.js.
+register();
@@ -0,0 +1,57 @@
+// --- Commentary client ---
+// Asks the server's /commentary endpoint (see `server/commentary.js`) for
+// commentary on a finished match and passes the text on as it streams in.
+// Off unless REACT_APP_COMMENTARY_URL is set, e.g. http://localhost:4000/commentary.
+
+export const COMMENTARY_URL = process.env.REACT_APP_COMMENTARY_URL || null;
+
+// `code` and `params` pick the message from the catalogues; `message` is the
+// English, for codes the app doesn't know.
+const commentaryFailure = (message, code, params) => Object.assign(new Error(message), { code, params });
+
+const responseError = async (response) => {
+  const unexplained = commentaryFailure(`The commentary box answered with an error (${response.status}).`, 'commentary.httpError', { status: response.status });
+  try {
+    const { error, code, params } = await response.json();
+    return error ? commentaryFailure(error, code, params) : unexplained;
+  } catch (error) {
+    return unexplained;
+  }
+};
+
+// Resolves once the commentary is complete; rejects with an error the app can
+// show if it can't be had or breaks off part way.
+export const streamCommentary = async ({ url = COMMENTARY_URL, report, balls, style, language, onText, signal }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ report, balls, style, language }),
+      signal,
+    });
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    throw commentaryFailure("Can't reach the commentary box. Is `npm run server` running?", 'commentary.offline');
+  }
+  if (!response.ok) throw await responseError(response);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) throw commentaryFailure('The commentary stopped part way through.', 'commentary.brokeOff');
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const block of events) {
+      const lines = block.split('\n');
+      const event = (lines.find(line => line.startsWith('event:')) || 'event: message').slice(6).trim();
+      const data = JSON.parse((lines.find(line => line.startsWith('data:')) || 'data: {}').slice(5));
+      if (event === 'done') return;
+      if (event === 'error') throw commentaryFailure(data.message, data.code, data.params);
+      if (data.text) onText(data.text);
+    }
+  }
+};
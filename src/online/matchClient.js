@@ -0,0 +1,80 @@
+// --- Online match client ---
+// Thin wrapper around the browser WebSocket that talks to `server/`. It
+// reconnects with backoff and rejoins its seat with the token the server
+// handed out, which is also kept in sessionStorage so a reload can rejoin.
+
+export const MATCH_SERVER_URL = process.env.REACT_APP_MATCH_SERVER_URL || 'ws://localhost:4000';
+const SESSION_KEY = 'handCricketOnlineSession';
+const MAX_RETRY_DELAY = 10000;
+
+export const loadOnlineSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const clearOnlineSession = () => sessionStorage.removeItem(SESSION_KEY);
+
+export const createMatchClient = ({ url = MATCH_SERVER_URL, onMessage, onStatus }) => {
+  let socket = null;
+  let session = loadOnlineSession();
+  let retries = 0;
+  let retryTimer = null;
+  let closed = false;
+  const queue = [];
+
+  const connect = () => {
+    onStatus(retries === 0 ? 'connecting' : 'reconnecting');
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+      retries = 0;
+      onStatus('connected');
+      if (session) socket.send(JSON.stringify({ type: 'rejoin', ...session }));
+      while (queue.length) socket.send(JSON.stringify(queue.shift()));
+    };
+
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'joined') {
+        session = { code: message.code, token: message.token };
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+      }
+      if (message.type === 'error' && message.fatal) {
+        session = null;
+        clearOnlineSession();
+      }
+      onMessage(message);
+    };
+
+    socket.onclose = () => {
+      if (closed) return;
+      onStatus('reconnecting');
+      const delay = Math.min(1000 * 2 ** retries, MAX_RETRY_DELAY);
+      retries++;
+      retryTimer = setTimeout(connect, delay);
+    };
+  };
+
+  const send = (message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    else queue.push(message);
+  };
+
+  // Leaving gives the seat up for good; the session is forgotten.
+  const close = ({ leave = true } = {}) => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (leave && session && socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'leave' }));
+    }
+    if (leave) clearOnlineSession();
+    if (socket) socket.close();
+    onStatus('idle');
+  };
+
+  connect();
+  return { send, close };
+};
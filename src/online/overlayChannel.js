@@ -0,0 +1,83 @@
+// --- Overlay channel ---
+// Carries the game's broadcast to the overlay page (/overlay), open in
+// another tab or as a browser source in streaming software. Uses a
+// BroadcastChannel where the browser has one; otherwise each message is
+// written to localStorage and the other page hears it through the `storage`
+// event. Messages are { type: 'state', state } and { type: 'banner', banner }.
+
+const CHANNEL_NAME = 'hand-cricket-overlay';
+export const OVERLAY_STATE_KEY = 'handCricketOverlayState';
+export const OVERLAY_BANNER_KEY = 'handCricketOverlayBanner';
+
+const hasChannel = () => typeof BroadcastChannel !== 'undefined';
+
+const readStored = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch (error) {
+    return null;
+  }
+};
+
+// The game's end. An overlay opened part way through asks for the latest
+// state, which the channel answers; in storage mode it is already saved.
+export const createOverlaySender = () => {
+  const channel = hasChannel() ? new BroadcastChannel(CHANNEL_NAME) : null;
+  let latest = null;
+  let count = 0;
+  if (channel) {
+    channel.onmessage = (e) => {
+      if (e.data && e.data.type === 'hello' && latest) channel.postMessage(latest);
+    };
+  }
+
+  const post = (message, key, value) => {
+    if (channel) {
+      channel.postMessage(message);
+      return;
+    }
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      // Storage full or blocked: the overlay just misses this one.
+    }
+  };
+
+  return {
+    state: (state) => {
+      latest = { type: 'state', state };
+      post(latest, OVERLAY_STATE_KEY, state);
+    },
+    // Each banner gets an id, so the same words twice still show twice.
+    banner: (banner) => {
+      const numbered = { ...banner, id: `${Date.now()}-${count++}` };
+      post({ type: 'banner', banner: numbered }, OVERLAY_BANNER_KEY, numbered);
+    },
+    close: () => {
+      if (channel) channel.close();
+    },
+  };
+};
+
+// The overlay's end. Returns a function that stops listening.
+export const listenToOverlay = (onMessage) => {
+  if (hasChannel()) {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (e) => {
+      if (e.data && e.data.type !== 'hello') onMessage(e.data);
+    };
+    channel.postMessage({ type: 'hello' });
+    return () => channel.close();
+  }
+
+  const stored = readStored(OVERLAY_STATE_KEY);
+  if (stored) onMessage({ type: 'state', state: stored });
+  const onStorage = (e) => {
+    if (!e.newValue || (e.key !== OVERLAY_STATE_KEY && e.key !== OVERLAY_BANNER_KEY)) return;
+    const value = readStored(e.key);
+    if (!value) return;
+    onMessage(e.key === OVERLAY_STATE_KEY ? { type: 'state', state: value } : { type: 'banner', banner: value });
+  };
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+};
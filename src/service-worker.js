@@ -0,0 +1,33 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+// --- Service worker ---
+// Precaches the whole build (the list is filled in by the build) so the game
+// loads and plays with no network at all. A new build installs alongside the
+// old one and waits until the player accepts the update prompt.
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page loads get the app shell, except for requests for files.
+const FILE_PATH = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !FILE_PATH.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`),
+);
+
+// Files from `public/` (icons, the manifest, the social card) aren't part of
+// the build, so they are cached the first time they're fetched.
+registerRoute(
+  ({ request, url }) => request.method === 'GET' && url.origin === self.location.origin && /\.(png|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({ cacheName: 'public-files', plugins: [new ExpirationPlugin({ maxEntries: 20 })] }),
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
@@ -0,0 +1,53 @@
+// --- Service worker registration ---
+// Registers src/service-worker.js in production builds. When a new build has
+// downloaded and is waiting, everyone listening through `onUpdateReady` is
+// told, and `applyUpdate` swaps it in and reloads the page.
+
+let waiting = null;
+const listeners = new Set();
+
+const updateReady = (registration) => {
+  waiting = registration;
+  listeners.forEach(listener => listener(registration));
+};
+
+// Calls `listener` with the registration once an update is waiting, straight
+// away if one already is. Returns a function that stops listening.
+export const onUpdateReady = (listener) => {
+  listeners.add(listener);
+  if (waiting) listener(waiting);
+  return () => listeners.delete(listener);
+};
+
+export const applyUpdate = (registration) => {
+  if (!registration.waiting) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // A PUBLIC_URL on another origin (a CDN) can't serve the worker.
+  if (new URL(process.env.PUBLIC_URL, window.location.href).origin !== window.location.origin) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      // The very first install isn't an update: nothing was controlling the page.
+      if (registration.waiting && navigator.serviceWorker.controller) updateReady(registration);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) updateReady(registration);
+        });
+      });
+      // A phone may keep the game open for days; look for a new build each
+      // time it comes back to the foreground.
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') registration.update().catch(() => {});
+      });
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  });
+};
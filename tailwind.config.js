@@ -1,10 +1,62 @@
+// Theme colours are CSS variables set by the app from src/game/themes.js, so
+// `bg-surface` or `text-muted` follow whichever theme is on.
+const THEME_COLOURS = [
+  'page', 'surface', 'raised', 'control', 'control-hover', 'line', 'frame', 'body', 'muted', 'heading', 'score',
+  'primary', 'on-primary', 'accent', 'on-accent', 'neutral', 'success', 'success-soft', 'danger', 'danger-soft',
+];
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      colors: Object.fromEntries(THEME_COLOURS.map(name => [name, `var(--color-${name})`])),
+      // Match animations, switched off in the app when motion is reduced;
+      // the streaming overlay's banners use `motion-safe:` instead.
+      keyframes: {
+        banner: {
+          '0%': { opacity: '0', transform: 'scale(0.6)' },
+          '10%': { opacity: '1', transform: 'scale(1.08)' },
+          '18%, 85%': { opacity: '1', transform: 'scale(1)' },
+          '100%': { opacity: '0', transform: 'scale(0.95)' },
+        },
+        pump: {
+          '0%, 100%': { transform: 'translateY(0) rotate(0)' },
+          '50%': { transform: 'translateY(-12px) rotate(-10deg)' },
+        },
+        pop: {
+          '0%': { opacity: '0', transform: 'scale(1.8)' },
+          '100%': { opacity: '1', transform: 'scale(1)' },
+        },
+        flip: {
+          '0%': { opacity: '0', transform: 'rotateY(90deg) scale(0.8)' },
+          '100%': { opacity: '1', transform: 'rotateY(0) scale(1)' },
+        },
+        topple: {
+          '0%, 30%': { transform: 'rotate(0)' },
+          '100%': { transform: 'rotate(var(--tilt))' },
+        },
+        bail: {
+          '0%': { opacity: '1', transform: 'translate(0, 0) rotate(0)' },
+          '100%': { opacity: '0', transform: 'translate(var(--drift), -48px) rotate(var(--spin))' },
+        },
+        confetti: {
+          '0%': { opacity: '1', transform: 'translate(0, 0) rotate(0)' },
+          '100%': { opacity: '0', transform: 'translate(var(--drift), 420px) rotate(var(--spin))' },
+        },
+      },
+      animation: {
+        banner: 'banner 3s ease-out forwards',
+        pump: 'pump 0.4s ease-in-out',
+        pop: 'pop 0.25s ease-out',
+        flip: 'flip 0.35s ease-out',
+        topple: 'topple 0.8s ease-in forwards',
+        bail: 'bail 0.6s ease-out forwards',
+        confetti: 'confetti 1.8s ease-in both',
+      },
+    },
   },
   plugins: [],
-}
\ No newline at end of file
+}